@@ -0,0 +1,127 @@
+// Sea grid generation script
+// Rasterises Natural Earth land and country polygons into the coarse sea/land
+// mask used by src/ai/seaPathfinder.js. Run from the project root after
+// installing the source data without saving it as a dependency:
+//
+//   npm install --no-save world-atlas@2 topojson-client
+//   node scripts/build-sea-grid.js
+
+const fs = require('fs');
+const path = require('path');
+const { feature } = require('topojson-client');
+const landTopology = require('world-atlas/land-10m.json');
+const countryTopology = require('world-atlas/countries-10m.json');
+
+const RESOLUTION = 0.5; // degrees per grid cell
+const SAMPLES_PER_DEGREE = 20; // raster resolution used to measure land coverage
+const MAX_LAND_FRACTION = 0.6; // cells with more land than this are treated as land
+const OUTPUT_FILE = path.join(__dirname, '..', 'src', 'data', 'seaGrid.json');
+
+const width = 360 * SAMPLES_PER_DEGREE;
+const height = 180 * SAMPLES_PER_DEGREE;
+const land = new Uint8Array(width * height);
+
+// Country polygons cover lakes, which the land layer leaves as holes
+const geometries = [
+  ...feature(landTopology, landTopology.objects.land).features,
+  ...feature(countryTopology, countryTopology.objects.countries).features
+].map(f => f.geometry).filter(Boolean);
+
+/**
+ * Unwrap a ring across the antimeridian and close rings that encircle a pole
+ */
+const unwrapRing = ring => {
+  const unwrapped = [ring[0].slice()];
+  for (let i = 1; i < ring.length; i++) {
+    let deltaLon = ring[i][0] - ring[i - 1][0];
+    if (deltaLon > 180) deltaLon -= 360;
+    else if (deltaLon < -180) deltaLon += 360;
+    unwrapped.push([unwrapped[i - 1][0] + deltaLon, ring[i][1]]);
+  }
+
+  const drift = unwrapped[unwrapped.length - 1][0] - unwrapped[0][0];
+  if (Math.abs(drift) > 180) {
+    const pole = unwrapped.reduce((sum, point) => sum + point[1], 0) < 0 ? -90 : 90;
+    unwrapped.push(
+      [unwrapped[unwrapped.length - 1][0], pole],
+      [unwrapped[0][0], pole],
+      unwrapped[0].slice()
+    );
+  }
+
+  return unwrapped;
+};
+
+// Scanline fill each geometry with the even-odd rule
+for (const geometry of geometries) {
+  const crossings = Array.from({ length: height }, () => []);
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+
+  for (const polygon of polygons) {
+    for (const ring of polygon.map(unwrapRing)) {
+      for (let i = 0; i < ring.length - 1; i++) {
+        const [x1, y1] = ring[i];
+        const [x2, y2] = ring[i + 1];
+        if (y1 === y2) continue;
+
+        const yMin = Math.min(y1, y2);
+        const yMax = Math.max(y1, y2);
+        const firstRow = Math.max(0, Math.ceil((90 - yMax) * SAMPLES_PER_DEGREE - 0.5));
+        const lastRow = Math.min(height - 1, Math.floor((90 - yMin) * SAMPLES_PER_DEGREE - 0.5));
+
+        for (let row = firstRow; row <= lastRow; row++) {
+          const latitude = 90 - (row + 0.5) / SAMPLES_PER_DEGREE;
+          if (latitude < yMin || latitude >= yMax) continue;
+          crossings[row].push(x1 + (latitude - y1) * (x2 - x1) / (y2 - y1));
+        }
+      }
+    }
+  }
+
+  for (let row = 0; row < height; row++) {
+    const xs = crossings[row].sort((a, b) => a - b);
+    for (let k = 0; k + 1 < xs.length; k += 2) {
+      const firstCol = Math.ceil((xs[k] + 180) * SAMPLES_PER_DEGREE - 0.5);
+      const lastCol = Math.floor((xs[k + 1] + 180) * SAMPLES_PER_DEGREE - 0.5);
+      for (let col = firstCol; col <= lastCol; col++) {
+        land[row * width + ((col % width) + width) % width] = 1;
+      }
+    }
+  }
+}
+
+// Aggregate the raster into grid cells and pack them as a bitmask
+const block = RESOLUTION * SAMPLES_PER_DEGREE;
+const cols = 360 / RESOLUTION;
+const rows = 180 / RESOLUTION;
+const bits = Buffer.alloc(Math.ceil(rows * cols / 8));
+
+for (let row = 0; row < rows; row++) {
+  for (let col = 0; col < cols; col++) {
+    let landSamples = 0;
+    for (let i = 0; i < block; i++) {
+      for (let j = 0; j < block; j++) {
+        landSamples += land[(row * block + i) * width + col * block + j];
+      }
+    }
+    if (landSamples / (block * block) <= MAX_LAND_FRACTION) {
+      const cell = row * cols + col;
+      bits[cell >> 3] |= 1 << (7 - (cell & 7));
+    }
+  }
+}
+
+const grid = {
+  description: 'Coarse sea/land mask used for sea-only route planning',
+  source: `Natural Earth 1:10m land and admin-0 polygons (lakes count as land), rasterised to ${RESOLUTION} degree cells (a cell is sea when at least ${Math.round((1 - MAX_LAND_FRACTION) * 100)}% of it is water)`,
+  resolution: RESOLUTION,
+  rows,
+  cols,
+  north: 90,
+  west: -180,
+  encoding: 'base64 bitmask, row-major from north-west, most significant bit first, 1 = sea',
+  data: bits.toString('base64')
+};
+
+fs.writeFileSync(OUTPUT_FILE, JSON.stringify(grid, null, 2) + '\n');
+console.log(`Sea grid written to ${OUTPUT_FILE} (${cols}x${rows} cells)`);
@@ -0,0 +1,210 @@
+// Tolerance on fuel quantities compared across the plan
+const EPSILON = 1e-6; // tonnes
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Fuel of one grade burned before each stop of a rotation (`burned[k]`), and
+ * the least the ship must have bought before arriving at it (`needed[k]`) to
+ * hold the reserve for every leg sailed so far
+ */
+const getRequirements = (consumption, reserves, rob) => {
+  const burned = [0];
+  const needed = [0];
+  for (const [i, amount] of consumption.entries()) {
+    burned.push(burned[i] + amount);
+    needed.push(Math.max(needed[i], burned[i + 1] + reserves[i] - rob));
+  }
+  return { burned, needed };
+};
+
+/**
+ * Cheapest purchases of one fuel grade along a rotation, with the ROB on
+ * arrival at each stop kept at or above the reserve for the leg just sailed
+ * and the fuel aboard on departure within the tank space for the grade.
+ *
+ * This is the greedy solution to the refuelling problem with linear prices:
+ * at each stop, buy just enough to reach the next stop with a lower price
+ * when the tanks hold that much, otherwise as much as the tanks take (but no
+ * more than the rest of the rotation needs). Stops without a price are never
+ * cheaper. Quantities are tracked as cumulative purchases.
+ */
+const planGrade = ({ consumption, reserves, rob, space, prices }) => {
+  const legs = consumption.length;
+  const { burned, needed } = getRequirements(consumption, reserves, rob);
+  const total = needed[legs];
+
+  const quantities = new Array(legs).fill(0);
+  let bought = 0;
+  for (let i = 0; i < legs; i++) {
+    // Most the ship can have bought on leaving stop i without overfilling the tanks
+    const limit = Math.max(bought, space[i] + burned[i] - rob);
+    if (needed[i + 1] > limit + EPSILON) {
+      return { feasible: false, stop: i, reason: 'capacity' };
+    }
+    if (prices[i] === null) {
+      if (needed[i + 1] > bought + EPSILON) {
+        return { feasible: false, stop: i, reason: 'unavailable' };
+      }
+      continue;
+    }
+
+    let cheaper = i + 1;
+    while (cheaper < legs && !(prices[cheaper] !== null && prices[cheaper] < prices[i])) cheaper++;
+
+    const target = cheaper < legs && needed[cheaper] <= limit
+      ? needed[cheaper]
+      : Math.min(limit, total);
+    quantities[i] = Math.max(0, target - bought);
+    bought += quantities[i];
+  }
+
+  const arrival = [];
+  const departure = [];
+  let aboard = rob;
+  for (let i = 0; i < legs; i++) {
+    arrival.push(aboard);
+    aboard += quantities[i];
+    departure.push(aboard);
+    aboard -= consumption[i];
+  }
+
+  return { feasible: true, quantities, arrival, departure, final: aboard };
+};
+
+class BunkerPlanner {
+  /**
+   * Decide where along a rotation to bunker, and how much, for the least fuel
+   * cost. `stops` are the ports the legs depart from, in order, each with the
+   * price per tonne of the grades on offer there ({ fuelType: { pricePerTon,
+   * supplier } }); `legs` give the tonnes of each grade burned on the way to
+   * the next stop. On arrival anywhere the ROB of each grade must still hold
+   * `reserveMargin` of the leg just sailed, and the fuel aboard must fit in
+   * the ship's tanks.
+   *
+   * The tanks are shared between grades. Grades are planned from the most
+   * burned down; tank space is held back for those still to plan, as much as
+   * they could need aboard from each stop to the end of the rotation.
+   *
+   * Returns the purchases at each stop and their cost, and the cost of buying
+   * the same fuel at the first port, or an infeasible plan with the stop
+   * where it fails and why.
+   */
+  planBunkering({ stops, legs, rob = {}, tankCapacity, reserveMargin }) {
+    const fuelTypes = [...new Set(legs.flatMap(leg => Object.keys(leg.fuel)))]
+      .map(fuelType => ({ fuelType, total: legs.reduce((sum, leg) => sum + (leg.fuel[fuelType] || 0), 0) }))
+      .filter(grade => grade.total > 0)
+      .sort((a, b) => b.total - a.total)
+      .map(grade => grade.fuelType);
+
+    const grades = fuelTypes.map(fuelType => {
+      const consumption = legs.map(leg => leg.fuel[fuelType] || 0);
+      const aboard = rob[fuelType] || 0;
+      const reserves = consumption.map(amount => amount * reserveMargin);
+
+      // The most of this grade aboard on leaving each stop when no more is bought than needed
+      const { burned, needed } = getRequirements(consumption, reserves, aboard);
+      const mostAboard = burned.slice(0, -1).map(used => aboard + needed[legs.length] - used);
+
+      return {
+        fuelType,
+        consumption,
+        reserves,
+        rob: aboard,
+        mostAboard,
+        prices: stops.map(stop => (stop.prices[fuelType] ? stop.prices[fuelType].pricePerTon : null))
+      };
+    });
+
+    // Grades aboard that the rotation does not burn keep their tank space
+    const idle = Object.entries(rob)
+      .filter(([fuelType]) => !fuelTypes.includes(fuelType))
+      .reduce((sum, [, amount]) => sum + Math.max(0, amount), 0);
+    const capacity = (tankCapacity || Infinity) - idle;
+
+    const planned = [];
+    for (const [index, grade] of grades.entries()) {
+      const space = stops.map((stop, i) => capacity -
+        planned.reduce((sum, other) => sum + other.departure[i], 0) -
+        grades.slice(index + 1).reduce((sum, other) => sum + other.mostAboard[i], 0));
+
+      const plan = planGrade({ ...grade, space });
+      if (!plan.feasible) {
+        return {
+          feasible: false,
+          fuelType: grade.fuelType,
+          stop: stops[plan.stop].name,
+          reason: plan.reason === 'capacity'
+            ? `The tanks cannot hold the ${grade.fuelType} needed to sail on from ${stops[plan.stop].name} with its reserve`
+            : `No ${grade.fuelType} price at ${stops[plan.stop].name}, where the ship must bunker it`
+        };
+      }
+      planned.push({ ...grade, ...plan });
+    }
+
+    const planStops = stops.map((stop, i) => {
+      const purchases = planned
+        .filter(grade => grade.quantities[i] > EPSILON)
+        .map(grade => {
+          const offer = stop.prices[grade.fuelType];
+          return {
+            fuelType: grade.fuelType,
+            quantity: round(grade.quantities[i]),
+            pricePerTon: offer.pricePerTon,
+            supplier: offer.supplier,
+            cost: round(grade.quantities[i] * offer.pricePerTon)
+          };
+        });
+      return {
+        name: stop.name,
+        port: stop.port,
+        departureTime: stop.time,
+        purchases,
+        cost: round(purchases.reduce((sum, purchase) => sum + purchase.cost, 0)),
+        robOnArrival: Object.fromEntries(planned.map(grade => [grade.fuelType, round(grade.arrival[i])])),
+        robOnDeparture: Object.fromEntries(planned.map(grade => [grade.fuelType, round(grade.departure[i])]))
+      };
+    });
+
+    const byFuelType = Object.fromEntries(planned.map(grade => {
+      const quantity = grade.quantities.reduce((sum, amount) => sum + amount, 0);
+      const cost = grade.quantities.reduce((sum, amount, i) => sum + (amount > EPSILON ? amount * grade.prices[i] : 0), 0);
+      return [grade.fuelType, { quantity: round(quantity), cost: round(cost) }];
+    }));
+    const totalCost = round(Object.values(byFuelType).reduce((sum, grade) => sum + grade.cost, 0));
+    const baseline = this.getFirstPortBaseline(stops[0], planned, capacity);
+
+    return {
+      feasible: true,
+      stops: planStops,
+      byFuelType,
+      totalCost,
+      robOnCompletion: Object.fromEntries(planned.map(grade => [grade.fuelType, round(grade.final)])),
+      baseline,
+      savings: baseline ? round(baseline.cost - totalCost) : null
+    };
+  }
+
+  /**
+   * Cost of buying all the fuel of a plan at the first port instead, and
+   * whether the tank space for the grades could take it; null when the first
+   * port does not sell every grade bought
+   */
+  getFirstPortBaseline(first, planned, capacity) {
+    const bought = planned
+      .map(grade => ({ grade, quantity: grade.quantities.reduce((sum, amount) => sum + amount, 0) }))
+      .filter(({ quantity }) => quantity > EPSILON);
+    if (bought.some(({ grade }) => !first.prices[grade.fuelType])) return null;
+
+    const aboard = planned.reduce((sum, grade) => sum + grade.rob, 0) +
+      bought.reduce((sum, { quantity }) => sum + quantity, 0);
+
+    return {
+      port: first.name,
+      cost: round(bought.reduce((sum, { grade, quantity }) => sum + quantity * first.prices[grade.fuelType].pricePerTon, 0)),
+      fitsInTanks: aboard <= capacity + EPSILON
+    };
+  }
+}
+
+module.exports = new BunkerPlanner();
@@ -0,0 +1,213 @@
+const speedProfiler = require('./speedProfiler');
+const weatherRouter = require('./weatherRouter');
+const chokepointService = require('../services/chokepointService');
+const weatherService = require('../services/weatherService');
+const { getSailing, pathDistance, nearestPointOnPath } = require('../utils/navigation');
+
+const HOUR = 60 * 60 * 1000;
+
+// How far back the track is read for the recent speed over ground, and the
+// speed below which the ship is taken to be stopped rather than making way
+const RECENT_HOURS = 6;
+const MIN_MAKING_WAY = 2; // knots
+
+// Planning speed when the voyage has no recent track and no planned speed
+const DEFAULT_SPEED = 15; // knots
+
+// Spread of the ETA as a fraction of the hours to go: a base uncertainty, the
+// variability of the recent speed, and forecast skill falling off each day ahead
+const BASE_UNCERTAINTY = 0.02;
+const FORECAST_UNCERTAINTY_PER_DAY = 0.01;
+const MAX_UNCERTAINTY = 0.5;
+
+// Entries of the voyage's forecast older than this before the ETA is
+// calculated have been overtaken and are not used
+const STALE_FORECAST_HOURS = 12;
+
+// Conditions the rest of the route is sailed in without a forecast
+const CALM = { windSpeed: 0, waveHeight: 0 };
+
+// ETA change that raises a notification, unless set in the environment
+const DEFAULT_ALERT_THRESHOLD = 6; // hours
+
+class EtaPredictor {
+  constructor() {
+    this.alertThresholdHours = Number(process.env.ETA_ALERT_THRESHOLD_HOURS) || DEFAULT_ALERT_THRESHOLD;
+  }
+
+  /**
+   * Live ETA of a voyage under way from a reported position. The rest of the
+   * planned route is sailed from the point on it nearest the ship, at the
+   * speed through the water the ship has recently been making good, through
+   * the forecast stored on the voyage, with any canal and strait waiting
+   * still to come. Returns the ETA with an earliest-latest band and, when the
+   * voyage has a forecast, the worst weather ahead; null when the voyage has
+   * no planned route. Without a forecast the rest of the route is sailed in
+   * calm water.
+   */
+  async predictEta({ voyage, track = [], position, ship }) {
+    const route = voyage.plannedRoute || {};
+    const planned = route.waypoints || [];
+    if (planned.length < 2) return null;
+
+    const now = new Date(position.timestamp || Date.now());
+    const routeMode = route.routeMode;
+    const nearest = nearestPointOnPath(planned, position, routeMode);
+    const remaining = [nearest.point, ...planned.slice(nearest.index + 1)];
+    const remainingDistance = pathDistance(remaining, routeMode);
+    const waitingHours = this.getWaitingHoursAhead(route, planned, nearest);
+
+    const recent = this.getRecentSpeed(track, now);
+    const plannedSpeed = (route.speedProfile && route.speedProfile.speedThroughWater) ||
+      (voyage.aiRecommendations && voyage.aiRecommendations.optimalSpeed) ||
+      DEFAULT_SPEED;
+    const makingWay = recent && recent.speed >= MIN_MAKING_WAY;
+
+    // Take the weather out of the speed made good to get the speed through the water
+    const segments = speedProfiler.describeSegments(remaining, routeMode);
+    const forecast = this.createForecastLookup(voyage.weatherForecast, now);
+    const conditions = forecast || (() => CALM);
+    const course = segments.length > 0 ? segments[0].course : 0;
+    const lossNow = weatherRouter.calculateSpeedLoss(conditions(position, 0), course);
+    const maxSpeed = (ship && ship.maxSpeed) || Infinity;
+    const speedThroughWater = Math.min(maxSpeed, makingWay ? recent.speed / (1 - lossNow) : plannedSpeed);
+
+    const passage = segments.length > 0 && remainingDistance > 0
+      ? speedProfiler.sailSegments(segments, speedThroughWater, conditions)
+      : null;
+    const hours = (passage ? passage.hours : 0) + waitingHours;
+
+    const uncertainty = Math.min(
+      MAX_UNCERTAINTY,
+      BASE_UNCERTAINTY + (makingWay ? recent.variability : 0) + FORECAST_UNCERTAINTY_PER_DAY * hours / 24
+    );
+    const bandHours = hours * uncertainty;
+
+    return {
+      eta: new Date(now.getTime() + hours * HOUR),
+      earliest: new Date(now.getTime() + (hours - bandHours) * HOUR),
+      latest: new Date(now.getTime() + (hours + bandHours) * HOUR),
+      confidenceHours: Math.round(bandHours * 10) / 10,
+      remainingDistance: Math.round(remainingDistance * 10) / 10,
+      remainingHours: Math.round(hours * 10) / 10,
+      waitingHours,
+      speedOverGround: makingWay ? Math.round(recent.speed * 10) / 10 : null,
+      speedThroughWater: Math.round(speedThroughWater * 10) / 10,
+      basis: makingWay ? 'recent-track' : 'planned-speed',
+      ...(forecast && { weatherAhead: this.getWeatherAhead(segments, passage, forecast) }),
+      position: { latitude: position.latitude, longitude: position.longitude },
+      calculatedAt: now
+    };
+  }
+
+  /**
+   * Conditions lookup over the forecast stored on the voyage, or null when it
+   * has no current entries with wind and waves. The entries are for the
+   * voyage as a whole, so the one nearest in time applies anywhere on the
+   * route; the last one holds beyond the forecast horizon.
+   */
+  createForecastLookup(weatherForecast, now) {
+    const since = now.getTime() - STALE_FORECAST_HOURS * HOUR;
+    const entries = (weatherForecast || [])
+      .filter(entry => entry && typeof entry.windSpeed === 'number' && typeof entry.waveHeight === 'number')
+      .map(entry => ({ time: new Date(entry.timestamp).getTime(), windSpeed: entry.windSpeed, waveHeight: entry.waveHeight }))
+      .filter(entry => entry.time >= since);
+    if (entries.length === 0) return null;
+
+    return (_coord, hours) => {
+      const time = now.getTime() + hours * HOUR;
+      const { windSpeed, waveHeight } = entries.reduce((nearest, entry) =>
+        (Math.abs(entry.time - time) < Math.abs(nearest.time - time) ? entry : nearest));
+      return { windSpeed, waveHeight };
+    };
+  }
+
+  /**
+   * Worst weather the ship will meet on the rest of the route: the severity
+   * (0-10) at the midpoint of each segment when the ship gets there
+   */
+  getWeatherAhead(segments, passage, conditions) {
+    let worst = { severity: 0 };
+    segments.forEach((segment, i) => {
+      const hoursAhead = passage ? (passage.startHours[i] + passage.startHours[i + 1]) / 2 : 0;
+      const severity = weatherService.calculateWeatherSeverity(conditions(segment.midpoint, hoursAhead));
+      if (severity > worst.severity) {
+        worst = {
+          severity,
+          hoursAhead: Math.round(hoursAhead * 10) / 10,
+          position: { latitude: segment.midpoint.latitude, longitude: segment.midpoint.longitude }
+        };
+      }
+    });
+    return worst;
+  }
+
+  /**
+   * Average speed over ground made good over the recent track up to a time,
+   * and its variability (coefficient of variation of the speeds between fixes);
+   * null without two fixes in the recent window
+   */
+  getRecentSpeed(track, now) {
+    const since = now.getTime() - RECENT_HOURS * HOUR;
+    const fixes = (track || []).filter(point => {
+      const time = new Date(point.timestamp).getTime();
+      return time >= since && time <= now.getTime();
+    });
+    if (fixes.length < 2) return null;
+
+    const hours = (new Date(fixes[fixes.length - 1].timestamp) - new Date(fixes[0].timestamp)) / HOUR;
+    if (hours <= 0) return null;
+
+    const { distance } = getSailing();
+    const legSpeeds = fixes.slice(1)
+      .map((point, i) => ({
+        distance: distance(fixes[i], point),
+        hours: (new Date(point.timestamp) - new Date(fixes[i].timestamp)) / HOUR
+      }))
+      .filter(leg => leg.hours > 0)
+      .map(leg => leg.distance / leg.hours);
+    const speed = pathDistance(fixes) / hours;
+    const variance = legSpeeds.reduce((sum, legSpeed) => sum + Math.pow(legSpeed - speed, 2), 0) / legSpeeds.length;
+
+    return {
+      speed,
+      variability: speed > 0 ? Math.sqrt(variance) / speed : 0
+    };
+  }
+
+  /**
+   * Waiting hours of the planned canal and strait transits still ahead of the
+   * ship's nearest point on the route
+   */
+  getWaitingHoursAhead(route, planned, nearest) {
+    const progress = nearest.index + nearest.fraction;
+
+    return (route.passages || []).reduce((sum, transit) => {
+      const passage = chokepointService.passages.find(p => p.id === transit.id);
+      if (!passage || !transit.waitingHours) return sum;
+
+      const at = nearestPointOnPath(planned, passage.coordinates, route.routeMode);
+      return at.index + at.fraction > progress ? sum + transit.waitingHours : sum;
+    }, 0);
+  }
+
+  /**
+   * Hours a live ETA has moved from the reference ETA: the last one notified,
+   * else the planned arrival; positive when the ship will be later. A move of
+   * the alert threshold or more is significant and becomes the new reference,
+   * so a slow drift is reported once it adds up.
+   */
+  compareWithReference(voyage, liveEta) {
+    const reference = (voyage.liveEta && voyage.liveEta.referenceEta) || voyage.estimatedArrival;
+    const change = reference ? (liveEta.eta - new Date(reference)) / HOUR : 0;
+    const significant = Math.abs(change) >= this.alertThresholdHours;
+
+    return {
+      change: Math.round(change * 10) / 10,
+      significant,
+      referenceEta: significant || !reference ? liveEta.eta : new Date(reference)
+    };
+  }
+}
+
+module.exports = new EtaPredictor();
@@ -1,4 +1,6 @@
 const tf = require('@tensorflow/tfjs-node');
+const ecaService = require('../services/ecaService');
+const fuelReferenceService = require('../services/fuelReferenceService');
 const logger = require('../utils/logger');
 
 class FuelPredictor {
@@ -149,7 +151,9 @@ class FuelPredictor {
   }
 
   /**
-   * Predict fuel consumption for a voyage
+   * Predict fuel consumption for a voyage, priced and its CO2 counted from
+   * `referenceTables` (see fuelReferenceService.loadTables), else the
+   * built-in tables
    */
   async predictFuelConsumption(params) {
     if (!this.isModelLoaded) {
@@ -159,7 +163,8 @@ class FuelPredictor {
     const {
       ship,
       voyage,
-      routeData
+      routeData,
+      referenceTables = fuelReferenceService.getDefaultTables()
     } = params;
 
     try {
@@ -171,7 +176,11 @@ class FuelPredictor {
       const weatherScore = this.calculateWeatherImpact(voyage.weatherForecast);
       const seaConditions = this.calculateSeaConditions(voyage.weatherForecast);
       const engineLoad = this.calculateEngineLoad(cargoWeight, shipCapacity, speed);
-      const routeComplexity = this.calculateRouteComplexity(voyage.origin, voyage.destination);
+      const routeComplexity = this.calculateRouteComplexity(
+        voyage.origin,
+        voyage.destination,
+        routeData.passages && routeData.passages.transits
+      );
       const fuelTypeMultiplier = this.getFuelTypeMultiplier(ship.engineType);
       const shipAge = new Date().getFullYear() - (ship.yearBuilt || 2010);
 
@@ -194,8 +203,23 @@ class FuelPredictor {
 
       // Calculate additional metrics
       const efficiency = this.calculateEfficiency(fuelConsumption, distance, cargoWeight);
-      const costEstimate = this.calculateFuelCost(fuelConsumption, ship.engineType);
-      const emissionsEstimate = this.calculateEmissions(fuelConsumption, ship.engineType);
+      // Fuel is priced where the voyage bunkers it, from the reference tables
+      // given; inside Emission Control Areas the ship burns the compliant fuel
+      const fuelType = fuelReferenceService.getMainFuelType(ship.engineType);
+      const bunkering = {
+        ports: [voyage.origin.name, voyage.origin.port],
+        coordinates: voyage.origin.coordinates,
+        at: voyage.departureTime
+      };
+      const fuelBreakdown = routeData.eca
+        ? this.calculateEcaFuelBreakdown(fuelConsumption, routeData.eca, ship.engineType, bunkering, referenceTables)
+        : null;
+      const costEstimate = fuelBreakdown
+        ? fuelBreakdown.reduce((sum, segment) => sum + segment.cost, 0)
+        : this.calculateFuelCost(fuelConsumption, fuelType, bunkering, referenceTables);
+      const emissionsEstimate = fuelBreakdown
+        ? fuelBreakdown.reduce((sum, segment) => sum + segment.emissions, 0)
+        : this.calculateEmissions(fuelConsumption, fuelType, referenceTables);
 
       // Clean up tensors
       input.dispose();
@@ -206,6 +230,9 @@ class FuelPredictor {
         efficiency: Math.round(efficiency * 100) / 100,
         costEstimate: Math.round(costEstimate * 100) / 100,
         emissionsEstimate: Math.round(emissionsEstimate * 100) / 100,
+        fuelType,
+        fuelBreakdown,
+        referenceVersions: fuelReferenceService.getVersions(referenceTables),
         confidence: this.calculatePredictionConfidence(params),
         factors: this.getInfluencingFactors(weatherScore, seaConditions, engineLoad),
         recommendations: this.generateEfficiencyRecommendations(efficiency, weatherScore)
@@ -262,17 +289,26 @@ class FuelPredictor {
   }
 
   /**
-   * Calculate route complexity score
+   * Calculate route complexity score.
+   * Uses the canals and straits the planned route transits when they are known,
+   * otherwise falls back to matching port names against congested regions.
    */
-  calculateRouteComplexity(origin, destination) {
-    // Simplified complexity calculation based on geographic regions
-    const complexRegions = ['Mediterranean', 'Baltic', 'Persian Gulf', 'Malacca Strait'];
-    
+  calculateRouteComplexity(origin, destination, passages) {
     let complexity = 1; // Base complexity
-    
-    // Check if route passes through complex regions (simplified)
-    if (origin.name && complexRegions.some(region => origin.name.includes(region))) complexity += 1;
-    if (destination.name && complexRegions.some(region => destination.name.includes(region))) complexity += 1;
+
+    if (passages) {
+      // Canal transits (locks, pilotage, convoys) weigh more than open straits
+      for (const passage of passages) {
+        complexity += passage.type === 'canal' ? 1 : 0.5;
+      }
+    } else {
+      // Simplified complexity calculation based on geographic regions
+      const complexRegions = ['Mediterranean', 'Baltic', 'Persian Gulf', 'Malacca Strait'];
+
+      // Check if route passes through complex regions (simplified)
+      if (origin.name && complexRegions.some(region => origin.name.includes(region))) complexity += 1;
+      if (destination.name && complexRegions.some(region => destination.name.includes(region))) complexity += 1;
+    }
     
     // Add complexity based on distance (longer routes may have more complex navigation)
     const distance = Math.abs(destination.coordinates.latitude - origin.coordinates.latitude) +
@@ -308,35 +344,45 @@ class FuelPredictor {
   }
 
   /**
-   * Calculate fuel cost estimate
+   * Split the fuel for a route between its stretches inside and outside
+   * Emission Control Areas in proportion to distance. Inside ECAs the ship
+   * burns the compliant fuel; outside them, the usual fuel for its engines.
    */
-  calculateFuelCost(fuelConsumption, engineType) {
-    const fuelPrices = {
-      'diesel': 650, // USD per ton
-      'heavy-fuel-oil': 450,
-      'gas-turbine': 800,
-      'hybrid': 550,
-      'electric': 100 // Equivalent cost
-    };
-    
-    const pricePerTon = fuelPrices[engineType] || 500;
-    return fuelConsumption * pricePerTon;
+  calculateEcaFuelBreakdown(fuelConsumption, eca, engineType, bunkering, referenceTables) {
+    const totalDistance = eca.ecaDistance + eca.nonEcaDistance;
+    const round = value => Math.round(value * 100) / 100;
+    const fuelType = fuelReferenceService.getMainFuelType(engineType);
+
+    return [
+      { area: 'eca', distance: eca.ecaDistance, fuelType: ecaService.getEcaFuelType(engineType) || fuelType },
+      { area: 'outside-eca', distance: eca.nonEcaDistance, fuelType }
+    ].map(segment => {
+      const consumption = totalDistance > 0 ? fuelConsumption * segment.distance / totalDistance : 0;
+      return {
+        ...segment,
+        consumption: round(consumption),
+        cost: round(this.calculateFuelCost(consumption, segment.fuelType, bunkering, referenceTables)),
+        emissions: round(this.calculateEmissions(consumption, segment.fuelType, referenceTables))
+      };
+    });
   }
 
   /**
-   * Calculate emissions estimate
+   * Calculate fuel cost estimate from the reference price of the fuel grade
+   * where it is bunkered
    */
-  calculateEmissions(fuelConsumption, engineType) {
-    const emissionFactors = {
-      'diesel': 3.2, // tons CO2 per ton fuel
-      'heavy-fuel-oil': 3.4,
-      'gas-turbine': 2.8,
-      'hybrid': 2.0,
-      'electric': 0.5
-    };
-    
-    const factor = emissionFactors[engineType] || 3.0;
-    return fuelConsumption * factor;
+  calculateFuelCost(fuelConsumption, fuelType, bunkering, referenceTables) {
+    const price = fuelReferenceService.getPrice(fuelType, bunkering, referenceTables);
+    return fuelConsumption * (price ? price.pricePerTon : 0);
+  }
+
+  /**
+   * Calculate CO2 emissions estimate from the reference emission factor of
+   * the fuel grade
+   */
+  calculateEmissions(fuelConsumption, fuelType, referenceTables) {
+    const factor = fuelReferenceService.getEmissionFactor(fuelType, referenceTables);
+    return fuelConsumption * (factor ? factor.co2Factor : 0);
   }
 
   /**
@@ -0,0 +1,407 @@
+const { setImmediate: yieldEventLoop } = require('timers/promises');
+const seaPathfinder = require('./seaPathfinder');
+const fuelPredictor = require('./fuelPredictor');
+const rotationPlanner = require('./rotationPlanner');
+const chokepointService = require('../services/chokepointService');
+const ecaService = require('../services/ecaService');
+const logger = require('../utils/logger');
+const { greatCircleDistance } = require('../utils/navigation');
+
+const HOUR = 60 * 60 * 1000;
+
+// Largest set of ports the exact search is run for
+const MAX_PORTS = 12;
+
+// Sea routes kept between requests, keyed by their endpoints and closed passages
+const ROUTE_CACHE_SIZE = 1000;
+
+// Planning speed when none is given, capped at the ship's maximum speed
+const DEFAULT_SPEED = 15; // knots
+
+const DISTANCE_METHODS = ['sea', 'great-circle'];
+const OBJECTIVES = ['distance', 'time'];
+
+class PortSequencer {
+  constructor() {
+    this.distanceMethods = DISTANCE_METHODS;
+    this.objectives = OBJECTIVES;
+    this.maxPorts = MAX_PORTS;
+    this.routeCache = new Map();
+  }
+
+  /**
+   * Check the ports to be sequenced; returns an error message or null when
+   * they are valid. Whether cargo can be discharged depends on the visiting
+   * order, so that is checked during the search instead.
+   */
+  validatePorts(ports) {
+    if (!Array.isArray(ports) || ports.length === 0) return 'ports must be a non-empty array';
+    if (ports.length > MAX_PORTS) return `At most ${MAX_PORTS} ports can be sequenced at once`;
+
+    const fieldError = rotationPlanner.validatePortCalls(ports, { weight: Infinity });
+    if (fieldError) return fieldError;
+
+    for (const port of ports) {
+      const { earliest, latest } = port.timeWindow || {};
+      if ([earliest, latest].some(time => time !== undefined && Number.isNaN(new Date(time).getTime()))) {
+        return `${port.name} has an invalid time window`;
+      }
+      if (earliest && latest && new Date(earliest) > new Date(latest)) {
+        return `${port.name} time window closes before it opens`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the order to visit a set of ports in, starting at the origin and
+   * ending at the destination when one is given. Ships arriving before a
+   * port's time window opens wait for it; arriving after it closes, or with
+   * too little cargo aboard to discharge, rules an order out.
+   *
+   * The search is exact: a dynamic programme over the visited ports that keeps
+   * every ordering not beaten on both distance and elapsed time, so the
+   * objective ('distance' or 'time') is optimal under the time windows.
+   * Returns null when no order satisfies the constraints.
+   */
+  async optimizeSequence(params) {
+    const {
+      ship,
+      origin,
+      destination,
+      ports,
+      departureTime,
+      cargoLoad = { weight: 0 },
+      speed,
+      distanceMethod = 'sea',
+      objective = 'distance',
+      referenceTables
+    } = params;
+
+    const planningSpeed = Math.min(speed || DEFAULT_SPEED, (ship && ship.maxSpeed) || Infinity);
+    const stops = destination ? [origin, ...ports, destination] : [origin, ...ports];
+    const matrix = await this.buildDistanceMatrix(stops, ship, distanceMethod);
+    const startTime = new Date(departureTime).getTime();
+
+    const order = this.searchOrder({
+      matrix,
+      ports,
+      hasDestination: Boolean(destination),
+      speed: planningSpeed,
+      startTime,
+      initialCargo: cargoLoad.weight,
+      capacity: (ship && ship.capacity) || Infinity,
+      objective
+    });
+    if (!order) return null;
+
+    const visits = destination ? [0, ...order, stops.length - 1] : [0, ...order];
+    const rotation = await this.describeRotation({
+      ship,
+      stops,
+      visits,
+      hasDestination: Boolean(destination),
+      matrix,
+      speed: planningSpeed,
+      startTime,
+      cargoLoad,
+      referenceTables
+    });
+
+    logger.info(`Port sequence optimized for ${ports.length} ports: ${rotation.totalDistance} nm`);
+
+    return {
+      objective,
+      distanceMethod,
+      speed: planningSpeed,
+      orderedPorts: order.map(i => stops[i]),
+      ...rotation
+    };
+  }
+
+  /**
+   * Distance, path, canals and straits passed and the waiting time for them between
+   * every pair of stops, sailing the sea route the ship fits through or the
+   * great circle. Pairs with no sea route between them are unreachable
+   * (Infinity). Sea routes come from the route cache where they can, and the
+   * event loop is let run between the searches for the others.
+   */
+  async buildDistanceMatrix(stops, ship, distanceMethod) {
+    const closedPassages = chokepointService.getRestrictedPassages(ship).map(passage => passage.id);
+    const matrix = stops.map(stop => stops.map(() => ({
+      distance: 0,
+      path: [stop.coordinates],
+      passages: [],
+      waitingHours: 0
+    })));
+
+    for (let i = 0; i < stops.length; i++) {
+      for (let j = i + 1; j < stops.length; j++) {
+        let entry;
+        if (distanceMethod === 'great-circle') {
+          entry = {
+            distance: greatCircleDistance(stops[i].coordinates, stops[j].coordinates),
+            path: [stops[i].coordinates, stops[j].coordinates],
+            passages: [],
+            waitingHours: 0
+          };
+        } else {
+          const route = await this.findSeaRoute(stops[i].coordinates, stops[j].coordinates, closedPassages);
+          entry = route
+            ? {
+              distance: route.distance,
+              path: route.path,
+              passages: route.passages,
+              waitingHours: chokepointService.summarizeTransits(route.passages, ship).totalWaitingHours
+            }
+            : { distance: Infinity, path: [], passages: [], waitingHours: 0 };
+        }
+        // Sea routes are sailed the same way in both directions
+        matrix[i][j] = entry;
+        matrix[j][i] = { ...entry, path: [...entry.path].reverse(), passages: [...entry.passages].reverse() };
+      }
+    }
+
+    return matrix;
+  }
+
+  /**
+   * Sea route between two coordinates, from the cache or searched for after
+   * yielding to the event loop. Routes are cached once for both directions,
+   * and the least recently used are dropped once the cache is full.
+   */
+  async findSeaRoute(from, to, closedPassages) {
+    const ends = [from, to].map(coord => `${coord.latitude},${coord.longitude}`);
+    const reversed = ends[0] > ends[1];
+    const key = [...(reversed ? ends.reverse() : ends), ...[...closedPassages].sort()].join('|');
+
+    let route = this.routeCache.get(key);
+    if (route !== undefined) {
+      this.routeCache.delete(key);
+    } else {
+      await yieldEventLoop();
+      route = reversed
+        ? seaPathfinder.findRoute(to, from, { closedPassages })
+        : seaPathfinder.findRoute(from, to, { closedPassages });
+      if (this.routeCache.size >= ROUTE_CACHE_SIZE) {
+        this.routeCache.delete(this.routeCache.keys().next().value);
+      }
+    }
+    this.routeCache.set(key, route);
+
+    return reversed ? this.reverseRoute(route) : route;
+  }
+
+  /**
+   * The same sea route sailed the other way
+   */
+  reverseRoute(route) {
+    return route && { ...route, path: [...route.path].reverse(), passages: [...route.passages].reverse() };
+  }
+
+  /**
+   * Exact search for the best order to visit the ports in. Labels hold the
+   * distance sailed and the hours elapsed on leaving the last port; only
+   * labels not dominated on both are kept for each set of visited ports.
+   */
+  searchOrder({ matrix, ports, hasDestination, speed, startTime, initialCargo, capacity, objective }) {
+    const n = ports.length;
+    const windows = ports.map(port => {
+      const { earliest, latest } = port.timeWindow || {};
+      return {
+        opens: earliest ? (new Date(earliest).getTime() - startTime) / HOUR : -Infinity,
+        closes: latest ? (new Date(latest).getTime() - startTime) / HOUR : Infinity
+      };
+    });
+    const netCargo = ports.map(port => (port.cargoLoaded || 0) - (port.cargoDischarged || 0));
+    const cargoAfter = new Array(1 << n).fill(initialCargo);
+    for (let mask = 1; mask < 1 << n; mask++) {
+      const lowest = Math.log2(mask & -mask);
+      cargoAfter[mask] = cargoAfter[mask & (mask - 1)] + netCargo[lowest];
+    }
+
+    // labels[mask][j]: ways of visiting the ports in mask that end at port j
+    const labels = Array.from({ length: 1 << n }, () => new Array(n).fill(null));
+    const addLabel = (mask, j, label) => {
+      const existing = labels[mask][j] || [];
+      if (existing.some(other => other.distance <= label.distance && other.hours <= label.hours)) return;
+      labels[mask][j] = [
+        ...existing.filter(other => !(label.distance <= other.distance && label.hours <= other.hours)),
+        label
+      ];
+    };
+    const sailingHours = entry => entry.distance / speed + entry.waitingHours;
+    const visit = (previous, from, mask, j) => {
+      const leg = matrix[from][j + 1].distance;
+      const aboard = cargoAfter[mask];
+      if (leg === Infinity || aboard < (ports[j].cargoDischarged || 0)) return;
+      if (cargoAfter[mask | (1 << j)] > capacity) return;
+
+      const arrival = (previous ? previous.hours : 0) + sailingHours(matrix[from][j + 1]);
+      if (arrival > windows[j].closes) return;
+      const berthStart = Math.max(arrival, windows[j].opens);
+      addLabel(mask | (1 << j), j, {
+        port: j,
+        distance: (previous ? previous.distance : 0) + leg,
+        arrival,
+        hours: berthStart + rotationPlanner.getBerthHours(ports[j]),
+        previous
+      });
+    };
+
+    for (let j = 0; j < n; j++) visit(null, 0, 0, j);
+    for (let mask = 1; mask < 1 << n; mask++) {
+      for (let last = 0; last < n; last++) {
+        for (const label of labels[mask][last] || []) {
+          for (let j = 0; j < n; j++) {
+            if (!(mask & (1 << j))) visit(label, last + 1, mask, j);
+          }
+        }
+      }
+    }
+
+    // Close the rotation at the destination and pick the best complete order
+    const full = (1 << n) - 1;
+    let best = null;
+    for (let last = 0; last < n; last++) {
+      for (const label of labels[full][last] || []) {
+        const final = hasDestination ? matrix[last + 1][n + 1] : null;
+        if (final && final.distance === Infinity) continue;
+        const candidate = {
+          label,
+          distance: label.distance + (final ? final.distance : 0),
+          // Rotations end on arriving at the destination, or at the last port without one
+          hours: final ? label.hours + sailingHours(final) : label.arrival
+        };
+        if (!best || this.isBetter(candidate, best, objective)) best = candidate;
+      }
+    }
+    if (!best) return null;
+
+    const order = [];
+    for (let label = best.label; label; label = label.previous) order.unshift(label.port + 1);
+    return order;
+  }
+
+  /**
+   * Compare complete orders on the objective, breaking ties on the other measure
+   */
+  isBetter(a, b, objective) {
+    const [primary, secondary] = objective === 'time' ? ['hours', 'distance'] : ['distance', 'hours'];
+    return a[primary] < b[primary] - 1e-9 ||
+      (Math.abs(a[primary] - b[primary]) <= 1e-9 && a[secondary] < b[secondary]);
+  }
+
+  /**
+   * Schedule, per-leg fuel and totals for the rotation in the chosen order.
+   * Fuel is predicted for each leg with the cargo aboard on that leg, and the
+   * cost adds canal and strait fees to the fuel cost.
+   */
+  async describeRotation({ ship, stops, visits, hasDestination, matrix, speed, startTime, cargoLoad, referenceTables }) {
+    const schedule = [];
+    const legs = [];
+    let aboard = cargoLoad.weight;
+    let hours = 0;
+    let referenceVersions;
+
+    schedule.push({
+      sequence: 0,
+      name: stops[0].name,
+      port: stops[0].port,
+      coordinates: stops[0].coordinates,
+      plannedDeparture: new Date(startTime),
+      cargoAboard: aboard
+    });
+
+    for (let i = 1; i < visits.length; i++) {
+      const from = stops[visits[i - 1]];
+      const to = stops[visits[i]];
+      const entry = matrix[visits[i - 1]][visits[i]];
+      const passages = chokepointService.summarizeTransits(entry.passages, ship);
+      const eca = ecaService.splitRoute(entry.path);
+      const prediction = await fuelPredictor.predictFuelConsumption({
+        ship,
+        voyage: {
+          origin: from,
+          destination: to,
+          cargoLoad: { ...cargoLoad, weight: aboard },
+          weatherForecast: [],
+          departureTime: new Date(startTime + hours * HOUR)
+        },
+        routeData: {
+          totalDistance: entry.distance,
+          optimalSpeed: speed,
+          passages,
+          eca
+        },
+        referenceTables
+      });
+
+      referenceVersions = prediction.referenceVersions;
+
+      const sailingHours = entry.distance / speed + entry.waitingHours;
+      legs.push({
+        sequence: i,
+        from: from.name,
+        to: to.name,
+        distance: Math.round(entry.distance * 10) / 10,
+        ecaDistance: eca.ecaDistance,
+        sailingHours: Math.round(sailingHours * 10) / 10,
+        cargoWeight: aboard,
+        estimatedFuel: prediction.estimatedConsumption,
+        fuelCost: prediction.costEstimate,
+        emissions: prediction.emissionsEstimate,
+        passages: passages.transits
+      });
+
+      const arrival = hours + sailingHours;
+      const call = {
+        sequence: i,
+        name: to.name,
+        port: to.port,
+        coordinates: to.coordinates,
+        plannedArrival: new Date(startTime + arrival * HOUR)
+      };
+
+      // Every stop but the destination is a port call with cargo work and time alongside
+      if (!hasDestination || i < visits.length - 1) {
+        const opens = to.timeWindow && to.timeWindow.earliest
+          ? (new Date(to.timeWindow.earliest).getTime() - startTime) / HOUR
+          : -Infinity;
+        const waitingHours = Math.max(0, opens - arrival);
+        hours = arrival + waitingHours + rotationPlanner.getBerthHours(to);
+        aboard += (to.cargoLoaded || 0) - (to.cargoDischarged || 0);
+        Object.assign(call, {
+          timeWindow: to.timeWindow,
+          waitingHours: Math.round(waitingHours * 10) / 10,
+          berthHours: rotationPlanner.getBerthHours(to),
+          cargoLoaded: to.cargoLoaded || 0,
+          cargoDischarged: to.cargoDischarged || 0,
+          plannedDeparture: i < visits.length - 1 ? new Date(startTime + hours * HOUR) : undefined,
+          cargoAboard: aboard
+        });
+      }
+      schedule.push(call);
+    }
+
+    const total = field => Math.round(legs.reduce((sum, leg) => sum + leg[field], 0) * 100) / 100;
+    const transitCost = Math.round(legs.reduce((sum, leg) => sum + leg.passages.reduce((s, t) => s + t.fee, 0), 0) * 100) / 100;
+    const fuelCost = total('fuelCost');
+
+    return {
+      schedule,
+      legs,
+      totalDistance: Math.round(legs.reduce((sum, leg) => sum + leg.distance, 0) * 10) / 10,
+      totalHours: Math.round((schedule[schedule.length - 1].plannedArrival.getTime() - startTime) / HOUR * 10) / 10,
+      estimatedFuel: total('estimatedFuel'),
+      fuelCost,
+      transitCost,
+      totalCost: Math.round((fuelCost + transitCost) * 100) / 100,
+      emissions: total('emissions'),
+      referenceVersions
+    };
+  }
+}
+
+module.exports = new PortSequencer();
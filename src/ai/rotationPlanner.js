@@ -0,0 +1,280 @@
+const routeOptimizer = require('./routeOptimizer');
+const fuelPredictor = require('./fuelPredictor');
+const speedProfiler = require('./speedProfiler');
+const ecaService = require('../services/ecaService');
+const riskZoneService = require('../services/riskZoneService');
+const depthService = require('../services/depthService');
+const logger = require('../utils/logger');
+
+const HOUR = 60 * 60 * 1000;
+
+// Time alongside at an intermediate port call when none is given
+const DEFAULT_BERTH_HOURS = 24;
+
+class RotationPlanner {
+  /**
+   * Check the intermediate port calls of a voyage; returns an error message or
+   * null when they are valid. Cargo discharged at a call may not exceed the
+   * cargo aboard when the ship arrives there.
+   */
+  validatePortCalls(portCalls, cargoLoad) {
+    if (!Array.isArray(portCalls)) return 'portCalls must be an array';
+
+    let aboard = cargoLoad.weight;
+    for (let i = 0; i < portCalls.length; i++) {
+      const call = portCalls[i];
+      const label = `Port call ${i + 1}`;
+      const coordinates = call && call.coordinates;
+
+      if (!call || !call.name || !coordinates) {
+        return `${label} requires a name and coordinates`;
+      }
+      if (typeof coordinates.latitude !== 'number' || Math.abs(coordinates.latitude) > 90 ||
+        typeof coordinates.longitude !== 'number' || Math.abs(coordinates.longitude) > 180) {
+        return `${label} (${call.name}) has invalid coordinates`;
+      }
+      if (call.requiredArrival !== undefined && isNaN(new Date(call.requiredArrival))) {
+        return `${label} (${call.name}) requiredArrival must be a valid date`;
+      }
+      for (const field of ['berthHours', 'cargoLoaded', 'cargoDischarged']) {
+        if (call[field] !== undefined && (typeof call[field] !== 'number' || call[field] < 0)) {
+          return `${label} (${call.name}) ${field} must be a non-negative number`;
+        }
+      }
+
+      aboard -= call.cargoDischarged || 0;
+      if (aboard < 0) {
+        return `${label} (${call.name}) discharges more cargo than is aboard`;
+      }
+      aboard += call.cargoLoaded || 0;
+    }
+
+    return null;
+  }
+
+  /**
+   * Cargo aboard (tonnes) on each leg of the rotation, starting with the cargo
+   * loaded at the origin
+   */
+  calculateCargoAboard(initialWeight, portCalls) {
+    const aboard = [initialWeight];
+    for (const call of portCalls) {
+      aboard.push(aboard[aboard.length - 1] - (call.cargoDischarged || 0) + (call.cargoLoaded || 0));
+    }
+    return aboard;
+  }
+
+  /**
+   * Plan a voyage leg by leg through its ordered port calls. Each leg is routed
+   * (at the draft the cargo aboard gives) and its fuel predicted with the cargo
+   * aboard on that leg, and departures
+   * from each call follow the arrival plus the time alongside. A leg whose port
+   * has a `requiredArrival` is sped up or slowed down to arrive just in time.
+   *
+   * Alternative routes are only planned for direct voyages without port calls,
+   * and not at all when `planAlternatives` is false.
+   */
+  async planRotation(params) {
+    const {
+      ship,
+      origin,
+      destination,
+      portCalls = [],
+      departureTime,
+      cargoLoad,
+      weatherForecast = [],
+      routeMode,
+      limitingLatitude,
+      weatherRouting,
+      minimizeEcaDistance,
+      riskZones,
+      underKeelClearance,
+      requiredArrival,
+      planAlternatives = true,
+      referenceTables
+    } = params;
+
+    const stops = [origin, ...portCalls, destination];
+    const cargoAboard = this.calculateCargoAboard(cargoLoad.weight, portCalls);
+    const legs = [];
+    let legDeparture = new Date(departureTime);
+
+    for (let i = 1; i < stops.length; i++) {
+      const from = stops[i - 1];
+      const to = stops[i];
+      const legCargo = { ...cargoLoad, weight: cargoAboard[i - 1] };
+      const legRequiredArrival = i === stops.length - 1 ? requiredArrival : to.requiredArrival;
+
+      const route = await routeOptimizer.optimizeRoute({
+        origin: from,
+        destination: to,
+        cargoWeight: legCargo.weight,
+        weatherForecast,
+        departureTime: legDeparture,
+        ship,
+        routeMode,
+        limitingLatitude,
+        weatherRouting,
+        minimizeEcaDistance,
+        riskZones,
+        underKeelClearance,
+        requiredArrival: legRequiredArrival,
+        planAlternatives: planAlternatives && portCalls.length === 0,
+        referenceTables
+      });
+
+      const fuel = await fuelPredictor.predictFuelConsumption({
+        ship,
+        voyage: {
+          origin: from,
+          destination: to,
+          cargoLoad: legCargo,
+          weatherForecast,
+          departureTime: legDeparture
+        },
+        routeData: route,
+        referenceTables
+      });
+
+      const arrivalTime = new Date(legDeparture.getTime() + route.estimatedTime * HOUR);
+      legs.push({
+        sequence: i,
+        from,
+        to,
+        departureTime: legDeparture,
+        arrivalTime,
+        requiredArrival: legRequiredArrival ? new Date(legRequiredArrival) : undefined,
+        cargoWeight: legCargo.weight,
+        route,
+        fuel
+      });
+
+      if (i < stops.length - 1) {
+        legDeparture = new Date(arrivalTime.getTime() + this.getBerthHours(portCalls[i - 1]) * HOUR);
+      }
+    }
+
+    logger.info(`Rotation planned with ${legs.length} legs and ${portCalls.length} port calls`);
+
+    return {
+      legs,
+      route: this.combineRoutes(legs),
+      fuelPrediction: this.combineFuelPredictions(legs),
+      schedule: this.buildSchedule(stops, legs, cargoAboard)
+    };
+  }
+
+  /**
+   * Time alongside at a port call, in hours
+   */
+  getBerthHours(portCall) {
+    return portCall.berthHours !== undefined ? portCall.berthHours : DEFAULT_BERTH_HOURS;
+  }
+
+  /**
+   * Join the routes of each leg into the route of the whole rotation. Its
+   * estimated time runs from the first departure to the final arrival, so it
+   * includes the time alongside at each port call.
+   */
+  combineRoutes(legs) {
+    if (legs.length === 1) return legs[0].route;
+
+    const routes = legs.map(leg => leg.route);
+    const totalDistance = routes.reduce((sum, route) => sum + route.totalDistance, 0);
+    const rotationHours = (legs[legs.length - 1].arrivalTime - legs[0].departureTime) / HOUR;
+    const transits = routes.flatMap(route => route.passages.transits);
+
+    return {
+      optimalSpeed: Math.round(routes.reduce((sum, route) => sum + route.optimalSpeed * route.totalDistance, 0) /
+        totalDistance * 10) / 10,
+      estimatedTime: Math.round(rotationHours * 10) / 10,
+      estimatedFuelConsumption: Math.round(routes.reduce((sum, route) => sum + route.estimatedFuelConsumption, 0) * 10) / 10,
+      totalDistance: Math.round(totalDistance * 10) / 10,
+      routeMode: routes[0].routeMode,
+      limitingLatitude: routes[0].limitingLatitude,
+      waypoints: routes.flatMap(route => route.waypoints),
+      legs: routes.flatMap(route => route.legs),
+      passages: {
+        transits,
+        totalTransitCost: Math.round(transits.reduce((sum, t) => sum + t.fee, 0) * 100) / 100,
+        totalWaitingHours: transits.reduce((sum, t) => sum + t.waitingHours, 0),
+        restricted: routes[0].passages.restricted
+      },
+      eca: ecaService.combineSplits(routes.map(route => route.eca)),
+      risk: riskZoneService.combineAssessments(routes.map(route => route.risk)),
+      underKeel: depthService.combineAssessments(routes.map(route => route.underKeel)),
+      speedProfile: speedProfiler.combineProfiles(routes.map(route => route.speedProfile)),
+      alternativeRoutes: [],
+      recommendations: [...new Set(routes.flatMap(route => route.recommendations))],
+      confidence: Math.min(...routes.map(route => route.confidence))
+    };
+  }
+
+  /**
+   * Total fuel, cost and emissions over all legs, with the fuel burned inside
+   * and outside Emission Control Areas summed by area. Efficiency is averaged
+   * over the distance sailed on each leg.
+   */
+  combineFuelPredictions(legs) {
+    if (legs.length === 1) return legs[0].fuel;
+
+    const total = field => Math.round(legs.reduce((sum, leg) => sum + leg.fuel[field], 0) * 100) / 100;
+    const totalDistance = legs.reduce((sum, leg) => sum + leg.route.totalDistance, 0);
+
+    return {
+      estimatedConsumption: total('estimatedConsumption'),
+      efficiency: Math.round(legs.reduce((sum, leg) => sum + leg.fuel.efficiency * leg.route.totalDistance, 0) /
+        totalDistance * 100) / 100,
+      costEstimate: total('costEstimate'),
+      emissionsEstimate: total('emissionsEstimate'),
+      fuelBreakdown: this.combineFuelBreakdowns(legs.map(leg => leg.fuel.fuelBreakdown)),
+      referenceVersions: legs[0].fuel.referenceVersions,
+      confidence: Math.min(...legs.map(leg => leg.fuel.confidence)),
+      recommendations: [...new Set(legs.flatMap(leg => leg.fuel.recommendations || []))]
+    };
+  }
+
+  /**
+   * Sum the inside/outside ECA fuel breakdowns of each leg by area
+   */
+  combineFuelBreakdowns(breakdowns) {
+    if (breakdowns.some(breakdown => !breakdown)) return null;
+
+    const round = value => Math.round(value * 100) / 100;
+    return breakdowns[0].map((segment, i) => ({
+      ...segment,
+      distance: round(breakdowns.reduce((sum, breakdown) => sum + breakdown[i].distance, 0)),
+      consumption: round(breakdowns.reduce((sum, breakdown) => sum + breakdown[i].consumption, 0)),
+      cost: round(breakdowns.reduce((sum, breakdown) => sum + breakdown[i].cost, 0)),
+      emissions: round(breakdowns.reduce((sum, breakdown) => sum + breakdown[i].emissions, 0))
+    }));
+  }
+
+  /**
+   * ETA/ETD schedule for every port of the rotation, from the origin to the
+   * destination, with the cargo aboard on departure
+   */
+  buildSchedule(stops, legs, cargoAboard) {
+    return stops.map((stop, i) => {
+      const arrivingLeg = legs[i - 1];
+      const departingLeg = legs[i];
+      const isPortCall = i > 0 && i < stops.length - 1;
+
+      return {
+        sequence: i,
+        name: stop.name,
+        port: stop.port,
+        coordinates: stop.coordinates,
+        requiredArrival: arrivingLeg ? arrivingLeg.requiredArrival : undefined,
+        plannedArrival: arrivingLeg ? arrivingLeg.arrivalTime : undefined,
+        plannedDeparture: departingLeg ? departingLeg.departureTime : undefined,
+        berthHours: isPortCall ? this.getBerthHours(stop) : undefined,
+        cargoLoaded: isPortCall ? stop.cargoLoaded || 0 : undefined,
+        cargoDischarged: isPortCall ? stop.cargoDischarged || 0 : undefined,
+        cargoAboard: departingLeg ? cargoAboard[i] : 0
+      };
+    });
+  }
+}
+
+module.exports = new RotationPlanner();
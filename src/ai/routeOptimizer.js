@@ -1,5 +1,31 @@
 const tf = require('@tensorflow/tfjs-node');
+const seaPathfinder = require('./seaPathfinder');
+const weatherRouter = require('./weatherRouter');
+const speedProfiler = require('./speedProfiler');
+const chokepointService = require('../services/chokepointService');
+const ecaService = require('../services/ecaService');
+const riskZoneService = require('../services/riskZoneService');
+const depthService = require('../services/depthService');
+const fuelReferenceService = require('../services/fuelReferenceService');
 const logger = require('../utils/logger');
+const { greatCircleDistance, getSailing } = require('../utils/navigation');
+
+// Longest leg between generated waypoints on a curved (great circle) track
+const MAX_LEG_DISTANCE = 300; // nautical miles
+
+// Calm-water fuel burn assumed when the model gives no usable estimate
+const DEFAULT_FUEL_PER_HOUR = 1.5; // tonnes
+
+// Extra cost of a mile inside an Emission Control Area when minimizing ECA distance:
+// each ECA mile counts as two open-sea miles
+const ECA_AVOIDANCE_WEIGHT = 1;
+
+// Weather-routed candidates offered alongside the direct route
+const ALTERNATIVE_ROUTES = [
+  { name: 'fastest', objective: 'time' },
+  { name: 'most-fuel-efficient', objective: 'fuel' },
+  { name: 'lowest-weather-risk', objective: 'risk' }
+];
 
 class RouteOptimizer {
   constructor() {
@@ -140,18 +166,70 @@ class RouteOptimizer {
       origin,
       destination,
       cargoWeight,
-      weatherForecast
+      weatherForecast,
+      ship,
+      departureTime,
+      routeMode = 'great-circle',
+      limitingLatitude,
+      weatherRouting,
+      minimizeEcaDistance = false,
+      riskZones = [],
+      underKeelClearance = depthService.defaultUnderKeelClearance,
+      requiredArrival,
+      planAlternatives = true,
+      referenceTables
     } = params;
 
     try {
-      // Calculate distance (simplified great circle distance)
-      const distance = this.calculateDistance(origin.coordinates, destination.coordinates);
+      // Canals and straits the ship is too large for are closed to the route search
+      const restrictedPassages = chokepointService.getRestrictedPassages(ship);
+
+      // Ports and waters shallower than the loaded draft plus the under-keel clearance are ruled out
+      const loadedDraft = depthService.estimateLoadedDraft(ship, cargoWeight);
+      const minDepth = loadedDraft !== null ? loadedDraft + underKeelClearance : undefined;
+      if (minDepth !== undefined) {
+        this.checkPortDepths([origin, destination], loadedDraft, underKeelClearance);
+      }
+
+      // Find a sea-only route between the ports; its length is the voyage distance
+      const seaRoute = seaPathfinder.findRoute(origin.coordinates, destination.coordinates, {
+        closedPassages: restrictedPassages.map(passage => passage.id),
+        routeMode,
+        limitingLatitude,
+        ecaWeight: minimizeEcaDistance ? ECA_AVOIDANCE_WEIGHT : 0,
+        riskZones,
+        minDepth
+      });
+      if (!seaRoute) {
+        const restricted = restrictedPassages.length > 0
+          ? ` for this ship (restricted from ${restrictedPassages.map(passage => passage.name).join(', ')})`
+          : '';
+        const exclusions = riskZones.filter(zone => zone.severity === 'exclusion');
+        const excluded = exclusions.length > 0
+          ? ` outside the exclusion zones (${exclusions.map(zone => zone.name).join(', ')})`
+          : '';
+        const deepWater = minDepth !== undefined
+          ? ` in at least ${Math.round(minDepth * 10) / 10} m of water (${loadedDraft} m loaded draft plus ${underKeelClearance} m under-keel clearance)`
+          : '';
+        throw this.createRoutingError(
+          `No sea route found between ${origin.name || 'origin'} and ${destination.name || 'destination'}${restricted}${excluded}${deepWater}`
+        );
+      }
+      const distance = seaRoute.distance;
+      const passages = chokepointService.summarizeTransits(seaRoute.passages, ship);
 
       // Process weather data
       const weatherScore = this.calculateWeatherScore(weatherForecast);
 
+      // Reference price of the ship's fuel at the origin when it sails, from
+      // the reference tables given, else the built-in tables
+      const { pricePerTon: fuelPrice } = fuelReferenceService.getPrice(
+        fuelReferenceService.getMainFuelType(ship && ship.engineType),
+        { ports: [origin.name, origin.port], coordinates: origin.coordinates, at: departureTime },
+        referenceTables
+      );
+
       // Current market conditions (mock data - in production, fetch from APIs)
-      const fuelPrice = 450; // USD per ton
       const seaConditions = Math.random() * 3; // 0-3 for calm seas
       const trafficDensity = Math.random() * 5;
       const portCongestion = Math.random() * 3;
@@ -172,25 +250,83 @@ class RouteOptimizer {
       const prediction = this.model.predict(input);
       const predictionData = await prediction.data();
 
-      // Denormalize results
-      const optimalSpeed = predictionData[0] * 25;
-      const estimatedTime = predictionData[1] * 300;
-      const estimatedFuelConsumption = predictionData[2] * 1000;
-
-      // Generate waypoints for optimal route
-      const waypoints = this.generateWaypoints(origin.coordinates, destination.coordinates, 10);
+      // Denormalize results into the ship's calm-water performance
+      const performance = this.getCalmWaterPerformance(
+        predictionData[0] * 25,
+        predictionData[1] * 300,
+        predictionData[2] * 1000,
+        ship
+      );
 
       // Clean up tensors
       input.dispose();
       prediction.dispose();
 
+      // Time the waypoints along the sea route with a speed per segment through the
+      // forecast, arriving just in time for any required arrival; waiting for canal
+      // and strait transits adds to the passage time
+      const forecast = (weatherRouting && weatherRouting.forecast) ||
+        await weatherRouter.getForecast(departureTime, seaRoute.path, performance);
+      const speedProfile = speedProfiler.planSpeedProfile({
+        waypoints: this.generateWaypoints(seaRoute.path, routeMode),
+        routeMode,
+        departureTime,
+        requiredArrival,
+        performance,
+        ship,
+        waitingHours: passages.totalWaitingHours,
+        conditions: weatherRouter.createForecastLookup(forecast, departureTime)
+      });
+      const { waypoints, ...profile } = speedProfile;
+      const legs = this.generateLegs(waypoints, routeMode);
+      const eca = ecaService.splitRoute(waypoints, routeMode);
+      const risk = riskZoneService.assessRoute(waypoints, riskZones, routeMode);
+      const underKeel = loadedDraft !== null
+        ? depthService.assessRoute(waypoints, loadedDraft, underKeelClearance, routeMode)
+        : null;
+
+      // Candidate routes sailed through a gridded forecast, starting with the direct route
+      const alternativeRoutes = !planAlternatives ? [] : await this.planAlternativeRoutes({
+        origin,
+        destination,
+        departureTime,
+        ship,
+        // Fuel is weighed at its reference price unless the planner weighs it
+        weatherRouting: {
+          ...weatherRouting,
+          forecast,
+          weights: { fuel: fuelPrice, ...(weatherRouting && weatherRouting.weights) }
+        },
+        performance,
+        routeOptions: {
+          closedPassages: restrictedPassages.map(passage => passage.id),
+          routeMode,
+          limitingLatitude,
+          riskZones,
+          minDepth
+        },
+        directRoute: seaRoute
+      });
+
       return {
-        optimalSpeed: Math.round(optimalSpeed * 10) / 10,
-        estimatedTime: Math.round(estimatedTime * 10) / 10,
-        estimatedFuelConsumption: Math.round(estimatedFuelConsumption * 10) / 10,
+        optimalSpeed: profile.speedThroughWater,
+        estimatedTime: profile.totalHours,
+        estimatedFuelConsumption: profile.estimatedFuel,
         totalDistance: Math.round(distance * 10) / 10,
+        routeMode,
+        limitingLatitude: routeMode === 'composite' ? limitingLatitude : undefined,
         waypoints,
-        recommendations: this.generateRecommendations(weatherScore, seaConditions),
+        legs,
+        passages: {
+          ...passages,
+          restricted: restrictedPassages
+        },
+        eca,
+        risk,
+        underKeel,
+        speedProfile: profile,
+        alternativeRoutes,
+        recommendations: this.generateRecommendations(weatherScore, seaConditions, profile),
         confidence: 0.85 // Mock confidence score
       };
     } catch (error) {
@@ -199,22 +335,155 @@ class RouteOptimizer {
     }
   }
 
+  /**
+   * Calm-water service speed (knots) and fuel burn (tonnes per hour) implied by
+   * the model's estimates, capped at the ship's maximum speed
+   */
+  getCalmWaterPerformance(optimalSpeed, sailingTime, fuelConsumption, ship) {
+    const maxSpeed = (ship && ship.maxSpeed) || Infinity;
+    const serviceSpeed = Math.min(maxSpeed, optimalSpeed > 0 ? optimalSpeed : 15);
+    const fuelPerHour = sailingTime > 0 && fuelConsumption > 0
+      ? fuelConsumption / sailingTime
+      : DEFAULT_FUEL_PER_HOUR;
+
+    return { serviceSpeed, fuelPerHour };
+  }
+
+  /**
+   * Plan the candidate routes a voyage can choose between: the direct route and
+   * one weather route per objective (plus the weighted objective when it is
+   * requested), all sailed through the same forecast so they can be compared.
+   * A weather route is only offered when it does better than the direct route
+   * on its own objective, so that its name holds; objectives the forecast
+   * leaves no safe route for are left out.
+   */
+  async planAlternativeRoutes(params) {
+    const {
+      origin,
+      destination,
+      departureTime,
+      ship,
+      weatherRouting,
+      performance,
+      routeOptions,
+      directRoute
+    } = params;
+
+    const forecast = weatherRouting.forecast ||
+      await weatherRouter.getForecast(departureTime, directRoute.path, performance);
+    const candidates = weatherRouting.objective === 'weighted'
+      ? [...ALTERNATIVE_ROUTES, { name: 'weighted', objective: 'weighted' }]
+      : ALTERNATIVE_ROUTES;
+
+    const alternatives = [];
+    let direct = null;
+    for (const candidate of candidates) {
+      const route = await weatherRouter.optimizeRoute({
+        origin: origin.coordinates,
+        destination: destination.coordinates,
+        departureTime,
+        forecast,
+        objective: candidate.objective,
+        weights: weatherRouting.weights,
+        performance,
+        routeOptions,
+        directPath: directRoute.path
+      });
+      if (!route) continue;
+
+      if (!direct) {
+        direct = this.describeAlternative('direct', null, {
+          ...route.direct,
+          passages: directRoute.passages
+        }, ship, routeOptions);
+      }
+      const alternative = this.describeAlternative(candidate.name, candidate.objective, route, ship, routeOptions);
+      if (this.improvesOnDirect(candidate.objective, alternative, direct, route)) {
+        alternatives.push(alternative);
+      }
+    }
+
+    return direct ? [direct, ...alternatives] : [];
+  }
+
+  /**
+   * Whether a weather route does better than the direct route on the objective
+   * it was planned for. Fuel and the weighted cost are compared as both routes
+   * were sailed for that objective; any safe route does better than a direct
+   * route into unsafe seas.
+   */
+  improvesOnDirect(objective, alternative, direct, route) {
+    if (!alternative.safe) return false;
+    if (!direct.safe) return true;
+
+    if (objective === 'time') return alternative.estimatedTime < direct.estimatedTime;
+    if (objective === 'fuel') return route.estimatedFuel < route.direct.estimatedFuel;
+    if (objective === 'risk') {
+      return alternative.riskFactor < direct.riskFactor ||
+        (alternative.riskFactor === direct.riskFactor && alternative.maxWaveHeight < direct.maxWaveHeight);
+    }
+    return route.cost < route.direct.cost;
+  }
+
+  /**
+   * Summary of a candidate route, including its canal and strait waiting time
+   * and the risk zones it passes through. Its legs are sailed in the voyage's
+   * route mode.
+   */
+  describeAlternative(name, objective, route, ship, routeOptions) {
+    const { routeMode = 'great-circle', limitingLatitude, riskZones } = routeOptions;
+    const passages = chokepointService.summarizeTransits(route.passages, ship);
+
+    return {
+      name,
+      objective,
+      routeMode,
+      limitingLatitude: routeMode === 'composite' ? limitingLatitude : undefined,
+      waypoints: route.waypoints,
+      legs: this.generateLegs(route.waypoints, routeMode),
+      totalDistance: route.totalDistance,
+      estimatedTime: Math.round((route.estimatedTime + passages.totalWaitingHours) * 10) / 10,
+      averageSpeed: route.estimatedTime > 0 ? Math.round(route.totalDistance / route.estimatedTime * 10) / 10 : 0,
+      riskFactor: route.riskFactor,
+      maxWaveHeight: route.maxWaveHeight,
+      safe: route.safe,
+      passages,
+      eca: ecaService.splitRoute(route.waypoints, routeMode),
+      risk: riskZoneService.assessRoute(route.waypoints, riskZones, routeMode)
+    };
+  }
+
   /**
    * Calculate great circle distance between two points
    */
   calculateDistance(coord1, coord2) {
-    const R = 3440.065; // Earth's radius in nautical miles
-    const lat1Rad = coord1.latitude * Math.PI / 180;
-    const lat2Rad = coord2.latitude * Math.PI / 180;
-    const deltaLatRad = (coord2.latitude - coord1.latitude) * Math.PI / 180;
-    const deltaLonRad = (coord2.longitude - coord1.longitude) * Math.PI / 180;
-
-    const a = Math.sin(deltaLatRad / 2) * Math.sin(deltaLatRad / 2) +
-              Math.cos(lat1Rad) * Math.cos(lat2Rad) *
-              Math.sin(deltaLonRad / 2) * Math.sin(deltaLonRad / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-
-    return R * c;
+    return greatCircleDistance(coord1, coord2);
+  }
+
+  /**
+   * Make sure each port has enough water for the ship at its loaded draft.
+   * Ports whose depth is unknown are not checked.
+   */
+  checkPortDepths(ports, loadedDraft, underKeelClearance) {
+    for (const port of ports) {
+      const available = depthService.getPortDepth(port.coordinates);
+      if (available && available.depth < loadedDraft + underKeelClearance) {
+        throw this.createRoutingError(
+          `${port.name || available.name} has ${available.depth} m of water, less than the ` +
+          `${loadedDraft} m loaded draft plus ${underKeelClearance} m under-keel clearance`
+        );
+      }
+    }
+  }
+
+  /**
+   * Build an operational error for routes that cannot be planned
+   */
+  createRoutingError(message) {
+    const error = new Error(message);
+    error.statusCode = 422;
+    error.isOperational = true;
+    return error;
   }
 
   /**
@@ -248,33 +517,69 @@ class RouteOptimizer {
   }
 
   /**
-   * Generate waypoints for the route
+   * Generate waypoints from the points of a sea route, adding intermediate
+   * points along each curved leg so that no leg is longer than MAX_LEG_DISTANCE.
+   * The speed profiler times them and sets the speed on each leg.
    */
-  generateWaypoints(start, end, numWaypoints) {
-    const waypoints = [];
-    
-    for (let i = 0; i <= numWaypoints; i++) {
-      const ratio = i / numWaypoints;
-      const lat = start.latitude + (end.latitude - start.latitude) * ratio;
-      const lon = start.longitude + (end.longitude - start.longitude) * ratio;
-      
-      waypoints.push({
-        latitude: Math.round(lat * 1000000) / 1000000,
-        longitude: Math.round(lon * 1000000) / 1000000,
-        timestamp: new Date(Date.now() + (i * 3600000)), // hourly waypoints
-        speed: 15 // default speed, can be optimized per segment
+  generateWaypoints(routePoints, routeMode) {
+    const { distance, intermediatePoint } = getSailing(routeMode);
+    const points = [routePoints[0]];
+
+    for (let i = 1; i < routePoints.length; i++) {
+      const from = routePoints[i - 1];
+      const to = routePoints[i];
+      // A rhumb line keeps a constant course, so it needs no intermediate points
+      const steps = routeMode === 'rhumb-line' ? 1 : Math.max(1, Math.ceil(distance(from, to) / MAX_LEG_DISTANCE));
+      for (let s = 1; s < steps; s++) {
+        points.push(intermediatePoint(from, to, s / steps));
+      }
+      points.push(to);
+    }
+
+    return points.map(point => ({
+      latitude: Math.round(point.latitude * 1000000) / 1000000,
+      longitude: Math.round(point.longitude * 1000000) / 1000000
+    }));
+  }
+
+  /**
+   * Course and distance of each leg between consecutive waypoints.
+   * Great circle legs report their initial course.
+   */
+  generateLegs(waypoints, routeMode) {
+    const { distance, course } = getSailing(routeMode);
+    const legs = [];
+
+    for (let i = 1; i < waypoints.length; i++) {
+      const from = waypoints[i - 1];
+      const to = waypoints[i];
+      legs.push({
+        from: { latitude: from.latitude, longitude: from.longitude },
+        to: { latitude: to.latitude, longitude: to.longitude },
+        course: Math.round(course(from, to) * 10) / 10,
+        distance: Math.round(distance(from, to) * 10) / 10
       });
     }
 
-    return waypoints;
+    return legs;
   }
 
   /**
-   * Generate route recommendations
+   * Generate route recommendations, including whether a required arrival can be met
    */
-  generateRecommendations(weatherScore, seaConditions) {
+  generateRecommendations(weatherScore, seaConditions, speedProfile) {
     const recommendations = [];
 
+    if (speedProfile && !speedProfile.feasible) {
+      recommendations.push(
+        `Required arrival cannot be met: expect to arrive ${speedProfile.delayHours} hours late at maximum speed`
+      );
+    } else if (speedProfile && speedProfile.idleHours > 0) {
+      recommendations.push(
+        `Arriving ${speedProfile.idleHours} hours before the required arrival even at minimum speed - consider a later departure`
+      );
+    }
+
     if (weatherScore > 7) {
       recommendations.push('Consider delaying departure due to severe weather conditions');
       recommendations.push('Monitor weather updates continuously during voyage');
@@ -0,0 +1,676 @@
+const path = require('path');
+const fs = require('fs');
+const logger = require('../utils/logger');
+const CellQueue = require('../utils/cellQueue');
+const ecaService = require('../services/ecaService');
+const depthService = require('../services/depthService');
+const {
+  greatCircleDistance,
+  greatCircleIntermediatePoint,
+  normalizeLongitude,
+  getSailing,
+  pathDistance,
+  isInsidePolygon,
+  polygonBounds
+} = require('../utils/navigation');
+
+const GRID_FILE = path.join(__dirname, '..', 'data', 'seaGrid.json');
+const CHOKEPOINTS_FILE = path.join(__dirname, '..', 'data', 'chokepoints.json');
+
+// How far (in cells) to search for open water around a port that sits on a land cell
+const MAX_SNAP_RADIUS = 12;
+
+// Sea ice makes the polar seas impractical for routine commercial routing.
+// The Norwegian and Barents seas stay open further north thanks to the Gulf Stream.
+const NAVIGABLE_LATITUDE = {
+  north: 66,
+  south: -60,
+  iceFreeNorth: { west: -30, east: 60, limit: 72 }
+};
+
+// Bounds on the recursion that pins a route to each chokepoint it passes through
+const MAX_PASSAGES_PER_ROUTE = 8;
+
+// Extra cost of a mile inside a soft risk zone, relative to a mile outside it.
+// Exclusion zones are closed to the search instead.
+const RISK_ZONE_WEIGHTS = {
+  low: 0.25,
+  medium: 1,
+  high: 3
+};
+
+class SeaPathfinder {
+  constructor() {
+    this.grid = null;
+    this.passages = [];
+    this.gateCells = new Map();
+    this.ecaCells = null;
+    this.depthCells = null;
+  }
+
+  /**
+   * Load the bundled sea/land mask, open the canal and strait channels
+   * narrower than a cell and index the chokepoint gates
+   */
+  loadGrid() {
+    if (this.grid) return this.grid;
+
+    const raw = JSON.parse(fs.readFileSync(GRID_FILE, 'utf8'));
+    const bits = Buffer.from(raw.data, 'base64');
+    const sea = new Uint8Array(raw.rows * raw.cols);
+    for (let i = 0; i < sea.length; i++) {
+      sea[i] = (bits[i >> 3] >> (7 - (i & 7))) & 1;
+    }
+
+    // Water beyond the ice limits is closed to planning but is not land
+    const iced = new Uint8Array(sea.length);
+    this.grid = {
+      resolution: raw.resolution,
+      rows: raw.rows,
+      cols: raw.cols,
+      north: raw.north,
+      west: raw.west,
+      sea,
+      iced
+    };
+
+    for (let cell = 0; cell < sea.length; cell++) {
+      if (!this.isWithinIceLimits(this.cellCenter(cell))) {
+        iced[cell] = sea[cell];
+        sea[cell] = 0;
+      }
+    }
+
+    const { passages } = JSON.parse(fs.readFileSync(CHOKEPOINTS_FILE, 'utf8'));
+    for (const passage of passages) {
+      for (const cell of this.traceCells(passage.channel)) {
+        sea[cell] = 1;
+      }
+    }
+
+    this.keepMainOcean();
+
+    // A gate spans a passage from shore to shore, so every route through it crosses one of its cells
+    this.passages = passages.map(passage => ({
+      ...passage,
+      gateCells: this.traceCells(passage.gate).filter(cell => sea[cell])
+    }));
+    for (const passage of this.passages) {
+      for (const cell of passage.gateCells) {
+        this.gateCells.set(cell, passage);
+      }
+    }
+
+    logger.info(`Sea grid loaded: ${raw.cols}x${raw.rows} cells at ${raw.resolution} degrees`);
+    return this.grid;
+  }
+
+  /**
+   * Whether a coordinate is clear of the seasonal polar ice limits
+   */
+  isWithinIceLimits(coord) {
+    const { north, south, iceFreeNorth: iceFree } = NAVIGABLE_LATITUDE;
+    if (coord.latitude < south) return false;
+    const inIceFreeSector = coord.longitude >= iceFree.west && coord.longitude <= iceFree.east;
+    return coord.latitude <= (inIceFreeSector ? iceFree.limit : north);
+  }
+
+  /**
+   * Close every water body not connected to the world ocean (lakes and
+   * landlocked seas such as the Caspian), so ports never snap onto them
+   */
+  keepMainOcean() {
+    const { sea } = this.grid;
+    const component = new Int32Array(sea.length).fill(-1);
+    const sizes = [];
+
+    for (let cell = 0; cell < sea.length; cell++) {
+      if (!sea[cell] || component[cell] !== -1) continue;
+      const id = sizes.length;
+      const stack = [cell];
+      let size = 0;
+      component[cell] = id;
+      while (stack.length > 0) {
+        const current = stack.pop();
+        size++;
+        for (const next of this.neighbours(current)) {
+          if (component[next] === -1) {
+            component[next] = id;
+            stack.push(next);
+          }
+        }
+      }
+      sizes.push(size);
+    }
+
+    const ocean = sizes.indexOf(Math.max(...sizes));
+    for (let cell = 0; cell < sea.length; cell++) {
+      if (component[cell] !== ocean) sea[cell] = 0;
+    }
+  }
+
+  /**
+   * Cells along a polyline, edge-connected so that no diagonal step is
+   * needed to follow them and no diagonal step can slip across them
+   */
+  traceCells(points) {
+    const { cols, resolution } = this.grid;
+    const cells = [];
+    let previous = null;
+
+    for (let i = 1; i < points.length; i++) {
+      const steps = Math.max(1, Math.ceil(greatCircleDistance(points[i - 1], points[i]) / (resolution * 15)));
+      for (let s = 0; s <= steps; s++) {
+        const cell = this.cellOf(greatCircleIntermediatePoint(points[i - 1], points[i], s / steps));
+        if (cell === previous) continue;
+        if (previous !== null &&
+            Math.floor(previous / cols) !== Math.floor(cell / cols) && previous % cols !== cell % cols) {
+          cells.push(Math.floor(previous / cols) * cols + cell % cols);
+        }
+        cells.push(cell);
+        previous = cell;
+      }
+    }
+
+    return [...new Set(cells)];
+  }
+
+  /**
+   * Grid cell index containing a coordinate
+   */
+  cellOf(coord) {
+    const { rows, cols, north, west, resolution } = this.grid;
+    const row = Math.min(rows - 1, Math.max(0, Math.floor((north - coord.latitude) / resolution)));
+    const col = ((Math.floor((normalizeLongitude(coord.longitude) - west) / resolution) % cols) + cols) % cols;
+    return row * cols + col;
+  }
+
+  /**
+   * Centre coordinate of a grid cell
+   */
+  cellCenter(cell) {
+    const { cols, north, west, resolution } = this.grid;
+    const row = Math.floor(cell / cols);
+    const col = cell % cols;
+    return {
+      latitude: north - (row + 0.5) * resolution,
+      longitude: west + (col + 0.5) * resolution
+    };
+  }
+
+  /**
+   * Cells whose centre lies inside an Emission Control Area (1) or not (0)
+   */
+  getEcaCells() {
+    if (this.ecaCells) return this.ecaCells;
+
+    this.loadGrid();
+    this.ecaCells = new Uint8Array(this.grid.sea.length);
+    for (let cell = 0; cell < this.ecaCells.length; cell++) {
+      if (this.grid.sea[cell] === 1 && ecaService.findZone(this.cellCenter(cell))) {
+        this.ecaCells[cell] = 1;
+      }
+    }
+
+    return this.ecaCells;
+  }
+
+  /**
+   * Least charted depth of each cell (metres), Infinity in deep water. Cells a
+   * shallow area's boundary runs through take its depth too, so narrow
+   * channels are not left open by the grid's resolution.
+   */
+  getDepthCells() {
+    if (this.depthCells) return this.depthCells;
+
+    this.loadGrid();
+    this.depthCells = new Float32Array(this.grid.sea.length).fill(Infinity);
+    for (const area of depthService.areas) {
+      for (const cell of this.polygonCells(area.polygon)) {
+        this.depthCells[cell] = Math.min(this.depthCells[cell], area.depth);
+      }
+    }
+
+    return this.depthCells;
+  }
+
+  /**
+   * Cells covered by a latitude/longitude polygon: those whose centre lies
+   * inside it plus those its edges run through, so that zones narrower than
+   * a cell still cover the water they lie on
+   */
+  polygonCells(polygon) {
+    const { cols } = this.grid;
+    const bounds = polygonBounds(polygon);
+    const cells = new Set(this.traceCells([...polygon, polygon[0]]));
+
+    const firstRow = Math.floor(this.cellOf({ latitude: bounds.north, longitude: bounds.west }) / cols);
+    const lastRow = Math.floor(this.cellOf({ latitude: bounds.south, longitude: bounds.west }) / cols);
+    const firstCol = this.cellOf({ latitude: bounds.north, longitude: bounds.west }) % cols;
+    const width = Math.round((bounds.east - bounds.west) / this.grid.resolution) + 1;
+    for (let row = firstRow; row <= lastRow; row++) {
+      for (let c = 0; c <= width; c++) {
+        const cell = row * cols + (firstCol + c) % cols;
+        if (isInsidePolygon(this.cellCenter(cell), polygon)) cells.add(cell);
+      }
+    }
+
+    return cells;
+  }
+
+  /**
+   * Cost of sailing between two cells: their distance, with the half of it in
+   * each cell weighted up by that cell's `constraints.penalties`
+   */
+  stepCost(fromCell, toCell, distance, constraints) {
+    const { penalties } = constraints;
+    if (!penalties) return distance;
+    return distance * (1 + (penalties[fromCell] + penalties[toCell]) / 2);
+  }
+
+  /**
+   * Whether a coordinate lies in open water
+   */
+  isSea(coord) {
+    this.loadGrid();
+    return this.grid.sea[this.cellOf(coord)] === 1;
+  }
+
+  /**
+   * Whether a cell is open water that the search constraints leave usable.
+   * `constraints.blocked` holds cells closed for this search,
+   * `constraints.minDepth` closes cells shallower than the ship needs and
+   * `constraints.maxLatitude` caps the latitude the route may reach.
+   */
+  isOpen(cell, constraints = {}) {
+    if (this.grid.sea[cell] !== 1) return false;
+    if (constraints.blocked && constraints.blocked.has(cell)) return false;
+    if (constraints.minDepth && constraints.depthCells[cell] < constraints.minDepth) return false;
+    if (constraints.maxLatitude !== undefined &&
+        Math.abs(this.cellCenter(cell).latitude) > constraints.maxLatitude) return false;
+    return true;
+  }
+
+  /**
+   * Neighbouring cells reachable from a cell (8-connected, wrapping at the antimeridian).
+   * Diagonal moves are only allowed when they do not cut across a land corner.
+   */
+  neighbours(cell, constraints) {
+    const { rows, cols } = this.grid;
+    const row = Math.floor(cell / cols);
+    const col = cell % cols;
+    const result = [];
+
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        if (dr === 0 && dc === 0) continue;
+        const r = row + dr;
+        if (r < 0 || r >= rows) continue;
+        const c = (col + dc + cols) % cols;
+        const next = r * cols + c;
+        if (!this.isOpen(next, constraints)) continue;
+        if (dr !== 0 && dc !== 0 &&
+            !this.isOpen(r * cols + col, constraints) && !this.isOpen(row * cols + c, constraints)) continue;
+        result.push(next);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Closest sea cell to a coordinate, searching outwards ring by ring
+   */
+  nearestSeaCell(coord, constraints) {
+    const { rows, cols } = this.grid;
+    const start = this.cellOf(coord);
+    if (this.isOpen(start, constraints)) return start;
+
+    const row = Math.floor(start / cols);
+    const col = start % cols;
+
+    for (let radius = 1; radius <= MAX_SNAP_RADIUS; radius++) {
+      let best = null;
+      let bestDistance = Infinity;
+      for (let dr = -radius; dr <= radius; dr++) {
+        for (let dc = -radius; dc <= radius; dc++) {
+          if (Math.max(Math.abs(dr), Math.abs(dc)) !== radius) continue;
+          const r = row + dr;
+          if (r < 0 || r >= rows) continue;
+          const cell = r * cols + (col + dc + cols) % cols;
+          if (!this.isOpen(cell, constraints)) continue;
+          const distance = greatCircleDistance(coord, this.cellCenter(cell));
+          if (distance < bestDistance) {
+            best = cell;
+            bestDistance = distance;
+          }
+        }
+      }
+      if (best !== null) return best;
+    }
+
+    return null;
+  }
+
+  /**
+   * A* search over the sea cells between two coordinates.
+   * Returns the list of cell indices, or null when the cells are not connected by water.
+   */
+  searchCells(startCell, goalCell, constraints) {
+    const { sea } = this.grid;
+    const goal = this.cellCenter(goalCell);
+    const gScore = new Float64Array(sea.length).fill(Infinity);
+    const cameFrom = new Int32Array(sea.length).fill(-1);
+    const closed = new Uint8Array(sea.length);
+    const open = new CellQueue();
+
+    gScore[startCell] = 0;
+    open.push(startCell, greatCircleDistance(this.cellCenter(startCell), goal));
+
+    while (open.size > 0) {
+      const current = open.pop();
+      if (current === goalCell) {
+        const cells = [current];
+        let cell = current;
+        while (cameFrom[cell] !== -1) {
+          cell = cameFrom[cell];
+          cells.push(cell);
+        }
+        return cells.reverse();
+      }
+      if (closed[current]) continue;
+      closed[current] = 1;
+
+      const currentCenter = this.cellCenter(current);
+      for (const next of this.neighbours(current, constraints)) {
+        if (closed[next]) continue;
+        const nextCenter = this.cellCenter(next);
+        const tentative = gScore[current] +
+          this.stepCost(current, next, greatCircleDistance(currentCenter, nextCenter), constraints);
+        if (tentative < gScore[next]) {
+          gScore[next] = tentative;
+          cameFrom[next] = current;
+          open.push(next, tentative + greatCircleDistance(nextCenter, goal));
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether the segment between two points stays at sea. Segments follow a
+   * great circle unless `constraints.intermediatePoint` describes another curve.
+   * The cells holding the endpoints themselves are not checked, so a port
+   * slightly inland can still connect to the water next to it.
+   */
+  isSegmentAtSea(from, to, constraints = {}) {
+    const { resolution } = this.grid;
+    const intermediatePoint = constraints.intermediatePoint || greatCircleIntermediatePoint;
+    const fromCell = this.cellOf(from);
+    const toCell = this.cellOf(to);
+    // Sample roughly every quarter of a cell
+    const steps = Math.max(1, Math.ceil(greatCircleDistance(from, to) / (resolution * 15)));
+
+    for (let s = 1; s < steps; s++) {
+      const cell = this.cellOf(intermediatePoint(from, to, s / steps));
+      if (cell !== fromCell && cell !== toCell && !this.isOpen(cell, constraints)) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Cost of sailing a segment: its length, with the stretches in penalized
+   * cells (Emission Control Areas, soft risk zones) weighted up
+   */
+  segmentCost(from, to, constraints) {
+    const { resolution } = this.grid;
+    const intermediatePoint = constraints.intermediatePoint || greatCircleIntermediatePoint;
+    const distance = greatCircleDistance(from, to);
+    if (!constraints.penalties) return distance;
+
+    const steps = Math.max(1, Math.ceil(distance / (resolution * 15)));
+    let cost = 0;
+    for (let s = 0; s < steps; s++) {
+      const cell = this.cellOf(intermediatePoint(from, to, (s + 0.5) / steps));
+      cost += distance / steps * (1 + constraints.penalties[cell]);
+    }
+    return cost;
+  }
+
+  /**
+   * Drop intermediate points whose neighbours can see each other over open
+   * water. When cells are penalized, a shortcut must also not cost more than
+   * the points it replaces, so it cannot cut back into an ECA or risk zone.
+   */
+  smoothPath(points, constraints) {
+    if (points.length <= 2) return points;
+
+    const smoothed = [points[0]];
+    let anchor = 0;
+
+    const isShortcut = (from, to) => {
+      if (!this.isSegmentAtSea(points[from], points[to], constraints)) return false;
+      if (!constraints.penalties) return true;
+
+      let replaced = 0;
+      for (let i = from + 1; i <= to; i++) replaced += this.segmentCost(points[i - 1], points[i], constraints);
+      return this.segmentCost(points[from], points[to], constraints) <= replaced + 1e-6;
+    };
+
+    while (anchor < points.length - 1) {
+      let next = points.length - 1;
+      while (next > anchor + 1 && !isShortcut(anchor, next)) {
+        next--;
+      }
+      smoothed.push(points[next]);
+      anchor = next;
+    }
+
+    return smoothed;
+  }
+
+  /**
+   * Chokepoints whose gates a cell path crosses, in order.
+   * Endpoints lying on a gate do not count as transiting it.
+   */
+  passagesAlong(cells) {
+    const ownGates = new Set([this.gateCells.get(cells[0]), this.gateCells.get(cells[cells.length - 1])]);
+    const passages = [];
+
+    for (const cell of cells) {
+      const passage = this.gateCells.get(cell);
+      if (passage && !ownGates.has(passage) && !passages.includes(passage)) {
+        passages.push(passage);
+      }
+    }
+
+    return passages;
+  }
+
+  /**
+   * Points of a route following a cell path between two coordinates.
+   * The centres of the snapped end cells are kept only when the endpoint itself is on land.
+   */
+  cellsToPoints(origin, destination, cells) {
+    const first = this.cellOf(origin) === cells[0] ? 1 : 0;
+    const last = this.cellOf(destination) === cells[cells.length - 1] ? cells.length - 1 : cells.length;
+
+    return [
+      { latitude: origin.latitude, longitude: origin.longitude },
+      ...cells.slice(first, last).map(cell => this.cellCenter(cell)),
+      { latitude: destination.latitude, longitude: destination.longitude }
+    ];
+  }
+
+  /**
+   * Search constraints for a set of route options (see findRoute)
+   */
+  createConstraints(options = {}) {
+    this.loadGrid();
+
+    const { routeMode = 'great-circle', limitingLatitude } = options;
+    const closed = new Set(options.closedPassages || []);
+    const blocked = new Set();
+    for (const passage of this.passages) {
+      if (closed.has(passage.id)) {
+        passage.gateCells.forEach(cell => blocked.add(cell));
+      }
+    }
+
+    return {
+      blocked,
+      maxLatitude: routeMode === 'composite' ? limitingLatitude : undefined,
+      intermediatePoint: getSailing(routeMode).intermediatePoint,
+      minDepth: options.minDepth,
+      depthCells: options.minDepth ? this.getDepthCells() : null,
+      penalties: this.createPenalties(options, blocked)
+    };
+  }
+
+  /**
+   * Extra cost per mile of each cell for a set of route options, or null when
+   * every mile costs the same. Exclusion zones are added to `blocked` instead.
+   */
+  createPenalties(options, blocked) {
+    const { ecaWeight = 0, riskZones = [] } = options;
+    if (!ecaWeight && riskZones.length === 0) return null;
+
+    const penalties = new Float32Array(this.grid.sea.length);
+    if (ecaWeight) {
+      const ecaCells = this.getEcaCells();
+      for (let cell = 0; cell < penalties.length; cell++) {
+        penalties[cell] = ecaWeight * ecaCells[cell];
+      }
+    }
+
+    for (const zone of riskZones) {
+      const weight = RISK_ZONE_WEIGHTS[zone.severity];
+      for (const cell of this.polygonCells(zone.polygon)) {
+        if (zone.severity === 'exclusion') {
+          blocked.add(cell);
+        } else if (weight) {
+          penalties[cell] += weight;
+        }
+      }
+    }
+
+    return penalties;
+  }
+
+  /**
+   * Plan the water between two coordinates as a list of points, pinning the
+   * route to the centre of the first chokepoint it crosses and recursing on
+   * either side. Returns `{ points, passages }`, or null when there is no route.
+   */
+  routeSegment(origin, destination, constraints, depth) {
+    const startCell = this.nearestSeaCell(origin, constraints);
+    const goalCell = this.nearestSeaCell(destination, constraints);
+    if (startCell === null || goalCell === null) {
+      logger.warn('No navigable water found near route endpoints');
+      return null;
+    }
+
+    const cells = this.searchCells(startCell, goalCell, constraints);
+    if (!cells) {
+      logger.warn('Route endpoints are not connected by sea');
+      return null;
+    }
+
+    const [passage = null] = this.passagesAlong(cells);
+
+    if (passage && depth < MAX_PASSAGES_PER_ROUTE) {
+      const before = this.routeSegment(origin, passage.coordinates, constraints, depth + 1);
+      const after = before && this.routeSegment(passage.coordinates, destination, constraints, depth + 1);
+      if (before && after) {
+        return {
+          points: [...before.points, ...after.points.slice(1)],
+          passages: [...before.passages, passage, ...after.passages]
+        };
+      }
+    }
+
+    return {
+      points: this.smoothPath(this.cellsToPoints(origin, destination, cells), constraints),
+      passages: passage ? [passage] : []
+    };
+  }
+
+  /**
+   * Find a sea-only route between two coordinates.
+   * Options:
+   * - `closedPassages`: chokepoint ids the route must not use
+   * - `routeMode`: `great-circle` (default), `rhumb-line` or `composite`; legs between
+   *   the returned points follow that curve and clear land along it
+   * - `limitingLatitude`: for composite routes, the latitude the route must stay within
+   * - `ecaWeight`: extra cost per mile sailed inside Emission Control Areas, relative
+   *   to a mile outside them; routes trade extra distance for less ECA distance
+   * - `riskZones`: `{ polygon, severity }` zones; `exclusion` zones are closed to the
+   *   route and `low`, `medium` and `high` ones cost extra per mile (RISK_ZONE_WEIGHTS)
+   * - `minDepth`: least depth of water (metres) the route needs; shallower areas are avoided
+   * Returns `{ path, distance, passages }` with the chokepoints in transit
+   * order, or null when no route over water exists.
+   */
+  findRoute(origin, destination, options = {}) {
+    const constraints = this.createConstraints(options);
+    const route = this.routeSegment(origin, destination, constraints, 0);
+    if (!route) return null;
+
+    return {
+      path: route.points,
+      distance: pathDistance(route.points, options.routeMode),
+      passages: route.passages.map(({ id, name, type }) => ({ id, name, type }))
+    };
+  }
+
+  /**
+   * Check a route planned elsewhere (such as an ECDIS route) against the grid.
+   * Returns the chokepoints it passes in transit order, the index of the
+   * first leg that crosses land, or -1, and the indexes of the legs that go
+   * beyond the polar ice limits. The grid is coarser than coasts, fjords and
+   * archipelagos, so a leg only crosses land where it passes a land cell with
+   * land on every side; water beyond the ice limits is not land.
+   */
+  traceRoute(points, routeMode) {
+    const { rows, cols, resolution, sea, iced } = this.loadGrid();
+    const { intermediatePoint } = getSailing(routeMode);
+
+    const isInland = cell => {
+      const row = Math.floor(cell / cols);
+      const col = cell % cols;
+      for (let dr = -1; dr <= 1; dr++) {
+        for (let dc = -1; dc <= 1; dc++) {
+          const r = row + dr;
+          const next = r * cols + (col + dc + cols) % cols;
+          if (r >= 0 && r < rows && (sea[next] || iced[next])) return false;
+        }
+      }
+      return true;
+    };
+
+    let landLeg = -1;
+    const iceLegs = [];
+    for (let i = 1; i < points.length && landLeg === -1; i++) {
+      const steps = Math.max(1, Math.ceil(greatCircleDistance(points[i - 1], points[i]) / (resolution * 15)));
+      for (let s = 0; s <= steps; s++) {
+        const point = intermediatePoint(points[i - 1], points[i], s / steps);
+        if (isInland(this.cellOf(point))) {
+          landLeg = i - 1;
+          break;
+        }
+        if (!this.isWithinIceLimits(point) && iceLegs[iceLegs.length - 1] !== i - 1) {
+          iceLegs.push(i - 1);
+        }
+      }
+    }
+
+    return {
+      passages: this.passagesAlong(this.traceCells(points)).map(({ id, name, type }) => ({ id, name, type })),
+      landLeg,
+      iceLegs
+    };
+  }
+}
+
+module.exports = new SeaPathfinder();
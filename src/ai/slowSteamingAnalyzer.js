@@ -0,0 +1,174 @@
+const seaPathfinder = require('./seaPathfinder');
+const fuelPredictor = require('./fuelPredictor');
+const speedProfiler = require('./speedProfiler');
+const chokepointService = require('../services/chokepointService');
+const ecaService = require('../services/ecaService');
+const logger = require('../utils/logger');
+
+// Spacing of the speeds on the curve when none is given, and the most points it may have
+const DEFAULT_SPEED_STEP = 0.5; // knots
+const MAX_CURVE_POINTS = 200;
+
+// Spacing of the speeds tried around the cheapest point on the curve
+const OPTIMAL_SPEED_STEP = 0.1; // knots
+
+class SlowSteamingAnalyzer {
+  constructor() {
+    this.defaultSpeedStep = DEFAULT_SPEED_STEP;
+    this.maxCurvePoints = MAX_CURVE_POINTS;
+  }
+
+  /**
+   * Trade-off between speed and cost on the sea route between two ports: the
+   * transit time, fuel, fuel cost, CO2 and charter hire at each speed from the
+   * minimum to the ship's maximum speed, and the speed at which fuel plus hire
+   * costs least.
+   *
+   * Fuel, its cost and its emissions are predicted at every speed on the
+   * curve, as the fuel model's response to speed depends on the ship's load
+   * and need not follow the cube law. Fuel is priced at `bunkerPrice` (USD per
+   * tonne) when given, else at the reference price at the origin. Returns null
+   * when there is no sea route.
+   */
+  async buildCurve(params) {
+    const {
+      ship,
+      origin,
+      destination,
+      cargoLoad = { weight: 0 },
+      dailyHireRate,
+      bunkerPrice,
+      speedStep = DEFAULT_SPEED_STEP,
+      referenceTables
+    } = params;
+
+    const { minSpeed, maxSpeed } = this.getSpeedRange(ship, params.minSpeed, params.maxSpeed);
+
+    const closedPassages = chokepointService.getRestrictedPassages(ship).map(passage => passage.id);
+    const route = seaPathfinder.findRoute(origin.coordinates, destination.coordinates, { closedPassages });
+    if (!route) return null;
+
+    const passages = chokepointService.summarizeTransits(route.passages, ship);
+    const eca = ecaService.splitRoute(route.path);
+    const context = {
+      distance: route.distance,
+      waitingHours: passages.totalWaitingHours,
+      transitFees: passages.totalTransitCost,
+      bunkerPrice,
+      dailyHireRate
+    };
+    let referenceVersions;
+    const sailAt = async speed => {
+      const prediction = await fuelPredictor.predictFuelConsumption({
+        ship,
+        voyage: {
+          origin,
+          destination,
+          cargoLoad,
+          weatherForecast: []
+        },
+        routeData: {
+          totalDistance: route.distance,
+          optimalSpeed: speed,
+          passages,
+          eca
+        },
+        referenceTables
+      });
+      referenceVersions = prediction.referenceVersions;
+      return this.evaluateSpeed(speed, prediction, context);
+    };
+
+    const curve = [];
+    for (const speed of this.getCurveSpeeds(minSpeed, maxSpeed, speedStep)) {
+      curve.push(await sailAt(speed));
+    }
+    const optimal = await this.findOptimalSpeed(curve, sailAt);
+
+    logger.info(`Speed curve built over ${curve.length} speeds: optimal ${optimal.speed} knots`);
+
+    return {
+      distance: Math.round(route.distance * 10) / 10,
+      waitingHours: context.waitingHours,
+      transitFees: context.transitFees,
+      passages: passages.transits,
+      minSpeed,
+      maxSpeed,
+      dailyHireRate,
+      bunkerPrice: bunkerPrice !== undefined
+        ? bunkerPrice
+        : optimal.fuel > 0 ? Math.round(optimal.fuelCost / optimal.fuel * 100) / 100 : 0,
+      referenceVersions,
+      curve,
+      optimal
+    };
+  }
+
+  /**
+   * Speeds the curve runs between: the given ones, within the ship's maximum
+   * speed, else the ship's minimum steaming speed and its maximum speed
+   */
+  getSpeedRange(ship, minSpeed, maxSpeed) {
+    const highest = Math.min(maxSpeed || ship.maxSpeed, ship.maxSpeed);
+    return {
+      minSpeed: minSpeed || Math.min(highest, ship.minSpeed || speedProfiler.defaultMinSpeed),
+      maxSpeed: highest
+    };
+  }
+
+  /**
+   * Speeds from the minimum to the maximum, a step apart; the maximum is
+   * always included
+   */
+  getCurveSpeeds(minSpeed, maxSpeed, speedStep) {
+    const speeds = [];
+    for (let i = 0; minSpeed + i * speedStep < maxSpeed - 1e-9; i++) {
+      speeds.push(Math.round((minSpeed + i * speedStep) * 100) / 100);
+    }
+    speeds.push(maxSpeed);
+    return speeds;
+  }
+
+  /**
+   * Transit time, fuel, CO2 and costs of sailing the route at a speed, from
+   * the fuel prediction at that speed
+   */
+  evaluateSpeed(speed, prediction, context) {
+    const transitHours = context.distance / speed + context.waitingHours;
+    const fuel = prediction.estimatedConsumption;
+    const fuelCost = context.bunkerPrice !== undefined ? fuel * context.bunkerPrice : prediction.costEstimate;
+    const hireCost = transitHours / 24 * context.dailyHireRate;
+
+    return {
+      speed: Math.round(speed * 10) / 10,
+      transitHours: Math.round(transitHours * 10) / 10,
+      transitDays: Math.round(transitHours / 24 * 100) / 100,
+      fuel: Math.round(fuel * 10) / 10,
+      fuelCost: Math.round(fuelCost * 100) / 100,
+      co2: Math.round(prediction.emissionsEstimate * 10) / 10,
+      hireCost: Math.round(hireCost * 100) / 100,
+      totalCost: Math.round((fuelCost + hireCost + context.transitFees) * 100) / 100
+    };
+  }
+
+  /**
+   * Speed at which fuel plus charter hire costs least: the cheapest point on
+   * the curve, refined by sailing the speeds between its neighbours a tenth
+   * of a knot apart. Canal fees and waiting time cost the same at every speed.
+   */
+  async findOptimalSpeed(curve, sailAt) {
+    const cheapest = curve.reduce((best, point, i) => (point.totalCost < curve[best].totalCost ? i : best), 0);
+    const low = curve[Math.max(0, cheapest - 1)].speed;
+    const high = curve[Math.min(curve.length - 1, cheapest + 1)].speed;
+
+    let optimal = curve[cheapest];
+    for (const speed of this.getCurveSpeeds(low, high, OPTIMAL_SPEED_STEP)) {
+      if (curve.some(point => point.speed === speed)) continue;
+      const point = await sailAt(speed);
+      if (point.totalCost < optimal.totalCost) optimal = point;
+    }
+    return optimal;
+  }
+}
+
+module.exports = new SlowSteamingAnalyzer();
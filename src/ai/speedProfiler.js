@@ -0,0 +1,169 @@
+const weatherRouter = require('./weatherRouter');
+const { getSailing } = require('../utils/navigation');
+
+const HOUR = 60 * 60 * 1000;
+
+// Slowest speed through the water a ship keeps when none is recorded for it
+const DEFAULT_MIN_SPEED = 8; // knots
+
+// Fixed-point iterations used to settle the speed against the weather met on the way
+const MAX_ITERATIONS = 8;
+const SPEED_TOLERANCE = 0.01; // knots
+
+const CALM = () => ({ windSpeed: 0, waveHeight: 0 });
+
+class SpeedProfiler {
+  constructor() {
+    this.defaultMinSpeed = DEFAULT_MIN_SPEED;
+  }
+
+  /**
+   * Plan the speed on each segment between waypoints and time the waypoints
+   * from the departure.
+   *
+   * Fuel per hour follows the cube of the speed through the water, so for a
+   * fixed passage time the least fuel is burned at a constant speed through
+   * the water: the speed over ground then drops where wind and waves slow the
+   * ship. With a `requiredArrival` that speed is chosen to arrive just in time,
+   * within the ship's minimum and maximum speed; otherwise the ship sails at
+   * its service speed. Arriving early leaves idle hours before the berth
+   * window, and a window that cannot be met even at maximum speed is reported
+   * as a delay.
+   *
+   * `conditions(coord, hours)` gives the weather at a point some hours after
+   * departure (calm when omitted) and `waitingHours` is time spent waiting at
+   * canals and straits on the way.
+   */
+  planSpeedProfile(params) {
+    const {
+      waypoints,
+      routeMode = 'great-circle',
+      departureTime,
+      requiredArrival,
+      performance,
+      ship,
+      waitingHours = 0,
+      conditions = CALM
+    } = params;
+
+    const maxSpeed = (ship && ship.maxSpeed) || performance.serviceSpeed;
+    const minSpeed = Math.min(maxSpeed, (ship && ship.minSpeed) || DEFAULT_MIN_SPEED);
+    const clamp = speed => Math.min(maxSpeed, Math.max(minSpeed, speed));
+    const segments = this.describeSegments(waypoints, routeMode);
+
+    const departure = new Date(departureTime).getTime();
+    const availableHours = requiredArrival
+      ? (new Date(requiredArrival).getTime() - departure) / HOUR - waitingHours
+      : null;
+
+    let speed = clamp(performance.serviceSpeed);
+    let passage = this.sailSegments(segments, speed, conditions);
+    if (availableHours !== null) {
+      // Scale the speed by the ratio of the time needed to the time available
+      // until it settles against the weather met at the new timings
+      for (let i = 0; i < MAX_ITERATIONS; i++) {
+        const next = availableHours > 0 ? clamp(speed * passage.hours / availableHours) : maxSpeed;
+        const settled = Math.abs(next - speed) < SPEED_TOLERANCE;
+        speed = next;
+        passage = this.sailSegments(segments, speed, conditions);
+        if (settled) break;
+      }
+    }
+
+    const sailingHours = passage.hours;
+    const slack = availableHours !== null ? availableHours - sailingHours : 0;
+    const idleHours = Math.max(0, slack);
+    const delayHours = Math.max(0, -slack);
+    const fuelPerHour = performance.fuelPerHour * Math.pow(speed / performance.serviceSpeed, 3);
+
+    return {
+      waypoints: waypoints.map((point, i) => ({
+        latitude: point.latitude,
+        longitude: point.longitude,
+        timestamp: new Date(departure + passage.startHours[i] * HOUR),
+        speed: i < segments.length ? Math.round(passage.speeds[i] * 10) / 10 : 0
+      })),
+      requiredArrival: requiredArrival ? new Date(requiredArrival) : null,
+      speedThroughWater: Math.round(speed * 10) / 10,
+      minSpeed,
+      maxSpeed,
+      sailingHours: Math.round(sailingHours * 10) / 10,
+      waitingHours,
+      idleHours: Math.round(idleHours * 10) / 10,
+      delayHours: Math.round(delayHours * 10) / 10,
+      feasible: delayHours < 0.05,
+      totalHours: Math.round((sailingHours + waitingHours + idleHours) * 10) / 10,
+      estimatedFuel: Math.round(fuelPerHour * sailingHours * 10) / 10
+    };
+  }
+
+  /**
+   * Length, course and midpoint of each segment between consecutive waypoints
+   */
+  describeSegments(waypoints, routeMode) {
+    const { distance, course, intermediatePoint } = getSailing(routeMode);
+    const segments = [];
+
+    for (let i = 1; i < waypoints.length; i++) {
+      const from = waypoints[i - 1];
+      const to = waypoints[i];
+      segments.push({
+        distance: distance(from, to),
+        course: course(from, to),
+        midpoint: intermediatePoint(from, to, 0.5)
+      });
+    }
+
+    return segments;
+  }
+
+  /**
+   * Sail each segment at a speed through the water, losing speed over ground
+   * to the weather at its midpoint when the ship gets there. Returns the speed
+   * over ground on each segment, the hours at which each waypoint is reached
+   * and the total sailing hours.
+   */
+  sailSegments(segments, speedThroughWater, conditions) {
+    const speeds = [];
+    const startHours = [0];
+    let hours = 0;
+
+    for (const segment of segments) {
+      const halfway = hours + segment.distance / speedThroughWater / 2;
+      const loss = weatherRouter.calculateSpeedLoss(conditions(segment.midpoint, halfway), segment.course);
+      const speed = speedThroughWater * (1 - loss);
+      hours += segment.distance / speed;
+      speeds.push(speed);
+      startHours.push(hours);
+    }
+
+    return { speeds, startHours, hours };
+  }
+
+  /**
+   * Combine the speed profiles of consecutive legs of a rotation
+   */
+  combineProfiles(profiles) {
+    const sailingHours = profiles.reduce((sum, profile) => sum + profile.sailingHours, 0);
+    const total = field => Math.round(profiles.reduce((sum, profile) => sum + profile[field], 0) * 10) / 10;
+
+    return {
+      requiredArrival: profiles[profiles.length - 1].requiredArrival,
+      speedThroughWater: sailingHours > 0
+        ? Math.round(profiles.reduce((sum, profile) => sum + profile.speedThroughWater * profile.sailingHours, 0) /
+          sailingHours * 10) / 10
+        : 0,
+      minSpeed: profiles[0].minSpeed,
+      maxSpeed: profiles[0].maxSpeed,
+      sailingHours: total('sailingHours'),
+      waitingHours: total('waitingHours'),
+      idleHours: total('idleHours'),
+      delayHours: total('delayHours'),
+      feasible: profiles.every(profile => profile.feasible),
+      totalHours: total('totalHours'),
+      estimatedFuel: total('estimatedFuel')
+    };
+  }
+}
+
+module.exports = new SpeedProfiler();
@@ -0,0 +1,172 @@
+const rotationPlanner = require('./rotationPlanner');
+const logger = require('../utils/logger');
+const { nearestPointOnPath } = require('../utils/navigation');
+
+const HOUR = 60 * 60 * 1000;
+
+// Weather severity (0-10) ahead of the ship that calls for a new plan, unless
+// set in the environment
+const DEFAULT_WEATHER_SEVERITY = 7;
+
+// Least time between proposals, so one disturbance does not propose plan after plan
+const COOLDOWN_HOURS = 6;
+
+const toPosition = point => ({ latitude: point.latitude, longitude: point.longitude });
+
+class VoyageReplanner {
+  constructor() {
+    this.weatherSeverityThreshold = Number(process.env.WEATHER_REPLAN_SEVERITY) || DEFAULT_WEATHER_SEVERITY;
+    this.cooldownHours = COOLDOWN_HOURS;
+  }
+
+  /**
+   * Why a voyage under way needs a new plan, or null: the ship has left its
+   * route corridor, is delayed or running late, or heavy weather lies ahead.
+   * `weatherAhead` comes from the forecast stored on the voyage (see
+   * etaPredictor.predictEta); without one there is no weather to re-plan for.
+   */
+  detectTrigger({ deviation, delayReason, etaChange = 0, weatherAhead }) {
+    if (deviation) {
+      return {
+        type: 'deviation',
+        reason: `${deviation.maxCrossTrack} nm ${deviation.side ? `to ${deviation.side} ` : ''}off the planned route`
+      };
+    }
+    if (delayReason) {
+      return { type: 'delay', reason: delayReason };
+    }
+    if (etaChange > 0) {
+      return { type: 'delay', reason: `ETA ${etaChange} hours later than planned` };
+    }
+    if (weatherAhead && weatherAhead.severity >= this.weatherSeverityThreshold) {
+      return {
+        type: 'weather',
+        reason: `Weather severity ${weatherAhead.severity}/10 expected ${weatherAhead.hoursAhead} hours ahead`
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Whether a new plan may be proposed: none is awaiting a decision and the
+   * last one was proposed long enough ago
+   */
+  canPropose(voyage, now = new Date()) {
+    const revisions = voyage.planRevisions || [];
+    if (revisions.some(revision => revision.status === 'proposed')) return false;
+
+    const last = revisions[revisions.length - 1];
+    return !last || new Date(now) - new Date(last.proposedAt) >= this.cooldownHours * HOUR;
+  }
+
+  /**
+   * Port calls the ship has still to make: those lying ahead of its position
+   * along the planned route
+   */
+  getRemainingPortCalls(voyage, position) {
+    const portCalls = voyage.portCalls || [];
+    const waypoints = (voyage.plannedRoute && voyage.plannedRoute.waypoints) || [];
+    if (portCalls.length === 0 || waypoints.length < 2) return portCalls;
+
+    const routeMode = voyage.plannedRoute.routeMode;
+    const progress = point => {
+      const nearest = nearestPointOnPath(waypoints, point, routeMode);
+      return nearest.index + nearest.fraction;
+    };
+    const current = progress(position);
+    return portCalls.filter(call => progress(call.coordinates) > current);
+  }
+
+  /**
+   * Re-plan the rest of a voyage from the ship's position: the route optimizer
+   * routes each remaining leg through the forecast and risk zones as the
+   * original plan was, at the draft the cargo now aboard gives. Returns the
+   * proposed revision, numbered after the latest plan version, or null when no
+   * route can be found.
+   */
+  async proposeRevision({ voyage, ship, position, trigger, riskZones = [], referenceTables, now = new Date() }) {
+    const route = voyage.plannedRoute || {};
+    const portCalls = voyage.portCalls || [];
+    const remaining = this.getRemainingPortCalls(voyage, position);
+    const visited = portCalls.slice(0, portCalls.length - remaining.length);
+    const aboard = rotationPlanner.calculateCargoAboard(voyage.cargoLoad.weight, visited);
+
+    let rotation;
+    try {
+      rotation = await rotationPlanner.planRotation({
+        ship,
+        origin: { name: 'Current position', coordinates: toPosition(position) },
+        destination: voyage.destination,
+        portCalls: remaining,
+        departureTime: new Date(now),
+        cargoLoad: {
+          type: voyage.cargoLoad.type,
+          value: voyage.cargoLoad.value,
+          weight: aboard[aboard.length - 1]
+        },
+        weatherForecast: voyage.weatherForecast || [],
+        routeMode: route.routeMode,
+        limitingLatitude: route.limitingLatitude,
+        minimizeEcaDistance: !!(route.eca && route.eca.minimized),
+        riskZones,
+        referenceTables,
+        underKeelClearance: route.underKeel ? route.underKeel.underKeelClearance : undefined,
+        requiredArrival: route.speedProfile ? route.speedProfile.requiredArrival : undefined,
+        planAlternatives: false
+      });
+    } catch (error) {
+      if (!error.isOperational) throw error;
+      logger.warn(`Voyage ${voyage.voyageId} could not be re-planned: ${error.message}`);
+      return null;
+    }
+
+    const revised = rotation.route;
+    const estimatedArrival = new Date(new Date(now).getTime() + revised.estimatedTime * HOUR);
+    const versions = [voyage.planVersion || 1, ...(voyage.planRevisions || []).map(revision => revision.version)];
+
+    logger.info(`Revised plan proposed for voyage ${voyage.voyageId} after ${trigger.type}: ${trigger.reason}`);
+
+    return {
+      version: Math.max(...versions) + 1,
+      basedOnVersion: voyage.planVersion || 1,
+      status: 'proposed',
+      trigger,
+      proposedAt: new Date(now),
+      position: toPosition(position),
+      plannedRoute: {
+        routeMode: revised.routeMode,
+        limitingLatitude: revised.limitingLatitude,
+        waypoints: revised.waypoints,
+        legs: revised.legs,
+        totalDistance: revised.totalDistance,
+        estimatedDuration: revised.estimatedTime,
+        passages: revised.passages.transits,
+        eca: {
+          minimized: !!(route.eca && route.eca.minimized),
+          ecaDistance: revised.eca.ecaDistance,
+          nonEcaDistance: revised.eca.nonEcaDistance,
+          zones: revised.eca.zones
+        },
+        risk: {
+          zones: revised.risk.zones,
+          insuranceCost: revised.risk.insuranceCost
+        },
+        underKeel: revised.underKeel,
+        speedProfile: revised.speedProfile,
+        crossTrackLimit: route.crossTrackLimit
+      },
+      estimatedArrival,
+      arrivalChange: voyage.estimatedArrival
+        ? Math.round((estimatedArrival - new Date(voyage.estimatedArrival)) / HOUR * 10) / 10
+        : null,
+      estimatedFuel: rotation.fuelPrediction.estimatedConsumption,
+      portCalls: rotation.schedule.slice(1, -1).map(call => ({
+        name: call.name,
+        plannedArrival: call.plannedArrival,
+        plannedDeparture: call.plannedDeparture
+      }))
+    };
+  }
+}
+
+module.exports = new VoyageReplanner();
@@ -0,0 +1,462 @@
+const seaPathfinder = require('./seaPathfinder');
+const weatherService = require('../services/weatherService');
+const logger = require('../utils/logger');
+const CellQueue = require('../utils/cellQueue');
+const {
+  greatCircleDistance,
+  getSailing,
+  toRadians
+} = require('../utils/navigation');
+
+// What a weather route can be optimised for
+const OBJECTIVES = ['time', 'fuel', 'risk', 'weighted'];
+
+// Default weights for the weighted objective: USD per hour at sea and USD per tonne of fuel
+const DEFAULT_WEIGHTS = { time: 1000, fuel: 600 };
+
+// Engine settings the search may choose between, as fractions of the service speed
+const SPEED_SETTINGS = [0.75, 0.9, 1];
+
+// Seas higher than this (significant wave height, metres) are avoided altogether
+const MAX_SAFE_WAVE_HEIGHT = 7;
+
+// Longest a ship waits in safe water for unsafe seas ahead to ease
+const MAX_WAIT_HOURS = 48;
+
+// Largest fraction of its calm-water speed a ship can lose to wind and waves
+const MAX_SPEED_LOSS = 0.7;
+
+// Longest stretch of a leg sailed on a single forecast sample
+const SIMULATION_STEP = 30; // nautical miles
+
+// Conditions assumed outside the forecast grid
+const CALM = { windSpeed: 0, waveHeight: 0 };
+
+class WeatherRouter {
+  constructor() {
+    this.objectives = OBJECTIVES;
+    this.defaultWeights = DEFAULT_WEIGHTS;
+  }
+
+  /**
+   * Plan a weather-optimised route with a time-dependent A* search over the sea
+   * grid, sailing through a gridded wind and wave forecast (see
+   * weatherService.getForecastGrid for its layout).
+   *
+   * `performance` is `{ serviceSpeed, fuelPerHour }` in calm water, `objective`
+   * is one of OBJECTIVES and `routeOptions` are passed to the sea pathfinder.
+   * The direct route's `directPath` is sailed through the same forecast so
+   * the two can be compared; unlike the weather route it takes whatever seas
+   * it meets, and is flagged as not `safe` when they exceed
+   * MAX_SAFE_WAVE_HEIGHT. Returns null when no safe route exists.
+   */
+  async optimizeRoute(params) {
+    const {
+      origin,
+      destination,
+      departureTime,
+      performance,
+      objective = 'time',
+      routeOptions = {},
+      directPath
+    } = params;
+    const weights = { ...DEFAULT_WEIGHTS, ...params.weights };
+
+    const forecast = params.forecast || await this.getForecast(departureTime, directPath, performance);
+
+    const context = {
+      // Weather routes sail the route mode's legs between grid cells, within any latitude limit
+      constraints: seaPathfinder.createConstraints(routeOptions),
+      sailing: getSailing(routeOptions.routeMode),
+      conditions: this.createForecastLookup(forecast, departureTime),
+      // Waiting only pays off when the forecast changes over time
+      waitStep: forecast.intervalHours,
+      maxWait: forecast.steps.length > 1 ? MAX_WAIT_HOURS : 0,
+      performance,
+      objective,
+      weights
+    };
+
+    const startCell = seaPathfinder.nearestSeaCell(origin, context.constraints);
+    const goalCell = seaPathfinder.nearestSeaCell(destination, context.constraints);
+    const search = startCell !== null && goalCell !== null && this.searchCells(startCell, goalCell, context);
+    if (!search) {
+      logger.warn('No weather route found between the route endpoints');
+      return null;
+    }
+
+    // Each point takes the setting, cost and departure time of the move into its cell; the
+    // origin's own cell is dropped from the points when the port lies inside it
+    const points = seaPathfinder.cellsToPoints(origin, destination, search.cells);
+    const first = seaPathfinder.cellOf(origin) === search.cells[0] ? 1 : 0;
+    const cellIndex = i => Math.min(search.cells.length - 1, Math.max(0, i - 1 + first));
+    const track = this.smoothTrack(
+      points.map((point, i) => ({
+        point,
+        setting: search.settings[cellIndex(i)],
+        cost: i === 0 ? 0 : search.costs[cellIndex(i)],
+        departs: i === 0 ? 0 : search.departures[cellIndex(i)]
+      })),
+      context
+    );
+
+    const route = this.sailTrack(track, departureTime, context);
+    const direct = this.sailTrack(directPath.map(point => ({ point, setting: 1 })), departureTime, context);
+
+    return {
+      objective,
+      ...route,
+      passages: seaPathfinder.passagesAlong(search.cells).map(({ id, name, type }) => ({ id, name, type })),
+      direct
+    };
+  }
+
+  /**
+   * Fetch a gridded forecast long enough to cover a route, allowing for heavy
+   * weather slowing the ship down
+   */
+  async getForecast(departureTime, path, performance) {
+    let distance = 0;
+    for (let i = 1; i < path.length; i++) {
+      distance += greatCircleDistance(path[i - 1], path[i]);
+    }
+    return weatherService.getForecastGrid(departureTime, Math.ceil(2 * distance / performance.serviceSpeed));
+  }
+
+  /**
+   * Build a function returning the forecast conditions at a point, a number of
+   * hours after departure. The nearest time step is used, holding the last one
+   * beyond the forecast horizon; points outside the grid are treated as calm.
+   */
+  createForecastLookup(forecast, departureTime) {
+    const { rows, cols, north, west, resolution, intervalHours, steps } = forecast;
+    const offsetHours = (new Date(departureTime) - new Date(forecast.startTime)) / 3600000;
+
+    return (coord, hours) => {
+      const row = Math.floor((north - coord.latitude) / resolution);
+      const col = Math.floor((((coord.longitude - west) % 360) + 360) % 360 / resolution);
+      if (row < 0 || row >= rows || col >= cols) return CALM;
+
+      const index = Math.round((hours + offsetHours) / intervalHours);
+      const step = steps[Math.min(steps.length - 1, Math.max(0, index))];
+      const cell = row * cols + col;
+
+      return {
+        windSpeed: step.windSpeed[cell],
+        windDirection: step.windDirection ? step.windDirection[cell] : undefined,
+        waveHeight: step.waveHeight[cell],
+        waveDirection: step.waveDirection ? step.waveDirection[cell] : undefined
+      };
+    };
+  }
+
+  /**
+   * Fraction of calm-water speed lost to wind and waves on a given course
+   */
+  calculateSpeedLoss(conditions, course) {
+    const waveDirection = conditions.waveDirection !== undefined ? conditions.waveDirection : conditions.windDirection;
+    const waveLoss = 0.012 * conditions.waveHeight * conditions.waveHeight;
+    const windLoss = 0.004 * Math.max(0, conditions.windSpeed - 10);
+
+    return Math.min(
+      MAX_SPEED_LOSS,
+      waveLoss * this.headingFactor(course, waveDirection) + windLoss * this.headingFactor(course, conditions.windDirection)
+    );
+  }
+
+  /**
+   * Weight of weather coming from a direction: 1 head on, falling to 0.4 astern.
+   * Weather of unknown direction is treated as head on.
+   */
+  headingFactor(course, fromDirection) {
+    if (fromDirection === undefined || fromDirection === null) return 1;
+    return 0.7 + 0.3 * Math.cos(toRadians(fromDirection - course));
+  }
+
+  /**
+   * Cost of sailing for a number of hours burning an amount of fuel in weather
+   * of a given severity (0-10). The risk objective counts hours spent in heavy
+   * weather many times over.
+   */
+  calculateCost(hours, fuel, context, severity = 0) {
+    if (context.objective === 'fuel') return fuel;
+    if (context.objective === 'risk') return hours * (1 + severity * severity);
+    if (context.objective === 'weighted') return context.weights.time * hours + context.weights.fuel * fuel;
+    return hours;
+  }
+
+  /**
+   * Cheapest way to sail between two points starting a number of hours after
+   * departure. The seas must be safe where the move starts and where it ends
+   * on arrival; until they are, the ship waits where it is a forecast step at
+   * a time. Returns null when they stay unsafe for longer than the context's
+   * `maxWait`, or the seas where it waits turn unsafe.
+   * Fuel burn per hour follows the cube of the engine setting, and none is
+   * burnt while waiting. `hours` includes the `wait`.
+   */
+  evaluateMove(from, to, hours, context) {
+    const distance = context.sailing.distance(from, to);
+    const course = context.sailing.course(from, to);
+    const { serviceSpeed, fuelPerHour } = context.performance;
+
+    for (let wait = 0; wait <= context.maxWait; wait += context.waitStep) {
+      const conditions = context.conditions(from, hours + wait);
+      if (conditions.waveHeight > MAX_SAFE_WAVE_HEIGHT) return null;
+
+      const loss = this.calculateSpeedLoss(conditions, course);
+      const severity = weatherService.calculateWeatherSeverity(conditions);
+      const waitCost = this.calculateCost(wait, 0, context, severity);
+      let best = null;
+
+      for (const setting of SPEED_SETTINGS) {
+        const moveHours = distance / (serviceSpeed * setting * (1 - loss));
+        if (context.conditions(to, hours + wait + moveHours).waveHeight > MAX_SAFE_WAVE_HEIGHT) continue;
+
+        const fuel = fuelPerHour * Math.pow(setting, 3) * moveHours;
+        const cost = waitCost + this.calculateCost(moveHours, fuel, context, severity);
+        if (!best || cost < best.cost) {
+          best = { hours: wait + moveHours, wait, fuel, cost, setting };
+        }
+      }
+      if (best) return best;
+    }
+
+    return null;
+  }
+
+  /**
+   * Lowest possible cost per nautical mile, used to keep the A* heuristic admissible
+   */
+  minimumCostPerMile(context) {
+    const { serviceSpeed, fuelPerHour } = context.performance;
+    return Math.min(...SPEED_SETTINGS.map(setting => {
+      const hours = 1 / (serviceSpeed * setting);
+      return this.calculateCost(hours, fuelPerHour * Math.pow(setting, 3) * hours, context);
+    }));
+  }
+
+  /**
+   * Time-dependent A* search between two sea cells. Each cell keeps the single
+   * cheapest arrival found, along with the time it is reached at; moves into
+   * heavy weather wait for it to pass (see evaluateMove) rather than closing
+   * the cell, so storms are waited out when that is cheaper than a detour.
+   * Returns `{ cells, settings, costs, departures }` with the engine setting
+   * used to reach each cell, the cost of getting there and the hours after
+   * departure the move into it set off at, after any wait, or null when the
+   * cells are not connected by safe water.
+   */
+  searchCells(startCell, goalCell, context) {
+    const size = seaPathfinder.grid.sea.length;
+    const goal = seaPathfinder.cellCenter(goalCell);
+    const costPerMile = this.minimumCostPerMile(context);
+    const gScore = new Float64Array(size).fill(Infinity);
+    const hoursAt = new Float64Array(size);
+    const settingAt = new Float64Array(size);
+    const departsAt = new Float64Array(size);
+    const cameFrom = new Int32Array(size).fill(-1);
+    const closed = new Uint8Array(size);
+    const open = new CellQueue();
+
+    gScore[startCell] = 0;
+    settingAt[startCell] = 1;
+    open.push(startCell, greatCircleDistance(seaPathfinder.cellCenter(startCell), goal) * costPerMile);
+
+    while (open.size > 0) {
+      const current = open.pop();
+      if (current === goalCell) {
+        const cells = [current];
+        let cell = current;
+        while (cameFrom[cell] !== -1) {
+          cell = cameFrom[cell];
+          cells.push(cell);
+        }
+        cells.reverse();
+        return {
+          cells,
+          settings: cells.map(c => settingAt[c]),
+          costs: cells.map(c => gScore[c]),
+          departures: cells.map(c => departsAt[c])
+        };
+      }
+      if (closed[current]) continue;
+      closed[current] = 1;
+
+      const currentCenter = seaPathfinder.cellCenter(current);
+      for (const next of seaPathfinder.neighbours(current, context.constraints)) {
+        if (closed[next]) continue;
+        const nextCenter = seaPathfinder.cellCenter(next);
+        const move = this.evaluateMove(currentCenter, nextCenter, hoursAt[current], context);
+        if (!move) continue;
+        const tentative = gScore[current] + move.cost;
+        if (tentative < gScore[next]) {
+          gScore[next] = tentative;
+          hoursAt[next] = hoursAt[current] + move.hours;
+          settingAt[next] = move.setting;
+          departsAt[next] = hoursAt[current] + move.wait;
+          cameFrom[next] = current;
+          open.push(next, tentative + greatCircleDistance(nextCenter, goal) * costPerMile);
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Straighten the staircase of grid moves into longer legs. A shortcut over
+   * open water replaces the moves it skips when, sailed through the forecast
+   * at its best engine setting, it is safe and costs no more than they did,
+   * waits included. A move that is kept and would now run into unsafe seas
+   * waits to set off when the search had it set off.
+   */
+  smoothTrack(points, context) {
+    const track = [points[0]];
+    let anchor = 0;
+    let hours = 0;
+
+    while (anchor < points.length - 1) {
+      let next = points.length - 1;
+      let leg = null;
+      for (; next > anchor + 1; next--) {
+        if (!seaPathfinder.isSegmentAtSea(points[anchor].point, points[next].point, context.constraints)) continue;
+        leg = this.sailBestLeg(points[anchor].point, points[next].point, hours, context);
+        if (leg && leg.cost <= points[next].cost - points[anchor].cost) break;
+        leg = null;
+      }
+      let wait = 0;
+      if (!leg) {
+        const { point, setting, departs } = points[next];
+        leg = this.sailLeg(points[anchor].point, point, setting, hours, context);
+        if (leg.maxWaveHeight > MAX_SAFE_WAVE_HEIGHT && departs > hours) {
+          wait = departs - hours;
+          leg = this.sailLeg(points[anchor].point, point, setting, hours + wait, context);
+        }
+      }
+
+      track.push({ point: points[next].point, setting: leg.setting, wait });
+      hours += wait + leg.hours;
+      anchor = next;
+    }
+
+    return track;
+  }
+
+  /**
+   * Sail one leg through the forecast at a fixed engine setting, starting a
+   * number of hours after departure
+   */
+  sailLeg(from, to, setting, startHours, context) {
+    const { serviceSpeed, fuelPerHour } = context.performance;
+    const { distance: sailingDistance, course: sailingCourse, intermediatePoint } = context.sailing;
+    const distance = sailingDistance(from, to);
+    const course = sailingCourse(from, to);
+    const steps = Math.max(1, Math.ceil(distance / SIMULATION_STEP));
+    let hours = 0;
+    let cost = 0;
+    let maxWaveHeight = 0;
+    let maxSeverity = 0;
+
+    for (let s = 0; s < steps; s++) {
+      const position = intermediatePoint(from, to, s / steps);
+      const conditions = context.conditions(position, startHours + hours);
+      const severity = weatherService.calculateWeatherSeverity(conditions);
+      const speed = serviceSpeed * setting * (1 - this.calculateSpeedLoss(conditions, course));
+      const stepHours = distance / steps / speed;
+      hours += stepHours;
+      cost += this.calculateCost(stepHours, fuelPerHour * Math.pow(setting, 3) * stepHours, context, severity);
+      maxWaveHeight = Math.max(maxWaveHeight, conditions.waveHeight);
+      maxSeverity = Math.max(maxSeverity, severity);
+    }
+    // The seas the leg ends in count towards its exposure
+    maxWaveHeight = Math.max(maxWaveHeight, context.conditions(to, startHours + hours).waveHeight);
+
+    return {
+      setting,
+      distance,
+      hours,
+      fuel: fuelPerHour * Math.pow(setting, 3) * hours,
+      cost,
+      maxWaveHeight,
+      maxSeverity
+    };
+  }
+
+  /**
+   * Cheapest safe way to sail a leg, trying each engine setting, or null when
+   * the leg runs into unsafe seas
+   */
+  sailBestLeg(from, to, startHours, context) {
+    let best = null;
+    for (const setting of SPEED_SETTINGS) {
+      const leg = this.sailLeg(from, to, setting, startHours, context);
+      if (leg.maxWaveHeight > MAX_SAFE_WAVE_HEIGHT) return null;
+      if (!best || leg.cost < best.cost) best = leg;
+    }
+    return best;
+  }
+
+  /**
+   * Sail a track of `{ point, setting, wait? }` entries through the forecast,
+   * where each setting applies to the leg ending at its point and the wait is
+   * spent at the start of that leg. Returns the timed waypoints, with the
+   * hours waited at each, and the distance, duration, fuel and weather
+   * exposure of the passage; it is `safe` when it keeps out of seas higher
+   * than MAX_SAFE_WAVE_HEIGHT.
+   */
+  sailTrack(track, departureTime, context) {
+    const departure = new Date(departureTime).getTime();
+    let hours = 0;
+    let waitingHours = 0;
+    let fuel = 0;
+    let cost = 0;
+    let distance = 0;
+    let maxWaveHeight = 0;
+    let maxSeverity = 0;
+    const waypoints = [];
+
+    for (let i = 0; i < track.length; i++) {
+      const { point, setting, wait = 0 } = track[i];
+
+      if (i > 0 && wait > 0) {
+        const conditions = context.conditions(track[i - 1].point, hours);
+        cost += this.calculateCost(wait, 0, context, weatherService.calculateWeatherSeverity(conditions));
+        maxWaveHeight = Math.max(maxWaveHeight, conditions.waveHeight);
+        hours += wait;
+        waitingHours += wait;
+        waypoints[i - 1].waitHours = Math.round(wait * 10) / 10;
+      }
+      if (i > 0) {
+        const leg = this.sailLeg(track[i - 1].point, point, setting, hours, context);
+        hours += leg.hours;
+        fuel += leg.fuel;
+        cost += leg.cost;
+        distance += leg.distance;
+        maxWaveHeight = Math.max(maxWaveHeight, leg.maxWaveHeight);
+        maxSeverity = Math.max(maxSeverity, leg.maxSeverity);
+        // Report the average speed over the leg on the waypoint it starts from
+        waypoints[i - 1].speed = Math.round(leg.distance / leg.hours * 10) / 10;
+      }
+
+      waypoints.push({
+        latitude: Math.round(point.latitude * 1000000) / 1000000,
+        longitude: Math.round(point.longitude * 1000000) / 1000000,
+        timestamp: new Date(departure + hours * 3600000),
+        speed: 0
+      });
+    }
+
+    return {
+      waypoints,
+      totalDistance: Math.round(distance * 10) / 10,
+      estimatedTime: Math.round(hours * 10) / 10,
+      waitingHours: Math.round(waitingHours * 10) / 10,
+      estimatedFuel: Math.round(fuel * 10) / 10,
+      cost: Math.round(cost * 100) / 100,
+      maxWaveHeight: Math.round(maxWaveHeight * 10) / 10,
+      riskFactor: Math.round(maxSeverity) / 10,
+      safe: maxWaveHeight <= MAX_SAFE_WAVE_HEIGHT
+    };
+  }
+}
+
+module.exports = new WeatherRouter();
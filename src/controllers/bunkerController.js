@@ -0,0 +1,476 @@
+const BunkerDelivery = require('../models/BunkerDelivery');
+const BunkerPrice = require('../models/BunkerPrice');
+const FuelLog = require('../models/FuelLog');
+const Ship = require('../models/Ship');
+const Voyage = require('../models/Voyage');
+const bunkerPlanner = require('../ai/bunkerPlanner');
+const bunkerService = require('../services/bunkerService');
+const fuelLogService = require('../services/fuelLogService');
+const fuelReferenceService = require('../services/fuelReferenceService');
+const ecaService = require('../services/ecaService');
+const voyageStatusService = require('../services/voyageStatusService');
+const logger = require('../utils/logger');
+
+/**
+ * Record fuel received by a ship from its Bunker Delivery Note
+ * POST /api/v1/ships/:shipId/bunkers
+ */
+const createBunkerDelivery = async (req, res, next) => {
+  try {
+    const { shipId } = req.params;
+    const {
+      voyageId,
+      bdnNumber,
+      deliveredAt,
+      port,
+      supplier,
+      fuelType,
+      quantity,
+      density,
+      sulphurContent,
+      price,
+      remarks
+    } = req.body;
+
+    const deliveryError = bunkerService.validateDelivery(req.body);
+    if (deliveryError) {
+      return res.status(400).json({
+        success: false,
+        error: deliveryError
+      });
+    }
+
+    const ship = await Ship.findOne({ shipId });
+    if (!ship) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ship not found'
+      });
+    }
+
+    if (voyageId) {
+      const voyage = await Voyage.findOne({ voyageId }).lean();
+      if (!voyage) {
+        return res.status(404).json({
+          success: false,
+          error: 'Voyage not found'
+        });
+      }
+      if (voyage.shipId !== shipId) {
+        return res.status(400).json({
+          success: false,
+          error: `Voyage ${voyageId} is not a voyage of ship ${shipId}`
+        });
+      }
+    }
+
+    const existing = await BunkerDelivery.findOne({ supplier, bdnNumber }).lean();
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: `Bunker delivery note ${bdnNumber} from ${supplier} is already recorded`
+      });
+    }
+
+    const delivery = new BunkerDelivery({
+      shipId,
+      voyageId,
+      bdnNumber,
+      deliveredAt,
+      port,
+      supplier,
+      fuelType,
+      quantity,
+      density,
+      sulphurContent,
+      price,
+      remarks
+    });
+    await delivery.save();
+
+    // A noon report that already recorded this bunkering no longer counts towards the ROB
+    const superseded = await BunkerDelivery.updateMany(
+      bunkerService.getNoonReportMatchQuery(delivery),
+      { $set: { supersededBy: delivery._id } }
+    );
+    if (superseded.modifiedCount > 0) {
+      logger.info(`Bunker delivery ${bdnNumber} supersedes ${superseded.modifiedCount} delivery recorded from noon reports`);
+    }
+
+    logger.info(`Bunker delivery ${bdnNumber} recorded for ship ${shipId}: ${quantity} t ${fuelType}`);
+
+    res.status(201).json({
+      success: true,
+      data: delivery,
+      message: 'Bunker delivery recorded successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error recording bunker delivery:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a ship's bunker deliveries, newest first
+ * GET /api/v1/ships/:shipId/bunkers
+ */
+const getBunkerDeliveries = async (req, res, next) => {
+  try {
+    const { shipId } = req.params;
+    const { fuelType, from, to } = req.query;
+
+    if ([from, to].some(time => time !== undefined && isNaN(new Date(time)))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be valid dates'
+      });
+    }
+
+    if (fuelType !== undefined && !fuelLogService.fuelTypes.includes(fuelType)) {
+      return res.status(400).json({
+        success: false,
+        error: `fuelType must be one of: ${fuelLogService.fuelTypes.join(', ')}`
+      });
+    }
+
+    const ship = await Ship.findOne({ shipId });
+    if (!ship) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ship not found'
+      });
+    }
+
+    const query = { shipId };
+    if (fuelType) query.fuelType = fuelType;
+    if (from !== undefined || to !== undefined) {
+      query.deliveredAt = {};
+      if (from !== undefined) query.deliveredAt.$gte = new Date(from);
+      if (to !== undefined) query.deliveredAt.$lte = new Date(to);
+    }
+
+    const deliveries = await BunkerDelivery.find(query).sort({ deliveredAt: -1 }).lean();
+
+    res.json({
+      success: true,
+      data: {
+        shipId,
+        deliveries
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching bunker deliveries:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a ship's fuel remaining on board per fuel type, with the ledger of
+ * bunkerings and consumption it rolls up from
+ * GET /api/v1/ships/:shipId/rob
+ */
+const getRobLedger = async (req, res, next) => {
+  try {
+    const { shipId } = req.params;
+
+    const ship = await Ship.findOne({ shipId });
+    if (!ship) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ship not found'
+      });
+    }
+
+    const ledger = await getShipLedger(shipId);
+
+    res.json({
+      success: true,
+      data: {
+        shipId,
+        tankCapacity: ship.fuelTankCapacity,
+        ...ledger
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching ROB ledger:', error);
+    next(error);
+  }
+};
+
+/**
+ * Upload bunker prices quoted at ports
+ * POST /api/v1/bunker-prices
+ */
+const createBunkerPrices = async (req, res, next) => {
+  try {
+    const { prices } = req.body;
+
+    if (!Array.isArray(prices) || prices.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'prices must be a non-empty array of port bunker prices'
+      });
+    }
+
+    for (const [i, price] of prices.entries()) {
+      const priceError = bunkerService.validatePrice(price);
+      if (priceError) {
+        return res.status(400).json({
+          success: false,
+          error: `Price ${i + 1}: ${priceError}`
+        });
+      }
+    }
+
+    const created = await BunkerPrice.insertMany(prices.map(price => ({
+      port: price.port,
+      fuelType: price.fuelType,
+      pricePerTon: price.pricePerTon,
+      currency: price.currency,
+      supplier: price.supplier,
+      validFrom: price.validFrom,
+      validTo: price.validTo,
+      source: price.source
+    })));
+
+    logger.info(`${created.length} bunker prices uploaded`);
+
+    res.status(201).json({
+      success: true,
+      data: created,
+      message: `${created.length} bunker prices uploaded successfully`
+    });
+
+  } catch (error) {
+    logger.error('Error uploading bunker prices:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get bunker prices with optional filtering
+ * GET /api/v1/bunker-prices
+ */
+const getBunkerPrices = async (req, res, next) => {
+  try {
+    const { port, fuelType, currency, activeAt } = req.query;
+
+    if (fuelType !== undefined && !fuelLogService.fuelTypes.includes(fuelType)) {
+      return res.status(400).json({
+        success: false,
+        error: `fuelType must be one of: ${fuelLogService.fuelTypes.join(', ')}`
+      });
+    }
+
+    if (activeAt !== undefined && isNaN(new Date(activeAt))) {
+      return res.status(400).json({
+        success: false,
+        error: 'activeAt must be a valid date'
+      });
+    }
+
+    const query = {};
+    if (port) query.port = port;
+    if (fuelType) query.fuelType = fuelType;
+    if (currency) query.currency = currency;
+    if (activeAt) {
+      query.validFrom = { $lte: new Date(activeAt) };
+      query.$or = [{ validTo: null }, { validTo: { $gte: new Date(activeAt) } }];
+    }
+
+    const prices = await BunkerPrice.find(query).sort({ port: 1, fuelType: 1, validFrom: -1 }).lean();
+
+    res.json({
+      success: true,
+      data: prices
+    });
+
+  } catch (error) {
+    logger.error('Error fetching bunker prices:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete a bunker price
+ * DELETE /api/v1/bunker-prices/:id
+ */
+const deleteBunkerPrice = async (req, res, next) => {
+  try {
+    const price = await BunkerPrice.findByIdAndDelete(req.params.id);
+    if (!price) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bunker price not found'
+      });
+    }
+
+    logger.info(`Bunker price deleted: ${price.port} ${price.fuelType}`);
+
+    res.json({
+      success: true,
+      message: 'Bunker price deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting bunker price:', error);
+    next(error);
+  }
+};
+
+/**
+ * Plan where along a voyage's rotation to bunker, and how much, for the
+ * least fuel cost from the port prices in force when the ship leaves each
+ * GET /api/v1/voyages/:voyageId/bunker-plan
+ */
+const getBunkerPlan = async (req, res, next) => {
+  try {
+    const { voyageId } = req.params;
+    const { currency = 'USD' } = req.query;
+    const reserveMargin = req.query.reserveMargin !== undefined
+      ? Number(req.query.reserveMargin)
+      : bunkerService.defaultReserveMargin;
+
+    if (req.query.fuelType !== undefined && !fuelLogService.fuelTypes.includes(req.query.fuelType)) {
+      return res.status(400).json({
+        success: false,
+        error: `fuelType must be one of: ${fuelLogService.fuelTypes.join(', ')}`
+      });
+    }
+
+    if (!(reserveMargin >= 0 && reserveMargin <= 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'reserveMargin must be a share of the predicted fuel from 0 to 1'
+      });
+    }
+
+    const voyage = await Voyage.findOne({ voyageId }).lean();
+    if (!voyage) {
+      return res.status(404).json({
+        success: false,
+        error: 'Voyage not found'
+      });
+    }
+
+    if (voyageStatusService.isUnderWay(voyage) || ['completed', 'cancelled'].includes(voyage.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Bunkers are planned before a voyage sails; voyage is ${voyage.status}`
+      });
+    }
+
+    const ship = await Ship.findOne({ shipId: voyage.shipId });
+    if (!ship) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ship not found'
+      });
+    }
+
+    const fuelType = req.query.fuelType || getMainFuelType(voyage, ship);
+    const rotation = bunkerService.getRotationFuel(voyage, fuelType);
+    if (!rotation) {
+      return res.status(422).json({
+        success: false,
+        error: 'Voyage has no fuel predicted per leg; plan it again to plan its bunkers'
+      });
+    }
+
+    const fuelTypes = [...new Set(rotation.legs.flatMap(leg => Object.keys(leg.fuel)))];
+    const [prices, rob] = await Promise.all([
+      BunkerPrice.find({ fuelType: { $in: fuelTypes }, currency }).lean(),
+      getShipRob(voyage.shipId)
+    ]);
+
+    const stops = rotation.stops.map(stop => ({
+      ...stop,
+      prices: Object.fromEntries(fuelTypes
+        .map(type => [type, bunkerService.findPrice(prices, [stop.name, stop.port], type, stop.time)])
+        .filter(([, price]) => price)
+        .map(([type, price]) => [type, { pricePerTon: price.pricePerTon, supplier: price.supplier }]))
+    }));
+
+    const plan = bunkerPlanner.planBunkering({
+      stops,
+      legs: rotation.legs,
+      rob: rob || {},
+      tankCapacity: ship.fuelTankCapacity,
+      reserveMargin
+    });
+    if (!plan.feasible) {
+      return res.status(422).json({
+        success: false,
+        error: plan.reason
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        voyageId,
+        shipId: voyage.shipId,
+        fuelType,
+        currency,
+        reserveMargin,
+        tankCapacity: ship.fuelTankCapacity,
+        rob,
+        ...plan,
+        warnings: rob ? [] : ['No bunker deliveries recorded for the ship; the plan assumes its tanks are empty']
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error planning bunkers:', error);
+    next(error);
+  }
+};
+
+/**
+ * Helper function to get a ship's ROB ledger from its bunker deliveries and
+ * fuel logs
+ */
+const getShipLedger = async (shipId) => {
+  const [deliveries, fuelLogs] = await Promise.all([
+    BunkerDelivery.find({ shipId }).lean(),
+    FuelLog.find({ shipId }).lean()
+  ]);
+  return bunkerService.buildLedger(deliveries, fuelLogs);
+};
+
+/**
+ * Helper function to get a ship's fuel remaining on board per fuel type,
+ * totalled in the database, or null when no bunker deliveries are recorded
+ */
+const getShipRob = async (shipId) => {
+  const deliveryTotals = await BunkerDelivery.aggregate(bunkerService.getDeliveryTotalsPipeline(shipId));
+  if (deliveryTotals.length === 0) return null;
+
+  const consumptionTotals = await FuelLog.aggregate(bunkerService.getConsumptionTotalsPipeline(shipId, deliveryTotals));
+  return bunkerService.getRob(deliveryTotals, consumptionTotals);
+};
+
+/**
+ * Helper function to get the grade a voyage burns outside Emission Control
+ * Areas: the main grade of its fuel prediction, else the ship's main fuel
+ */
+const getMainFuelType = (voyage, ship) => {
+  const shipFuelType = fuelReferenceService.getMainFuelType(ship.engineType);
+  const grades = Object.entries(bunkerService.getFuelByGrade(voyage.fuelPrediction || {}, shipFuelType))
+    .filter(([fuelType, amount]) => fuelType !== ecaService.ecaFuelType && amount > 0)
+    .sort(([, a], [, b]) => b - a);
+  return grades.length > 0 ? grades[0][0] : shipFuelType;
+};
+
+module.exports = {
+  createBunkerDelivery,
+  getBunkerDeliveries,
+  getRobLedger,
+  createBunkerPrices,
+  getBunkerPrices,
+  deleteBunkerPrice,
+  getBunkerPlan
+};
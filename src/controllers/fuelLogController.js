@@ -0,0 +1,306 @@
+const FuelLog = require('../models/FuelLog');
+const Ship = require('../models/Ship');
+const Voyage = require('../models/Voyage');
+const fuelLogService = require('../services/fuelLogService');
+const logger = require('../utils/logger');
+
+/**
+ * Record fuel consumption
+ * POST /api/v1/fuel-logs
+ */
+const createFuelLog = async (req, res, next) => {
+  try {
+    const logData = req.body;
+
+    if (!logData.shipId || !logData.fuelType || !logData.consumption) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: shipId, fuelType, consumption'
+      });
+    }
+
+    const logError = fuelLogService.validateLog(logData);
+    if (logError) {
+      return res.status(400).json({
+        success: false,
+        error: logError
+      });
+    }
+
+    const ship = await Ship.findOne({ shipId: logData.shipId });
+    if (!ship) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ship not found'
+      });
+    }
+
+    if (logData.voyageId) {
+      const voyage = await Voyage.findOne({ voyageId: logData.voyageId }).lean();
+      if (!voyage) {
+        return res.status(404).json({
+          success: false,
+          error: 'Voyage not found'
+        });
+      }
+      if (voyage.shipId !== logData.shipId) {
+        return res.status(400).json({
+          success: false,
+          error: `Voyage ${logData.voyageId} is not a voyage of ship ${logData.shipId}`
+        });
+      }
+    }
+
+    // Entries from noon reports are written with their report
+    const fuelLog = new FuelLog({ ...logData, source: 'manual', noonReportId: undefined });
+    await fuelLog.save();
+
+    logger.info(`Fuel consumption recorded for ship ${fuelLog.shipId}`);
+
+    res.status(201).json({
+      success: true,
+      data: fuelLog,
+      message: 'Fuel log created successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error creating fuel log:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get fuel logs with optional filtering
+ * GET /api/v1/fuel-logs
+ */
+const getFuelLogs = async (req, res, next) => {
+  try {
+    const {
+      shipId,
+      voyageId,
+      fuelType,
+      engine,
+      source,
+      from,
+      to,
+      page = 1,
+      limit = 50
+    } = req.query;
+
+    const filterError = validateFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        error: filterError
+      });
+    }
+
+    const query = fuelLogService.buildQuery({ shipId, voyageId, fuelType, engine, source, from, to });
+
+    const logs = await FuelLog.find(query)
+      .sort({ timestamp: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const total = await FuelLog.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        logs,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalLogs: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching fuel logs:', error);
+    next(error);
+  }
+};
+
+/**
+ * Aggregate fuel consumption and cost, optionally grouped by ship, voyage,
+ * fuel type, engine or period
+ * GET /api/v1/fuel-logs/summary
+ */
+const getFuelLogSummary = async (req, res, next) => {
+  try {
+    const { shipId, voyageId, fuelType, engine, source, from, to, groupBy } = req.query;
+
+    const filterError = validateFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        error: filterError
+      });
+    }
+
+    if (groupBy !== undefined && !fuelLogService.groupBy.includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        error: `groupBy must be one of: ${fuelLogService.groupBy.join(', ')}`
+      });
+    }
+
+    const query = fuelLogService.buildQuery({ shipId, voyageId, fuelType, engine, source, from, to });
+    const totals = await FuelLog.aggregate(fuelLogService.buildSummaryPipeline(query, groupBy));
+
+    res.json({
+      success: true,
+      data: fuelLogService.summarize(totals, groupBy)
+    });
+
+  } catch (error) {
+    logger.error('Error summarizing fuel logs:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get fuel log by ID
+ * GET /api/v1/fuel-logs/:id
+ */
+const getFuelLogById = async (req, res, next) => {
+  try {
+    const fuelLog = await FuelLog.findById(req.params.id).lean();
+    if (!fuelLog) {
+      return res.status(404).json({
+        success: false,
+        error: 'Fuel log not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: fuelLog
+    });
+
+  } catch (error) {
+    logger.error('Error fetching fuel log:', error);
+    next(error);
+  }
+};
+
+/**
+ * Correct a fuel log entry recorded by hand
+ * PUT /api/v1/fuel-logs/:id
+ */
+const updateFuelLog = async (req, res, next) => {
+  try {
+    const updateData = req.body;
+
+    // Remove fields that shouldn't be updated
+    delete updateData.shipId;
+    delete updateData.voyageId;
+    delete updateData.source;
+    delete updateData.noonReportId;
+    delete updateData.createdAt;
+    delete updateData.updatedAt;
+
+    const logError = fuelLogService.validateLog(updateData);
+    if (logError) {
+      return res.status(400).json({
+        success: false,
+        error: logError
+      });
+    }
+
+    const fuelLog = await FuelLog.findById(req.params.id);
+    if (!fuelLog) {
+      return res.status(404).json({
+        success: false,
+        error: 'Fuel log not found'
+      });
+    }
+
+    if (fuelLog.source === 'noon-report') {
+      return res.status(409).json({
+        success: false,
+        error: 'Fuel logs from noon reports can only change with their report'
+      });
+    }
+
+    fuelLog.set(updateData);
+    await fuelLog.save();
+
+    logger.info(`Fuel log updated: ${fuelLog._id}`);
+
+    res.json({
+      success: true,
+      data: fuelLog,
+      message: 'Fuel log updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error updating fuel log:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete a fuel log entry recorded by hand
+ * DELETE /api/v1/fuel-logs/:id
+ */
+const deleteFuelLog = async (req, res, next) => {
+  try {
+    const fuelLog = await FuelLog.findById(req.params.id);
+    if (!fuelLog) {
+      return res.status(404).json({
+        success: false,
+        error: 'Fuel log not found'
+      });
+    }
+
+    if (fuelLog.source === 'noon-report') {
+      return res.status(409).json({
+        success: false,
+        error: 'Fuel logs from noon reports can only change with their report'
+      });
+    }
+
+    await fuelLog.deleteOne();
+
+    logger.info(`Fuel log deleted: ${fuelLog._id}`);
+
+    res.json({
+      success: true,
+      message: 'Fuel log deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting fuel log:', error);
+    next(error);
+  }
+};
+
+/**
+ * Check the filters of a fuel log query; returns an error message or null
+ */
+const validateFilters = ({ fuelType, engine, from, to }) => {
+  if (fuelType !== undefined && !fuelLogService.fuelTypes.includes(fuelType)) {
+    return `fuelType must be one of: ${fuelLogService.fuelTypes.join(', ')}`;
+  }
+  if (engine !== undefined && !fuelLogService.engines.includes(engine)) {
+    return `engine must be one of: ${fuelLogService.engines.join(', ')}`;
+  }
+  if ([from, to].some(time => time !== undefined && isNaN(new Date(time)))) {
+    return 'from and to must be valid dates';
+  }
+  return null;
+};
+
+module.exports = {
+  createFuelLog,
+  getFuelLogs,
+  getFuelLogSummary,
+  getFuelLogById,
+  updateFuelLog,
+  deleteFuelLog
+};
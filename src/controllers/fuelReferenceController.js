@@ -0,0 +1,177 @@
+const FuelReferenceTable = require('../models/FuelReferenceTable');
+const fuelReferenceService = require('../services/fuelReferenceService');
+const logger = require('../utils/logger');
+
+/**
+ * Get the fuel price and emission factor tables in force
+ * GET /api/v1/fuel-reference
+ */
+const getReferenceTables = async (req, res, next) => {
+  try {
+    const tables = await fuelReferenceService.loadTables();
+
+    res.json({
+      success: true,
+      data: {
+        versions: fuelReferenceService.getVersions(tables),
+        fuelPrices: tables['fuel-prices'],
+        emissionFactors: tables['emission-factors']
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching fuel reference tables:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a reference table: the version in force, or a given version
+ * GET /api/v1/fuel-reference/:table
+ */
+const getReferenceTable = async (req, res, next) => {
+  try {
+    const { table } = req.params;
+    const version = req.query.version !== undefined ? Number(req.query.version) : undefined;
+
+    if (!fuelReferenceService.tables.includes(table)) {
+      return res.status(404).json({
+        success: false,
+        error: `Reference table not found. Must be one of: ${fuelReferenceService.tables.join(', ')}`
+      });
+    }
+
+    if (version !== undefined && !(Number.isInteger(version) && version >= 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'version must be a non-negative integer'
+      });
+    }
+
+    if (version === undefined) {
+      const tables = await fuelReferenceService.loadTables();
+      return res.json({
+        success: true,
+        data: tables[table]
+      });
+    }
+
+    if (version === 0) {
+      return res.json({
+        success: true,
+        data: fuelReferenceService.getDefaultTable(table)
+      });
+    }
+
+    const saved = await FuelReferenceTable.findOne({ table, version }).lean();
+    if (!saved) {
+      return res.status(404).json({
+        success: false,
+        error: `Version ${version} of ${table} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: fuelReferenceService.toTable(saved)
+    });
+
+  } catch (error) {
+    logger.error('Error fetching fuel reference table:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the version history of a reference table, newest first
+ * GET /api/v1/fuel-reference/:table/versions
+ */
+const getReferenceTableVersions = async (req, res, next) => {
+  try {
+    const { table } = req.params;
+
+    if (!fuelReferenceService.tables.includes(table)) {
+      return res.status(404).json({
+        success: false,
+        error: `Reference table not found. Must be one of: ${fuelReferenceService.tables.join(', ')}`
+      });
+    }
+
+    const saved = await FuelReferenceTable.find({ table }).sort({ version: -1 }).lean();
+    const builtIn = fuelReferenceService.getDefaultTable(table);
+
+    res.json({
+      success: true,
+      data: {
+        table,
+        active: saved.length > 0 ? saved[0].version : 0,
+        versions: [...saved.map(savedVersion => fuelReferenceService.toTable(savedVersion)), builtIn].map(({ entries, ...version }) => ({
+          ...version,
+          entries: entries.length
+        }))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching fuel reference table versions:', error);
+    next(error);
+  }
+};
+
+/**
+ * Replace the entries of a reference table, saving them as its next version
+ * and putting it in force
+ * PUT /api/v1/fuel-reference/:table
+ */
+const updateReferenceTable = async (req, res, next) => {
+  try {
+    const { table } = req.params;
+    const { entries, note, createdBy } = req.body;
+
+    if (!fuelReferenceService.tables.includes(table)) {
+      return res.status(404).json({
+        success: false,
+        error: `Reference table not found. Must be one of: ${fuelReferenceService.tables.join(', ')}`
+      });
+    }
+
+    const tableError = fuelReferenceService.validateTable(table, entries);
+    if (tableError) {
+      return res.status(400).json({
+        success: false,
+        error: tableError
+      });
+    }
+
+    const latest = await FuelReferenceTable.findOne({ table }).sort({ version: -1 }).lean();
+    const version = latest ? latest.version + 1 : 1;
+
+    const saved = new FuelReferenceTable({
+      table,
+      version,
+      [fuelReferenceService.getEntriesField(table)]: entries,
+      note,
+      createdBy
+    });
+    await saved.save();
+
+    logger.info(`Fuel reference table ${table} version ${version} saved`);
+
+    res.status(201).json({
+      success: true,
+      data: fuelReferenceService.toTable(saved.toObject()),
+      message: `Version ${version} of ${table} is now in force`
+    });
+
+  } catch (error) {
+    logger.error('Error updating fuel reference table:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getReferenceTables,
+  getReferenceTable,
+  getReferenceTableVersions,
+  updateReferenceTable
+};
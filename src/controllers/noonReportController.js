@@ -0,0 +1,219 @@
+const NoonReport = require('../models/NoonReport');
+const FuelLog = require('../models/FuelLog');
+const BunkerDelivery = require('../models/BunkerDelivery');
+const Voyage = require('../models/Voyage');
+const Ship = require('../models/Ship');
+const RiskZone = require('../models/RiskZone');
+const noonReportService = require('../services/noonReportService');
+const bunkerService = require('../services/bunkerService');
+const riskZoneService = require('../services/riskZoneService');
+const fuelReferenceService = require('../services/fuelReferenceService');
+const voyageMonitorService = require('../services/voyageMonitorService');
+const voyageStatusService = require('../services/voyageStatusService');
+const logger = require('../utils/logger');
+
+/**
+ * Submit a ship's noon report for a voyage
+ * POST /api/v1/voyages/:voyageId/noon-reports
+ */
+const createNoonReport = async (req, res, next) => {
+  try {
+    const { voyageId } = req.params;
+    const {
+      reportedAt,
+      position,
+      distanceRun,
+      steamingHours,
+      speed,
+      consumption,
+      rob,
+      bunkered,
+      weather,
+      remarks,
+      submittedBy
+    } = req.body;
+
+    const reportError = noonReportService.validateReport(req.body);
+    if (reportError) {
+      return res.status(400).json({
+        success: false,
+        error: reportError
+      });
+    }
+
+    const voyage = await Voyage.findOne({ voyageId }).lean();
+    if (!voyage) {
+      return res.status(404).json({
+        success: false,
+        error: 'Voyage not found'
+      });
+    }
+
+    const underWay = voyageStatusService.isUnderWay(voyage);
+    if (!underWay && voyage.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        error: `Noon reports can only be submitted once a voyage has sailed; voyage is ${voyage.status}`
+      });
+    }
+
+    // Reports are checked against the one before, so they must arrive in order
+    const previous = await NoonReport.findOne({ voyageId }).sort({ reportedAt: -1 }).lean();
+    if (previous && new Date(previous.reportedAt) >= new Date(reportedAt)) {
+      return res.status(409).json({
+        success: false,
+        error: `Noon report must be later than the previous report at ${new Date(previous.reportedAt).toISOString()}`
+      });
+    }
+
+    const ship = await Ship.findOne({ shipId: voyage.shipId });
+    if (previous) {
+      const previousError = noonReportService.validateAgainstPrevious(req.body, previous, ship);
+      if (previousError) {
+        return res.status(400).json({
+          success: false,
+          error: previousError
+        });
+      }
+    }
+
+    const report = new NoonReport({
+      voyageId,
+      shipId: voyage.shipId,
+      reportedAt: new Date(reportedAt),
+      position: { latitude: position.latitude, longitude: position.longitude },
+      distanceRun,
+      steamingHours,
+      speed: speed !== undefined || !previous ? speed : noonReportService.getAverageSpeed(req.body, previous),
+      consumption,
+      rob,
+      bunkered,
+      weather,
+      remarks,
+      submittedBy
+    });
+
+    // The report's position goes on the track like any other fix, and its fuel on the running total
+    const fixTime = report.reportedAt;
+    const isLatest = !voyage.currentLocation || !voyage.currentLocation.timestamp ||
+      new Date(voyage.currentLocation.timestamp) <= fixTime;
+    let riskZones = [];
+    let referenceTables;
+    if (underWay && isLatest) {
+      const { start, end } = riskZoneService.getPlanningWindow(fixTime);
+      riskZones = await RiskZone.find(riskZoneService.getActiveQuery(start, end)).lean();
+      referenceTables = await fuelReferenceService.loadTables();
+    }
+    const { update, alerts } = await voyageMonitorService.processPosition({
+      voyage,
+      ship,
+      fix: { latitude: position.latitude, longitude: position.longitude, timestamp: fixTime, speed: report.speed },
+      isLatest,
+      underWay,
+      riskZones,
+      referenceTables
+    });
+    update.$inc = { ...update.$inc, 'fuelPrediction.actualConsumption': noonReportService.getTotalConsumption(report) };
+
+    // Fuel received that a BDN already records is not recorded again
+    const received = (bunkered || []).map(entry => entry.fuelType);
+    const bdnDeliveries = received.length > 0
+      ? await BunkerDelivery.find(bunkerService.getBdnMatchQuery(voyage.shipId, received, fixTime)).lean()
+      : [];
+
+    // The report goes first, so a report submitted twice stops at its unique
+    // index; should a later write fail, what was written for the report is
+    // removed again and the voyage's running totals, written last, are untouched
+    await report.save();
+    try {
+      await FuelLog.insertMany(noonReportService.createFuelLogs(report));
+      await BunkerDelivery.insertMany(noonReportService.createBunkerDeliveries(report, bdnDeliveries));
+      await Voyage.findOneAndUpdate({ voyageId }, update);
+    } catch (error) {
+      await removeReport(report);
+      throw error;
+    }
+    voyageMonitorService.sendAlerts(voyage, alerts);
+
+    logger.info(`Noon report for ${fixTime.toISOString()} submitted for voyage: ${voyageId}`);
+
+    res.status(201).json({
+      success: true,
+      data: report,
+      message: 'Noon report submitted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error submitting noon report:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a voyage's noon reports in time order, with running totals
+ * GET /api/v1/voyages/:voyageId/noon-reports
+ */
+const getNoonReports = async (req, res, next) => {
+  try {
+    const { voyageId } = req.params;
+    const { from, to } = req.query;
+
+    if ([from, to].some(time => time !== undefined && isNaN(new Date(time)))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be valid dates'
+      });
+    }
+
+    const voyage = await Voyage.findOne({ voyageId }).lean();
+    if (!voyage) {
+      return res.status(404).json({
+        success: false,
+        error: 'Voyage not found'
+      });
+    }
+
+    const query = { voyageId };
+    if (from !== undefined || to !== undefined) {
+      query.reportedAt = {};
+      if (from !== undefined) query.reportedAt.$gte = new Date(from);
+      if (to !== undefined) query.reportedAt.$lte = new Date(to);
+    }
+
+    const reports = await NoonReport.find(query).sort({ reportedAt: 1 }).lean();
+
+    res.json({
+      success: true,
+      data: {
+        voyageId,
+        reports,
+        summary: noonReportService.summarize(reports)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching noon reports:', error);
+    next(error);
+  }
+};
+
+/**
+ * Helper function to remove a noon report with the fuel logs and bunker
+ * deliveries written for it
+ */
+const removeReport = async (report) => {
+  try {
+    await Promise.all([
+      FuelLog.deleteMany({ voyageId: report.voyageId, noonReportId: report._id }),
+      BunkerDelivery.deleteMany({ noonReportId: report._id })
+    ]);
+    await NoonReport.deleteOne({ _id: report._id });
+  } catch (error) {
+    logger.error(`Error removing noon report ${report._id} after a failed submission:`, error);
+  }
+};
+
+module.exports = {
+  createNoonReport,
+  getNoonReports
+};
@@ -0,0 +1,245 @@
+const RiskZone = require('../models/RiskZone');
+const riskZoneService = require('../services/riskZoneService');
+const logger = require('../utils/logger');
+
+/**
+ * Create a new risk or exclusion zone
+ * POST /api/v1/risk-zones
+ */
+const createRiskZone = async (req, res, next) => {
+  try {
+    const zoneData = req.body;
+
+    if (!zoneData.zoneId || !zoneData.name || !zoneData.type || !zoneData.polygon) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: zoneId, name, type, polygon'
+      });
+    }
+
+    const zoneError = riskZoneService.validateZone(zoneData);
+    if (zoneError) {
+      return res.status(400).json({
+        success: false,
+        error: zoneError
+      });
+    }
+
+    const existingZone = await RiskZone.findOne({ zoneId: zoneData.zoneId });
+    if (existingZone) {
+      return res.status(400).json({
+        success: false,
+        error: 'Risk zone with this ID already exists'
+      });
+    }
+
+    const zone = new RiskZone(zoneData);
+    await zone.save();
+
+    logger.info(`New risk zone created: ${zone.zoneId}`);
+
+    res.status(201).json({
+      success: true,
+      data: zone,
+      message: 'Risk zone created successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error creating risk zone:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get risk zones with optional filtering
+ * GET /api/v1/risk-zones
+ */
+const getRiskZones = async (req, res, next) => {
+  try {
+    const {
+      type,
+      severity,
+      activeAt,
+      page = 1,
+      limit = 50
+    } = req.query;
+
+    if (type !== undefined && !riskZoneService.zoneTypes.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid type. Must be one of: ${riskZoneService.zoneTypes.join(', ')}`
+      });
+    }
+
+    if (severity !== undefined && !riskZoneService.severities.includes(severity)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid severity. Must be one of: ${riskZoneService.severities.join(', ')}`
+      });
+    }
+
+    if (activeAt && isNaN(new Date(activeAt))) {
+      return res.status(400).json({
+        success: false,
+        error: 'activeAt must be a valid date'
+      });
+    }
+
+    // Build query
+    const query = activeAt ? riskZoneService.getActiveQuery(activeAt) : {};
+    if (type) query.type = type;
+    if (severity) query.severity = severity;
+
+    const zones = await RiskZone.find(query)
+      .sort({ name: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const total = await RiskZone.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        zones,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalZones: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching risk zones:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get risk zone by ID
+ * GET /api/v1/risk-zones/:zoneId
+ */
+const getRiskZoneById = async (req, res, next) => {
+  try {
+    const { zoneId } = req.params;
+
+    const zone = await RiskZone.findOne({ zoneId }).lean();
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        error: 'Risk zone not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: zone
+    });
+
+  } catch (error) {
+    logger.error('Error fetching risk zone:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update a risk zone
+ * PUT /api/v1/risk-zones/:zoneId
+ */
+const updateRiskZone = async (req, res, next) => {
+  try {
+    const { zoneId } = req.params;
+    const updateData = req.body;
+
+    // Remove fields that shouldn't be updated
+    delete updateData.zoneId;
+    delete updateData.createdAt;
+    delete updateData.updatedAt;
+
+    const existing = await RiskZone.findOne({ zoneId });
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Risk zone not found'
+      });
+    }
+
+    // A new start or end date must still make a valid window with the stored one
+    const zoneError = riskZoneService.validateZone({
+      validFrom: existing.validFrom,
+      validTo: existing.validTo,
+      ...updateData
+    });
+    if (zoneError) {
+      return res.status(400).json({
+        success: false,
+        error: zoneError
+      });
+    }
+
+    const zone = await RiskZone.findOneAndUpdate(
+      { zoneId },
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        error: 'Risk zone not found'
+      });
+    }
+
+    logger.info(`Risk zone updated: ${zoneId}`);
+
+    res.json({
+      success: true,
+      data: zone,
+      message: 'Risk zone updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error updating risk zone:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete a risk zone; voyages planned around it keep their routes
+ * DELETE /api/v1/risk-zones/:zoneId
+ */
+const deleteRiskZone = async (req, res, next) => {
+  try {
+    const { zoneId } = req.params;
+
+    const zone = await RiskZone.findOneAndDelete({ zoneId });
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        error: 'Risk zone not found'
+      });
+    }
+
+    logger.info(`Risk zone deleted: ${zoneId}`);
+
+    res.json({
+      success: true,
+      message: 'Risk zone deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting risk zone:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  createRiskZone,
+  getRiskZones,
+  getRiskZoneById,
+  updateRiskZone,
+  deleteRiskZone
+};
@@ -1,6 +1,14 @@
 const Ship = require('../models/Ship');
 const Voyage = require('../models/Voyage');
 const Maintenance = require('../models/Maintenance');
+const FuelLog = require('../models/FuelLog');
+const RiskZone = require('../models/RiskZone');
+const riskZoneService = require('../services/riskZoneService');
+const ciiService = require('../services/ciiService');
+const fuelLogService = require('../services/fuelLogService');
+const fuelReferenceService = require('../services/fuelReferenceService');
+const voyageMonitorService = require('../services/voyageMonitorService');
+const voyageStatusService = require('../services/voyageStatusService');
 const logger = require('../utils/logger');
 
 /**
@@ -122,9 +130,10 @@ const getShipById = async (req, res, next) => {
     }
 
     // Get additional details
-    const [voyageStats, maintenanceStats, recentVoyages, upcomingMaintenance] = await Promise.all([
+    const [voyageStats, maintenanceStats, fuelStats, recentVoyages, upcomingMaintenance] = await Promise.all([
       getVoyageStatistics(shipId),
       getMaintenanceStatistics(shipId),
+      getFuelStatistics(shipId),
       getRecentVoyages(shipId, 5),
       getUpcomingMaintenance(shipId, 5)
     ]);
@@ -135,7 +144,8 @@ const getShipById = async (req, res, next) => {
         ship,
         statistics: {
           voyages: voyageStats,
-          maintenance: maintenanceStats
+          maintenance: maintenanceStats,
+          fuel: fuelStats
         },
         recentActivity: {
           voyages: recentVoyages,
@@ -246,28 +256,38 @@ const deleteShip = async (req, res, next) => {
 const updateShipLocation = async (req, res, next) => {
   try {
     const { shipId } = req.params;
-    const { latitude, longitude, port } = req.body;
+    const { latitude, longitude, port, speed, timestamp } = req.body;
 
-    if (!latitude || !longitude) {
+    if (typeof latitude !== 'number' || typeof longitude !== 'number') {
       return res.status(400).json({
         success: false,
         error: 'Latitude and longitude are required'
       });
     }
 
-    const ship = await Ship.findOneAndUpdate(
-      { shipId },
-      {
-        currentLocation: {
-          latitude,
-          longitude,
-          port,
-          timestamp: new Date()
-        }
-      },
-      { new: true }
-    );
+    if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      return res.status(400).json({
+        success: false,
+        error: 'Latitude must be between -90 and 90 and longitude between -180 and 180'
+      });
+    }
+
+    const fixTime = timestamp ? new Date(timestamp) : new Date();
+    if (Number.isNaN(fixTime.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'timestamp must be a valid date'
+      });
+    }
+
+    if (speed !== undefined && (typeof speed !== 'number' || speed < 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'speed must be a non-negative number of knots'
+      });
+    }
 
+    const ship = await Ship.findOne({ shipId });
     if (!ship) {
       return res.status(404).json({
         success: false,
@@ -275,11 +295,42 @@ const updateShipLocation = async (req, res, next) => {
       });
     }
 
+    // A fix that arrives late goes on the voyage track but does not move the ship back
+    const isLatest = !ship.currentLocation || !ship.currentLocation.timestamp ||
+      new Date(ship.currentLocation.timestamp) <= fixTime;
+    const currentLocation = isLatest
+      ? { latitude, longitude, port, timestamp: fixTime }
+      : ship.currentLocation;
+    if (isLatest) {
+      await Ship.findOneAndUpdate({ shipId }, { currentLocation });
+    }
+
+    // Fixes reported while the ship is under way build up its voyage's actual route
+    const voyages = await Voyage.find({ shipId, status: { $in: ['in-progress', 'delayed'] } }).lean();
+    const voyage = voyages.find(candidate => voyageStatusService.isUnderWay(candidate));
+    if (voyage) {
+      // Zones in force ahead, in case the rest of the voyage has to be re-planned
+      const { start, end } = riskZoneService.getPlanningWindow(fixTime);
+      const riskZones = isLatest ? await RiskZone.find(riskZoneService.getActiveQuery(start, end)).lean() : [];
+      const referenceTables = isLatest ? await fuelReferenceService.loadTables() : undefined;
+      const { update, alerts } = await voyageMonitorService.processPosition({
+        voyage,
+        ship,
+        fix: { latitude, longitude, timestamp: fixTime, speed },
+        isLatest,
+        riskZones,
+        referenceTables
+      });
+      await Voyage.findOneAndUpdate({ voyageId: voyage.voyageId }, update);
+      voyageMonitorService.sendAlerts(voyage, alerts);
+    }
+
     res.json({
       success: true,
       data: {
         shipId,
-        currentLocation: ship.currentLocation
+        currentLocation,
+        voyageId: voyage ? voyage.voyageId : null
       },
       message: 'Ship location updated successfully'
     });
@@ -342,6 +393,69 @@ const getFleetAnalytics = async (req, res, next) => {
   }
 };
 
+/**
+ * Get a ship's IMO Carbon Intensity Indicator for a year: attained so far
+ * and its A–E rating, and projected to year-end with the planned voyages
+ * GET /api/v1/ships/:shipId/cii
+ */
+const getShipCii = async (req, res, next) => {
+  try {
+    const { shipId } = req.params;
+    const year = req.query.year !== undefined ? Number(req.query.year) : new Date().getUTCFullYear();
+
+    if (!(Number.isInteger(year) && year >= ciiService.firstYear)) {
+      return res.status(400).json({
+        success: false,
+        error: `year must be ${ciiService.firstYear} or later`
+      });
+    }
+
+    const ship = await Ship.findOne({ shipId }).lean();
+    if (!ship) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ship not found'
+      });
+    }
+
+    if (!ciiService.getShipParameters(ship)) {
+      return res.status(422).json({
+        success: false,
+        error: `CII needs the ship's shipType (${ciiService.shipTypes.join(', ')}) and the deadweight, or gross tonnage for passenger ships and vehicle carriers, in its specifications`
+      });
+    }
+
+    const start = new Date(Date.UTC(year, 0, 1));
+    const end = new Date(Date.UTC(year + 1, 0, 1));
+    const referenceTables = await fuelReferenceService.loadTables();
+    const [voyages, fuelLogs] = await Promise.all([
+      Voyage.find({
+        shipId,
+        status: { $ne: 'cancelled' },
+        departureTime: { $lt: end },
+        $or: [
+          { departureTime: { $gte: start } },
+          { actualArrival: { $gte: start } },
+          { estimatedArrival: { $gte: start } }
+        ]
+      }).lean(),
+      FuelLog.find({ shipId, timestamp: { $gte: start, $lt: end } }).lean()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        shipId,
+        ...ciiService.rateShip({ ship, voyages, fuelLogs, year, referenceTables })
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error rating ship carbon intensity:', error);
+    next(error);
+  }
+};
+
 /**
  * Helper function to get ship summary statistics
  */
@@ -392,6 +506,14 @@ const getVoyageStatistics = async (shipId) => {
   };
 };
 
+/**
+ * Helper function to get actual fuel consumption and cost from the ship's fuel logs
+ */
+const getFuelStatistics = async (shipId) => {
+  const totals = await FuelLog.aggregate(fuelLogService.buildSummaryPipeline({ shipId }, 'fuelType'));
+  return fuelLogService.summarize(totals, 'fuelType');
+};
+
 /**
  * Helper function to get maintenance statistics
  */
@@ -547,5 +669,6 @@ module.exports = {
   updateShip,
   deleteShip,
   updateShipLocation,
-  getFleetAnalytics
+  getFleetAnalytics,
+  getShipCii
 };
@@ -1,8 +1,32 @@
 const routeOptimizer = require('../ai/routeOptimizer');
+const weatherRouter = require('../ai/weatherRouter');
 const fuelPredictor = require('../ai/fuelPredictor');
+const rotationPlanner = require('../ai/rotationPlanner');
+const portSequencer = require('../ai/portSequencer');
+const slowSteamingAnalyzer = require('../ai/slowSteamingAnalyzer');
+const seaPathfinder = require('../ai/seaPathfinder');
+const voyageReplanner = require('../ai/voyageReplanner');
 const Voyage = require('../models/Voyage');
 const Ship = require('../models/Ship');
+const RiskZone = require('../models/RiskZone');
+const FuelLog = require('../models/FuelLog');
+const BunkerDelivery = require('../models/BunkerDelivery');
+const weatherService = require('../services/weatherService');
+const riskZoneService = require('../services/riskZoneService');
+const routeExportService = require('../services/routeExportService');
+const routeImportService = require('../services/routeImportService');
+const chokepointService = require('../services/chokepointService');
+const ecaService = require('../services/ecaService');
+const depthService = require('../services/depthService');
+const routeDeviationService = require('../services/routeDeviationService');
+const fuelLogService = require('../services/fuelLogService');
+const bunkerService = require('../services/bunkerService');
+const fuelReferenceService = require('../services/fuelReferenceService');
+const voyageStatusService = require('../services/voyageStatusService');
+const voyageTrackService = require('../services/voyageTrackService');
+const voyageMonitorService = require('../services/voyageMonitorService');
 const logger = require('../utils/logger');
+const { ROUTE_MODES, pathDistance } = require('../utils/navigation');
 
 /**
  * Plan a new voyage with AI optimization
@@ -16,7 +40,16 @@ const planVoyage = async (req, res, next) => {
       destination,
       departureTime,
       cargoLoad,
-      weatherForecast
+      portCalls = [],
+      weatherForecast,
+      routeMode = 'great-circle',
+      limitingLatitude,
+      weatherRouting,
+      minimizeEcaDistance = false,
+      underKeelClearance,
+      requiredArrival,
+      crossTrackLimit,
+      reserveMargin = bunkerService.defaultReserveMargin
     } = req.body;
 
     // Validate required fields
@@ -27,6 +60,106 @@ const planVoyage = async (req, res, next) => {
       });
     }
 
+    const endpointError = validateEndpoints({ origin, destination });
+    if (endpointError) {
+      return res.status(400).json({
+        success: false,
+        error: endpointError
+      });
+    }
+
+    if (isNaN(new Date(departureTime))) {
+      return res.status(400).json({
+        success: false,
+        error: 'departureTime must be a valid date'
+      });
+    }
+
+    const portCallError = rotationPlanner.validatePortCalls(portCalls, cargoLoad);
+    if (portCallError) {
+      return res.status(400).json({
+        success: false,
+        error: portCallError
+      });
+    }
+
+    if (!ROUTE_MODES.includes(routeMode)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid routeMode. Must be one of: ${ROUTE_MODES.join(', ')}`
+      });
+    }
+
+    if (routeMode === 'composite') {
+      const highestPortLatitude = Math.max(
+        ...[origin, ...portCalls, destination].map(port => Math.abs(port.coordinates.latitude))
+      );
+      if (typeof limitingLatitude !== 'number' || limitingLatitude <= 0 || limitingLatitude >= 90) {
+        return res.status(400).json({
+          success: false,
+          error: 'Composite routes require a limitingLatitude between 0 and 90 degrees'
+        });
+      }
+      if (highestPortLatitude > limitingLatitude) {
+        return res.status(400).json({
+          success: false,
+          error: 'Origin, port calls and destination must lie within the limitingLatitude'
+        });
+      }
+    }
+
+    if (typeof minimizeEcaDistance !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'minimizeEcaDistance must be a boolean'
+      });
+    }
+
+    if (underKeelClearance !== undefined && (typeof underKeelClearance !== 'number' || underKeelClearance < 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'underKeelClearance must be a non-negative number of metres'
+      });
+    }
+
+    if (crossTrackLimit !== undefined && !(typeof crossTrackLimit === 'number' && crossTrackLimit > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'crossTrackLimit must be a positive number of nautical miles'
+      });
+    }
+
+    if (!(typeof reserveMargin === 'number' && reserveMargin >= 0 && reserveMargin <= 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'reserveMargin must be a share of the predicted fuel from 0 to 1'
+      });
+    }
+
+    if (requiredArrival !== undefined &&
+      !(new Date(requiredArrival).getTime() > new Date(departureTime).getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'requiredArrival must be a valid date after departureTime'
+      });
+    }
+
+    if (weatherRouting) {
+      if (weatherRouting.objective && !weatherRouter.objectives.includes(weatherRouting.objective)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid weatherRouting objective. Must be one of: ${weatherRouter.objectives.join(', ')}`
+        });
+      }
+      const forecastError = weatherRouting.forecast && weatherService.validateForecastGrid(weatherRouting.forecast);
+      if (forecastError) {
+        return res.status(400).json({
+          success: false,
+          error: forecastError
+        });
+      }
+    }
+
     // Get ship data
     const ship = await Ship.findOne({ shipId });
     if (!ship) {
@@ -36,28 +169,83 @@ const planVoyage = async (req, res, next) => {
       });
     }
 
+    const cargoAboard = rotationPlanner.calculateCargoAboard(cargoLoad.weight, portCalls);
+    if (ship.capacity && Math.max(...cargoAboard) > ship.capacity) {
+      return res.status(400).json({
+        success: false,
+        error: `Cargo aboard exceeds the ship's capacity of ${ship.capacity} tonnes`
+      });
+    }
+
     // Generate voyage ID
     const voyageId = `VYG-${shipId}-${Date.now()}`;
 
-    // Optimize route using AI
-    const routeOptimization = await routeOptimizer.optimizeRoute({
+    // Risk and exclusion zones in force while the voyage may be at sea
+    const { start, end } = riskZoneService.getPlanningWindow(departureTime);
+    const riskZones = await RiskZone.find(riskZoneService.getActiveQuery(start, end)).lean();
+
+    // Fuel is priced and its CO2 counted from the reference tables in force now
+    const referenceTables = await fuelReferenceService.loadTables();
+
+    // Optimize the route and predict fuel leg by leg, with the cargo aboard on each leg
+    const rotation = await rotationPlanner.planRotation({
+      ship,
       origin,
       destination,
-      cargoWeight: cargoLoad.weight,
+      portCalls,
+      departureTime,
+      cargoLoad,
       weatherForecast: weatherForecast || [],
-      departureTime
+      routeMode,
+      limitingLatitude,
+      weatherRouting,
+      minimizeEcaDistance,
+      riskZones,
+      underKeelClearance,
+      requiredArrival,
+      referenceTables
     });
+    const routeOptimization = rotation.route;
+    const fuelPrediction = rotation.fuelPrediction;
 
-    // Predict fuel consumption
-    const fuelPrediction = await fuelPredictor.predictFuelConsumption({
+    // The fuel with its reserve must fit in the tanks and be aboard at departure
+    const bunkers = bunkerService.checkVoyageFuel({
+      fuelPrediction,
+      mainFuelType: fuelReferenceService.getMainFuelType(ship.engineType),
+      legConsumption: rotation.legs.map(leg => leg.fuel.estimatedConsumption),
+      rob: await getShipRob(shipId),
+      tankCapacity: ship.fuelTankCapacity,
+      reserveMargin
+    });
+    if (!bunkers.feasible) {
+      return res.status(422).json({
+        success: false,
+        error: bunkers.warnings[0]
+      });
+    }
+    if (bunkers.shortfall && bunkers.shortfall.total > 0) {
+      const short = Object.entries(bunkers.shortfall)
+        .filter(([fuelType, amount]) => fuelType !== 'total' && amount > 0)
+        .map(([fuelType, amount]) => `${amount} t ${fuelType}`);
+      return res.status(422).json({
+        success: false,
+        error: `ROB is short of the fuel for the voyage with reserve by ${short.join(', ')}; bunker before sailing`
+      });
+    }
+
+    // Price each candidate route and rank them for the planner to choose from
+    const alternativeRoutes = await rankAlternativeRoutes(routeOptimization.alternativeRoutes, {
       ship,
       voyage: {
         origin,
         destination,
         cargoLoad,
-        weatherForecast: weatherForecast || []
+        weatherForecast: weatherForecast || [],
+        departureTime
       },
-      routeData: routeOptimization
+      hourlyCost: (weatherRouting && weatherRouting.weights && weatherRouting.weights.time) ||
+        weatherRouter.defaultWeights.time,
+      referenceTables
     });
 
     // Calculate ETA
@@ -75,15 +263,47 @@ const planVoyage = async (req, res, next) => {
       departureTime: new Date(departureTime),
       estimatedArrival,
       cargoLoad,
+      portCalls: rotation.schedule.slice(1, -1).map(call => ({
+        sequence: call.sequence,
+        name: call.name,
+        port: call.port,
+        coordinates: call.coordinates,
+        requiredArrival: call.requiredArrival,
+        plannedArrival: call.plannedArrival,
+        plannedDeparture: call.plannedDeparture,
+        berthHours: call.berthHours,
+        cargoLoaded: call.cargoLoaded,
+        cargoDischarged: call.cargoDischarged
+      })),
+      voyageLegs: rotation.legs.map(summarizeVoyageLeg),
       weatherForecast: weatherForecast || [],
       plannedRoute: {
+        routeMode: routeOptimization.routeMode,
+        limitingLatitude: routeOptimization.limitingLatitude,
         waypoints: routeOptimization.waypoints,
+        legs: routeOptimization.legs,
         totalDistance: routeOptimization.totalDistance,
-        estimatedDuration: routeOptimization.estimatedTime
+        estimatedDuration: routeOptimization.estimatedTime,
+        passages: routeOptimization.passages.transits,
+        eca: {
+          minimized: minimizeEcaDistance,
+          ecaDistance: routeOptimization.eca.ecaDistance,
+          nonEcaDistance: routeOptimization.eca.nonEcaDistance,
+          zones: routeOptimization.eca.zones
+        },
+        risk: {
+          zones: routeOptimization.risk.zones,
+          insuranceCost: routeOptimization.risk.insuranceCost
+        },
+        underKeel: routeOptimization.underKeel,
+        speedProfile: routeOptimization.speedProfile,
+        crossTrackLimit
       },
       fuelPrediction: {
         estimatedConsumption: fuelPrediction.estimatedConsumption,
-        efficiency: fuelPrediction.efficiency
+        efficiency: fuelPrediction.efficiency,
+        fuelBreakdown: fuelPrediction.fuelBreakdown,
+        referenceVersions: fuelPrediction.referenceVersions
       },
       optimizationMetrics: {
         routeEfficiency: routeOptimization.confidence * 100,
@@ -93,8 +313,36 @@ const planVoyage = async (req, res, next) => {
       },
       aiRecommendations: {
         optimalSpeed: routeOptimization.optimalSpeed,
-        alternativeRoutes: [], // Could be enhanced
-        weatherAlerts: routeOptimization.recommendations,
+        alternativeRoutes: alternativeRoutes.map(alternative => ({
+          name: alternative.name,
+          objective: alternative.objective,
+          rank: alternative.rank,
+          routeMode: alternative.routeMode,
+          limitingLatitude: alternative.limitingLatitude,
+          route: alternative.waypoints,
+          legs: alternative.legs,
+          totalDistance: alternative.totalDistance,
+          estimatedTime: alternative.estimatedTime,
+          estimatedFuel: alternative.estimatedFuel,
+          estimatedCost: alternative.totalCost,
+          efficiency: alternative.efficiency,
+          emissions: alternative.emissions,
+          referenceVersions: alternative.referenceVersions,
+          fuelBreakdown: alternative.fuelBreakdown,
+          eca: {
+            ecaDistance: alternative.eca.ecaDistance,
+            nonEcaDistance: alternative.eca.nonEcaDistance,
+            zones: alternative.eca.zones
+          },
+          risk: {
+            zones: alternative.risk.zones,
+            insuranceCost: alternative.risk.insuranceCost
+          },
+          riskFactor: alternative.riskFactor,
+          safe: alternative.safe,
+          passages: alternative.passages.transits
+        })),
+        weatherAlerts: [...routeOptimization.recommendations, ...routeOptimization.risk.alerts],
         maintenanceFlags: []
       },
       status: 'planned'
@@ -114,14 +362,28 @@ const planVoyage = async (req, res, next) => {
           totalDistance: routeOptimization.totalDistance,
           estimatedDuration: routeOptimization.estimatedTime,
           optimalSpeed: routeOptimization.optimalSpeed,
-          waypoints: routeOptimization.waypoints
+          routeMode: routeOptimization.routeMode,
+          limitingLatitude: routeOptimization.limitingLatitude,
+          waypoints: routeOptimization.waypoints,
+          legs: routeOptimization.legs
         },
+        passages: routeOptimization.passages,
+        eca: routeOptimization.eca,
+        risk: routeOptimization.risk,
+        underKeel: routeOptimization.underKeel,
+        speedProfile: routeOptimization.speedProfile,
+        schedule: rotation.schedule,
+        voyageLegs: rotation.legs.map(summarizeVoyageLeg),
+        alternativeRoutes,
         fuelEstimate: {
           consumption: fuelPrediction.estimatedConsumption,
           cost: fuelPrediction.costEstimate,
           efficiency: fuelPrediction.efficiency,
-          emissions: fuelPrediction.emissionsEstimate
+          emissions: fuelPrediction.emissionsEstimate,
+          breakdown: fuelPrediction.fuelBreakdown,
+          referenceVersions: fuelPrediction.referenceVersions
         },
+        bunkers,
         recommendations: routeOptimization.recommendations,
         confidence: {
           route: routeOptimization.confidence,
@@ -137,6 +399,221 @@ const planVoyage = async (req, res, next) => {
   }
 };
 
+/**
+ * Find the best order to call at a set of ports
+ * POST /api/v1/voyages/optimize-sequence
+ */
+const optimizePortSequence = async (req, res, next) => {
+  try {
+    const {
+      shipId,
+      origin,
+      destination,
+      ports,
+      departureTime,
+      cargoLoad,
+      speed,
+      distanceMethod = 'sea',
+      objective = 'distance'
+    } = req.body;
+
+    if (!shipId || !origin || !ports || !departureTime) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: shipId, origin, ports, departureTime'
+      });
+    }
+
+    // The route may end at the last port called at
+    const endpointError = validateEndpoints(destination ? { origin, destination } : { origin });
+    if (endpointError) {
+      return res.status(400).json({
+        success: false,
+        error: endpointError
+      });
+    }
+
+    if (isNaN(new Date(departureTime))) {
+      return res.status(400).json({
+        success: false,
+        error: 'departureTime must be a valid date'
+      });
+    }
+
+    const portError = portSequencer.validatePorts(ports);
+    if (portError) {
+      return res.status(400).json({
+        success: false,
+        error: portError
+      });
+    }
+
+    if (!portSequencer.distanceMethods.includes(distanceMethod)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid distanceMethod. Must be one of: ${portSequencer.distanceMethods.join(', ')}`
+      });
+    }
+
+    if (!portSequencer.objectives.includes(objective)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid objective. Must be one of: ${portSequencer.objectives.join(', ')}`
+      });
+    }
+
+    if (speed !== undefined && (typeof speed !== 'number' || speed <= 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'speed must be a positive number of knots'
+      });
+    }
+
+    const ship = await Ship.findOne({ shipId });
+    if (!ship) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ship not found'
+      });
+    }
+
+    const referenceTables = await fuelReferenceService.loadTables();
+    const rotation = await portSequencer.optimizeSequence({
+      ship,
+      origin,
+      destination,
+      ports,
+      departureTime,
+      cargoLoad: cargoLoad || { weight: 0 },
+      speed,
+      distanceMethod,
+      objective,
+      referenceTables
+    });
+    if (!rotation) {
+      return res.status(422).json({
+        success: false,
+        error: 'No port order satisfies the time windows, cargo and sea route constraints'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rotation,
+      message: `Optimal order found for ${ports.length} ports`
+    });
+
+  } catch (error) {
+    logger.error('Error optimizing port sequence:', error);
+    next(error);
+  }
+};
+
+/**
+ * Trade transit time against fuel and charter hire over a range of speeds
+ * POST /api/v1/voyages/speed-curve
+ */
+const getSpeedCurve = async (req, res, next) => {
+  try {
+    const {
+      shipId,
+      origin,
+      destination,
+      cargoLoad,
+      dailyHireRate,
+      bunkerPrice,
+      minSpeed,
+      maxSpeed,
+      speedStep = slowSteamingAnalyzer.defaultSpeedStep
+    } = req.body;
+
+    if (!shipId || !origin || !destination || dailyHireRate === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: shipId, origin, destination, dailyHireRate'
+      });
+    }
+
+    const endpointError = validateEndpoints({ origin, destination });
+    if (endpointError) {
+      return res.status(400).json({
+        success: false,
+        error: endpointError
+      });
+    }
+
+    for (const [field, value] of Object.entries({ dailyHireRate, bunkerPrice })) {
+      if (value !== undefined && (typeof value !== 'number' || value < 0)) {
+        return res.status(400).json({
+          success: false,
+          error: `${field} must be a non-negative number of USD`
+        });
+      }
+    }
+
+    for (const [field, value] of Object.entries({ minSpeed, maxSpeed, speedStep })) {
+      if (value !== undefined && (typeof value !== 'number' || value <= 0)) {
+        return res.status(400).json({
+          success: false,
+          error: `${field} must be a positive number of knots`
+        });
+      }
+    }
+
+    const ship = await Ship.findOne({ shipId });
+    if (!ship) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ship not found'
+      });
+    }
+
+    const range = slowSteamingAnalyzer.getSpeedRange(ship, minSpeed, maxSpeed);
+    if (range.minSpeed > range.maxSpeed) {
+      return res.status(400).json({
+        success: false,
+        error: `minSpeed must not exceed the maximum speed of ${range.maxSpeed} knots`
+      });
+    }
+    if ((range.maxSpeed - range.minSpeed) / speedStep + 1 > slowSteamingAnalyzer.maxCurvePoints) {
+      return res.status(400).json({
+        success: false,
+        error: `The curve may have at most ${slowSteamingAnalyzer.maxCurvePoints} speeds; use a larger speedStep`
+      });
+    }
+
+    const referenceTables = await fuelReferenceService.loadTables();
+    const speedCurve = await slowSteamingAnalyzer.buildCurve({
+      ship,
+      origin,
+      destination,
+      cargoLoad: cargoLoad || { weight: 0 },
+      dailyHireRate,
+      bunkerPrice,
+      minSpeed,
+      maxSpeed,
+      speedStep,
+      referenceTables
+    });
+    if (!speedCurve) {
+      return res.status(422).json({
+        success: false,
+        error: 'No sea route found between origin and destination'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: speedCurve,
+      message: `Economical speed is ${speedCurve.optimal.speed} knots at a daily hire of ${dailyHireRate} USD`
+    });
+
+  } catch (error) {
+    logger.error('Error building speed curve:', error);
+    next(error);
+  }
+};
+
 /**
  * Get voyage history with performance metrics
  * GET /api/v1/voyages/plan-history
@@ -200,7 +677,8 @@ const getPlanHistory = async (req, res, next) => {
               actual: voyage.fuelPrediction?.actualConsumption
             }
           },
-          optimizationMetrics: voyage.optimizationMetrics
+          optimizationMetrics: voyage.optimizationMetrics,
+          routeAdherence: voyage.routeAdherence || routeDeviationService.summarizeAdherence(voyage)
         })),
         pagination: {
           currentPage: parseInt(page),
@@ -249,12 +727,33 @@ const submitFeedback = async (req, res, next) => {
       });
     }
 
+    // Feedback completes the voyage, so it must be one that can complete
+    if (voyage.status !== 'completed') {
+      const transitionError = voyageStatusService.validateTransition(voyage, 'completed');
+      if (transitionError) {
+        return res.status(409).json({
+          success: false,
+          error: transitionError
+        });
+      }
+    }
+
     // Update voyage with actual data
     const updateData = {
       status: 'completed',
       actualArrival: actualArrival ? new Date(actualArrival) : new Date()
     };
 
+    if (voyage.status !== 'completed') {
+      updateData.$push = {
+        statusHistory: voyageStatusService.createHistoryEntry({
+          from: voyage.status,
+          to: 'completed',
+          reason: 'Voyage feedback submitted'
+        })
+      };
+    }
+
     if (actualRoute) {
       updateData.actualRoute = actualRoute;
     }
@@ -273,6 +772,13 @@ const submitFeedback = async (req, res, next) => {
       updateData['actualRoute.actualDuration'] = actualDuration;
     }
 
+    // How closely the ship kept to its planned route, over the reported or tracked route
+    const routeAdherence = routeDeviationService.summarizeAdherence({
+      ...voyage.toObject(),
+      actualRoute: actualRoute || voyage.actualRoute
+    });
+    updateData.routeAdherence = routeAdherence;
+
     // Calculate optimization metrics
     if (actualFuelConsumption && voyage.fuelPrediction?.estimatedConsumption) {
       const fuelAccuracy = 1 - Math.abs(
@@ -305,6 +811,7 @@ const submitFeedback = async (req, res, next) => {
       data: {
         voyageId,
         updatedMetrics: updateData.optimizationMetrics || {},
+        routeAdherence,
         learningImpact: {
           routeOptimization: !!actualRoute,
           fuelPrediction: !!actualFuelConsumption
@@ -334,9 +841,15 @@ const getVoyageById = async (req, res, next) => {
       });
     }
 
+    // Actual consumption and cost logged for the voyage so far
+    const fuelTotals = await FuelLog.aggregate(fuelLogService.buildSummaryPipeline({ voyageId }, 'fuelType'));
+
     res.json({
       success: true,
-      data: voyage
+      data: {
+        ...voyage,
+        fuelConsumption: fuelLogService.summarize(fuelTotals, 'fuelType')
+      }
     });
 
   } catch (error) {
@@ -346,33 +859,31 @@ const getVoyageById = async (req, res, next) => {
 };
 
 /**
- * Update voyage status
- * PUT /api/v1/voyages/:voyageId/status
+ * Export the planned and actual routes as GeoJSON, GPX or RTZ, chosen by the
+ * format query parameter or else the Accept header
+ * GET /api/v1/voyages/:voyageId/route
  */
-const updateVoyageStatus = async (req, res, next) => {
+const exportVoyageRoute = async (req, res, next) => {
   try {
     const { voyageId } = req.params;
-    const { status, currentLocation } = req.body;
+    const { format } = req.query;
 
-    const validStatuses = ['planned', 'in-progress', 'completed', 'cancelled', 'delayed'];
-    if (!validStatuses.includes(status)) {
+    if (format !== undefined && !routeExportService.formats.includes(format)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid status. Must be one of: ' + validStatuses.join(', ')
+        error: `Invalid format. Must be one of: ${routeExportService.formats.join(', ')}`
       });
     }
 
-    const updateData = { status };
-    if (currentLocation) {
-      updateData.currentLocation = currentLocation;
+    const mediaType = format ? null : req.accepts(routeExportService.mediaTypes);
+    if (!format && !mediaType) {
+      return res.status(406).json({
+        success: false,
+        error: `Routes can be exported as: ${routeExportService.mediaTypes.join(', ')}`
+      });
     }
 
-    const voyage = await Voyage.findOneAndUpdate(
-      { voyageId },
-      updateData,
-      { new: true }
-    );
-
+    const voyage = await Voyage.findOne({ voyageId }).lean();
     if (!voyage) {
       return res.status(404).json({
         success: false,
@@ -380,33 +891,707 @@ const updateVoyageStatus = async (req, res, next) => {
       });
     }
 
-    res.json({
-      success: true,
-      data: voyage,
-      message: `Voyage status updated to ${status}`
-    });
+    const { content, contentType, fileName } = routeExportService.exportVoyage(
+      voyage,
+      format || routeExportService.getFormatForMediaType(mediaType)
+    );
+
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.type(contentType).send(content);
 
   } catch (error) {
-    logger.error('Error updating voyage status:', error);
+    logger.error('Error exporting voyage route:', error);
     next(error);
   }
 };
 
 /**
- * Calculate performance metrics for voyages
+ * Replace the planned route with one planned elsewhere (an RTZ, GPX or GeoJSON
+ * file), recomputing its distance, duration and fuel
+ * PUT /api/v1/voyages/:voyageId/route
  */
-const calculatePerformanceMetrics = async (voyages) => {
-  const completedVoyages = voyages.filter(v => v.status === 'completed' && v.actualRoute);
-  
-  if (completedVoyages.length === 0) {
-    return {
-      totalVoyages: voyages.length,
-      completedVoyages: 0,
-      averageAccuracy: null,
-      fuelSavings: null,
-      timeSavings: null
-    };
-  }
+const importVoyageRoute = async (req, res, next) => {
+  try {
+    const { voyageId } = req.params;
+    const content = req.body;
+
+    if (!content || (typeof content === 'object' && Object.keys(content).length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A route file is required as the request body'
+      });
+    }
+
+    const format = req.query.format || routeImportService.detectFormat(content);
+    if (!routeExportService.formats.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unrecognised route file. Must be one of: ${routeExportService.formats.join(', ')}`
+      });
+    }
+
+    const routeMode = req.query.routeMode;
+    if (routeMode !== undefined && !['great-circle', 'rhumb-line'].includes(routeMode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid routeMode. Must be one of: great-circle, rhumb-line'
+      });
+    }
+
+    const imported = routeImportService.parse(content, format);
+    const waypointError = routeImportService.validateWaypoints(imported.waypoints);
+    if (waypointError) {
+      return res.status(400).json({
+        success: false,
+        error: waypointError
+      });
+    }
+
+    const voyage = await Voyage.findOne({ voyageId });
+    if (!voyage) {
+      return res.status(404).json({
+        success: false,
+        error: 'Voyage not found'
+      });
+    }
+
+    if (voyage.status !== 'planned') {
+      return res.status(400).json({
+        success: false,
+        error: 'Routes can only be imported while a voyage is planned'
+      });
+    }
+
+    const endpointError = routeImportService.validateEndpoints(imported.waypoints, voyage.origin, voyage.destination);
+    if (endpointError) {
+      return res.status(400).json({
+        success: false,
+        error: endpointError
+      });
+    }
+
+    const mode = routeMode || imported.routeMode ||
+      (voyage.plannedRoute.routeMode === 'rhumb-line' ? 'rhumb-line' : 'great-circle');
+    const trace = seaPathfinder.traceRoute(imported.waypoints, mode);
+    if (trace.landLeg !== -1) {
+      return res.status(422).json({
+        success: false,
+        error: `Leg ${trace.landLeg + 1} (waypoints ${trace.landLeg + 1} to ${trace.landLeg + 2}) crosses land`
+      });
+    }
+
+    // Ice-covered water is the master's call, not a reason to refuse the route
+    const warnings = trace.iceLegs.map(leg =>
+      `Leg ${leg + 1} (waypoints ${leg + 1} to ${leg + 2}) goes beyond the seasonal polar ice limits`);
+
+    const ship = await Ship.findOne({ shipId: voyage.shipId });
+    if (!ship) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ship not found'
+      });
+    }
+
+    // Time the route with its own ETAs or speeds, else at the planned speed
+    const planningSpeed = Math.min(voyage.aiRecommendations.optimalSpeed || 15, ship.maxSpeed || Infinity);
+    const schedule = routeImportService.scheduleWaypoints(imported.waypoints, mode, voyage.departureTime, planningSpeed);
+    const { waypoints } = schedule;
+    const totalDistance = pathDistance(waypoints, mode);
+    const passages = chokepointService.summarizeTransits(trace.passages, ship);
+    const estimatedDuration = schedule.hours + (schedule.timed ? 0 : passages.totalWaitingHours);
+    const eca = ecaService.splitRoute(waypoints, mode);
+
+    const { start, end } = riskZoneService.getPlanningWindow(voyage.departureTime);
+    const riskZones = await RiskZone.find(riskZoneService.getActiveQuery(start, end)).lean();
+    const risk = riskZoneService.assessRoute(waypoints, riskZones, mode);
+    const loadedDraft = depthService.estimateLoadedDraft(ship, voyage.cargoLoad.weight);
+    const underKeelClearance = voyage.plannedRoute.underKeel && voyage.plannedRoute.underKeel.underKeelClearance !== undefined
+      ? voyage.plannedRoute.underKeel.underKeelClearance
+      : depthService.defaultUnderKeelClearance;
+
+    const averageSpeed = schedule.hours > 0 ? totalDistance / schedule.hours : planningSpeed;
+    const referenceTables = await fuelReferenceService.loadTables();
+    const fuelPrediction = await fuelPredictor.predictFuelConsumption({
+      ship,
+      voyage: {
+        origin: voyage.origin,
+        destination: voyage.destination,
+        cargoLoad: voyage.cargoLoad,
+        weatherForecast: voyage.weatherForecast || [],
+        departureTime: voyage.departureTime
+      },
+      routeData: {
+        totalDistance,
+        optimalSpeed: averageSpeed,
+        passages,
+        eca
+      },
+      referenceTables
+    });
+
+    voyage.plannedRoute.routeMode = mode;
+    voyage.plannedRoute.limitingLatitude = undefined;
+    voyage.plannedRoute.waypoints = waypoints;
+    voyage.plannedRoute.legs = routeOptimizer.generateLegs(waypoints, mode);
+    voyage.plannedRoute.totalDistance = Math.round(totalDistance * 10) / 10;
+    voyage.plannedRoute.estimatedDuration = Math.round(estimatedDuration * 10) / 10;
+    voyage.plannedRoute.passages = passages.transits;
+    voyage.plannedRoute.eca = {
+      minimized: false,
+      ecaDistance: eca.ecaDistance,
+      nonEcaDistance: eca.nonEcaDistance,
+      zones: eca.zones
+    };
+    voyage.plannedRoute.risk = {
+      zones: risk.zones,
+      insuranceCost: risk.insuranceCost
+    };
+    voyage.plannedRoute.underKeel = loadedDraft !== null
+      ? depthService.assessRoute(waypoints, loadedDraft, underKeelClearance, mode)
+      : undefined;
+    voyage.plannedRoute.speedProfile = undefined;
+    voyage.plannedRoute.selectedAlternative = undefined;
+    voyage.plannedRoute.importedFrom = format;
+    voyage.plannedRoute.importedAt = new Date();
+    voyage.estimatedArrival = schedule.timed
+      ? waypoints[waypoints.length - 1].timestamp
+      : new Date(voyage.departureTime.getTime() + estimatedDuration * 60 * 60 * 1000);
+    voyage.aiRecommendations.optimalSpeed = Math.round(averageSpeed * 10) / 10;
+    voyage.fuelPrediction.estimatedConsumption = fuelPrediction.estimatedConsumption;
+    voyage.fuelPrediction.efficiency = fuelPrediction.efficiency;
+    voyage.fuelPrediction.fuelBreakdown = fuelPrediction.fuelBreakdown;
+    voyage.fuelPrediction.referenceVersions = fuelPrediction.referenceVersions;
+    await voyage.save();
+
+    logger.info(`Route imported from ${format} for voyage: ${voyageId}`);
+
+    res.json({
+      success: true,
+      data: voyage,
+      warnings,
+      message: `Route with ${waypoints.length} waypoints imported from ${format.toUpperCase()}`
+    });
+
+  } catch (error) {
+    logger.error('Error importing voyage route:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the vessel's position track, optionally over a time range and thinned out
+ * GET /api/v1/voyages/:voyageId/track
+ */
+const getVoyageTrack = async (req, res, next) => {
+  try {
+    const { voyageId } = req.params;
+    const { from, to } = req.query;
+    const interval = req.query.interval !== undefined ? Number(req.query.interval) : undefined;
+    const maxPoints = req.query.maxPoints !== undefined ? Number(req.query.maxPoints) : undefined;
+
+    if ([from, to].some(time => time !== undefined && Number.isNaN(new Date(time).getTime()))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be valid dates'
+      });
+    }
+
+    if (from !== undefined && to !== undefined && new Date(from) > new Date(to)) {
+      return res.status(400).json({
+        success: false,
+        error: 'from must not be after to'
+      });
+    }
+
+    if (interval !== undefined && !(interval > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'interval must be a positive number of minutes'
+      });
+    }
+
+    if (maxPoints !== undefined && !(Number.isInteger(maxPoints) && maxPoints >= 2)) {
+      return res.status(400).json({
+        success: false,
+        error: 'maxPoints must be a whole number of at least 2'
+      });
+    }
+
+    const voyage = await Voyage.findOne({ voyageId }).lean();
+    if (!voyage) {
+      return res.status(404).json({
+        success: false,
+        error: 'Voyage not found'
+      });
+    }
+
+    const actualRoute = voyage.actualRoute || {};
+    const track = voyageTrackService.getTrack(actualRoute.waypoints, { from, to, interval, maxPoints });
+
+    res.json({
+      success: true,
+      data: {
+        voyageId,
+        status: voyage.status,
+        currentLocation: voyage.currentLocation,
+        totalDistance: actualRoute.totalDistance || 0,
+        ...track
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching voyage track:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update voyage status
+ * PUT /api/v1/voyages/:voyageId/status
+ */
+const updateVoyageStatus = async (req, res, next) => {
+  try {
+    const { voyageId } = req.params;
+    const { status, currentLocation, reason, changedBy } = req.body;
+
+    const validStatuses = voyageStatusService.statuses;
+    if (!validStatuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status. Must be one of: ' + validStatuses.join(', ')
+      });
+    }
+
+    if (voyageStatusService.requiresReason(status) && (typeof reason !== 'string' || !reason.trim())) {
+      return res.status(400).json({
+        success: false,
+        error: `A reason is required to mark a voyage ${status}`
+      });
+    }
+
+    if (currentLocation && !isValidLocation(currentLocation)) {
+      return res.status(400).json({
+        success: false,
+        error: 'currentLocation requires a latitude between -90 and 90 and a longitude between -180 and 180'
+      });
+    }
+
+    const voyage = await Voyage.findOne({ voyageId });
+    if (!voyage) {
+      return res.status(404).json({
+        success: false,
+        error: 'Voyage not found'
+      });
+    }
+
+    const transitionError = voyageStatusService.validateTransition(voyage, status);
+    if (transitionError) {
+      return res.status(409).json({
+        success: false,
+        error: transitionError
+      });
+    }
+
+    const historyEntry = voyageStatusService.createHistoryEntry({
+      from: voyage.status,
+      to: status,
+      reason: reason && reason.trim(),
+      changedBy,
+      location: currentLocation
+    });
+    const updateData = {
+      $set: { status },
+      $push: { statusHistory: historyEntry }
+    };
+    const statusHistory = [...(voyage.statusHistory || []), historyEntry];
+    const stillUnderWay = voyageStatusService.isUnderWay({ status, statusHistory });
+
+    // A delay at sea re-plans the rest of the voyage from the ship's position
+    const delayReason = status === 'delayed' && stillUnderWay ? historyEntry.reason : undefined;
+    const position = currentLocation || (delayReason && voyage.currentLocation);
+    const underWay = voyageStatusService.isUnderWay(voyage) || stillUnderWay;
+    const ship = position && stillUnderWay ? await Ship.findOne({ shipId: voyage.shipId }) : null;
+    let riskZones = [];
+    let referenceTables;
+    if (ship) {
+      const { start, end } = riskZoneService.getPlanningWindow(historyEntry.changedAt);
+      riskZones = await RiskZone.find(riskZoneService.getActiveQuery(start, end)).lean();
+      referenceTables = await fuelReferenceService.loadTables();
+    }
+
+    let alerts = [];
+    if (currentLocation) {
+      const fix = {
+        latitude: currentLocation.latitude,
+        longitude: currentLocation.longitude,
+        timestamp: historyEntry.changedAt
+      };
+      updateData.$set.currentLocation = fix;
+
+      // Positions reported under way, including on sailing and arrival, go on the track
+      if (underWay) {
+        const monitored = await voyageMonitorService.processPosition({
+          voyage,
+          ship,
+          fix,
+          underWay: stillUnderWay,
+          riskZones,
+          referenceTables,
+          delayReason
+        });
+        for (const [operator, fields] of Object.entries(monitored.update)) {
+          updateData[operator] = { ...updateData[operator], ...fields };
+        }
+        alerts = monitored.alerts;
+      }
+    } else if (position) {
+      const revision = await voyageMonitorService.reviewPlan({
+        voyage,
+        ship,
+        position: { latitude: position.latitude, longitude: position.longitude, timestamp: historyEntry.changedAt },
+        riskZones,
+        referenceTables,
+        trigger: voyageReplanner.detectTrigger({ delayReason })
+      });
+      if (revision) {
+        updateData.$push.planRevisions = revision;
+        alerts = [{ type: 'plan-revision', revision }];
+      }
+    }
+
+    // Only apply the change if nobody else moved the voyage on since it was read
+    const updatedVoyage = await Voyage.findOneAndUpdate(
+      { voyageId, status: voyage.status },
+      updateData,
+      { new: true }
+    );
+
+    if (!updatedVoyage) {
+      return res.status(409).json({
+        success: false,
+        error: 'Voyage status changed while updating; reload the voyage and try again'
+      });
+    }
+    voyageMonitorService.sendAlerts(voyage, alerts);
+
+    logger.info(`Voyage ${voyageId} status changed from ${voyage.status} to ${status}`);
+
+    res.json({
+      success: true,
+      data: updatedVoyage,
+      message: `Voyage status updated to ${status}`
+    });
+
+  } catch (error) {
+    logger.error('Error updating voyage status:', error);
+    next(error);
+  }
+};
+
+/**
+ * Select which candidate route becomes the planned route
+ * POST /api/v1/voyages/:voyageId/select-route
+ */
+const selectAlternativeRoute = async (req, res, next) => {
+  try {
+    const { voyageId } = req.params;
+    const { name } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Alternative route name is required'
+      });
+    }
+
+    const voyage = await Voyage.findOne({ voyageId });
+    if (!voyage) {
+      return res.status(404).json({
+        success: false,
+        error: 'Voyage not found'
+      });
+    }
+
+    if (voyage.status !== 'planned') {
+      return res.status(400).json({
+        success: false,
+        error: 'Routes can only be selected while a voyage is planned'
+      });
+    }
+
+    const alternative = voyage.aiRecommendations.alternativeRoutes.find(a => a.name === name);
+    if (!alternative) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alternative route not found'
+      });
+    }
+
+    const ship = await Ship.findOne({ shipId: voyage.shipId });
+    if (!ship) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ship not found'
+      });
+    }
+
+    // Alternatives saved before they recorded a route mode were sailed on great circles
+    const mode = alternative.routeMode || 'great-circle';
+    const loadedDraft = depthService.estimateLoadedDraft(ship, voyage.cargoLoad.weight);
+    const underKeelClearance = voyage.plannedRoute.underKeel && voyage.plannedRoute.underKeel.underKeelClearance !== undefined
+      ? voyage.plannedRoute.underKeel.underKeelClearance
+      : depthService.defaultUnderKeelClearance;
+
+    voyage.plannedRoute.routeMode = mode;
+    voyage.plannedRoute.limitingLatitude = mode === 'composite' ? alternative.limitingLatitude : undefined;
+    voyage.plannedRoute.waypoints = alternative.route;
+    voyage.plannedRoute.legs = alternative.legs;
+    voyage.plannedRoute.totalDistance = alternative.totalDistance;
+    voyage.plannedRoute.estimatedDuration = alternative.estimatedTime;
+    voyage.plannedRoute.passages = alternative.passages;
+    voyage.plannedRoute.eca = {
+      minimized: false,
+      ecaDistance: alternative.eca.ecaDistance,
+      nonEcaDistance: alternative.eca.nonEcaDistance,
+      zones: alternative.eca.zones
+    };
+    voyage.plannedRoute.risk = {
+      zones: alternative.risk.zones,
+      insuranceCost: alternative.risk.insuranceCost
+    };
+    voyage.plannedRoute.underKeel = loadedDraft !== null
+      ? depthService.assessRoute(alternative.route, loadedDraft, underKeelClearance, mode)
+      : undefined;
+    // The speed profile was planned for the previous route; alternatives carry their own speeds
+    voyage.plannedRoute.speedProfile = undefined;
+    voyage.plannedRoute.selectedAlternative = alternative.name;
+    voyage.plannedRoute.importedFrom = undefined;
+    voyage.plannedRoute.importedAt = undefined;
+    voyage.estimatedArrival = new Date(voyage.departureTime.getTime() + alternative.estimatedTime * 60 * 60 * 1000);
+    voyage.fuelPrediction.estimatedConsumption = alternative.estimatedFuel;
+    voyage.fuelPrediction.efficiency = alternative.efficiency;
+    voyage.fuelPrediction.fuelBreakdown = alternative.fuelBreakdown;
+    voyage.fuelPrediction.referenceVersions = alternative.referenceVersions;
+    await voyage.save();
+
+    logger.info(`Alternative route ${name} selected for voyage: ${voyageId}`);
+
+    res.json({
+      success: true,
+      data: voyage,
+      message: `Alternative route ${name} is now the planned route`
+    });
+
+  } catch (error) {
+    logger.error('Error selecting alternative route:', error);
+    next(error);
+  }
+};
+
+/**
+ * Accept or reject a revised plan proposed while the voyage is under way
+ * PUT /api/v1/voyages/:voyageId/revisions/:version
+ */
+const decidePlanRevision = async (req, res, next) => {
+  try {
+    const { voyageId } = req.params;
+    const version = Number(req.params.version);
+    const { status, decidedBy, note } = req.body;
+
+    if (!['accepted', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status. Must be one of: accepted, rejected'
+      });
+    }
+
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Plan version must be a positive integer'
+      });
+    }
+
+    const voyage = await Voyage.findOne({ voyageId });
+    if (!voyage) {
+      return res.status(404).json({
+        success: false,
+        error: 'Voyage not found'
+      });
+    }
+
+    const revision = (voyage.planRevisions || []).find(candidate => candidate.version === version);
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Plan revision not found'
+      });
+    }
+
+    if (revision.status !== 'proposed') {
+      return res.status(409).json({
+        success: false,
+        error: `Plan revision ${version} has already been ${revision.status}`
+      });
+    }
+
+    const currentVersion = voyage.planVersion || 1;
+    if (status === 'accepted' && revision.basedOnVersion !== currentVersion) {
+      return res.status(409).json({
+        success: false,
+        error: `Plan revision ${version} was proposed against version ${revision.basedOnVersion}, but the plan is now at version ${currentVersion}`
+      });
+    }
+
+    if (status === 'accepted' && !voyageStatusService.isUnderWay(voyage)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Revised plans can only be accepted while the voyage is under way'
+      });
+    }
+
+    const decidedAt = new Date();
+    revision.status = status;
+    revision.decidedAt = decidedAt;
+    revision.decidedBy = decidedBy;
+    revision.note = note;
+
+    if (status === 'accepted') {
+      // Keep the plan being replaced for audit
+      const portCalls = voyage.portCalls || [];
+      voyage.planHistory.push({
+        version: currentVersion,
+        plannedRoute: voyage.plannedRoute.toObject(),
+        estimatedArrival: voyage.estimatedArrival,
+        portCalls: portCalls.map(call => ({
+          name: call.name,
+          plannedArrival: call.plannedArrival,
+          plannedDeparture: call.plannedDeparture
+        })),
+        replacedAt: decidedAt,
+        replacedByVersion: version
+      });
+
+      // The revision re-planned the port calls still ahead, which are the last ones
+      const firstRemaining = portCalls.length - revision.portCalls.length;
+      revision.portCalls.forEach((call, i) => {
+        portCalls[firstRemaining + i].plannedArrival = call.plannedArrival;
+        portCalls[firstRemaining + i].plannedDeparture = call.plannedDeparture;
+      });
+
+      voyage.plannedRoute = revision.plannedRoute.toObject();
+      voyage.estimatedArrival = revision.estimatedArrival;
+      voyage.planVersion = version;
+      if (voyage.liveEta) {
+        voyage.liveEta.referenceEta = revision.estimatedArrival;
+      }
+
+      // The ship is back on its plan
+      const open = (voyage.deviations || []).find(event => !event.endedAt);
+      if (open) {
+        open.endedAt = decidedAt;
+        open.endPosition = revision.position;
+      }
+
+      voyage.planRevisions
+        .filter(candidate => candidate.status === 'proposed')
+        .forEach(candidate => { candidate.status = 'superseded'; });
+    }
+
+    await voyage.save();
+
+    logger.info(`Plan revision ${version} ${status} for voyage: ${voyageId}`);
+
+    res.json({
+      success: true,
+      data: voyage,
+      message: `Plan revision ${version} ${status}`
+    });
+
+  } catch (error) {
+    logger.error('Error deciding plan revision:', error);
+    next(error);
+  }
+};
+
+/**
+ * Distance, timing, cargo and fuel of one leg between consecutive ports
+ */
+const summarizeVoyageLeg = leg => ({
+  sequence: leg.sequence,
+  from: leg.from.name,
+  to: leg.to.name,
+  departureTime: leg.departureTime,
+  arrivalTime: leg.arrivalTime,
+  distance: leg.route.totalDistance,
+  estimatedDuration: leg.route.estimatedTime,
+  cargoWeight: leg.cargoWeight,
+  estimatedFuel: leg.fuel.estimatedConsumption,
+  ecaFuel: (leg.fuel.fuelBreakdown || [])
+    .filter(segment => segment.area === 'eca' && segment.fuelType === ecaService.ecaFuelType)
+    .reduce((sum, segment) => sum + segment.consumption, 0),
+  fuelCost: leg.fuel.costEstimate,
+  emissions: leg.fuel.emissionsEstimate
+});
+
+/**
+ * Run candidate routes through the fuel predictor and rank them by total voyage
+ * cost: time at the hourly cost plus fuel, canal fees and risk zone insurance
+ * premiums. Equal costs go to the route with the lower weather risk.
+ */
+const rankAlternativeRoutes = async (alternatives, { ship, voyage, hourlyCost, referenceTables }) => {
+  const priced = [];
+
+  for (const alternative of alternatives) {
+    const prediction = await fuelPredictor.predictFuelConsumption({
+      ship,
+      voyage,
+      routeData: {
+        totalDistance: alternative.totalDistance,
+        optimalSpeed: alternative.averageSpeed,
+        passages: alternative.passages,
+        eca: alternative.eca
+      },
+      referenceTables
+    });
+    const totalCost = hourlyCost * alternative.estimatedTime +
+      prediction.costEstimate +
+      alternative.passages.totalTransitCost +
+      alternative.risk.insuranceCost;
+
+    priced.push({
+      ...alternative,
+      estimatedFuel: prediction.estimatedConsumption,
+      fuelCost: prediction.costEstimate,
+      efficiency: prediction.efficiency,
+      emissions: prediction.emissionsEstimate,
+      fuelBreakdown: prediction.fuelBreakdown,
+      referenceVersions: prediction.referenceVersions,
+      totalCost: Math.round(totalCost * 100) / 100
+    });
+  }
+
+  return priced
+    // A direct route into unsafe seas ranks after every safe one, whatever it costs
+    .sort((a, b) => Number(b.safe) - Number(a.safe) || a.totalCost - b.totalCost || a.riskFactor - b.riskFactor)
+    .map((alternative, i) => ({ rank: i + 1, ...alternative }));
+};
+
+/**
+ * Calculate performance metrics for voyages
+ */
+const calculatePerformanceMetrics = async (voyages) => {
+  const completedVoyages = voyages.filter(v => v.status === 'completed' && v.actualRoute);
+  
+  if (completedVoyages.length === 0) {
+    return {
+      totalVoyages: voyages.length,
+      completedVoyages: 0,
+      averageAccuracy: null,
+      fuelSavings: null,
+      timeSavings: null
+    };
+  }
 
   let totalFuelAccuracy = 0;
   let totalTimeAccuracy = 0;
@@ -457,10 +1642,50 @@ const calculatePerformanceMetrics = async (voyages) => {
   };
 };
 
+/**
+ * Helper function to get a ship's fuel remaining on board per fuel type,
+ * totalled in the database, or null when no bunker deliveries are recorded
+ */
+const getShipRob = async (shipId) => {
+  const deliveryTotals = await BunkerDelivery.aggregate(bunkerService.getDeliveryTotalsPipeline(shipId));
+  if (deliveryTotals.length === 0) return null;
+
+  const consumptionTotals = await FuelLog.aggregate(bunkerService.getConsumptionTotalsPipeline(shipId, deliveryTotals));
+  return bunkerService.getRob(deliveryTotals, consumptionTotals);
+};
+
+/**
+ * Whether a reported position has a valid latitude and longitude
+ */
+const isValidLocation = location => typeof location.latitude === 'number' &&
+  typeof location.longitude === 'number' &&
+  Math.abs(location.latitude) <= 90 &&
+  Math.abs(location.longitude) <= 180;
+
+/**
+ * Helper function to check the coordinates of the ports a route is planned
+ * between, by field name; returns an error message or null when they are valid
+ */
+const validateEndpoints = (endpoints) => {
+  for (const [label, port] of Object.entries(endpoints)) {
+    if (!port || !port.coordinates || !isValidLocation(port.coordinates)) {
+      return `${label}.coordinates requires a latitude between -90 and 90 and a longitude between -180 and 180`;
+    }
+  }
+  return null;
+};
+
 module.exports = {
   planVoyage,
+  optimizePortSequence,
+  getSpeedCurve,
   getPlanHistory,
   submitFeedback,
   getVoyageById,
-  updateVoyageStatus
+  exportVoyageRoute,
+  importVoyageRoute,
+  getVoyageTrack,
+  updateVoyageStatus,
+  selectAlternativeRoute,
+  decidePlanRevision
 };
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const { fuelTypes } = require('../services/fuelLogService');
+
+function isFromBdn() {
+  return this.source !== 'noon-report';
+}
+
+const bunkerDeliverySchema = new mongoose.Schema({
+  shipId: {
+    type: String,
+    required: true,
+    ref: 'Ship'
+  },
+  voyageId: {
+    type: String,
+    ref: 'Voyage'
+  },
+  // Deliveries are recorded from their Bunker Delivery Note, or from the fuel
+  // a noon report received when no note has been recorded for it
+  source: {
+    type: String,
+    enum: ['bdn', 'noon-report'],
+    default: 'bdn'
+  },
+  noonReportId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NoonReport'
+  },
+  // The BDN delivery recorded later for the same bunkering as a noon report;
+  // the ROB counts the fuel once, from the BDN
+  supersededBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BunkerDelivery'
+  },
+  // Bunker Delivery Note number from the supplier
+  bdnNumber: {
+    type: String,
+    required: isFromBdn,
+    trim: true
+  },
+  deliveredAt: {
+    type: Date,
+    required: true
+  },
+  port: {
+    name: {
+      type: String,
+      required: isFromBdn
+    },
+    coordinates: {
+      latitude: {
+        type: Number,
+        min: -90,
+        max: 90
+      },
+      longitude: {
+        type: Number,
+        min: -180,
+        max: 180
+      }
+    }
+  },
+  supplier: {
+    type: String,
+    required: isFromBdn
+  },
+  fuelType: {
+    type: String,
+    required: true,
+    enum: fuelTypes
+  },
+  // Tonnes received
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // kg/m³ at 15°C, as stated on the BDN
+  density: {
+    type: Number,
+    min: 0
+  },
+  // % m/m
+  sulphurContent: {
+    type: Number,
+    min: 0,
+    max: 5
+  },
+  price: {
+    pricePerTon: {
+      type: Number,
+      min: 0
+    },
+    currency: {
+      type: String,
+      default: 'USD'
+    }
+  },
+  remarks: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+bunkerDeliverySchema.index({ shipId: 1, deliveredAt: 1 });
+bunkerDeliverySchema.index({ supplier: 1, bdnNumber: 1 }, {
+  unique: true,
+  partialFilterExpression: { bdnNumber: { $exists: true } }
+});
+bunkerDeliverySchema.index({ noonReportId: 1 });
+
+module.exports = mongoose.model('BunkerDelivery', bunkerDeliverySchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const { fuelTypes } = require('../services/fuelLogService');
+
+const bunkerPriceSchema = new mongoose.Schema({
+  // Port name or UN/LOCODE, matched against voyage ports and port calls
+  port: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  fuelType: {
+    type: String,
+    required: true,
+    enum: fuelTypes
+  },
+  pricePerTon: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  supplier: String,
+  validFrom: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  validTo: {
+    type: Date
+  },
+  source: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+bunkerPriceSchema.index({ port: 1, fuelType: 1, validFrom: -1 });
+
+module.exports = mongoose.model('BunkerPrice', bunkerPriceSchema);
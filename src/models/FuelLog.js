@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { fuelTypes, engines, units } = require('../services/fuelLogService');
 
 const fuelLogSchema = new mongoose.Schema({
   shipId: {
@@ -18,7 +19,20 @@ const fuelLogSchema = new mongoose.Schema({
   fuelType: {
     type: String,
     required: true,
-    enum: ['diesel', 'heavy-fuel-oil', 'marine-gas-oil', 'lng', 'methanol']
+    enum: fuelTypes
+  },
+  engine: {
+    type: String,
+    enum: engines
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'noon-report'],
+    default: 'manual'
+  },
+  noonReportId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NoonReport'
   },
   consumption: {
     amount: {
@@ -29,7 +43,7 @@ const fuelLogSchema = new mongoose.Schema({
     unit: {
       type: String,
       default: 'liters',
-      enum: ['liters', 'gallons', 'tons']
+      enum: units
     }
   },
   efficiency: {
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { fuelTypes } = require('../services/fuelLogService');
+const { tables } = require('../services/fuelReferenceService');
+
+// One saved version of a reference table; versions are never edited, a new
+// one is saved instead and the latest is in force
+const fuelReferenceTableSchema = new mongoose.Schema({
+  table: {
+    type: String,
+    required: true,
+    enum: tables
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Fuel price entries: at a port, in a region, or everywhere when neither is set
+  prices: [{
+    fuelType: {
+      type: String,
+      required: true,
+      enum: fuelTypes
+    },
+    port: String,
+    region: {
+      name: String,
+      south: Number,
+      north: Number,
+      west: Number,
+      east: Number
+    },
+    pricePerTon: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    effectiveFrom: Date,
+    _id: false
+  }],
+  emissionFactors: [{
+    fuelType: {
+      type: String,
+      required: true,
+      enum: fuelTypes
+    },
+    // Tonnes of CO2 per tonne of fuel burned
+    co2Factor: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    source: String,
+    _id: false
+  }],
+  note: String,
+  createdBy: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+fuelReferenceTableSchema.index({ table: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('FuelReferenceTable', fuelReferenceTableSchema);
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const { fuelTypes, engines } = require('../services/fuelLogService');
+
+const noonReportSchema = new mongoose.Schema({
+  voyageId: {
+    type: String,
+    required: true,
+    ref: 'Voyage'
+  },
+  shipId: {
+    type: String,
+    required: true,
+    ref: 'Ship'
+  },
+  reportedAt: {
+    type: Date,
+    required: true
+  },
+  position: {
+    latitude: {
+      type: Number,
+      required: true,
+      min: -90,
+      max: 90
+    },
+    longitude: {
+      type: Number,
+      required: true,
+      min: -180,
+      max: 180
+    }
+  },
+  // Since the previous report
+  distanceRun: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  steamingHours: {
+    type: Number,
+    min: 0
+  },
+  speed: {
+    type: Number,
+    min: 0
+  },
+  consumption: [{
+    engine: {
+      type: String,
+      required: true,
+      enum: engines
+    },
+    fuelType: {
+      type: String,
+      required: true,
+      enum: fuelTypes
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  // Remaining on board at the time of the report, tonnes per fuel type
+  rob: [{
+    fuelType: {
+      type: String,
+      required: true,
+      enum: fuelTypes
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  // Received since the previous report
+  bunkered: [{
+    fuelType: {
+      type: String,
+      required: true,
+      enum: fuelTypes
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  weather: {
+    windDirection: {
+      type: Number,
+      min: 0,
+      max: 360
+    },
+    windForce: {
+      type: Number,
+      min: 0,
+      max: 12
+    },
+    seaState: {
+      type: Number,
+      min: 0,
+      max: 9
+    },
+    swellHeight: {
+      type: Number,
+      min: 0
+    },
+    swellDirection: {
+      type: Number,
+      min: 0,
+      max: 360
+    }
+  },
+  remarks: String,
+  submittedBy: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+noonReportSchema.index({ voyageId: 1, reportedAt: 1 }, { unique: true });
+noonReportSchema.index({ shipId: 1, reportedAt: -1 });
+
+module.exports = mongoose.model('NoonReport', noonReportSchema);
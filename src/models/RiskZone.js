@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { zoneTypes, severities } = require('../services/riskZoneService');
+
+const riskZoneSchema = new mongoose.Schema({
+  zoneId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: zoneTypes
+  },
+  // Exclusion zones are closed to routes; the others are avoided in proportion to their severity
+  severity: {
+    type: String,
+    required: true,
+    enum: severities,
+    default: 'medium'
+  },
+  polygon: {
+    type: [{
+      latitude: {
+        type: Number,
+        required: true,
+        min: -90,
+        max: 90
+      },
+      longitude: {
+        type: Number,
+        required: true,
+        min: -180,
+        max: 180
+      }
+    }],
+    validate: {
+      validator: polygon => polygon.length >= 3,
+      message: 'A zone polygon needs at least 3 points'
+    }
+  },
+  validFrom: {
+    type: Date
+  },
+  validTo: {
+    type: Date
+  },
+  // Additional war-risk insurance premium charged per transit of the zone
+  insurancePremium: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  description: String,
+  source: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+riskZoneSchema.index({ type: 1, severity: 1 });
+riskZoneSchema.index({ validFrom: 1, validTo: 1 });
+
+module.exports = mongoose.model('RiskZone', riskZoneSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { shipTypes } = require('../services/ciiService');
 
 const shipSchema = new mongoose.Schema({
   shipId: {
@@ -12,6 +13,11 @@ const shipSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Ship type the IMO Carbon Intensity Indicator is rated by
+  shipType: {
+    type: String,
+    enum: shipTypes
+  },
   engineType: {
     type: String,
     required: true,
@@ -28,6 +34,10 @@ const shipSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  minSpeed: {
+    type: Number,
+    min: 0
+  },
   fuelTankCapacity: {
     type: Number,
     required: true,
@@ -1,5 +1,86 @@
 const mongoose = require('mongoose');
 
+// Shape of a planned route, shared by the current plan, proposed revisions and superseded plans
+const plannedRouteDefinition = () => ({
+  routeMode: {
+    type: String,
+    enum: ['great-circle', 'rhumb-line', 'composite'],
+    default: 'great-circle'
+  },
+  limitingLatitude: Number,
+  waypoints: [{
+    latitude: Number,
+    longitude: Number,
+    name: String,
+    timestamp: Date,
+    speed: Number
+  }],
+  legs: [{
+    from: { latitude: Number, longitude: Number },
+    to: { latitude: Number, longitude: Number },
+    course: Number,
+    distance: Number
+  }],
+  totalDistance: Number,
+  estimatedDuration: Number,
+  selectedAlternative: String,
+  importedFrom: {
+    type: String,
+    enum: ['geojson', 'gpx', 'rtz']
+  },
+  importedAt: Date,
+  passages: [{
+    id: String,
+    name: String,
+    type: { type: String },
+    fee: Number,
+    waitingHours: Number
+  }],
+  eca: {
+    minimized: Boolean,
+    ecaDistance: Number,
+    nonEcaDistance: Number,
+    zones: [{
+      id: String,
+      name: String,
+      distance: Number
+    }]
+  },
+  risk: {
+    zones: [{
+      zoneId: String,
+      name: String,
+      type: { type: String },
+      severity: String,
+      distance: Number,
+      insurancePremium: Number
+    }],
+    insuranceCost: Number
+  },
+  underKeel: {
+    loadedDraft: Number,
+    underKeelClearance: Number,
+    requiredDepth: Number,
+    leastDepth: Number,
+    leastDepthArea: String,
+    leastClearance: Number
+  },
+  crossTrackLimit: Number,
+  speedProfile: {
+    requiredArrival: Date,
+    speedThroughWater: Number,
+    minSpeed: Number,
+    maxSpeed: Number,
+    sailingHours: Number,
+    waitingHours: Number,
+    idleHours: Number,
+    delayHours: Number,
+    feasible: Boolean,
+    totalHours: Number,
+    estimatedFuel: Number
+  }
+});
+
 const voyageSchema = new mongoose.Schema({
   voyageId: {
     type: String,
@@ -71,6 +152,59 @@ const voyageSchema = new mongoose.Schema({
     },
     value: Number
   },
+  portCalls: [{
+    sequence: Number,
+    name: {
+      type: String,
+      required: true
+    },
+    port: String,
+    coordinates: {
+      latitude: {
+        type: Number,
+        required: true,
+        min: -90,
+        max: 90
+      },
+      longitude: {
+        type: Number,
+        required: true,
+        min: -180,
+        max: 180
+      }
+    },
+    requiredArrival: Date,
+    plannedArrival: Date,
+    plannedDeparture: Date,
+    actualArrival: Date,
+    actualDeparture: Date,
+    berthHours: Number,
+    cargoLoaded: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    cargoDischarged: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  }],
+  voyageLegs: [{
+    sequence: Number,
+    from: String,
+    to: String,
+    departureTime: Date,
+    arrivalTime: Date,
+    distance: Number,
+    estimatedDuration: Number,
+    cargoWeight: Number,
+    estimatedFuel: Number,
+    // Compliant fuel burned inside Emission Control Areas, part of estimatedFuel
+    ecaFuel: Number,
+    fuelCost: Number,
+    emissions: Number
+  }],
   weatherForecast: [{
     timestamp: Date,
     conditions: String,
@@ -79,22 +213,14 @@ const voyageSchema = new mongoose.Schema({
     temperature: Number,
     visibility: Number
   }],
-  plannedRoute: {
-    waypoints: [{
-      latitude: Number,
-      longitude: Number,
-      timestamp: Date,
-      speed: Number
-    }],
-    totalDistance: Number,
-    estimatedDuration: Number
-  },
+  plannedRoute: plannedRouteDefinition(),
   actualRoute: {
     waypoints: [{
       latitude: Number,
       longitude: Number,
       timestamp: Date,
-      speed: Number
+      speed: Number,
+      crossTrack: Number
     }],
     totalDistance: Number,
     actualDuration: Number
@@ -102,7 +228,23 @@ const voyageSchema = new mongoose.Schema({
   fuelPrediction: {
     estimatedConsumption: Number,
     actualConsumption: Number,
-    efficiency: Number
+    efficiency: Number,
+    fuelBreakdown: [{
+      area: {
+        type: String,
+        enum: ['eca', 'outside-eca']
+      },
+      distance: Number,
+      fuelType: String,
+      consumption: Number,
+      cost: Number,
+      emissions: Number
+    }],
+    // Versions of the fuel price and emission factor tables the prediction used
+    referenceVersions: {
+      fuelPrices: Number,
+      emissionFactors: Number
+    }
   },
   optimizationMetrics: {
     routeEfficiency: Number,
@@ -115,13 +257,213 @@ const voyageSchema = new mongoose.Schema({
     enum: ['planned', 'in-progress', 'completed', 'cancelled', 'delayed'],
     default: 'planned'
   },
+  statusHistory: [{
+    from: String,
+    to: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    changedBy: String,
+    reason: String,
+    location: {
+      latitude: Number,
+      longitude: Number
+    }
+  }],
+  currentLocation: {
+    latitude: {
+      type: Number,
+      min: -90,
+      max: 90
+    },
+    longitude: {
+      type: Number,
+      min: -180,
+      max: 180
+    },
+    timestamp: Date
+  },
+  planVersion: {
+    type: Number,
+    default: 1
+  },
+  planRevisions: [{
+    version: Number,
+    basedOnVersion: Number,
+    status: {
+      type: String,
+      enum: ['proposed', 'accepted', 'rejected', 'superseded'],
+      default: 'proposed'
+    },
+    trigger: {
+      type: {
+        type: String,
+        enum: ['deviation', 'delay', 'weather']
+      },
+      reason: String
+    },
+    proposedAt: Date,
+    position: {
+      latitude: Number,
+      longitude: Number
+    },
+    plannedRoute: plannedRouteDefinition(),
+    estimatedArrival: Date,
+    arrivalChange: Number,
+    estimatedFuel: Number,
+    portCalls: [{
+      name: String,
+      plannedArrival: Date,
+      plannedDeparture: Date
+    }],
+    decidedAt: Date,
+    decidedBy: String,
+    note: String
+  }],
+  planHistory: [{
+    version: Number,
+    plannedRoute: plannedRouteDefinition(),
+    estimatedArrival: Date,
+    portCalls: [{
+      name: String,
+      plannedArrival: Date,
+      plannedDeparture: Date
+    }],
+    replacedAt: Date,
+    replacedByVersion: Number
+  }],
+  deviations: [{
+    startedAt: Date,
+    endedAt: Date,
+    legIndex: Number,
+    side: {
+      type: String,
+      enum: ['port', 'starboard']
+    },
+    maxCrossTrack: Number,
+    crossTrackLimit: Number,
+    startPosition: {
+      latitude: Number,
+      longitude: Number
+    },
+    endPosition: {
+      latitude: Number,
+      longitude: Number
+    }
+  }],
+  routeAdherence: {
+    crossTrackLimit: Number,
+    fixes: Number,
+    meanCrossTrack: Number,
+    maxCrossTrack: Number,
+    withinCorridor: Number,
+    deviationCount: Number,
+    deviationHours: Number
+  },
+  liveEta: {
+    eta: Date,
+    earliest: Date,
+    latest: Date,
+    confidenceHours: Number,
+    remainingDistance: Number,
+    remainingHours: Number,
+    waitingHours: Number,
+    speedOverGround: Number,
+    speedThroughWater: Number,
+    basis: {
+      type: String,
+      enum: ['recent-track', 'planned-speed']
+    },
+    weatherAhead: {
+      severity: Number,
+      hoursAhead: Number,
+      position: {
+        latitude: Number,
+        longitude: Number
+      }
+    },
+    position: {
+      latitude: Number,
+      longitude: Number
+    },
+    calculatedAt: Date,
+    change: Number,
+    referenceEta: Date
+  },
   aiRecommendations: {
     optimalSpeed: Number,
     alternativeRoutes: [{
-      route: [{ latitude: Number, longitude: Number }],
+      name: String,
+      objective: String,
+      rank: Number,
+      routeMode: {
+        type: String,
+        enum: ['great-circle', 'rhumb-line', 'composite']
+      },
+      limitingLatitude: Number,
+      route: [{
+        latitude: Number,
+        longitude: Number,
+        timestamp: Date,
+        speed: Number
+      }],
+      legs: [{
+        from: { latitude: Number, longitude: Number },
+        to: { latitude: Number, longitude: Number },
+        course: Number,
+        distance: Number
+      }],
+      totalDistance: Number,
       estimatedTime: Number,
       estimatedFuel: Number,
-      riskFactor: Number
+      estimatedCost: Number,
+      efficiency: Number,
+      emissions: Number,
+      referenceVersions: {
+        fuelPrices: Number,
+        emissionFactors: Number
+      },
+      fuelBreakdown: [{
+        area: {
+          type: String,
+          enum: ['eca', 'outside-eca']
+        },
+        distance: Number,
+        fuelType: String,
+        consumption: Number,
+        cost: Number,
+        emissions: Number
+      }],
+      eca: {
+        ecaDistance: Number,
+        nonEcaDistance: Number,
+        zones: [{
+          id: String,
+          name: String,
+          distance: Number
+        }]
+      },
+      risk: {
+        zones: [{
+          zoneId: String,
+          name: String,
+          type: { type: String },
+          severity: String,
+          distance: Number,
+          insurancePremium: Number
+        }],
+        insuranceCost: Number
+      },
+      riskFactor: Number,
+      safe: Boolean,
+      passages: [{
+        id: String,
+        name: String,
+        type: { type: String },
+        fee: Number,
+        waitingHours: Number
+      }]
     }],
     weatherAlerts: [String],
     maintenanceFlags: [String]
@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+  createBunkerPrices,
+  getBunkerPrices,
+  deleteBunkerPrice
+} = require('../controllers/bunkerController');
+
+const router = express.Router();
+
+// @route   POST /api/v1/bunker-prices
+// @desc    Upload port bunker prices
+// @access  Public
+router.post('/', createBunkerPrices);
+
+// @route   GET /api/v1/bunker-prices
+// @desc    Get bunker prices with optional filtering
+// @access  Public
+router.get('/', getBunkerPrices);
+
+// @route   DELETE /api/v1/bunker-prices/:id
+// @desc    Delete a bunker price
+// @access  Public
+router.delete('/:id', deleteBunkerPrice);
+
+module.exports = router;
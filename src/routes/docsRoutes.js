@@ -32,7 +32,7 @@ router.get('/', (req, res) => {
           planVoyage: {
             path: '/plan-voyage',
             method: 'POST',
-            description: 'Plan an optimized voyage using AI',
+            description: 'Plan an optimized voyage using AI. Routes pass through canals and straits as mandatory nodes, avoiding any the ship is too large for, and the response lists the passages with their transit costs. Routes stay out of exclusion zones in force during the voyage, avoid other risk zones by severity, and the response lists the zones still crossed with their insurance premiums',
             requestBody: {
               shipId: 'SHIP-001',
               origin: {
@@ -47,14 +47,63 @@ router.get('/', (req, res) => {
               cargoLoad: {
                 weight: 15000,
                 type: 'containers'
+              },
+              portCalls: '[{ name, coordinates: { latitude, longitude }, port?, berthHours? (default 24), cargoLoaded?, cargoDischarged?, requiredArrival? }] (optional, intermediate calls in visiting order; alternative routes are only offered for direct voyages)',
+              requiredArrival: 'ISO date (optional): berth window at the destination; the speed is planned to arrive just in time with the least fuel, between the ship minSpeed (default 8 knots) and maxSpeed',
+              routeMode: 'great-circle|rhumb-line|composite (optional, default: great-circle)',
+              limitingLatitude: 'number (required for composite routes, e.g. 45)',
+              minimizeEcaDistance: 'boolean (optional, default: false): trade extra distance for fewer miles inside Emission Control Areas',
+              underKeelClearance: 'number (optional, default: 2): metres of water to keep under the keel; ports and shallow waters with less than the loaded draft plus this margin are avoided, and no feasible route gives a 422 error',
+              crossTrackLimit: 'number (optional, default: CROSS_TRACK_LIMIT_NM or 5): nautical miles either side of the planned route the ship may stray before a deviation is raised',
+              reserveMargin: 'number (optional, default: BUNKER_RESERVE_MARGIN or 0.1): share of the predicted fuel kept in reserve; a ROB short of the fuel plus reserve of any grade, or a leg whose fuel plus reserve exceeds fuelTankCapacity gives a 422 error',
+              weatherRouting: {
+                objective: 'time|fuel|risk|weighted (optional, adds a weighted candidate when set to weighted)',
+                weights: '{ time: USD per hour, fuel: USD per tonne (default: the reference fuel price at the origin) } (optional, weighted objective)',
+                forecast: 'gridded wind/wave forecast (optional, a mock forecast is used when omitted): { startTime, intervalHours, resolution, north, west, rows, cols, steps: [{ windSpeed, waveHeight, windDirection?, waveDirection? }] } with row-major arrays from the north-west corner'
               }
             }
           },
           
+          optimizePortSequence: {
+            path: '/optimize-sequence',
+            method: 'POST',
+            description: 'Find the best order to call at a set of ports, with optional time windows',
+            requestBody: {
+              shipId: 'string',
+              origin: '{ name, coordinates: { latitude, longitude } }',
+              destination: '{ name, coordinates } (optional, the rotation ends at the last port when omitted)',
+              ports: '[{ name, coordinates, berthHours?, cargoLoaded?, cargoDischarged?, timeWindow?: { earliest?, latest? } }] (up to 12)',
+              departureTime: 'ISO date string',
+              cargoLoad: '{ weight, type } (optional, cargo aboard on departure)',
+              speed: 'number (optional, knots, default: 15 capped at the ship maxSpeed)',
+              distanceMethod: 'sea|great-circle (optional, default: sea)',
+              objective: 'distance|time (optional, default: distance)'
+            },
+            response: 'orderedPorts, schedule (ETA/ETD, waiting and cargo aboard per call), legs, totalDistance, totalHours, estimatedFuel, fuelCost, transitCost, totalCost, emissions'
+          },
+
+          getSpeedCurve: {
+            path: '/speed-curve',
+            method: 'POST',
+            description: 'Trade transit time against fuel and charter hire over a range of speeds on the sea route between two ports, and find the economical speed',
+            requestBody: {
+              shipId: 'string',
+              origin: '{ name, coordinates: { latitude, longitude } }',
+              destination: '{ name, coordinates: { latitude, longitude } }',
+              cargoLoad: '{ weight, type } (optional, cargo aboard)',
+              dailyHireRate: 'number: charter hire in USD per day',
+              bunkerPrice: 'number (optional, USD per tonne; default: the fuel predictor price for the ship)',
+              minSpeed: 'number (optional, knots, default: the ship minSpeed or 8)',
+              maxSpeed: 'number (optional, knots, default and at most: the ship maxSpeed)',
+              speedStep: 'number (optional, knots, default: 0.5; at most 200 speeds)'
+            },
+            response: 'distance, waitingHours, transitFees, passages, minSpeed, maxSpeed, dailyHireRate, bunkerPrice, referenceVersions, curve: [{ speed, transitHours, transitDays, fuel, fuelCost, co2, hireCost, totalCost }], optimal (the same for the economical speed)'
+          },
+
           getPlanHistory: {
             path: '/plan-history',
             method: 'GET',
-            description: 'Get voyage planning history',
+            description: 'Get voyage planning history, with how closely each voyage followed its planned route (routeAdherence)',
             queryParams: {
               shipId: 'string (optional)',
               status: 'string (optional): planned|in-progress|completed|cancelled',
@@ -66,7 +115,7 @@ router.get('/', (req, res) => {
           submitFeedback: {
             path: '/feedback',
             method: 'POST',
-            description: 'Submit voyage feedback for AI model improvement',
+            description: 'Submit voyage feedback for AI model improvement; completes the voyage and returns its routeAdherence: mean and greatest cross-track distance, share of fixes inside the corridor and deviations',
             requestBody: {
               voyageId: 'string',
               actualRoute: 'object',
@@ -79,16 +128,113 @@ router.get('/', (req, res) => {
           getVoyageById: {
             path: '/:voyageId',
             method: 'GET',
-            description: 'Get specific voyage details'
+            description: 'Get specific voyage details, including the live ETA (liveEta) of a voyage under way and the fuel consumed on it so far (fuelConsumption)'
+          },
+
+          exportVoyageRoute: {
+            path: '/:voyageId/route',
+            method: 'GET',
+            description: 'Export the planned and actual routes with waypoint names, speeds and ETAs. GeoJSON has a line per route and a point per planned waypoint; GPX has the planned route as a route and the actual route as a track; RTZ (IEC 61174, for ECDIS) has the planned route with leg speeds and a schedule',
+            queryParams: {
+              format: 'geojson|gpx|rtz (optional, overrides the Accept header)'
+            },
+            headers: {
+              Accept: 'application/geo+json|application/json|application/gpx+xml|application/rtz+xml (optional, default: GeoJSON; anything else gives 406)'
+            }
+          },
+
+          importVoyageRoute: {
+            path: '/:voyageId/route',
+            method: 'PUT',
+            description: 'Replace the planned route of a planned voyage with a route file planned elsewhere (e.g. in ECDIS), of up to 2 MB and 5000 waypoints (a larger file gives 413). Waypoints must have valid coordinates and ETAs in order, and run from within 60 nm of the origin to within 60 nm of the destination; a leg crossing land gives 422, and legs beyond the seasonal polar ice limits are listed in warnings. Distance, duration, passages, ECA split, risk zones, under-keel clearance and the fuel prediction are recomputed; waypoints keep the file ETAs when every waypoint has one, else are timed from departureTime at the file speeds or the planned speed',
+            requestBody: 'RTZ or GPX document (Content-Type application/xml, text/xml, application/rtz+xml or application/gpx+xml) or GeoJSON LineString (application/json or application/geo+json)',
+            queryParams: {
+              format: 'geojson|gpx|rtz (optional, detected from the file when omitted)',
+              routeMode: 'great-circle|rhumb-line (optional; default: from the RTZ leg geometry, else the voyage routeMode)'
+            }
           },
           
+          getVoyageTrack: {
+            path: '/:voyageId/track',
+            method: 'GET',
+            description: 'Vessel position track in time order, built from ship location and voyage status updates while under way',
+            queryParams: {
+              from: 'ISO date (optional): first fix time',
+              to: 'ISO date (optional): last fix time',
+              interval: 'number (optional): keep at most one fix per this many minutes',
+              maxPoints: 'number (optional): keep at most this many fixes, evenly spread'
+            }
+          },
+
+          createNoonReport: {
+            path: '/:voyageId/noon-reports',
+            method: 'POST',
+            description: 'Submit a noon report for a voyage that has sailed. Reports must arrive in time order (else 409) and agree with the previous one: the distance run must cover the distance between their positions, the average speed must be within the ship\'s maximum and each fuel\'s ROB must equal the previous ROB less the fuel consumed plus any received. The consumption is logged as fuel log entries and added to the voyage\'s fuelPrediction.actualConsumption, and the position goes on its track',
+            requestBody: {
+              reportedAt: 'ISO date',
+              position: 'object: { latitude, longitude }',
+              distanceRun: 'number: nautical miles since the previous report',
+              steamingHours: 'number (optional)',
+              speed: 'number (optional): average speed in knots, else derived from the previous report',
+              consumption: 'array: [{ engine: main-engine|auxiliary-engine|boiler, fuelType, amount (tonnes) }]',
+              rob: 'array (optional): [{ fuelType, amount (tonnes) }] remaining on board',
+              bunkered: 'array (optional): [{ fuelType, amount (tonnes) }] received since the previous report, recorded as bunker deliveries',
+              weather: 'object (optional): { windDirection, windForce (Beaufort), seaState (Douglas), swellHeight, swellDirection }',
+              remarks: 'string (optional)',
+              submittedBy: 'string (optional)'
+            }
+          },
+
+          getNoonReports: {
+            path: '/:voyageId/noon-reports',
+            method: 'GET',
+            description: 'Noon reports of a voyage in time order, with totals of distance run, hours steamed and fuel consumed by fuel type and engine, and the latest ROB',
+            queryParams: {
+              from: 'ISO date (optional)',
+              to: 'ISO date (optional)'
+            }
+          },
+
+          getBunkerPlan: {
+            path: '/:voyageId/bunker-plan',
+            method: 'GET',
+            description: 'Where along a planned voyage\'s rotation (origin and port calls) to bunker, and how much of each grade, for the least cost from the bunker prices in force when the ship leaves each port. Starts from the ship\'s ROB, keeps the tanks within fuelTankCapacity and never lets the ROB on arrival fall below reserveMargin of the leg just sailed. Returns the purchases per port, the ROB on arrival and departure, the total cost and the savings against buying everything at the first port; no feasible plan gives 422, a voyage that has sailed 409',
+            queryParams: {
+              fuelType: 'string (optional, default: the main grade of the voyage\'s fuel prediction, else the ship\'s main fuel): grade burned outside Emission Control Areas; marine gas oil is planned for the stretches inside them',
+              reserveMargin: 'number (optional, default: BUNKER_RESERVE_MARGIN or 0.1)',
+              currency: 'string (optional, default: USD): only prices in this currency are used'
+            }
+          },
+
           updateVoyageStatus: {
             path: '/:voyageId/status',
             method: 'PUT',
-            description: 'Update voyage status',
+            description: 'Move a voyage to its next status: planned -> in-progress -> completed, delayed as a side state, cancelled and completed final. Illegal transitions return 409; every transition is recorded in statusHistory. A delay at sea proposes a revised plan from the ship\'s position',
+            requestBody: {
+              status: 'string: planned|in-progress|completed|delayed|cancelled',
+              reason: 'string (required for delayed and cancelled)',
+              changedBy: 'string (optional): user making the change',
+              currentLocation: 'object (optional): { latitude, longitude }'
+            }
+          },
+
+          selectAlternativeRoute: {
+            path: '/:voyageId/select-route',
+            method: 'POST',
+            description: 'Make one of the ranked alternative routes the planned route (planned voyages only)',
+            requestBody: {
+              name: 'string: alternative route name, e.g. most-fuel-efficient'
+            }
+          },
+
+          decidePlanRevision: {
+            path: '/:voyageId/revisions/:version',
+            method: 'PUT',
+            description: 'Accept or reject a revised plan, proposed in planRevisions when a voyage under way leaves its corridor, is delayed, runs late or meets heavy weather ahead. Accepting makes it the planned route, ETA and planVersion and keeps the replaced plan in planHistory; a revision already decided or proposed against an older plan gives 409',
             requestBody: {
-              status: 'string: planned|in-progress|completed|cancelled',
-              currentLocation: 'object (optional)'
+              status: 'string: accepted|rejected',
+              decidedBy: 'string (optional): user deciding',
+              note: 'string (optional)'
             }
           }
         }
@@ -175,7 +321,7 @@ router.get('/', (req, res) => {
           getShipById: {
             path: '/:shipId',
             method: 'GET',
-            description: 'Get specific ship details'
+            description: 'Get specific ship details, with voyage, maintenance and fuel consumption statistics'
           },
           
           createShip: {
@@ -186,9 +332,12 @@ router.get('/', (req, res) => {
               shipId: 'string',
               name: 'string',
               engineType: 'string: diesel|gas-turbine|hybrid|electric',
+              shipType: 'string (optional, needed for CII): bulk-carrier|gas-carrier|tanker|container-ship|general-cargo-ship|refrigerated-cargo-carrier|combination-carrier|lng-carrier|ro-ro-vehicle-carrier|ro-ro-cargo-ship|ro-ro-passenger-ship|cruise-passenger-ship',
               capacity: 'number',
               maxSpeed: 'number',
-              fuelTankCapacity: 'number',
+              minSpeed: 'number (optional, slowest steaming speed in knots, default: 8)',
+              fuelTankCapacity: 'number (tonnes)',
+              specifications: '{ length, width, draft, grossTonnage, deadweight } (optional)',
               owner: 'string'
             }
           },
@@ -198,6 +347,64 @@ router.get('/', (req, res) => {
             method: 'PUT',
             description: 'Update ship information'
           },
+
+          updateShipLocation: {
+            path: '/:shipId/location',
+            method: 'PUT',
+            description: 'Report a position fix; fixes while a voyage is under way are added to its track with their cross-track distance, recalculate its live ETA, record a deviation when the ship leaves the corridor around its planned route and propose a revised plan when needed',
+            requestBody: {
+              latitude: 'number',
+              longitude: 'number',
+              port: 'string (optional)',
+              speed: 'number (optional): speed over ground in knots, else derived from the previous fix',
+              timestamp: 'ISO date (optional): fix time, default: now'
+            }
+          },
+
+          createBunkerDelivery: {
+            path: '/:shipId/bunkers',
+            method: 'POST',
+            description: 'Record fuel received from a Bunker Delivery Note; a note already recorded for the supplier gives 409. Deliveries recorded from noon reports of the same fuel type within 48 hours after it are marked supersededBy it and left out of the ROB',
+            requestBody: {
+              bdnNumber: 'string',
+              deliveredAt: 'ISO date',
+              port: '{ name, coordinates?: { latitude, longitude } }',
+              supplier: 'string',
+              fuelType: 'string: diesel|heavy-fuel-oil|marine-gas-oil|lng|methanol',
+              quantity: 'number: tonnes received',
+              density: 'number (optional): kg/m³ at 15°C',
+              sulphurContent: 'number (optional): % m/m',
+              price: '{ pricePerTon, currency (default: USD) } (optional)',
+              voyageId: 'string (optional): the voyage the fuel was taken on for',
+              remarks: 'string (optional)'
+            }
+          },
+
+          getBunkerDeliveries: {
+            path: '/:shipId/bunkers',
+            method: 'GET',
+            description: 'Get the ship\'s bunker deliveries, newest first, including those recorded from noon reports (source: noon-report)',
+            queryParams: {
+              fuelType: 'string (optional)',
+              from: 'ISO date (optional)',
+              to: 'ISO date (optional)'
+            }
+          },
+
+          getRobLedger: {
+            path: '/:shipId/rob',
+            method: 'GET',
+            description: 'Get the fuel remaining on board per fuel type in tonnes, rolled forward from bunker deliveries less fuel log consumption. Each fuel type\'s ledger opens with its first delivery, and every entry carries the balance after it'
+          },
+
+          getShipCii: {
+            path: '/:shipId/cii',
+            method: 'GET',
+            description: 'Get the ship\'s IMO Carbon Intensity Indicator for a year: the required CII for its type and size, the attained CII and A–E rating so far from completed voyages and fuel logs, and the projection to year-end with the planned voyages sailed at their planned speeds. Needs shipType and deadweight (gross tonnage for passenger ships and vehicle carriers)',
+            queryParams: {
+              year: 'integer (optional, default: current year; 2019 or later)'
+            }
+          },
           
           getFleetAnalytics: {
             path: '/analytics/fleet',
@@ -208,6 +415,196 @@ router.get('/', (req, res) => {
             }
           }
         }
+      },
+      
+      riskZones: {
+        basePath: '/api/v1/risk-zones',
+        endpoints: {
+          getRiskZones: {
+            path: '/',
+            method: 'GET',
+            description: 'Get list of risk and exclusion zones',
+            queryParams: {
+              type: 'string (optional): piracy|war-risk|sanctioned|navigational-warning',
+              severity: 'string (optional): low|medium|high|exclusion',
+              activeAt: 'ISO date (optional): only zones in force at this time',
+              limit: 'number (optional)',
+              page: 'number (optional)'
+            }
+          },
+          
+          getRiskZoneById: {
+            path: '/:zoneId',
+            method: 'GET',
+            description: 'Get specific risk zone details'
+          },
+          
+          createRiskZone: {
+            path: '/',
+            method: 'POST',
+            description: 'Define a risk or exclusion zone. Exclusion zones are closed to planned routes; low, medium and high zones are avoided when the detour is worth their severity',
+            requestBody: {
+              zoneId: 'string',
+              name: 'string',
+              type: 'string: piracy|war-risk|sanctioned|navigational-warning',
+              severity: 'string (optional, default: medium): low|medium|high|exclusion',
+              polygon: '[{ latitude, longitude }] (at least 3 points, not crossing the antimeridian)',
+              validFrom: 'ISO date (optional, in force from creation when omitted)',
+              validTo: 'ISO date (optional, open-ended when omitted)',
+              insurancePremium: 'number (optional): additional war-risk insurance premium per transit, USD',
+              description: 'string (optional)',
+              source: 'string (optional), e.g. a navigational warning reference'
+            }
+          },
+          
+          updateRiskZone: {
+            path: '/:zoneId',
+            method: 'PUT',
+            description: 'Update a risk zone'
+          },
+          
+          deleteRiskZone: {
+            path: '/:zoneId',
+            method: 'DELETE',
+            description: 'Delete a risk zone'
+          }
+        }
+      },
+
+      bunkerPrices: {
+        basePath: '/api/v1/bunker-prices',
+        endpoints: {
+          createBunkerPrices: {
+            path: '/',
+            method: 'POST',
+            description: 'Upload bunker prices quoted at ports; the cheapest price in force for a port and grade is used in bunker plans',
+            requestBody: {
+              prices: '[{ port (name or UN/LOCODE), fuelType, pricePerTon, currency? (default: USD), supplier?, validFrom? (default: now), validTo?, source? }]'
+            }
+          },
+
+          getBunkerPrices: {
+            path: '/',
+            method: 'GET',
+            description: 'Get bunker prices',
+            queryParams: {
+              port: 'string (optional)',
+              fuelType: 'string (optional)',
+              currency: 'string (optional)',
+              activeAt: 'ISO date (optional): only prices in force at this time'
+            }
+          },
+
+          deleteBunkerPrice: {
+            path: '/:id',
+            method: 'DELETE',
+            description: 'Delete a bunker price'
+          }
+        }
+      },
+
+      fuelReference: {
+        basePath: '/api/v1/fuel-reference',
+        endpoints: {
+          getReferenceTables: {
+            path: '/',
+            method: 'GET',
+            description: 'Get the fuel price and emission factor tables in force and their versions'
+          },
+
+          getReferenceTable: {
+            path: '/:table',
+            method: 'GET',
+            description: 'Get a reference table: fuel-prices or emission-factors',
+            queryParams: {
+              version: 'integer (optional, default: the version in force; 0 is the built-in table)'
+            }
+          },
+
+          updateReferenceTable: {
+            path: '/:table',
+            method: 'PUT',
+            description: 'Save new entries for a reference table as its next version and put it in force; cost and emissions estimates state the versions they used as referenceVersions',
+            requestBody: {
+              entries: 'fuel-prices: [{ fuelType, pricePerTon (USD), port? (name or UN/LOCODE) | region? { name, south, north, west, east (west > east wraps across the antimeridian) }, effectiveFrom? }], with a price without port or region for every fuel grade; emission-factors: [{ fuelType, co2Factor (t CO2 per t fuel), source? }], one per fuel grade',
+              note: 'string (optional)',
+              createdBy: 'string (optional)'
+            }
+          },
+
+          getReferenceTableVersions: {
+            path: '/:table/versions',
+            method: 'GET',
+            description: 'Get the version history of a reference table, newest first'
+          }
+        }
+      },
+
+      fuelLogs: {
+        basePath: '/api/v1/fuel-logs',
+        endpoints: {
+          createFuelLog: {
+            path: '/',
+            method: 'POST',
+            description: 'Record fuel consumed by a ship, optionally on a voyage and by engine',
+            requestBody: {
+              shipId: 'string',
+              voyageId: 'string (optional): a voyage of the same ship',
+              timestamp: 'ISO date (optional, default: now)',
+              fuelType: 'string: diesel|heavy-fuel-oil|marine-gas-oil|lng|methanol',
+              engine: 'string (optional): main-engine|auxiliary-engine|boiler',
+              consumption: '{ amount, unit (optional, default: liters): liters|gallons|tons }',
+              cost: '{ pricePerUnit (per consumption unit), totalCost, currency (default: USD) } (optional)',
+              location: '{ latitude, longitude } (optional)',
+              operatingConditions: '{ speed, engineLoad, weatherConditions, seaState } (optional)'
+            }
+          },
+
+          getFuelLogs: {
+            path: '/',
+            method: 'GET',
+            description: 'Get fuel log entries, newest first',
+            queryParams: {
+              shipId: 'string (optional)',
+              voyageId: 'string (optional)',
+              fuelType: 'string (optional)',
+              engine: 'string (optional)',
+              source: 'string (optional): manual|noon-report',
+              from: 'ISO date (optional)',
+              to: 'ISO date (optional)',
+              limit: 'number (optional)',
+              page: 'number (optional)'
+            }
+          },
+
+          getFuelLogSummary: {
+            path: '/summary',
+            method: 'GET',
+            description: 'Total consumption in tonnes (volumes converted by fuel density), by fuel type, and cost by currency of the matching entries',
+            queryParams: {
+              groupBy: 'string (optional): ship|voyage|fuelType|engine|day|week|month',
+              '...': 'the filters of getFuelLogs, without paging'
+            }
+          },
+
+          getFuelLogById: {
+            path: '/:id',
+            method: 'GET',
+            description: 'Get a fuel log entry'
+          },
+
+          updateFuelLog: {
+            path: '/:id',
+            method: 'PUT',
+            description: 'Correct a manually recorded entry; entries from noon reports change only with their report (409)'
+          },
+
+          deleteFuelLog: {
+            path: '/:id',
+            method: 'DELETE',
+            description: 'Delete a manually recorded entry; entries from noon reports cannot be deleted (409)'
+          }
+        }
       }
     },
     
@@ -218,7 +615,9 @@ router.get('/', (req, res) => {
           'Real-time weather integration',
           'Fuel efficiency optimization',
           'Dynamic waypoint adjustment',
-          'Risk assessment and mitigation'
+          'Risk assessment and mitigation',
+          'Exclusion and high-risk zone avoidance',
+          'Draft-constrained routing with under-keel clearance'
         ]
       },
       
@@ -228,7 +627,8 @@ router.get('/', (req, res) => {
           'Historical consumption analysis',
           'Weather impact modeling',
           'Load and speed optimization',
-          'Cost estimation and savings calculation'
+          'Cost estimation and savings calculation',
+          'Compliant fuel pricing inside Emission Control Areas'
         ]
       },
       
@@ -278,6 +678,7 @@ router.get('/', (req, res) => {
             coordinates: { latitude: 51.5074, longitude: -0.1278 }
           },
           departureTime: '2025-07-01T10:00:00Z',
+          requiredArrival: '2025-07-08T10:00:00Z',
           cargoLoad: {
             weight: 15000,
             type: 'containers'
@@ -289,14 +690,110 @@ router.get('/', (req, res) => {
             voyageId: 'VOY-20250701-001',
             plannedRoute: {
               waypoints: [
-                { latitude: 40.7128, longitude: -74.0060, timestamp: '2025-07-01T10:00:00Z' }
+                { latitude: 40.7128, longitude: -74.0060, timestamp: '2025-07-01T10:00:00Z', speed: 19.8 }
               ],
+              legs: [
+                { from: { latitude: 40.7128, longitude: -74.0060 }, to: { latitude: 41.2, longitude: -68.9 }, course: 82.4, distance: 231.6 }
+              ],
+              routeMode: 'great-circle',
               totalDistance: 3459.2,
               estimatedDuration: 168
             },
+            passages: {
+              transits: [
+                { id: 'dover-strait', name: 'Strait of Dover', type: 'strait', fee: 0, waitingHours: 0 }
+              ],
+              totalTransitCost: 0,
+              totalWaitingHours: 0,
+              restricted: []
+            },
+            eca: {
+              ecaDistance: 1547.6,
+              nonEcaDistance: 1911.6,
+              zones: [
+                { id: 'north-sea', name: 'North Sea ECA', distance: 347.2 },
+                { id: 'north-american-atlantic', name: 'North American ECA (Atlantic and Gulf of Mexico)', distance: 1200.4 }
+              ],
+              segments: [
+                { zone: 'north-american-atlantic', from: { latitude: 40.7128, longitude: -74.0060 }, to: { latitude: 42.1, longitude: -63.2 }, distance: 512.3 }
+              ]
+            },
+            risk: {
+              zones: [
+                { zoneId: 'NAVAREA-I-123', name: 'Military exercise area', type: 'navigational-warning', severity: 'low', distance: 42.5, insurancePremium: 0 }
+              ],
+              insuranceCost: 0,
+              alerts: ['Route passes 42.5 nm through Military exercise area (navigational-warning, low risk)']
+            },
+            underKeel: {
+              loadedDraft: 11.8,
+              underKeelClearance: 2,
+              requiredDepth: 13.8,
+              leastDepth: 24,
+              leastDepthArea: 'Dover Strait and Southern Bight deep-water route',
+              leastClearance: 12.2
+            },
+            speedProfile: {
+              requiredArrival: '2025-07-08T10:00:00Z',
+              speedThroughWater: 21.3,
+              minSpeed: 8,
+              maxSpeed: 23,
+              sailingHours: 168,
+              waitingHours: 0,
+              idleHours: 0,
+              delayHours: 0,
+              feasible: true,
+              totalHours: 168,
+              estimatedFuel: 245.8
+            },
+            schedule: [
+              { sequence: 0, name: 'New York', plannedDeparture: '2025-07-01T10:00:00Z', cargoAboard: 15000 },
+              { sequence: 1, name: 'London', plannedArrival: '2025-07-08T10:00:00Z', cargoAboard: 0 }
+            ],
+            voyageLegs: [
+              { sequence: 1, from: 'New York', to: 'London', departureTime: '2025-07-01T10:00:00Z', arrivalTime: '2025-07-08T10:00:00Z', distance: 3459.2, estimatedDuration: 168, cargoWeight: 15000, estimatedFuel: 245.8, fuelCost: 147480, emissions: 765.2 }
+            ],
+            alternativeRoutes: [
+              {
+                rank: 1,
+                name: 'most-fuel-efficient',
+                objective: 'fuel',
+                routeMode: 'great-circle',
+                totalDistance: 3471.5,
+                estimatedTime: 226.8,
+                averageSpeed: 15.3,
+                estimatedFuel: 212.4,
+                fuelCost: 127440,
+                emissions: 661.2,
+                totalCost: 354240,
+                riskFactor: 0.3,
+                maxWaveHeight: 3.1,
+                safe: true
+              },
+              {
+                rank: 2,
+                name: 'fastest',
+                objective: 'time',
+                routeMode: 'great-circle',
+                totalDistance: 3512.8,
+                estimatedTime: 214.6,
+                averageSpeed: 16.4,
+                estimatedFuel: 241.9,
+                fuelCost: 145140,
+                emissions: 753.0,
+                totalCost: 359740,
+                riskFactor: 0.4,
+                maxWaveHeight: 3.8,
+                safe: true
+              }
+            ],
             fuelPrediction: {
               estimatedConsumption: 245.8,
-              efficiency: 87.5
+              efficiency: 87.5,
+              fuelBreakdown: [
+                { area: 'eca', distance: 1547.6, fuelType: 'marine-gas-oil', consumption: 110.0, cost: 82500, emissions: 352.0 },
+                { area: 'outside-eca', distance: 1911.6, fuelType: 'diesel', consumption: 135.8, cost: 88270, emissions: 434.6 }
+              ]
             },
             optimizationMetrics: {
               routeEfficiency: 92.1,
@@ -0,0 +1,43 @@
+const express = require('express');
+const {
+  createFuelLog,
+  getFuelLogs,
+  getFuelLogSummary,
+  getFuelLogById,
+  updateFuelLog,
+  deleteFuelLog
+} = require('../controllers/fuelLogController');
+
+const router = express.Router();
+
+// @route   POST /api/v1/fuel-logs
+// @desc    Record fuel consumption
+// @access  Public
+router.post('/', createFuelLog);
+
+// @route   GET /api/v1/fuel-logs
+// @desc    Get fuel logs with optional filtering
+// @access  Public
+router.get('/', getFuelLogs);
+
+// @route   GET /api/v1/fuel-logs/summary
+// @desc    Aggregate consumption in tonnes and cost, optionally grouped
+// @access  Public
+router.get('/summary', getFuelLogSummary);
+
+// @route   GET /api/v1/fuel-logs/:id
+// @desc    Get fuel log by ID
+// @access  Public
+router.get('/:id', getFuelLogById);
+
+// @route   PUT /api/v1/fuel-logs/:id
+// @desc    Correct a fuel log entry recorded by hand
+// @access  Public
+router.put('/:id', updateFuelLog);
+
+// @route   DELETE /api/v1/fuel-logs/:id
+// @desc    Delete a fuel log entry recorded by hand
+// @access  Public
+router.delete('/:id', deleteFuelLog);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const {
+  getReferenceTables,
+  getReferenceTable,
+  getReferenceTableVersions,
+  updateReferenceTable
+} = require('../controllers/fuelReferenceController');
+
+const router = express.Router();
+
+// @route   GET /api/v1/fuel-reference
+// @desc    Get the fuel price and emission factor tables in force
+// @access  Public
+router.get('/', getReferenceTables);
+
+// @route   GET /api/v1/fuel-reference/:table
+// @desc    Get a reference table (fuel-prices or emission-factors), in force or by version
+// @access  Public
+router.get('/:table', getReferenceTable);
+
+// @route   PUT /api/v1/fuel-reference/:table
+// @desc    Save new entries for a reference table as its next version
+// @access  Public
+router.put('/:table', updateReferenceTable);
+
+// @route   GET /api/v1/fuel-reference/:table/versions
+// @desc    Get the version history of a reference table
+// @access  Public
+router.get('/:table/versions', getReferenceTableVersions);
+
+module.exports = router;
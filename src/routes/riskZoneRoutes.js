@@ -0,0 +1,37 @@
+const express = require('express');
+const {
+  createRiskZone,
+  getRiskZones,
+  getRiskZoneById,
+  updateRiskZone,
+  deleteRiskZone
+} = require('../controllers/riskZoneController');
+
+const router = express.Router();
+
+// @route   POST /api/v1/risk-zones
+// @desc    Create a risk or exclusion zone
+// @access  Public
+router.post('/', createRiskZone);
+
+// @route   GET /api/v1/risk-zones
+// @desc    Get risk zones with optional filtering
+// @access  Public
+router.get('/', getRiskZones);
+
+// @route   GET /api/v1/risk-zones/:zoneId
+// @desc    Get risk zone by ID
+// @access  Public
+router.get('/:zoneId', getRiskZoneById);
+
+// @route   PUT /api/v1/risk-zones/:zoneId
+// @desc    Update a risk zone
+// @access  Public
+router.put('/:zoneId', updateRiskZone);
+
+// @route   DELETE /api/v1/risk-zones/:zoneId
+// @desc    Delete a risk zone
+// @access  Public
+router.delete('/:zoneId', deleteRiskZone);
+
+module.exports = router;
@@ -6,8 +6,10 @@ const {
   updateShip,
   deleteShip,
   updateShipLocation,
-  getFleetAnalytics
+  getFleetAnalytics,
+  getShipCii
 } = require('../controllers/shipController');
+const { createBunkerDelivery, getBunkerDeliveries, getRobLedger } = require('../controllers/bunkerController');
 
 const router = express.Router();
 
@@ -46,4 +48,24 @@ router.delete('/:shipId', deleteShip);
 // @access  Public
 router.put('/:shipId/location', updateShipLocation);
 
+// @route   POST /api/v1/ships/:shipId/bunkers
+// @desc    Record a bunker delivery
+// @access  Public
+router.post('/:shipId/bunkers', createBunkerDelivery);
+
+// @route   GET /api/v1/ships/:shipId/bunkers
+// @desc    Get the ship's bunker deliveries
+// @access  Public
+router.get('/:shipId/bunkers', getBunkerDeliveries);
+
+// @route   GET /api/v1/ships/:shipId/rob
+// @desc    Get the fuel remaining on board with its ledger
+// @access  Public
+router.get('/:shipId/rob', getRobLedger);
+
+// @route   GET /api/v1/ships/:shipId/cii
+// @desc    Get the ship's Carbon Intensity Indicator rating for a year, projected to year-end
+// @access  Public
+router.get('/:shipId/cii', getShipCii);
+
 module.exports = router;
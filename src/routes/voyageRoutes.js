@@ -1,11 +1,21 @@
 const express = require('express');
+const routeImportService = require('../services/routeImportService');
 const {
   planVoyage,
+  optimizePortSequence,
+  getSpeedCurve,
   getPlanHistory,
   submitFeedback,
   getVoyageById,
-  updateVoyageStatus
+  exportVoyageRoute,
+  importVoyageRoute,
+  getVoyageTrack,
+  updateVoyageStatus,
+  selectAlternativeRoute,
+  decidePlanRevision
 } = require('../controllers/voyageController');
+const { createNoonReport, getNoonReports } = require('../controllers/noonReportController');
+const { getBunkerPlan } = require('../controllers/bunkerController');
 
 const router = express.Router();
 
@@ -14,6 +24,16 @@ const router = express.Router();
 // @access  Public
 router.post('/plan-voyage', planVoyage);
 
+// @route   POST /api/v1/voyages/optimize-sequence
+// @desc    Find the best order to call at a set of ports
+// @access  Public
+router.post('/optimize-sequence', optimizePortSequence);
+
+// @route   POST /api/v1/voyages/speed-curve
+// @desc    Trade transit time against fuel and charter hire over a range of speeds
+// @access  Public
+router.post('/speed-curve', getSpeedCurve);
+
 // @route   GET /api/v1/voyages/plan-history
 // @desc    Get voyage history with performance metrics
 // @access  Public
@@ -29,9 +49,54 @@ router.post('/feedback', submitFeedback);
 // @access  Public
 router.get('/:voyageId', getVoyageById);
 
+// @route   GET /api/v1/voyages/:voyageId/route
+// @desc    Export the planned and actual routes as GeoJSON, GPX or RTZ
+// @access  Public
+router.get('/:voyageId/route', exportVoyageRoute);
+
+// @route   PUT /api/v1/voyages/:voyageId/route
+// @desc    Replace the planned route with an RTZ, GPX or GeoJSON route file
+// @access  Public
+router.put(
+  '/:voyageId/route',
+  express.text({ type: routeImportService.xmlMediaTypes, limit: routeImportService.maxFileSize }),
+  express.json({ type: 'application/geo+json', limit: routeImportService.maxFileSize }),
+  importVoyageRoute
+);
+
+// @route   GET /api/v1/voyages/:voyageId/track
+// @desc    Get the vessel's position track over a time range, optionally thinned out
+// @access  Public
+router.get('/:voyageId/track', getVoyageTrack);
+
+// @route   POST /api/v1/voyages/:voyageId/noon-reports
+// @desc    Submit a noon report, checked against the previous one
+// @access  Public
+router.post('/:voyageId/noon-reports', createNoonReport);
+
+// @route   GET /api/v1/voyages/:voyageId/noon-reports
+// @desc    Get the voyage's noon reports with running totals
+// @access  Public
+router.get('/:voyageId/noon-reports', getNoonReports);
+
+// @route   GET /api/v1/voyages/:voyageId/bunker-plan
+// @desc    Plan where and how much to bunker along the rotation for the least cost
+// @access  Public
+router.get('/:voyageId/bunker-plan', getBunkerPlan);
+
 // @route   PUT /api/v1/voyages/:voyageId/status
 // @desc    Update voyage status
 // @access  Public
 router.put('/:voyageId/status', updateVoyageStatus);
 
+// @route   POST /api/v1/voyages/:voyageId/select-route
+// @desc    Make one of the ranked alternative routes the planned route
+// @access  Public
+router.post('/:voyageId/select-route', selectAlternativeRoute);
+
+// @route   PUT /api/v1/voyages/:voyageId/revisions/:version
+// @desc    Accept or reject a revised plan proposed while the voyage is under way
+// @access  Public
+router.put('/:voyageId/revisions/:version', decidePlanRevision);
+
 module.exports = router;
@@ -14,6 +14,10 @@ const errorHandler = require('./middleware/errorHandler');
 const voyageRoutes = require('./routes/voyageRoutes');
 const maintenanceRoutes = require('./routes/maintenanceRoutes');
 const shipRoutes = require('./routes/shipRoutes');
+const riskZoneRoutes = require('./routes/riskZoneRoutes');
+const fuelLogRoutes = require('./routes/fuelLogRoutes');
+const bunkerPriceRoutes = require('./routes/bunkerPriceRoutes');
+const fuelReferenceRoutes = require('./routes/fuelReferenceRoutes');
 const docsRoutes = require('./routes/docsRoutes');
 
 const app = express();
@@ -52,6 +56,10 @@ app.get('/health', (req, res) => {
 app.use('/api/v1/voyages', voyageRoutes);
 app.use('/api/v1/maintenance', maintenanceRoutes);
 app.use('/api/v1/ships', shipRoutes);
+app.use('/api/v1/risk-zones', riskZoneRoutes);
+app.use('/api/v1/fuel-logs', fuelLogRoutes);
+app.use('/api/v1/bunker-prices', bunkerPriceRoutes);
+app.use('/api/v1/fuel-reference', fuelReferenceRoutes);
 app.use('/api/docs', docsRoutes);
 
 // Root endpoint
@@ -63,7 +71,11 @@ app.get('/', (req, res) => {
     endpoints: {
       voyages: '/api/v1/voyages',
       maintenance: '/api/v1/maintenance',
-      ships: '/api/v1/ships'
+      ships: '/api/v1/ships',
+      riskZones: '/api/v1/risk-zones',
+      fuelLogs: '/api/v1/fuel-logs',
+      bunkerPrices: '/api/v1/bunker-prices',
+      fuelReference: '/api/v1/fuel-reference'
     }
   });
 });
@@ -0,0 +1,379 @@
+const fuelLogService = require('./fuelLogService');
+const ecaService = require('./ecaService');
+
+// Fuel kept aboard beyond a voyage's predicted consumption, as a share of it
+const DEFAULT_RESERVE_MARGIN = parseFloat(process.env.BUNKER_RESERVE_MARGIN) || 0.1;
+
+// A noon report records the fuel received since the previous report, so it
+// is taken to record the same bunkering as a BDN of the same fuel type
+// delivered up to this long before it
+const BDN_MATCH_WINDOW = 48 * 60 * 60 * 1000;
+
+const round = value => Math.round(value * 100) / 100;
+
+const isNonNegative = value => typeof value === 'number' && value >= 0;
+
+const sum = values => Object.values(values).reduce((total, value) => total + value, 0);
+
+class BunkerService {
+  constructor() {
+    this.defaultReserveMargin = DEFAULT_RESERVE_MARGIN;
+  }
+
+  /**
+   * Check the fields of a bunker delivery; returns an error message or null
+   * when they are valid. Quantities are in tonnes.
+   */
+  validateDelivery(delivery) {
+    if (typeof delivery.bdnNumber !== 'string' || !delivery.bdnNumber.trim()) {
+      return 'bdnNumber is required';
+    }
+    if (!delivery.deliveredAt || isNaN(new Date(delivery.deliveredAt))) {
+      return 'deliveredAt must be a valid date';
+    }
+    if (!delivery.port || typeof delivery.port.name !== 'string' || !delivery.port.name.trim()) {
+      return 'port.name is required';
+    }
+    const coordinates = delivery.port.coordinates;
+    if (coordinates !== undefined && !(coordinates &&
+      typeof coordinates.latitude === 'number' && Math.abs(coordinates.latitude) <= 90 &&
+      typeof coordinates.longitude === 'number' && Math.abs(coordinates.longitude) <= 180)) {
+      return 'port.coordinates requires a latitude between -90 and 90 and a longitude between -180 and 180';
+    }
+    if (typeof delivery.supplier !== 'string' || !delivery.supplier.trim()) {
+      return 'supplier is required';
+    }
+    if (!fuelLogService.fuelTypes.includes(delivery.fuelType)) {
+      return `fuelType must be one of: ${fuelLogService.fuelTypes.join(', ')}`;
+    }
+    if (!(typeof delivery.quantity === 'number' && delivery.quantity > 0)) {
+      return 'quantity must be a positive number of tonnes';
+    }
+    if (delivery.density !== undefined && !(typeof delivery.density === 'number' && delivery.density > 0)) {
+      return 'density must be a positive number of kg/m³ at 15°C';
+    }
+    if (delivery.sulphurContent !== undefined && !(isNonNegative(delivery.sulphurContent) && delivery.sulphurContent <= 5)) {
+      return 'sulphurContent must be a percentage by mass from 0 to 5';
+    }
+    if (delivery.price !== undefined) {
+      if (!delivery.price || typeof delivery.price !== 'object' || Array.isArray(delivery.price)) {
+        return 'price must be an object with pricePerTon and currency';
+      }
+      if (delivery.price.pricePerTon !== undefined && !isNonNegative(delivery.price.pricePerTon)) {
+        return 'price.pricePerTon must be a non-negative number';
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check the fields of a port bunker price; returns an error message or null
+   * when they are valid
+   */
+  validatePrice(price) {
+    if (typeof price.port !== 'string' || !price.port.trim()) {
+      return 'port is required';
+    }
+    if (!fuelLogService.fuelTypes.includes(price.fuelType)) {
+      return `fuelType must be one of: ${fuelLogService.fuelTypes.join(', ')}`;
+    }
+    if (!isNonNegative(price.pricePerTon)) {
+      return 'pricePerTon must be a non-negative number';
+    }
+    for (const field of ['validFrom', 'validTo']) {
+      if (price[field] !== undefined && isNaN(new Date(price[field]))) {
+        return `${field} must be a valid date`;
+      }
+    }
+    if (price.validFrom !== undefined && price.validTo !== undefined &&
+      new Date(price.validTo) <= new Date(price.validFrom)) {
+      return 'validTo must be after validFrom';
+    }
+    return null;
+  }
+
+  /**
+   * Query for the deliveries recorded from noon reports that received the
+   * fuel of a BDN delivery: same ship and fuel type, reported within
+   * BDN_MATCH_WINDOW after it was delivered and not yet superseded
+   */
+  getNoonReportMatchQuery(delivery) {
+    const deliveredAt = new Date(delivery.deliveredAt);
+    return {
+      shipId: delivery.shipId,
+      fuelType: delivery.fuelType,
+      source: 'noon-report',
+      supersededBy: null,
+      deliveredAt: { $gte: deliveredAt, $lte: new Date(deliveredAt.getTime() + BDN_MATCH_WINDOW) }
+    };
+  }
+
+  /**
+   * Query for the BDN deliveries of a ship that a noon report at a given time
+   * may have received, of any of the fuel types it lists
+   */
+  getBdnMatchQuery(shipId, fuelTypes, reportedAt) {
+    const reported = new Date(reportedAt);
+    return {
+      shipId,
+      fuelType: { $in: fuelTypes },
+      source: 'bdn',
+      deliveredAt: { $gte: new Date(reported.getTime() - BDN_MATCH_WINDOW), $lte: reported }
+    };
+  }
+
+  /**
+   * Cheapest price in force at a port for a fuel grade at a given time, from
+   * prices quoted by port name or code; null when none is quoted there
+   */
+  findPrice(prices, portNames, fuelType, time) {
+    const names = portNames.filter(Boolean).map(name => name.trim().toLowerCase());
+    const at = new Date(time);
+
+    return prices
+      .filter(price => price.fuelType === fuelType &&
+        names.includes(price.port.trim().toLowerCase()) &&
+        (!price.validFrom || new Date(price.validFrom) <= at) &&
+        (!price.validTo || new Date(price.validTo) >= at))
+      .reduce((cheapest, price) => (!cheapest || price.pricePerTon < cheapest.pricePerTon ? price : cheapest), null);
+  }
+
+  /**
+   * Ports a voyage can bunker at, in order (its origin and port calls, with
+   * the time it leaves them), and the fuel of each grade burned on the leg
+   * from each. The compliant fuel predicted for a leg's stretches inside
+   * Emission Control Areas is burned as that grade; the rest of the leg's
+   * fuel as `fuelType`. Legs planned without their own ECA split share the
+   * voyage's in proportion to their fuel. Returns null when the voyage has
+   * port calls but no fuel predicted per leg.
+   */
+  getRotationFuel(voyage, fuelType) {
+    const stops = [
+      { name: voyage.origin.name, port: voyage.origin.port, time: voyage.departureTime },
+      ...(voyage.portCalls || []).map(call => ({ name: call.name, port: call.port, time: call.plannedDeparture }))
+    ];
+
+    const prediction = voyage.fuelPrediction || {};
+    let legs = voyage.voyageLegs || [];
+    if (legs.length !== stops.length) {
+      if (stops.length > 1 || typeof prediction.estimatedConsumption !== 'number') return null;
+      legs = [{ estimatedFuel: prediction.estimatedConsumption }];
+    }
+
+    const ecaSegment = (prediction.fuelBreakdown || [])
+      .find(segment => segment.area === 'eca' && segment.fuelType === ecaService.ecaFuelType);
+    const ecaShare = ecaSegment && prediction.estimatedConsumption > 0
+      ? ecaSegment.consumption / prediction.estimatedConsumption
+      : 0;
+
+    return {
+      stops,
+      legs: legs.map(leg => {
+        const total = leg.estimatedFuel || 0;
+        const ecaFuel = Math.min(total, typeof leg.ecaFuel === 'number' ? leg.ecaFuel : total * ecaShare);
+        const fuel = { [fuelType]: total - ecaFuel };
+        fuel[ecaService.ecaFuelType] = (fuel[ecaService.ecaFuelType] || 0) + ecaFuel;
+        return { fuel };
+      })
+    };
+  }
+
+  /**
+   * Rolling remaining-on-board ledger of a ship from its bunker deliveries and
+   * fuel log consumption, in time order. The ledger of each fuel type opens
+   * with its first recorded delivery; consumption logged before then is left
+   * out, as what was aboard is unknown. Deliveries recorded from noon reports
+   * that a BDN has superseded are left out, as the BDN counts their fuel.
+   * Returns the entries with the balance of their fuel type after each, and
+   * the ROB per fuel type at the end.
+   */
+  buildLedger(deliveries, fuelLogs) {
+    const movements = [
+      ...deliveries.filter(delivery => !delivery.supersededBy).map(delivery => ({
+        timestamp: new Date(delivery.deliveredAt),
+        type: 'bunkering',
+        source: delivery.source || 'bdn',
+        fuelType: delivery.fuelType,
+        quantity: delivery.quantity,
+        bdnNumber: delivery.bdnNumber,
+        port: delivery.port && delivery.port.name,
+        voyageId: delivery.voyageId
+      })),
+      ...fuelLogs.map(log => ({
+        timestamp: new Date(log.timestamp),
+        type: 'consumption',
+        fuelType: log.fuelType,
+        quantity: -fuelLogService.toTonnes(log.consumption.amount, log.consumption.unit, log.fuelType),
+        fuelLogId: log._id,
+        voyageId: log.voyageId
+      }))
+    ].sort((a, b) => a.timestamp - b.timestamp || (a.type === 'bunkering' ? 0 : 1) - (b.type === 'bunkering' ? 0 : 1));
+
+    const balances = {};
+    const entries = [];
+    for (const movement of movements) {
+      if (balances[movement.fuelType] === undefined) {
+        if (movement.type !== 'bunkering') continue;
+        balances[movement.fuelType] = 0;
+      }
+      balances[movement.fuelType] += movement.quantity;
+      entries.push({
+        ...movement,
+        quantity: round(movement.quantity),
+        balance: round(balances[movement.fuelType])
+      });
+    }
+
+    const rob = Object.fromEntries(Object.entries(balances).map(([fuelType, balance]) => [fuelType, round(balance)]));
+    return {
+      unit: 'tons',
+      rob,
+      total: round(sum(rob)),
+      asOf: entries.length > 0 ? entries[entries.length - 1].timestamp : null,
+      entries
+    };
+  }
+
+  /**
+   * Aggregation pipeline totalling a ship's bunker deliveries per fuel type,
+   * with the time of the first, so its ROB is worked out in the database
+   * rather than from every delivery and fuel log (see getRob)
+   */
+  getDeliveryTotalsPipeline(shipId) {
+    return [
+      { $match: { shipId, supersededBy: null } },
+      {
+        $group: {
+          _id: '$fuelType',
+          quantity: { $sum: '$quantity' },
+          firstDeliveredAt: { $min: '$deliveredAt' }
+        }
+      }
+    ];
+  }
+
+  /**
+   * Aggregation pipeline totalling the fuel a ship logged per fuel type and
+   * unit, from the first delivery of each fuel type on, as the ledger does
+   */
+  getConsumptionTotalsPipeline(shipId, deliveryTotals) {
+    return [
+      {
+        $match: {
+          shipId,
+          $or: deliveryTotals.map(total => ({ fuelType: total._id, timestamp: { $gte: total.firstDeliveredAt } }))
+        }
+      },
+      {
+        $group: {
+          _id: { fuelType: '$fuelType', unit: '$consumption.unit' },
+          amount: { $sum: '$consumption.amount' }
+        }
+      }
+    ];
+  }
+
+  /**
+   * ROB per fuel type from the results of the delivery and consumption
+   * totals pipelines, matching the ledger's, or null when the ship has no
+   * recorded deliveries
+   */
+  getRob(deliveryTotals, consumptionTotals) {
+    if (deliveryTotals.length === 0) return null;
+
+    const balances = Object.fromEntries(deliveryTotals.map(total => [total._id, total.quantity]));
+    for (const { _id, amount } of consumptionTotals) {
+      balances[_id.fuelType] -= fuelLogService.toTonnes(amount, _id.unit, _id.fuelType);
+    }
+    return Object.fromEntries(Object.entries(balances).map(([fuelType, balance]) => [fuelType, round(balance)]));
+  }
+
+  /**
+   * Tonnes of each fuel grade a fuel prediction burns: its breakdown by grade,
+   * else the whole prediction as `mainFuelType`. Breakdowns of older plans
+   * name the engine type rather than a fuel grade; their fuel counts as the
+   * main grade.
+   */
+  getFuelByGrade(fuelPrediction, mainFuelType) {
+    const breakdown = (fuelPrediction.fuelBreakdown || []).filter(segment => segment.consumption > 0);
+    const segments = breakdown.length > 0
+      ? breakdown
+      : [{ fuelType: mainFuelType, consumption: fuelPrediction.estimatedConsumption || 0 }];
+
+    return segments.reduce((fuel, segment) => {
+      const grade = fuelLogService.fuelTypes.includes(segment.fuelType) ? segment.fuelType : mainFuelType;
+      fuel[grade] = (fuel[grade] || 0) + segment.consumption;
+      return fuel;
+    }, {});
+  }
+
+  /**
+   * Check that a ship can carry and has aboard the fuel for a voyage plus a
+   * reserve margin. The fuel of the longest stretch between bunkering
+   * opportunities (the voyage's legs, as the ship may bunker at its port
+   * calls) must fit in its tanks, or the voyage cannot be sailed. The whole
+   * voyage must fit too, or the ship has to bunker on the way. The ROB of
+   * each grade must cover what the voyage burns of it, or the ship has to
+   * bunker before sailing; a voyage bunkering on the way only needs the
+   * share of each grade its tanks can take aboard at departure. Without a
+   * ROB ledger only the tank capacity is checked.
+   */
+  checkVoyageFuel({ fuelPrediction, mainFuelType, legConsumption = [], rob = null, tankCapacity, reserveMargin = DEFAULT_RESERVE_MARGIN }) {
+    const withReserve = amount => round(amount * (1 + reserveMargin));
+    const warnings = [];
+
+    const required = withReserve(fuelPrediction.estimatedConsumption);
+    const fuelTypes = Object.fromEntries(Object.entries(this.getFuelByGrade(fuelPrediction, mainFuelType))
+      .map(([fuelType, amount]) => [fuelType, withReserve(amount)]));
+
+    const legs = legConsumption.length > 0 ? legConsumption : [fuelPrediction.estimatedConsumption];
+    const longestLeg = withReserve(Math.max(...legs));
+
+    let feasible = true;
+    let bunkerEnRoute = false;
+    if (tankCapacity && longestLeg > tankCapacity) {
+      feasible = false;
+      warnings.push(`Fuel for the longest leg with reserve (${longestLeg} t) exceeds the ship's tank capacity of ${tankCapacity} t`);
+    } else if (tankCapacity && required > tankCapacity) {
+      bunkerEnRoute = true;
+      warnings.push(`Fuel for the voyage with reserve (${required} t) exceeds the tank capacity of ${tankCapacity} t; bunker at a port call on the way`);
+    }
+
+    let shortfall = null;
+    if (rob) {
+      // Only what the tanks can take on before sailing has to be aboard at departure
+      const departureShare = tankCapacity && required > tankCapacity ? tankCapacity / required : 1;
+      shortfall = {};
+      for (const [fuelType, amount] of Object.entries(fuelTypes)) {
+        const needed = round(amount * departureShare);
+        const aboard = rob[fuelType] || 0;
+        shortfall[fuelType] = round(Math.max(0, needed - aboard));
+        if (shortfall[fuelType] > 0) {
+          warnings.push(`ROB of ${aboard} t ${fuelType} is ${shortfall[fuelType]} t short of the ${needed} t needed at departure`);
+        }
+      }
+      shortfall.total = round(sum(shortfall));
+    } else {
+      warnings.push('No bunker deliveries recorded for the ship, so the fuel remaining on board is unknown');
+    }
+
+    const sufficient = feasible && !!shortfall && Object.values(shortfall).every(amount => amount === 0);
+
+    return {
+      unit: 'tons',
+      reserveMargin,
+      required,
+      fuelTypes,
+      longestLeg,
+      tankCapacity: tankCapacity || null,
+      rob: rob ? { ...rob } : null,
+      shortfall,
+      feasible,
+      bunkerEnRoute,
+      sufficient,
+      warnings
+    };
+  }
+}
+
+module.exports = new BunkerService();
@@ -0,0 +1,82 @@
+const { passages } = require('../data/chokepoints.json');
+
+class ChokepointService {
+  constructor() {
+    // Canal and strait registry; the routing geometry is used by the sea pathfinder
+    this.passages = passages;
+  }
+
+  /**
+   * Reasons a ship cannot use a passage; empty when it fits.
+   * Dimensions missing from the ship's specifications are not checked.
+   */
+  checkShipFit(passage, ship) {
+    const specifications = (ship && ship.specifications) || {};
+    const { maxDraft, maxBeam, maxLength } = passage.limits;
+    const reasons = [];
+
+    if (maxDraft && specifications.draft > maxDraft) {
+      reasons.push(`Draft ${specifications.draft}m exceeds the ${maxDraft}m limit`);
+    }
+    if (maxBeam && specifications.width > maxBeam) {
+      reasons.push(`Beam ${specifications.width}m exceeds the ${maxBeam}m limit`);
+    }
+    if (maxLength && specifications.length > maxLength) {
+      reasons.push(`Length ${specifications.length}m exceeds the ${maxLength}m limit`);
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Passages a ship is too large to use, with the reasons for each
+   */
+  getRestrictedPassages(ship) {
+    if (!ship) return [];
+
+    return this.passages
+      .map(passage => ({
+        id: passage.id,
+        name: passage.name,
+        reasons: this.checkShipFit(passage, ship)
+      }))
+      .filter(passage => passage.reasons.length > 0);
+  }
+
+  /**
+   * Transit fee (USD) and expected waiting time for a ship using a passage.
+   * Fees scale with gross tonnage, falling back to cargo capacity when unknown.
+   */
+  calculateTransitCost(passage, ship) {
+    const tonnage = (ship && ((ship.specifications && ship.specifications.grossTonnage) || ship.capacity)) || 0;
+    const fee = passage.transitFee.base + passage.transitFee.perGrossTon * tonnage;
+
+    return {
+      fee: Math.round(fee * 100) / 100,
+      waitingHours: passage.typicalWaitingHours
+    };
+  }
+
+  /**
+   * Cost breakdown for the passages a route transits, in transit order
+   */
+  summarizeTransits(routePassages, ship) {
+    const transits = routePassages.map(routePassage => {
+      const passage = this.passages.find(p => p.id === routePassage.id);
+      return {
+        id: passage.id,
+        name: passage.name,
+        type: passage.type,
+        ...this.calculateTransitCost(passage, ship)
+      };
+    });
+
+    return {
+      transits,
+      totalTransitCost: Math.round(transits.reduce((sum, t) => sum + t.fee, 0) * 100) / 100,
+      totalWaitingHours: transits.reduce((sum, t) => sum + t.waitingHours, 0)
+    };
+  }
+}
+
+module.exports = new ChokepointService();
@@ -0,0 +1,335 @@
+const fuelLogService = require('./fuelLogService');
+const bunkerService = require('./bunkerService');
+const fuelReferenceService = require('./fuelReferenceService');
+
+// Ships of 5,000 GT and above report their annual operational carbon intensity
+const MIN_GROSS_TONNAGE = 5000;
+
+// Reference lines (MEPC.353(78)): CII_ref = a * capacity^-c, in g CO2 per
+// capacity-nautical mile. Bands run from the largest ships down; `cap` is
+// the capacity used for ships above it, `floor` for ships below it.
+// Rating boundaries (MEPC.354(78)) are the exp(d1..d4) ratios of attained to
+// required CII between ratings A/B, B/C, C/D and D/E.
+const SHIP_TYPES = {
+  'bulk-carrier': {
+    capacity: 'deadweight',
+    bands: [{ a: 4745, c: 0.622, cap: 279000 }],
+    boundaries: [0.86, 0.94, 1.06, 1.18]
+  },
+  'gas-carrier': {
+    capacity: 'deadweight',
+    bands: [
+      { from: 65000, a: 14405e7, c: 2.071, boundaries: [0.81, 0.91, 1.12, 1.44] },
+      { a: 8104, c: 0.639 }
+    ],
+    boundaries: [0.85, 0.95, 1.06, 1.25]
+  },
+  tanker: {
+    capacity: 'deadweight',
+    bands: [{ a: 5247, c: 0.61 }],
+    boundaries: [0.82, 0.93, 1.08, 1.28]
+  },
+  'container-ship': {
+    capacity: 'deadweight',
+    bands: [{ a: 1984, c: 0.489 }],
+    boundaries: [0.83, 0.94, 1.07, 1.19]
+  },
+  'general-cargo-ship': {
+    capacity: 'deadweight',
+    bands: [
+      { from: 20000, a: 31948, c: 0.792 },
+      { a: 588, c: 0.3885 }
+    ],
+    boundaries: [0.83, 0.94, 1.06, 1.19]
+  },
+  'refrigerated-cargo-carrier': {
+    capacity: 'deadweight',
+    bands: [{ a: 4600, c: 0.557 }],
+    boundaries: [0.78, 0.91, 1.07, 1.2]
+  },
+  'combination-carrier': {
+    capacity: 'deadweight',
+    bands: [{ a: 5119, c: 0.622 }],
+    boundaries: [0.87, 0.96, 1.06, 1.14]
+  },
+  'lng-carrier': {
+    capacity: 'deadweight',
+    bands: [
+      { from: 100000, a: 9.827, c: 0, boundaries: [0.89, 0.98, 1.06, 1.13] },
+      { from: 65000, a: 14479e10, c: 2.673 },
+      { a: 14479e10, c: 2.673, floor: 65000 }
+    ],
+    boundaries: [0.78, 0.92, 1.1, 1.37]
+  },
+  'ro-ro-vehicle-carrier': {
+    capacity: 'grossTonnage',
+    bands: [
+      { from: 30000, a: 3627, c: 0.59, cap: 57700 },
+      { a: 330, c: 0.329 }
+    ],
+    boundaries: [0.86, 0.94, 1.06, 1.16]
+  },
+  'ro-ro-cargo-ship': {
+    capacity: 'deadweight',
+    bands: [{ a: 1967, c: 0.485 }],
+    boundaries: [0.76, 0.89, 1.08, 1.27]
+  },
+  'ro-ro-passenger-ship': {
+    capacity: 'grossTonnage',
+    bands: [{ a: 2023, c: 0.46 }],
+    boundaries: [0.76, 0.92, 1.14, 1.3]
+  },
+  'cruise-passenger-ship': {
+    capacity: 'grossTonnage',
+    bands: [{ a: 930, c: 0.383 }],
+    boundaries: [0.87, 0.95, 1.06, 1.16]
+  }
+};
+
+// Reduction of the required CII below the 2019 reference line, percent
+// (MEPC.338(76) to 2026, MEPC.400(83) from 2027); later years keep 2030's
+const REDUCTION_FACTORS = {
+  2019: 0,
+  2020: 1,
+  2021: 2,
+  2022: 3,
+  2023: 5,
+  2024: 7,
+  2025: 9,
+  2026: 11,
+  2027: 13.625,
+  2028: 16.25,
+  2029: 18.875,
+  2030: 21.5
+};
+const FIRST_YEAR = 2019;
+const LAST_YEAR = 2030;
+
+const RATINGS = ['A', 'B', 'C', 'D', 'E'];
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+class CiiService {
+  constructor() {
+    this.shipTypes = Object.keys(SHIP_TYPES);
+    this.firstYear = FIRST_YEAR;
+  }
+
+  /**
+   * Capacity a ship's CII is measured against (deadweight, or gross tonnage
+   * for passenger ships and vehicle carriers), the reference line band it
+   * falls in and the rating boundaries of that band; null when the ship type
+   * is unknown or the tonnage it needs is not set
+   */
+  getShipParameters(ship) {
+    const type = SHIP_TYPES[ship.shipType];
+    if (!type) return null;
+
+    const tonnage = (ship.specifications || {})[type.capacity];
+    if (!(typeof tonnage === 'number' && tonnage > 0)) return null;
+
+    const band = type.bands.find(candidate => candidate.from === undefined || tonnage >= candidate.from);
+    const capacity = Math.max(Math.min(tonnage, band.cap || Infinity), band.floor || 0);
+
+    return {
+      shipType: ship.shipType,
+      capacityMeasure: type.capacity,
+      capacity,
+      referenceLine: { a: band.a, c: band.c },
+      boundaries: band.boundaries || type.boundaries
+    };
+  }
+
+  /**
+   * Required CII of a ship for a year: its reference line value less the
+   * year's reduction factor
+   */
+  getRequiredCii(parameters, year) {
+    const reference = parameters.referenceLine.a * Math.pow(parameters.capacity, -parameters.referenceLine.c);
+    const reductionFactor = REDUCTION_FACTORS[Math.min(year, LAST_YEAR)];
+    return {
+      reference: round(reference, 3),
+      reductionFactor,
+      required: round(reference * (1 - reductionFactor / 100), 3)
+    };
+  }
+
+  /**
+   * A–E rating of an attained CII against the required CII, with the
+   * attained CII bounding each rating
+   */
+  getRating(attained, required, boundaries) {
+    const ratio = attained / required;
+    const index = boundaries.findIndex(boundary => ratio < boundary);
+    return {
+      rating: RATINGS[index === -1 ? RATINGS.length - 1 : index],
+      ratio: round(ratio, 3),
+      boundaries: Object.fromEntries(boundaries.map((boundary, i) => [
+        `${RATINGS[i]}/${RATINGS[i + 1]}`,
+        round(required * boundary, 3)
+      ]))
+    };
+  }
+
+  /**
+   * Attained CII: grams of CO2 emitted per unit of capacity per nautical mile
+   * sailed. `fuel` is tonnes burned per fuel grade, priced in CO2 with the
+   * emission factors of `referenceTables`. Null when no distance has been
+   * sailed.
+   */
+  getAttainedCii(fuel, distance, capacity, referenceTables) {
+    const co2 = Object.entries(fuel).reduce((sum, [fuelType, tonnes]) => {
+      const factor = fuelReferenceService.getEmissionFactor(fuelType, referenceTables);
+      return sum + tonnes * (factor ? factor.co2Factor : 0);
+    }, 0);
+
+    return {
+      fuel: Object.fromEntries(Object.entries(fuel).map(([fuelType, tonnes]) => [fuelType, round(tonnes)])),
+      co2: round(co2),
+      distance: round(distance, 1),
+      attained: distance > 0 ? round(co2 * 1e6 / (capacity * distance), 3) : null
+    };
+  }
+
+  /**
+   * Share of a voyage's time that falls inside a year, so voyages spanning
+   * New Year count towards each year in part
+   */
+  getYearShare(start, end, year) {
+    const from = new Date(Date.UTC(year, 0, 1)).getTime();
+    const to = new Date(Date.UTC(year + 1, 0, 1)).getTime();
+    const startTime = new Date(start).getTime();
+    const endTime = end ? new Date(end).getTime() : startTime;
+
+    if (endTime <= startTime) return startTime >= from && startTime < to ? 1 : 0;
+    return Math.max(0, Math.min(endTime, to) - Math.max(startTime, from)) / (endTime - startTime);
+  }
+
+  /**
+   * Fuel burned per grade and distance sailed in a year so far. Fuel comes
+   * from the fuel logs of the year, less those of voyages not completed yet
+   * (their fuel counts once they are, with their distance); distance from the
+   * completed voyages, actual where recorded, else as planned.
+   */
+  getYearToDate({ voyages, fuelLogs, year }) {
+    const completed = voyages.filter(voyage => voyage.status === 'completed');
+    const open = new Set(voyages.filter(voyage => voyage.status !== 'completed').map(voyage => voyage.voyageId));
+
+    const fuel = {};
+    for (const log of fuelLogs) {
+      if (new Date(log.timestamp).getUTCFullYear() !== year || (log.voyageId && open.has(log.voyageId))) continue;
+      fuel[log.fuelType] = (fuel[log.fuelType] || 0) +
+        fuelLogService.toTonnes(log.consumption.amount, log.consumption.unit, log.fuelType);
+    }
+
+    const distance = completed.reduce((sum, voyage) => {
+      const sailed = (voyage.actualRoute && voyage.actualRoute.totalDistance) ||
+        (voyage.plannedRoute && voyage.plannedRoute.totalDistance) || 0;
+      return sum + sailed * this.getYearShare(voyage.departureTime, voyage.actualArrival || voyage.estimatedArrival, year);
+    }, 0);
+
+    return { fuel, distance, voyages: completed.length };
+  }
+
+  /**
+   * Fuel per grade and distance of the voyages still to complete in a year,
+   * sailed as planned: their planned distance and the fuel predicted for it
+   * at the planned speeds, in the part of each voyage inside the year.
+   * Voyages without a prediction are listed as skipped.
+   */
+  getPlannedVoyages({ voyages, year, mainFuelType }) {
+    const fuel = {};
+    let distance = 0;
+    const included = [];
+    const skipped = [];
+
+    for (const voyage of voyages) {
+      if (!['planned', 'in-progress', 'delayed'].includes(voyage.status)) continue;
+      const share = this.getYearShare(voyage.departureTime, voyage.estimatedArrival, year);
+      if (share === 0) continue;
+
+      const prediction = voyage.fuelPrediction || {};
+      const plannedDistance = voyage.plannedRoute && voyage.plannedRoute.totalDistance;
+      if (!(prediction.estimatedConsumption > 0) || !(plannedDistance > 0)) {
+        skipped.push(voyage.voyageId);
+        continue;
+      }
+
+      for (const [grade, tonnes] of Object.entries(bunkerService.getFuelByGrade(prediction, mainFuelType))) {
+        fuel[grade] = (fuel[grade] || 0) + tonnes * share;
+      }
+      distance += plannedDistance * share;
+
+      included.push({
+        voyageId: voyage.voyageId,
+        status: voyage.status,
+        departureTime: voyage.departureTime,
+        estimatedArrival: voyage.estimatedArrival,
+        distance: round(plannedDistance * share, 1),
+        fuel: round(prediction.estimatedConsumption * share),
+        plannedSpeed: voyage.aiRecommendations && voyage.aiRecommendations.optimalSpeed
+      });
+    }
+
+    return { fuel, distance, voyages: included, skipped };
+  }
+
+  /**
+   * Attained CII and rating of a ship for a year so far, and projected to
+   * year-end. At the pace so far the rating holds, as CII is a ratio; with
+   * the planned voyages sailed at their planned speeds it moves with their
+   * predicted fuel and distance. CO2 is counted with the emission factors of
+   * `referenceTables`, the same for every figure of the rating.
+   */
+  rateShip({ ship, voyages, fuelLogs, year, referenceTables }) {
+    const parameters = this.getShipParameters(ship);
+    const required = this.getRequiredCii(parameters, year);
+    const mainFuelType = fuelReferenceService.getMainFuelType(ship.engineType);
+
+    const rate = (fuel, distance) => {
+      const attained = this.getAttainedCii(fuel, distance, parameters.capacity, referenceTables);
+      return {
+        ...attained,
+        ...(attained.attained !== null
+          ? this.getRating(attained.attained, required.required, parameters.boundaries)
+          : { rating: null })
+      };
+    };
+
+    const yearToDate = this.getYearToDate({ voyages, fuelLogs, year });
+    const planned = this.getPlannedVoyages({ voyages, year, mainFuelType });
+    const projectedFuel = { ...yearToDate.fuel };
+    for (const [fuelType, tonnes] of Object.entries(planned.fuel)) {
+      projectedFuel[fuelType] = (projectedFuel[fuelType] || 0) + tonnes;
+    }
+
+    const warnings = [];
+    const grossTonnage = (ship.specifications || {}).grossTonnage;
+    if (typeof grossTonnage === 'number' && grossTonnage < MIN_GROSS_TONNAGE) {
+      warnings.push(`Ships under ${MIN_GROSS_TONNAGE} GT are not rated; the rating is indicative`);
+    }
+    if (yearToDate.distance === 0) {
+      warnings.push(`No completed voyages in ${year}, so there is no attained CII yet`);
+    }
+    if (planned.skipped.length > 0) {
+      warnings.push(`Planned voyages without a fuel prediction are left out of the projection: ${planned.skipped.join(', ')}`);
+    }
+
+    return {
+      year,
+      shipType: parameters.shipType,
+      capacity: { measure: parameters.capacityMeasure, value: parameters.capacity },
+      unit: 'gCO2/capacity-nm',
+      ...required,
+      yearToDate: { completedVoyages: yearToDate.voyages, ...rate(yearToDate.fuel, yearToDate.distance) },
+      projection: {
+        plannedVoyages: planned.voyages,
+        ...rate(projectedFuel, yearToDate.distance + planned.distance)
+      },
+      emissionFactorsVersion: fuelReferenceService.getVersions(referenceTables).emissionFactors,
+      warnings
+    };
+  }
+}
+
+module.exports = new CiiService();
@@ -0,0 +1,132 @@
+const { areas, ports } = require('../data/bathymetry.json');
+const {
+  greatCircleDistance,
+  pathSteps,
+  isInsidePolygon,
+  polygonBounds,
+  isWithinBounds
+} = require('../utils/navigation');
+
+// Water a ship must keep under its keel when none is given, in metres
+const DEFAULT_UNDER_KEEL_CLEARANCE = 2;
+
+// Draft in ballast, as a fraction of the summer draft at full deadweight
+const BALLAST_DRAFT_RATIO = 0.6;
+
+// How close a voyage endpoint must be to a listed port to take its depth
+const PORT_MATCH_RADIUS = 15; // nautical miles
+
+// Longest step when sampling a route for shallow areas
+const SAMPLE_DISTANCE = 10; // nautical miles
+
+class DepthService {
+  constructor() {
+    // Shallow area registry with bounding boxes for quick rejection; the sea
+    // pathfinder rasterises the same polygons onto its grid
+    this.areas = areas.map(area => ({ ...area, bounds: polygonBounds(area.polygon) }));
+    this.ports = ports;
+    this.defaultUnderKeelClearance = DEFAULT_UNDER_KEEL_CLEARANCE;
+  }
+
+  /**
+   * Draft (metres) of a ship carrying a cargo load, interpolated between its
+   * ballast draft and its summer draft at full deadweight. Falls back to the
+   * cargo capacity when the deadweight is unknown; returns null when the
+   * ship's draft is not recorded, so no depth checks apply.
+   */
+  estimateLoadedDraft(ship, cargoWeight = 0) {
+    const specifications = (ship && ship.specifications) || {};
+    if (!specifications.draft) return null;
+
+    const deadweight = specifications.deadweight || ship.capacity;
+    const loadFraction = deadweight > 0 ? Math.min(1, Math.max(0, cargoWeight / deadweight)) : 1;
+    const draft = specifications.draft * (BALLAST_DRAFT_RATIO + (1 - BALLAST_DRAFT_RATIO) * loadFraction);
+
+    return Math.round(draft * 100) / 100;
+  }
+
+  /**
+   * Shallow areas containing a coordinate
+   */
+  findAreas(coord) {
+    return this.areas.filter(area => isWithinBounds(coord, area.bounds) && isInsidePolygon(coord, area.polygon));
+  }
+
+  /**
+   * Depth available at a voyage endpoint: that of the nearest listed port
+   * within PORT_MATCH_RADIUS, else of the shallow area around it. Returns
+   * `{ name, depth }`, or null when the depth is unknown.
+   */
+  getPortDepth(coord) {
+    let nearest = null;
+    let nearestDistance = PORT_MATCH_RADIUS;
+    for (const port of this.ports) {
+      const distance = greatCircleDistance(coord, port.coordinates);
+      if (distance <= nearestDistance) {
+        nearest = port;
+        nearestDistance = distance;
+      }
+    }
+    if (nearest) return { name: nearest.name, depth: nearest.depth };
+
+    const [area] = this.findAreas(coord).sort((a, b) => a.depth - b.depth);
+    return area ? { name: area.name, depth: area.depth } : null;
+  }
+
+  /**
+   * Least charted depth met along a route and the shallow area it lies in, or
+   * null when the route stays in deep water
+   */
+  getLeastDepth(waypoints, routeMode = 'great-circle') {
+    let least = null;
+    for (const step of pathSteps(waypoints, routeMode, SAMPLE_DISTANCE)) {
+      for (const area of this.findAreas(step.midpoint)) {
+        if (!least || area.depth < least.depth) {
+          least = { name: area.name, depth: area.depth };
+        }
+      }
+    }
+    return least;
+  }
+
+  /**
+   * Under-keel clearance summary of a route for a ship at a loaded draft
+   */
+  assessRoute(waypoints, loadedDraft, underKeelClearance, routeMode) {
+    const least = this.getLeastDepth(waypoints, routeMode);
+
+    return {
+      loadedDraft,
+      underKeelClearance,
+      requiredDepth: Math.round((loadedDraft + underKeelClearance) * 100) / 100,
+      leastDepth: least ? least.depth : null,
+      leastDepthArea: least ? least.name : null,
+      leastClearance: least ? Math.round((least.depth - loadedDraft) * 100) / 100 : null
+    };
+  }
+
+  /**
+   * Combine the under-keel clearance summaries of consecutive routes, keeping
+   * the deepest draft and the tightest clearance. Legs without a summary
+   * (draft unknown) are ignored.
+   */
+  combineAssessments(assessments) {
+    const known = assessments.filter(Boolean);
+    if (known.length === 0) return null;
+
+    const tightest = known
+      .filter(assessment => assessment.leastClearance !== null)
+      .sort((a, b) => a.leastClearance - b.leastClearance)[0];
+
+    return {
+      loadedDraft: Math.max(...known.map(assessment => assessment.loadedDraft)),
+      underKeelClearance: known[0].underKeelClearance,
+      requiredDepth: Math.max(...known.map(assessment => assessment.requiredDepth)),
+      leastDepth: tightest ? tightest.leastDepth : null,
+      leastDepthArea: tightest ? tightest.leastDepthArea : null,
+      leastClearance: tightest ? tightest.leastClearance : null
+    };
+  }
+}
+
+module.exports = new DepthService();
@@ -0,0 +1,96 @@
+const { zones } = require('../data/ecaZones.json');
+const { pathSteps, isInsidePolygon, polygonBounds, isWithinBounds } = require('../utils/navigation');
+
+// Longest step when sampling a route for Emission Control Area boundaries
+const SAMPLE_DISTANCE = 10; // nautical miles
+
+// Fuel burned inside an ECA to meet its 0.1% sulphur limit; all-electric ships are exempt
+const ECA_FUEL_TYPE = 'marine-gas-oil';
+const ECA_EXEMPT_ENGINES = ['electric'];
+
+class EcaService {
+  constructor() {
+    // Emission Control Area registry with bounding boxes for quick rejection
+    this.zones = zones.map(zone => ({ ...zone, bounds: polygonBounds(zone.polygon) }));
+    this.ecaFuelType = ECA_FUEL_TYPE;
+  }
+
+  /**
+   * Emission Control Area containing a coordinate, or null outside them all
+   */
+  findZone(coord) {
+    return this.zones.find(zone => isWithinBounds(coord, zone.bounds) && isInsidePolygon(coord, zone.polygon)) || null;
+  }
+
+  /**
+   * Split a route into the stretches sailed inside and outside Emission
+   * Control Areas. Each leg is sampled every SAMPLE_DISTANCE miles along the
+   * chosen sailing, so boundary crossings are placed to within that distance.
+   * Returns the distance inside and outside ECAs, the distance per zone and the
+   * consecutive segments (zone id, or null outside) in sailing order.
+   */
+  splitRoute(waypoints, routeMode = 'great-circle') {
+    const segments = [];
+    const zoneDistances = new Map();
+
+    for (const step of pathSteps(waypoints, routeMode, SAMPLE_DISTANCE)) {
+      const zone = this.findZone(step.midpoint);
+      const zoneId = zone ? zone.id : null;
+
+      const current = segments[segments.length - 1];
+      if (current && current.zone === zoneId) {
+        current.to = step.to;
+        current.distance += step.distance;
+      } else {
+        segments.push({ zone: zoneId, from: step.from, to: step.to, distance: step.distance });
+      }
+      if (zone) {
+        zoneDistances.set(zone.id, (zoneDistances.get(zone.id) || 0) + step.distance);
+      }
+    }
+
+    const round = value => Math.round(value * 10) / 10;
+    const ecaDistance = segments.filter(s => s.zone).reduce((sum, s) => sum + s.distance, 0);
+    const nonEcaDistance = segments.filter(s => !s.zone).reduce((sum, s) => sum + s.distance, 0);
+
+    return {
+      ecaDistance: round(ecaDistance),
+      nonEcaDistance: round(nonEcaDistance),
+      zones: [...zoneDistances].map(([id, zoneDistance]) => ({
+        id,
+        name: this.zones.find(zone => zone.id === id).name,
+        distance: round(zoneDistance)
+      })),
+      segments: segments.map(segment => ({ ...segment, distance: round(segment.distance) }))
+    };
+  }
+
+  /**
+   * Fuel a ship must burn inside ECAs, or null when its engines are exempt
+   */
+  getEcaFuelType(engineType) {
+    return ECA_EXEMPT_ENGINES.includes(engineType) ? null : ECA_FUEL_TYPE;
+  }
+
+  /**
+   * Combine the ECA splits of consecutive routes into one
+   */
+  combineSplits(splits) {
+    const zoneDistances = new Map();
+    for (const split of splits) {
+      for (const zone of split.zones) {
+        const total = zoneDistances.get(zone.id);
+        zoneDistances.set(zone.id, total ? { ...total, distance: total.distance + zone.distance } : { ...zone });
+      }
+    }
+
+    return {
+      ecaDistance: Math.round(splits.reduce((sum, split) => sum + split.ecaDistance, 0) * 10) / 10,
+      nonEcaDistance: Math.round(splits.reduce((sum, split) => sum + split.nonEcaDistance, 0) * 10) / 10,
+      zones: [...zoneDistances.values()].map(zone => ({ ...zone, distance: Math.round(zone.distance * 10) / 10 })),
+      segments: splits.flatMap(split => split.segments)
+    };
+  }
+}
+
+module.exports = new EcaService();
@@ -0,0 +1,208 @@
+const FUEL_TYPES = ['diesel', 'heavy-fuel-oil', 'marine-gas-oil', 'lng', 'methanol'];
+const UNITS = ['liters', 'gallons', 'tons'];
+const ENGINES = ['main-engine', 'auxiliary-engine', 'boiler'];
+const GROUP_BY = ['ship', 'voyage', 'fuelType', 'engine', 'day', 'week', 'month'];
+
+// Density of each fuel at 15°C, tonnes per cubic metre, to turn volumes into mass
+const DENSITIES = {
+  diesel: 0.85,
+  'heavy-fuel-oil': 0.991,
+  'marine-gas-oil': 0.89,
+  lng: 0.45,
+  methanol: 0.792
+};
+
+const LITERS_PER_GALLON = 3.785411784; // US gallons
+
+const round = value => Math.round(value * 100) / 100;
+
+const isNonNegative = value => typeof value === 'number' && value >= 0;
+
+class FuelLogService {
+  constructor() {
+    this.fuelTypes = FUEL_TYPES;
+    this.units = UNITS;
+    this.engines = ENGINES;
+    this.groupBy = GROUP_BY;
+  }
+
+  /**
+   * Check the fields of a fuel log entry; returns an error message or null
+   * when they are valid. Only the fields present are checked, so partial
+   * updates can be validated too.
+   */
+  validateLog(log) {
+    if (log.fuelType !== undefined && !FUEL_TYPES.includes(log.fuelType)) {
+      return `fuelType must be one of: ${FUEL_TYPES.join(', ')}`;
+    }
+    if (log.engine !== undefined && !ENGINES.includes(log.engine)) {
+      return `engine must be one of: ${ENGINES.join(', ')}`;
+    }
+    if (log.timestamp !== undefined && isNaN(new Date(log.timestamp))) {
+      return 'timestamp must be a valid date';
+    }
+
+    if (log.consumption !== undefined) {
+      if (!log.consumption || !isNonNegative(log.consumption.amount)) {
+        return 'consumption.amount must be a non-negative number';
+      }
+      if (log.consumption.unit !== undefined && !UNITS.includes(log.consumption.unit)) {
+        return `consumption.unit must be one of: ${UNITS.join(', ')}`;
+      }
+    }
+
+    if (log.cost !== undefined) {
+      if (!log.cost || typeof log.cost !== 'object' || Array.isArray(log.cost)) {
+        return 'cost must be an object with pricePerUnit, totalCost and currency';
+      }
+      for (const field of ['pricePerUnit', 'totalCost']) {
+        if (log.cost[field] !== undefined && !isNonNegative(log.cost[field])) {
+          return `cost.${field} must be a non-negative number`;
+        }
+      }
+    }
+
+    if (log.location !== undefined && !(log.location &&
+      typeof log.location.latitude === 'number' && Math.abs(log.location.latitude) <= 90 &&
+      typeof log.location.longitude === 'number' && Math.abs(log.location.longitude) <= 180)) {
+      return 'location requires a latitude between -90 and 90 and a longitude between -180 and 180';
+    }
+
+    return null;
+  }
+
+  /**
+   * MongoDB filter for fuel logs by ship, voyage, fuel type, engine, source and
+   * time range
+   */
+  buildQuery({ shipId, voyageId, fuelType, engine, source, from, to }) {
+    const query = {};
+    if (shipId) query.shipId = shipId;
+    if (voyageId) query.voyageId = voyageId;
+    if (fuelType) query.fuelType = fuelType;
+    if (engine) query.engine = engine;
+    if (source) query.source = source;
+    if (from || to) {
+      query.timestamp = {};
+      if (from) query.timestamp.$gte = new Date(from);
+      if (to) query.timestamp.$lte = new Date(to);
+    }
+    return query;
+  }
+
+  /**
+   * Amount of fuel in tonnes, converting volumes by the fuel's density
+   */
+  toTonnes(amount, unit = 'liters', fuelType) {
+    if (unit === 'tons') return amount;
+
+    const liters = unit === 'gallons' ? amount * LITERS_PER_GALLON : amount;
+    return liters / 1000 * (DENSITIES[fuelType] || DENSITIES.diesel);
+  }
+
+  /**
+   * Aggregation pipeline totalling the fuel logs matching a query, so they
+   * are summed in the database rather than loaded. Entries are totalled per
+   * group key, fuel type, unit and currency, for `summarize` to convert into
+   * tonnes. An entry's cost is its total cost when recorded, else the price
+   * per unit times the amount in its unit. Periods are in UTC; weeks are
+   * keyed by the Monday they start on.
+   */
+  buildSummaryPipeline(query, groupBy) {
+    const keys = {
+      ship: '$shipId',
+      voyage: '$voyageId',
+      fuelType: '$fuelType',
+      engine: '$engine',
+      day: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } },
+      week: { $dateToString: { format: '%Y-%m-%d', date: { $dateTrunc: { date: '$timestamp', unit: 'week', startOfWeek: 'monday' } } } },
+      month: { $dateToString: { format: '%Y-%m', date: '$timestamp' } }
+    };
+    const cost = {
+      $cond: [
+        { $isNumber: '$cost.totalCost' },
+        '$cost.totalCost',
+        { $cond: [{ $isNumber: '$cost.pricePerUnit' }, { $multiply: ['$cost.pricePerUnit', '$consumption.amount'] }, null] }
+      ]
+    };
+
+    return [
+      { $match: query },
+      { $addFields: { summaryCost: cost } },
+      {
+        $group: {
+          _id: {
+            key: groupBy ? { $ifNull: [keys[groupBy], null] } : null,
+            fuelType: '$fuelType',
+            unit: { $ifNull: ['$consumption.unit', 'liters'] },
+            currency: { $ifNull: ['$cost.currency', 'USD'] }
+          },
+          entries: { $sum: 1 },
+          amount: { $sum: '$consumption.amount' },
+          cost: { $sum: '$summaryCost' },
+          costed: { $sum: { $cond: [{ $isNumber: '$summaryCost' }, 1, 0] } },
+          from: { $min: '$timestamp' },
+          to: { $max: '$timestamp' }
+        }
+      }
+    ];
+  }
+
+  /**
+   * Total consumption in tonnes, by fuel type, and cost by currency from the
+   * results of a summary pipeline, optionally broken down into groups (those
+   * without a key last)
+   */
+  summarize(rows, groupBy) {
+    const totals = entries => {
+      const byFuelType = {};
+      const cost = {};
+      let consumption = 0;
+
+      for (const row of entries) {
+        const { fuelType, unit, currency } = row._id;
+        const tonnes = this.toTonnes(row.amount, unit, fuelType);
+        consumption += tonnes;
+        byFuelType[fuelType] = (byFuelType[fuelType] || 0) + tonnes;
+
+        if (row.costed > 0) {
+          cost[currency] = (cost[currency] || 0) + row.cost;
+        }
+      }
+
+      const roundAll = values => Object.fromEntries(Object.entries(values).map(([key, value]) => [key, round(value)]));
+      return {
+        entries: entries.reduce((sum, row) => sum + row.entries, 0),
+        consumption: round(consumption),
+        byFuelType: roundAll(byFuelType),
+        cost: roundAll(cost)
+      };
+    };
+
+    const froms = rows.map(row => new Date(row.from).getTime());
+    const tos = rows.map(row => new Date(row.to).getTime());
+    const summary = {
+      unit: 'tons',
+      ...totals(rows),
+      from: froms.length > 0 ? new Date(Math.min(...froms)) : null,
+      to: tos.length > 0 ? new Date(Math.max(...tos)) : null
+    };
+
+    if (groupBy) {
+      const groups = new Map();
+      for (const row of rows) {
+        const { key } = row._id;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+      }
+      summary.groupBy = groupBy;
+      summary.groups = [...groups.entries()]
+        .sort(([a], [b]) => (a === null) - (b === null) || String(a).localeCompare(String(b)))
+        .map(([key, entries]) => ({ key, ...totals(entries) }));
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new FuelLogService();
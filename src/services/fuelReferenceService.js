@@ -0,0 +1,263 @@
+const fuelLogService = require('./fuelLogService');
+const { isWithinBounds } = require('../utils/navigation');
+
+const TABLES = ['fuel-prices', 'emission-factors'];
+
+// Fuel grade a ship's engines burn outside Emission Control Areas
+const MAIN_FUEL_TYPES = {
+  diesel: 'diesel',
+  'gas-turbine': 'marine-gas-oil',
+  hybrid: 'diesel',
+  electric: 'diesel'
+};
+
+// Built-in tables, in force until the first version is saved
+const DEFAULT_TABLES = {
+  'fuel-prices': {
+    version: 0,
+    note: 'Built-in defaults',
+    entries: [
+      { fuelType: 'diesel', pricePerTon: 650 }, // USD per ton
+      { fuelType: 'heavy-fuel-oil', pricePerTon: 450 },
+      { fuelType: 'marine-gas-oil', pricePerTon: 750 },
+      { fuelType: 'lng', pricePerTon: 600 },
+      { fuelType: 'methanol', pricePerTon: 700 }
+    ]
+  },
+  'emission-factors': {
+    version: 0,
+    note: 'Built-in defaults: IMO carbon factors (CF) of MEPC.364(79)',
+    entries: [
+      { fuelType: 'diesel', co2Factor: 3.206 }, // tons CO2 per ton fuel
+      { fuelType: 'heavy-fuel-oil', co2Factor: 3.114 },
+      { fuelType: 'marine-gas-oil', co2Factor: 3.206 },
+      { fuelType: 'lng', co2Factor: 2.75 },
+      { fuelType: 'methanol', co2Factor: 1.375 }
+    ]
+  }
+};
+
+const isNonNegative = value => typeof value === 'number' && value >= 0;
+
+const isGlobal = entry => !entry.port && !(entry.region && entry.region.name);
+
+class FuelReferenceService {
+  constructor() {
+    this.tables = TABLES;
+  }
+
+  /**
+   * Check the entries of a fuel price table; returns an error message or null
+   * when they are valid. Prices apply at a port (name or UN/LOCODE), inside a
+   * region's bounding box (which wraps across the antimeridian when its west
+   * edge is east of its east edge), or everywhere, from their effective date;
+   * every fuel grade needs a price that applies everywhere.
+   */
+  validatePrices(entries) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+      return 'entries must be a non-empty array of fuel prices';
+    }
+
+    for (const [i, entry] of entries.entries()) {
+      const prefix = `Entry ${i + 1}: `;
+      if (!entry || !fuelLogService.fuelTypes.includes(entry.fuelType)) {
+        return `${prefix}fuelType must be one of: ${fuelLogService.fuelTypes.join(', ')}`;
+      }
+      if (!isNonNegative(entry.pricePerTon)) {
+        return `${prefix}pricePerTon must be a non-negative number`;
+      }
+      if (entry.port !== undefined && (typeof entry.port !== 'string' || !entry.port.trim())) {
+        return `${prefix}port must be a port name or code`;
+      }
+      if (entry.port !== undefined && entry.region !== undefined) {
+        return `${prefix}a price applies at a port or in a region, not both`;
+      }
+      if (entry.region !== undefined) {
+        const region = entry.region || {};
+        const bounds = ['south', 'north', 'west', 'east'].map(side => region[side]);
+        if (typeof region.name !== 'string' || !region.name.trim()) {
+          return `${prefix}region.name is required`;
+        }
+        if (!bounds.every(value => typeof value === 'number') ||
+          Math.abs(region.south) > 90 || Math.abs(region.north) > 90 ||
+          Math.abs(region.west) > 180 || Math.abs(region.east) > 180 ||
+          region.south >= region.north || region.west === region.east) {
+          return `${prefix}region needs south < north latitudes and distinct west and east longitudes`;
+        }
+      }
+      if (entry.effectiveFrom !== undefined && isNaN(new Date(entry.effectiveFrom))) {
+        return `${prefix}effectiveFrom must be a valid date`;
+      }
+    }
+
+    const missing = fuelLogService.fuelTypes
+      .filter(fuelType => !entries.some(entry => entry.fuelType === fuelType && isGlobal(entry)));
+    if (missing.length > 0) {
+      return `Every fuel grade needs a price without a port or region; missing: ${missing.join(', ')}`;
+    }
+    return null;
+  }
+
+  /**
+   * Check the entries of an emission factor table; returns an error message
+   * or null when they are valid. Every fuel grade needs exactly one factor.
+   */
+  validateEmissionFactors(entries) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+      return 'entries must be a non-empty array of emission factors';
+    }
+
+    for (const [i, entry] of entries.entries()) {
+      const prefix = `Entry ${i + 1}: `;
+      if (!entry || !fuelLogService.fuelTypes.includes(entry.fuelType)) {
+        return `${prefix}fuelType must be one of: ${fuelLogService.fuelTypes.join(', ')}`;
+      }
+      if (!(typeof entry.co2Factor === 'number' && entry.co2Factor > 0)) {
+        return `${prefix}co2Factor must be a positive number of tonnes CO2 per tonne of fuel`;
+      }
+      if (entries.findIndex(other => other && other.fuelType === entry.fuelType) !== i) {
+        return `${prefix}${entry.fuelType} has more than one emission factor`;
+      }
+    }
+
+    const missing = fuelLogService.fuelTypes.filter(fuelType => !entries.some(entry => entry.fuelType === fuelType));
+    if (missing.length > 0) {
+      return `Every fuel grade needs an emission factor; missing: ${missing.join(', ')}`;
+    }
+    return null;
+  }
+
+  /**
+   * Check the entries of a reference table by name
+   */
+  validateTable(table, entries) {
+    return table === 'fuel-prices' ? this.validatePrices(entries) : this.validateEmissionFactors(entries);
+  }
+
+  /**
+   * Latest saved version of each reference table, keyed by table, with the
+   * built-in table for those never saved. A request loads them once and
+   * passes them to everything it prices, so one plan never mixes versions.
+   */
+  async loadTables() {
+    // Required here, as the model takes its table names from this service
+    const FuelReferenceTable = require('../models/FuelReferenceTable');
+    const latest = await Promise.all(TABLES
+      .map(table => FuelReferenceTable.findOne({ table }).sort({ version: -1 }).lean()));
+
+    return TABLES.reduce((tables, table, i) => {
+      tables[table] = latest[i] ? this.toTable(latest[i]) : DEFAULT_TABLES[table];
+      return tables;
+    }, {});
+  }
+
+  /**
+   * Built-in table, version 0
+   */
+  getDefaultTable(table) {
+    return DEFAULT_TABLES[table];
+  }
+
+  /**
+   * Built-in tables, keyed by table
+   */
+  getDefaultTables() {
+    return { ...DEFAULT_TABLES };
+  }
+
+  /**
+   * Versions of a set of reference tables, to state alongside what was
+   * calculated from them
+   */
+  getVersions(tables = DEFAULT_TABLES) {
+    return {
+      fuelPrices: tables['fuel-prices'].version,
+      emissionFactors: tables['emission-factors'].version
+    };
+  }
+
+  /**
+   * Fuel grade a ship's engines burn outside Emission Control Areas
+   */
+  getMainFuelType(engineType) {
+    return MAIN_FUEL_TYPES[engineType] || 'diesel';
+  }
+
+  /**
+   * Price per tonne of a fuel grade bought at a location and time: a price
+   * for the port (matched on any of `ports`, case-insensitively) before one
+   * for a region containing its coordinates, before the price everywhere.
+   * Within each, the entry with the latest effective date not after `at`
+   * applies. When nothing is effective yet, the earliest price everywhere
+   * does. Prices come from `tables` (see loadTables), else the built-in
+   * tables.
+   */
+  getPrice(fuelType, { ports = [], coordinates, at } = {}, tables = DEFAULT_TABLES) {
+    const { version, entries } = tables['fuel-prices'];
+    const names = ports.filter(Boolean).map(name => name.trim().toLowerCase());
+    const time = at ? new Date(at) : new Date();
+    const grade = entries.filter(entry => entry.fuelType === fuelType);
+
+    const scopes = [
+      ['port', entry => entry.port && names.includes(entry.port.trim().toLowerCase())],
+      ['region', entry => entry.region && entry.region.name && coordinates && isWithinBounds(coordinates, entry.region)],
+      ['global', isGlobal]
+    ];
+    for (const [scope, applies] of scopes) {
+      const effective = grade
+        .filter(entry => applies(entry) && (!entry.effectiveFrom || new Date(entry.effectiveFrom) <= time))
+        .sort((a, b) => new Date(b.effectiveFrom || 0) - new Date(a.effectiveFrom || 0))[0];
+      if (effective) return this.toPrice(effective, scope, version);
+    }
+
+    const earliest = grade
+      .filter(isGlobal)
+      .sort((a, b) => new Date(a.effectiveFrom || 0) - new Date(b.effectiveFrom || 0))[0];
+    return earliest ? this.toPrice(earliest, 'global', version) : null;
+  }
+
+  /**
+   * Tonnes of CO2 emitted per tonne of a fuel grade burned, from `tables`
+   * (see loadTables), else the built-in tables
+   */
+  getEmissionFactor(fuelType, tables = DEFAULT_TABLES) {
+    const { version, entries } = tables['emission-factors'];
+    const entry = entries.find(factor => factor.fuelType === fuelType);
+    return entry ? { co2Factor: entry.co2Factor, version } : null;
+  }
+
+  /**
+   * Field of a saved reference table holding its entries
+   */
+  getEntriesField(table) {
+    return table === 'fuel-prices' ? 'prices' : 'emissionFactors';
+  }
+
+  /**
+   * Version, note and entries of a saved reference table
+   */
+  toTable(saved) {
+    return {
+      version: saved.version,
+      note: saved.note,
+      createdBy: saved.createdBy,
+      createdAt: saved.createdAt,
+      entries: saved[this.getEntriesField(saved.table)] || []
+    };
+  }
+
+  /**
+   * Price lookup result with where it applies
+   */
+  toPrice(entry, scope, version) {
+    return {
+      pricePerTon: entry.pricePerTon,
+      scope,
+      port: entry.port,
+      region: entry.region && entry.region.name,
+      version
+    };
+  }
+}
+
+module.exports = new FuelReferenceService();
@@ -0,0 +1,259 @@
+const fuelLogService = require('./fuelLogService');
+const { greatCircleDistance } = require('../utils/navigation');
+
+const HOUR = 60 * 60 * 1000;
+
+const FUEL_TYPES = fuelLogService.fuelTypes;
+const ENGINES = fuelLogService.engines;
+
+// Positions and distances in a report are rounded, so the distance run may
+// fall short of the distance between the reported positions by this much
+const DISTANCE_TOLERANCE = 0.05; // share of the distance run
+const DISTANCE_ALLOWANCE = 3; // nautical miles
+
+// Tank soundings are not exact: the ROB may differ from the previous ROB less
+// the fuel consumed, plus any received, by this much
+const ROB_TOLERANCE = 0.02; // share of the previous ROB
+const ROB_ALLOWANCE = 1; // tonnes
+
+// Margin over the ship's maximum speed for the average speed between reports
+const SPEED_MARGIN = 1.1;
+
+const round = value => Math.round(value * 100) / 100;
+
+const isValidPosition = position => !!position &&
+  typeof position.latitude === 'number' && Math.abs(position.latitude) <= 90 &&
+  typeof position.longitude === 'number' && Math.abs(position.longitude) <= 180;
+
+const isNonNegative = value => typeof value === 'number' && value >= 0;
+
+class NoonReportService {
+  constructor() {
+    this.fuelTypes = FUEL_TYPES;
+    this.engines = ENGINES;
+  }
+
+  /**
+   * Check the fields of a noon report; returns an error message or null when
+   * they are valid. Fuel figures are in tonnes.
+   */
+  validateReport(report) {
+    if (!report.reportedAt || isNaN(new Date(report.reportedAt))) {
+      return 'reportedAt must be a valid date';
+    }
+    if (!isValidPosition(report.position)) {
+      return 'position requires a latitude between -90 and 90 and a longitude between -180 and 180';
+    }
+    if (!isNonNegative(report.distanceRun)) {
+      return 'distanceRun must be a non-negative number of nautical miles';
+    }
+    for (const field of ['steamingHours', 'speed']) {
+      if (report[field] !== undefined && !isNonNegative(report[field])) {
+        return `${field} must be a non-negative number`;
+      }
+    }
+
+    if (!Array.isArray(report.consumption) || report.consumption.length === 0) {
+      return 'consumption must list the fuel consumed by engine and fuel type';
+    }
+    for (const [i, entry] of report.consumption.entries()) {
+      if (!ENGINES.includes(entry.engine)) {
+        return `consumption ${i + 1} engine must be one of: ${ENGINES.join(', ')}`;
+      }
+      if (!FUEL_TYPES.includes(entry.fuelType)) {
+        return `consumption ${i + 1} fuelType must be one of: ${FUEL_TYPES.join(', ')}`;
+      }
+      if (!isNonNegative(entry.amount)) {
+        return `consumption ${i + 1} amount must be a non-negative number of tonnes`;
+      }
+    }
+
+    for (const field of ['rob', 'bunkered']) {
+      if (report[field] === undefined) continue;
+      if (!Array.isArray(report[field])) {
+        return `${field} must be an array of fuel types and amounts`;
+      }
+      for (const [i, entry] of report[field].entries()) {
+        if (!FUEL_TYPES.includes(entry.fuelType)) {
+          return `${field} ${i + 1} fuelType must be one of: ${FUEL_TYPES.join(', ')}`;
+        }
+        if (!isNonNegative(entry.amount)) {
+          return `${field} ${i + 1} amount must be a non-negative number of tonnes`;
+        }
+      }
+      const fuelTypes = report[field].map(entry => entry.fuelType);
+      if (new Set(fuelTypes).size !== fuelTypes.length) {
+        return `${field} must list each fuel type once`;
+      }
+    }
+
+    const weather = report.weather || {};
+    const ranges = { windDirection: 360, windForce: 12, seaState: 9, swellDirection: 360 };
+    for (const [field, max] of Object.entries(ranges)) {
+      if (weather[field] !== undefined && !(isNonNegative(weather[field]) && weather[field] <= max)) {
+        return `weather.${field} must be a number from 0 to ${max}`;
+      }
+    }
+    if (weather.swellHeight !== undefined && !isNonNegative(weather.swellHeight)) {
+      return 'weather.swellHeight must be a non-negative number of metres';
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a report against the voyage's previous one: the distance run must
+   * cover the distance between their positions, the average speed must be
+   * within the ship's reach and each fuel's ROB must follow from the previous
+   * ROB, the fuel consumed and any fuel received. Returns an error message or
+   * null when the reports agree.
+   */
+  validateAgainstPrevious(report, previous, ship) {
+    const hours = (new Date(report.reportedAt) - new Date(previous.reportedAt)) / HOUR;
+    if (report.steamingHours !== undefined && report.steamingHours > hours + 0.1) {
+      return `steamingHours of ${report.steamingHours} exceeds the ${round(hours)} hours since the previous report`;
+    }
+
+    const straight = greatCircleDistance(previous.position, report.position);
+    if (straight > report.distanceRun * (1 + DISTANCE_TOLERANCE) + DISTANCE_ALLOWANCE) {
+      return `distanceRun of ${report.distanceRun} nm is less than the ${round(straight)} nm from the previous report's position`;
+    }
+
+    const speed = this.getAverageSpeed(report, previous);
+    if (ship && ship.maxSpeed && speed > ship.maxSpeed * SPEED_MARGIN) {
+      return `Average speed of ${speed} knots since the previous report exceeds the ship's maximum speed of ${ship.maxSpeed} knots`;
+    }
+
+    const previousRob = this.sumByFuelType(previous.rob);
+    const consumed = this.sumByFuelType(report.consumption);
+    const received = this.sumByFuelType(report.bunkered);
+    for (const entry of report.rob || []) {
+      if (previousRob[entry.fuelType] === undefined) continue;
+
+      const expected = previousRob[entry.fuelType] - (consumed[entry.fuelType] || 0) + (received[entry.fuelType] || 0);
+      const tolerance = Math.max(ROB_ALLOWANCE, previousRob[entry.fuelType] * ROB_TOLERANCE);
+      if (Math.abs(entry.amount - expected) > tolerance) {
+        return `ROB of ${entry.fuelType} is ${entry.amount} t, but the previous report's ${previousRob[entry.fuelType]} t ` +
+          `less ${consumed[entry.fuelType] || 0} t consumed plus ${received[entry.fuelType] || 0} t received leaves ${round(expected)} t`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Average speed since the previous report, over the hours steamed when
+   * reported, else over the time between the reports
+   */
+  getAverageSpeed(report, previous) {
+    const hours = report.steamingHours ||
+      (new Date(report.reportedAt) - new Date(previous.reportedAt)) / HOUR;
+    return hours > 0 ? round(report.distanceRun / hours) : 0;
+  }
+
+  /**
+   * Tonnes per fuel type of a list of consumption, ROB or bunker entries
+   */
+  sumByFuelType(entries) {
+    return (entries || []).reduce((totals, entry) => {
+      totals[entry.fuelType] = round((totals[entry.fuelType] || 0) + entry.amount);
+      return totals;
+    }, {});
+  }
+
+  /**
+   * Total fuel consumed in a report, tonnes
+   */
+  getTotalConsumption(report) {
+    return round((report.consumption || []).reduce((sum, entry) => sum + entry.amount, 0));
+  }
+
+  /**
+   * Fuel log entries for the fuel a report consumed, one per engine and fuel type
+   */
+  createFuelLogs(report) {
+    const weather = report.weather || {};
+
+    return report.consumption
+      .filter(entry => entry.amount > 0)
+      .map(entry => ({
+        shipId: report.shipId,
+        voyageId: report.voyageId,
+        timestamp: report.reportedAt,
+        fuelType: entry.fuelType,
+        engine: entry.engine,
+        consumption: {
+          amount: entry.amount,
+          unit: 'tons'
+        },
+        location: {
+          latitude: report.position.latitude,
+          longitude: report.position.longitude
+        },
+        operatingConditions: {
+          speed: report.speed,
+          weatherConditions: weather.windForce !== undefined ? `Beaufort ${weather.windForce}` : undefined,
+          seaState: weather.seaState
+        },
+        source: 'noon-report',
+        noonReportId: report._id
+      }));
+  }
+
+  /**
+   * Bunker deliveries for the fuel a report received, one per fuel type, so
+   * the ROB ledger takes on what the report's consumption draws down. They
+   * are placed at the report's time and position, as its entries carry no
+   * delivery note. Fuel types a BDN delivery from `bdnDeliveries` already
+   * records (see bunkerService.getBdnMatchQuery) are left out.
+   */
+  createBunkerDeliveries(report, bdnDeliveries = []) {
+    const recorded = new Set(bdnDeliveries.map(delivery => delivery.fuelType));
+
+    return (report.bunkered || [])
+      .filter(entry => entry.amount > 0 && !recorded.has(entry.fuelType))
+      .map(entry => ({
+        shipId: report.shipId,
+        voyageId: report.voyageId,
+        source: 'noon-report',
+        noonReportId: report._id,
+        deliveredAt: report.reportedAt,
+        port: {
+          coordinates: {
+            latitude: report.position.latitude,
+            longitude: report.position.longitude
+          }
+        },
+        fuelType: entry.fuelType,
+        quantity: entry.amount
+      }));
+  }
+
+  /**
+   * Totals over a voyage's reports: distance run, hours steamed and fuel
+   * consumed by fuel type and by engine, with the ROB of the latest report
+   */
+  summarize(reports) {
+    const consumption = reports.flatMap(report => report.consumption || []);
+    const byEngine = consumption.reduce((totals, entry) => {
+      totals[entry.engine] = round((totals[entry.engine] || 0) + entry.amount);
+      return totals;
+    }, {});
+    const latest = reports[reports.length - 1];
+
+    return {
+      reports: reports.length,
+      distanceRun: round(reports.reduce((sum, report) => sum + report.distanceRun, 0)),
+      steamingHours: round(reports.reduce((sum, report) => sum + (report.steamingHours || 0), 0)),
+      consumption: {
+        total: round(consumption.reduce((sum, entry) => sum + entry.amount, 0)),
+        byFuelType: this.sumByFuelType(consumption),
+        byEngine
+      },
+      rob: latest ? this.sumByFuelType(latest.rob) : {},
+      lastReportedAt: latest ? latest.reportedAt : null
+    };
+  }
+}
+
+module.exports = new NoonReportService();
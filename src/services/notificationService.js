@@ -5,11 +5,15 @@ class NotificationService {
   constructor() {
     this.transporter = this.createTransporter();
     this.defaultFrom = process.env.EMAIL_USER || 'noreply@shipplanning.com';
+    this.voyageAlertRecipients = (process.env.VOYAGE_ALERT_RECIPIENTS || '')
+      .split(',')
+      .map(recipient => recipient.trim())
+      .filter(Boolean);
   }
 
   createTransporter() {
     if (process.env.NODE_ENV === 'production') {
-      return nodemailer.createTransporter({
+      return nodemailer.createTransport({
         host: process.env.EMAIL_HOST,
         port: process.env.EMAIL_PORT || 587,
         secure: false,
@@ -20,7 +24,7 @@ class NotificationService {
       });
     } else {
       // Use ethereal for development
-      return nodemailer.createTransporter({
+      return nodemailer.createTransport({
         host: 'smtp.ethereal.email',
         port: 587,
         auth: {
@@ -71,6 +75,84 @@ class NotificationService {
     }
   }
 
+  /**
+   * Send notification of a voyage's live ETA moving
+   */
+  async sendEtaChangeAlert(voyageData, liveEta, change, recipients = this.voyageAlertRecipients) {
+    try {
+      if (recipients.length === 0) {
+        logger.info(`ETA of voyage ${voyageData.voyageId} moved ${change} hours; no alert recipients configured`);
+        return;
+      }
+
+      const subject = `⏱️ ETA ${change > 0 ? 'Delay' : 'Advance'}: ${voyageData.voyageId} - ${Math.abs(change)} hours`;
+      const html = this.generateEtaChangeAlertHTML(voyageData, liveEta, change);
+
+      await this.sendEmail({
+        to: recipients,
+        subject,
+        html,
+        priority: Math.abs(change) >= 24 ? 'high' : 'normal'
+      });
+
+      logger.info(`ETA change alert sent for ${voyageData.voyageId}`);
+    } catch (error) {
+      logger.error('Error sending ETA change alert:', error);
+    }
+  }
+
+  /**
+   * Send notification of a ship leaving the corridor around its planned route
+   */
+  async sendRouteDeviationAlert(voyageData, deviation, recipients = this.voyageAlertRecipients) {
+    try {
+      if (recipients.length === 0) {
+        logger.info(`Voyage ${voyageData.voyageId} left its route corridor; no alert recipients configured`);
+        return;
+      }
+
+      const subject = `🧭 Route Deviation: ${voyageData.voyageId} - ${deviation.maxCrossTrack} nm off track`;
+      const html = this.generateRouteDeviationAlertHTML(voyageData, deviation);
+
+      await this.sendEmail({
+        to: recipients,
+        subject,
+        html,
+        priority: 'high'
+      });
+
+      logger.info(`Route deviation alert sent for ${voyageData.voyageId}`);
+    } catch (error) {
+      logger.error('Error sending route deviation alert:', error);
+    }
+  }
+
+  /**
+   * Send notification of a revised voyage plan awaiting a decision
+   */
+  async sendPlanRevisionAlert(voyageData, revision, recipients = this.voyageAlertRecipients) {
+    try {
+      if (recipients.length === 0) {
+        logger.info(`Revised plan ${revision.version} proposed for ${voyageData.voyageId}; no alert recipients configured`);
+        return;
+      }
+
+      const subject = `🗺️ Revised Plan Proposed: ${voyageData.voyageId} - version ${revision.version}`;
+      const html = this.generatePlanRevisionAlertHTML(voyageData, revision);
+
+      await this.sendEmail({
+        to: recipients,
+        subject,
+        html,
+        priority: 'high'
+      });
+
+      logger.info(`Plan revision alert sent for ${voyageData.voyageId}`);
+    } catch (error) {
+      logger.error('Error sending plan revision alert:', error);
+    }
+  }
+
   /**
    * Send critical system alert
    */
@@ -232,6 +314,142 @@ class NotificationService {
     `;
   }
 
+  /**
+   * Generate ETA change alert HTML
+   */
+  generateEtaChangeAlertHTML(voyageData, liveEta, change) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .header { background: #3498db; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; }
+          .eta-box { padding: 15px; border-radius: 5px; margin: 20px 0; text-align: center; }
+          .eta-later { background: #fff3cd; color: #856404; }
+          .eta-earlier { background: #d4edda; color: #155724; }
+          .route-info { background: #ecf0f1; padding: 15px; border-radius: 5px; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>⏱️ ETA Update</h1>
+          <p>Ship Planning & Optimization System</p>
+        </div>
+        <div class="content">
+          <div class="eta-box eta-${change > 0 ? 'later' : 'earlier'}">
+            <h2>Voyage ${voyageData.voyageId}</h2>
+            <p><strong>ETA moved:</strong> ${change > 0 ? '+' : ''}${change} hours</p>
+            <p><strong>New ETA:</strong> ${new Date(liveEta.eta).toLocaleString()}</p>
+            <p><strong>Window:</strong> ${new Date(liveEta.earliest).toLocaleString()} – ${new Date(liveEta.latest).toLocaleString()}</p>
+          </div>
+
+          <div class="route-info">
+            <h3>Voyage Details</h3>
+            <p><strong>Ship:</strong> ${voyageData.shipId}</p>
+            <p><strong>Route:</strong> ${voyageData.origin.name} → ${voyageData.destination.name}</p>
+            ${voyageData.estimatedArrival ? `<p><strong>Planned Arrival:</strong> ${new Date(voyageData.estimatedArrival).toLocaleString()}</p>` : ''}
+            <p><strong>Distance to Go:</strong> ${liveEta.remainingDistance} nm</p>
+            ${liveEta.speedOverGround !== null ? `<p><strong>Recent Speed Over Ground:</strong> ${liveEta.speedOverGround} knots</p>` : ''}
+          </div>
+
+          <p>For complete voyage details and tracking, please access the Ship Planning System dashboard.</p>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Generate route deviation alert HTML
+   */
+  generateRouteDeviationAlertHTML(voyageData, deviation) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .header { background: #e67e22; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; }
+          .deviation-box { background: #fff3cd; color: #856404; padding: 15px; border-radius: 5px; margin: 20px 0; text-align: center; }
+          .route-info { background: #ecf0f1; padding: 15px; border-radius: 5px; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>🧭 Route Deviation</h1>
+          <p>Ship Planning & Optimization System</p>
+        </div>
+        <div class="content">
+          <div class="deviation-box">
+            <h2>Voyage ${voyageData.voyageId}</h2>
+            <p><strong>Cross-track distance:</strong> ${deviation.maxCrossTrack} nm${deviation.side ? ` to ${deviation.side}` : ''}</p>
+            <p><strong>Corridor limit:</strong> ${deviation.crossTrackLimit} nm either side of the planned route</p>
+            <p><strong>Position:</strong> ${deviation.startPosition.latitude.toFixed(4)}, ${deviation.startPosition.longitude.toFixed(4)}</p>
+            <p><strong>Time:</strong> ${new Date(deviation.startedAt).toLocaleString()}</p>
+          </div>
+
+          <div class="route-info">
+            <h3>Voyage Details</h3>
+            <p><strong>Ship:</strong> ${voyageData.shipId}</p>
+            <p><strong>Route:</strong> ${voyageData.origin.name} → ${voyageData.destination.name}</p>
+            <p><strong>Planned Leg:</strong> ${deviation.legIndex + 1}</p>
+          </div>
+
+          <p>Please confirm with the ship whether the deviation is intended. For more details, log into the Ship Planning System.</p>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Generate plan revision alert HTML
+   */
+  generatePlanRevisionAlertHTML(voyageData, revision) {
+    const change = revision.arrivalChange;
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .header { background: #2980b9; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; }
+          .revision-box { background: #d6eaf8; color: #1b4f72; padding: 15px; border-radius: 5px; margin: 20px 0; text-align: center; }
+          .route-info { background: #ecf0f1; padding: 15px; border-radius: 5px; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>🗺️ Revised Plan Proposed</h1>
+          <p>Ship Planning & Optimization System</p>
+        </div>
+        <div class="content">
+          <div class="revision-box">
+            <h2>Voyage ${voyageData.voyageId} - Version ${revision.version}</h2>
+            <p><strong>Reason:</strong> ${revision.trigger.reason}</p>
+            <p><strong>New ETA:</strong> ${new Date(revision.estimatedArrival).toLocaleString()}${change !== null && change !== undefined ? ` (${change >= 0 ? '+' : ''}${change} hours)` : ''}</p>
+            <p><strong>Remaining Distance:</strong> ${revision.plannedRoute.totalDistance} nm</p>
+            <p><strong>Estimated Fuel:</strong> ${revision.estimatedFuel} tonnes</p>
+          </div>
+
+          <div class="route-info">
+            <h3>Voyage Details</h3>
+            <p><strong>Ship:</strong> ${voyageData.shipId}</p>
+            <p><strong>Route:</strong> ${voyageData.origin.name} → ${voyageData.destination.name}</p>
+            <p><strong>Replanned From:</strong> ${revision.position.latitude.toFixed(4)}, ${revision.position.longitude.toFixed(4)}</p>
+          </div>
+
+          <p>The revised plan replaces version ${revision.basedOnVersion} once accepted. Please accept or reject it in the Ship Planning System.</p>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
   /**
    * Generate critical alert HTML
    */
@@ -0,0 +1,152 @@
+const { pathSteps, isInsidePolygon, polygonBounds, isWithinBounds } = require('../utils/navigation');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Longest step when sampling a route for risk zone boundaries
+const SAMPLE_DISTANCE = 10; // nautical miles
+
+// How far past departure a zone's validity window is checked when planning a
+// voyage whose arrival is not known yet
+const PLANNING_HORIZON_DAYS = 60;
+
+const ZONE_TYPES = ['piracy', 'war-risk', 'sanctioned', 'navigational-warning'];
+const SEVERITIES = ['low', 'medium', 'high', 'exclusion'];
+
+class RiskZoneService {
+  constructor() {
+    this.zoneTypes = ZONE_TYPES;
+    this.severities = SEVERITIES;
+  }
+
+  /**
+   * Check the geometry and validity window of a zone; returns an error
+   * message or null when they are valid. Only the fields present are checked,
+   * so partial updates can be validated too.
+   */
+  validateZone(zone) {
+    if (zone.type !== undefined && !ZONE_TYPES.includes(zone.type)) {
+      return `type must be one of: ${ZONE_TYPES.join(', ')}`;
+    }
+    if (zone.severity !== undefined && !SEVERITIES.includes(zone.severity)) {
+      return `severity must be one of: ${SEVERITIES.join(', ')}`;
+    }
+
+    if (zone.polygon !== undefined) {
+      if (!Array.isArray(zone.polygon) || zone.polygon.length < 3) {
+        return 'polygon must be an array of at least 3 points';
+      }
+      const invalid = zone.polygon.findIndex(point => !point ||
+        typeof point.latitude !== 'number' || Math.abs(point.latitude) > 90 ||
+        typeof point.longitude !== 'number' || Math.abs(point.longitude) > 180);
+      if (invalid !== -1) {
+        return `polygon point ${invalid + 1} has invalid coordinates`;
+      }
+      const { west, east } = polygonBounds(zone.polygon);
+      if (east - west > 180) {
+        return 'polygon must not cross the antimeridian; split it into two zones';
+      }
+    }
+
+    for (const field of ['validFrom', 'validTo']) {
+      if (zone[field] && isNaN(new Date(zone[field]))) {
+        return `${field} must be a valid date`;
+      }
+    }
+    if (zone.validFrom && zone.validTo && new Date(zone.validFrom) >= new Date(zone.validTo)) {
+      return 'validTo must be after validFrom';
+    }
+
+    return null;
+  }
+
+  /**
+   * MongoDB filter for the zones in force at some time between two dates.
+   * Zones without a start or end date are open-ended.
+   */
+  getActiveQuery(start, end = start) {
+    return {
+      $and: [
+        { $or: [{ validFrom: null }, { validFrom: { $lte: new Date(end) } }] },
+        { $or: [{ validTo: null }, { validTo: { $gte: new Date(start) } }] }
+      ]
+    };
+  }
+
+  /**
+   * Window over which zones matter to a voyage departing at a given time
+   */
+  getPlanningWindow(departureTime) {
+    const start = new Date(departureTime);
+    return { start, end: new Date(start.getTime() + PLANNING_HORIZON_DAYS * DAY) };
+  }
+
+  /**
+   * Zones a route passes through, with the distance sailed inside each, the
+   * insurance premiums they add and an alert per zone. Each leg is sampled
+   * every SAMPLE_DISTANCE miles along the chosen sailing; zones may overlap.
+   */
+  assessRoute(waypoints, zones = [], routeMode = 'great-circle') {
+    const regions = zones.map(zone => ({ zone, bounds: polygonBounds(zone.polygon), distance: 0 }));
+
+    if (regions.length > 0) {
+      for (const step of pathSteps(waypoints, routeMode, SAMPLE_DISTANCE)) {
+        for (const region of regions) {
+          if (isWithinBounds(step.midpoint, region.bounds) && isInsidePolygon(step.midpoint, region.zone.polygon)) {
+            region.distance += step.distance;
+          }
+        }
+      }
+    }
+
+    const crossed = regions
+      .filter(region => region.distance > 0)
+      .map(({ zone, distance }) => ({
+        zoneId: zone.zoneId,
+        name: zone.name,
+        type: zone.type,
+        severity: zone.severity,
+        distance: Math.round(distance * 10) / 10,
+        insurancePremium: zone.insurancePremium || 0
+      }));
+
+    return {
+      zones: crossed,
+      insuranceCost: crossed.reduce((sum, zone) => sum + zone.insurancePremium, 0),
+      alerts: crossed.map(zone => this.describeAlert(zone))
+    };
+  }
+
+  /**
+   * Combine the risk assessments of consecutive routes into one
+   */
+  combineAssessments(assessments) {
+    const zones = new Map();
+    for (const assessment of assessments) {
+      for (const zone of assessment.zones) {
+        const total = zones.get(zone.zoneId);
+        zones.set(zone.zoneId, total
+          ? { ...total, distance: Math.round((total.distance + zone.distance) * 10) / 10 }
+          : { ...zone });
+      }
+    }
+
+    return {
+      zones: [...zones.values()],
+      // Premiums are charged per transit, so a zone crossed on several legs is charged on each
+      insuranceCost: assessments.reduce((sum, assessment) => sum + assessment.insuranceCost, 0),
+      alerts: [...zones.values()].map(zone => this.describeAlert(zone))
+    };
+  }
+
+  /**
+   * Alert text for a zone a route passes through
+   */
+  describeAlert(zone) {
+    const premium = zone.insurancePremium > 0
+      ? `; additional insurance premium USD ${zone.insurancePremium.toLocaleString('en-US')}`
+      : '';
+    return `Route passes ${zone.distance} nm through ${zone.name} (${zone.type}, ${zone.severity} risk)${premium}`;
+  }
+}
+
+module.exports = new RiskZoneService();
@@ -0,0 +1,138 @@
+const { getSailing, greatCircleCourse, nearestPointOnPath } = require('../utils/navigation');
+
+// How far either side of the planned route a ship may stray before it has
+// left its corridor, unless set in the environment or for the voyage
+const DEFAULT_CROSS_TRACK_LIMIT = 5; // nautical miles
+
+const HOUR = 60 * 60 * 1000;
+
+const round = value => Math.round(value * 100) / 100;
+
+const toPosition = point => ({ latitude: point.latitude, longitude: point.longitude });
+
+class RouteDeviationService {
+  constructor() {
+    this.defaultCrossTrackLimit = Number(process.env.CROSS_TRACK_LIMIT_NM) || DEFAULT_CROSS_TRACK_LIMIT;
+  }
+
+  /**
+   * Cross-track limit of a voyage: its own when planned with one, else the default
+   */
+  getCrossTrackLimit(voyage) {
+    return (voyage.plannedRoute && voyage.plannedRoute.crossTrackLimit) || this.defaultCrossTrackLimit;
+  }
+
+  /**
+   * Cross-track distance of a position from the nearest leg of a planned route,
+   * and the side of the track it lies on; null without a planned route
+   */
+  measure(plannedRoute, position) {
+    const waypoints = (plannedRoute && plannedRoute.waypoints) || [];
+    if (waypoints.length < 2) return null;
+
+    const nearest = nearestPointOnPath(waypoints, position, plannedRoute.routeMode);
+    const from = waypoints[nearest.index];
+    const to = waypoints[nearest.index + 1];
+    const { course } = getSailing(plannedRoute.routeMode);
+
+    // Bearing of the ship off the track's course at its nearest point: to starboard when positive
+    const trackCourse = nearest.fraction < 1 ? course(nearest.point, to) : course(from, to);
+    const offset = ((greatCircleCourse(nearest.point, position) - trackCourse + 540) % 360) - 180;
+
+    return {
+      distance: round(nearest.distance),
+      side: nearest.distance < 0.01 ? null : offset > 0 ? 'starboard' : 'port',
+      legIndex: nearest.index
+    };
+  }
+
+  /**
+   * Update a voyage's deviation events with a new fix. A fix outside the
+   * corridor opens an event, or extends the open one; the first fix back inside
+   * closes it. Returns the events, the event opened by this fix, if any, and
+   * the update operators that make the change in place. Events are only ever
+   * appended, so an event keeps its index.
+   */
+  updateDeviations(deviations, measurement, limit, fix) {
+    const events = (deviations || []).map(event => ({
+      startedAt: event.startedAt,
+      endedAt: event.endedAt,
+      legIndex: event.legIndex,
+      side: event.side,
+      maxCrossTrack: event.maxCrossTrack,
+      crossTrackLimit: event.crossTrackLimit,
+      startPosition: event.startPosition && toPosition(event.startPosition),
+      endPosition: event.endPosition && toPosition(event.endPosition)
+    }));
+    const index = events.findIndex(event => !event.endedAt);
+    const open = events[index];
+    const outside = measurement.distance > limit;
+
+    if (outside && !open) {
+      const started = {
+        startedAt: new Date(fix.timestamp),
+        legIndex: measurement.legIndex,
+        side: measurement.side,
+        maxCrossTrack: measurement.distance,
+        crossTrackLimit: limit,
+        startPosition: toPosition(fix)
+      };
+      events.push(started);
+      return { deviations: events, started, update: { $push: { deviations: started } } };
+    }
+
+    let update = {};
+    if (outside) {
+      open.maxCrossTrack = Math.max(open.maxCrossTrack, measurement.distance);
+      update = { $max: { [`deviations.${index}.maxCrossTrack`]: measurement.distance } };
+    } else if (open) {
+      open.endedAt = new Date(fix.timestamp);
+      open.endPosition = toPosition(fix);
+      update = {
+        $set: {
+          [`deviations.${index}.endedAt`]: open.endedAt,
+          [`deviations.${index}.endPosition`]: open.endPosition
+        }
+      };
+    }
+    return { deviations: events, started: null, update };
+  }
+
+  /**
+   * How closely a voyage followed its planned route: the mean and greatest
+   * cross-track distance of its track, the share of fixes inside the corridor,
+   * and the number and hours of its deviations. Fixes recorded without a
+   * cross-track distance are measured against the planned route.
+   */
+  summarizeAdherence(voyage) {
+    const limit = this.getCrossTrackLimit(voyage);
+    const fixes = (voyage.actualRoute && voyage.actualRoute.waypoints) || [];
+    const distances = fixes
+      .map(fix => {
+        if (typeof fix.crossTrack === 'number') return fix.crossTrack;
+        const measurement = this.measure(voyage.plannedRoute, fix);
+        return measurement ? measurement.distance : null;
+      })
+      .filter(distance => distance !== null);
+    const deviations = voyage.deviations || [];
+    const lastFix = fixes.length > 0 ? new Date(fixes[fixes.length - 1].timestamp) : null;
+    const deviationHours = deviations.reduce((sum, event) => {
+      const end = event.endedAt ? new Date(event.endedAt) : lastFix;
+      return end ? sum + Math.max(0, (end - new Date(event.startedAt)) / HOUR) : sum;
+    }, 0);
+
+    return {
+      crossTrackLimit: limit,
+      fixes: distances.length,
+      meanCrossTrack: distances.length > 0 ? round(distances.reduce((sum, d) => sum + d, 0) / distances.length) : null,
+      maxCrossTrack: distances.length > 0 ? round(Math.max(...distances)) : null,
+      withinCorridor: distances.length > 0
+        ? Math.round(distances.filter(distance => distance <= limit).length / distances.length * 1000) / 10
+        : null,
+      deviationCount: deviations.length,
+      deviationHours: Math.round(deviationHours * 10) / 10
+    };
+  }
+}
+
+module.exports = new RouteDeviationService();
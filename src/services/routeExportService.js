@@ -0,0 +1,233 @@
+// Export formats and the media types they are served as; plain JSON requests get GeoJSON
+const FORMATS = {
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' },
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+  rtz: { contentType: 'application/rtz+xml', extension: 'rtz' }
+};
+const MEDIA_TYPES = {
+  'application/geo+json': 'geojson',
+  'application/json': 'geojson',
+  'application/gpx+xml': 'gpx',
+  'application/rtz+xml': 'rtz'
+};
+
+const RTZ_NAMESPACE = 'http://www.cirm.org/RTZ/1/1';
+const GPX_NAMESPACE = 'http://www.topografix.com/GPX/1/1';
+const CREATOR = 'Ship Planning AI';
+
+const getWaypoints = route => (route && route.waypoints) || [];
+
+const toPosition = point => [point.longitude, point.latitude];
+
+const toISOString = time => (time ? new Date(time).toISOString() : undefined);
+
+const escapeXml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+class RouteExportService {
+  constructor() {
+    this.formats = Object.keys(FORMATS);
+    this.mediaTypes = Object.keys(MEDIA_TYPES);
+  }
+
+  /**
+   * Export format for a media type from the Accept header
+   */
+  getFormatForMediaType(mediaType) {
+    return MEDIA_TYPES[mediaType];
+  }
+
+  /**
+   * Export a voyage's planned and actual routes. Returns the document with the
+   * content type and file name to serve it as.
+   */
+  exportVoyage(voyage, format) {
+    const document = {
+      geojson: () => JSON.stringify(this.toGeoJSON(voyage), null, 2),
+      gpx: () => this.toGPX(voyage),
+      rtz: () => this.toRTZ(voyage)
+    }[format]();
+
+    return {
+      content: document,
+      contentType: FORMATS[format].contentType,
+      fileName: `${voyage.voyageId}.${FORMATS[format].extension}`
+    };
+  }
+
+  /**
+   * Name of each planned waypoint: its own name when it was imported with one,
+   * else the origin and destination by name and the rest numbered
+   */
+  nameWaypoints(voyage, waypoints) {
+    return waypoints.map((point, i) => {
+      if (point.name) return point.name;
+      if (i === 0 && voyage.origin) return voyage.origin.name;
+      if (i === waypoints.length - 1 && voyage.destination) return voyage.destination.name;
+      return `WP${String(i).padStart(3, '0')}`;
+    });
+  }
+
+  /**
+   * GeoJSON feature collection with a line for each route and a point for
+   * each planned waypoint, carrying its name, speed and ETA
+   */
+  toGeoJSON(voyage) {
+    const planned = getWaypoints(voyage.plannedRoute);
+    const actual = getWaypoints(voyage.actualRoute);
+    const names = this.nameWaypoints(voyage, planned);
+    const features = [];
+
+    if (planned.length > 0) {
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: planned.map(toPosition) },
+        properties: {
+          route: 'planned',
+          voyageId: voyage.voyageId,
+          routeMode: voyage.plannedRoute.routeMode,
+          totalDistance: voyage.plannedRoute.totalDistance,
+          estimatedDuration: voyage.plannedRoute.estimatedDuration
+        }
+      });
+      planned.forEach((point, i) => features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: toPosition(point) },
+        properties: {
+          route: 'planned',
+          sequence: i,
+          name: names[i],
+          speed: point.speed,
+          eta: toISOString(point.timestamp)
+        }
+      }));
+    }
+
+    if (actual.length > 0) {
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: actual.map(toPosition) },
+        properties: {
+          route: 'actual',
+          voyageId: voyage.voyageId,
+          totalDistance: voyage.actualRoute.totalDistance,
+          times: actual.map(point => toISOString(point.timestamp)),
+          speeds: actual.map(point => point.speed)
+        }
+      });
+    }
+
+    return { type: 'FeatureCollection', features };
+  }
+
+  /**
+   * GPX 1.1 document with the planned route as a route and the actual route
+   * as a track. GPX has no speed on route points, so it goes in extensions.
+   */
+  toGPX(voyage) {
+    const planned = getWaypoints(voyage.plannedRoute);
+    const actual = getWaypoints(voyage.actualRoute);
+    const names = this.nameWaypoints(voyage, planned);
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<gpx version="1.1" creator="${CREATOR}" xmlns="${GPX_NAMESPACE}">`,
+      '  <metadata>',
+      `    <name>${escapeXml(voyage.voyageId)}</name>`,
+      '  </metadata>'
+    ];
+
+    if (planned.length > 0) {
+      lines.push('  <rte>', `    <name>${escapeXml(voyage.voyageId)} planned</name>`);
+      planned.forEach((point, i) => {
+        lines.push(`    <rtept lat="${point.latitude}" lon="${point.longitude}">`);
+        if (point.timestamp) lines.push(`      <time>${toISOString(point.timestamp)}</time>`);
+        lines.push(`      <name>${escapeXml(names[i])}</name>`);
+        if (point.speed !== undefined) {
+          lines.push(`      <extensions><speed>${point.speed}</speed></extensions>`);
+        }
+        lines.push('    </rtept>');
+      });
+      lines.push('  </rte>');
+    }
+
+    if (actual.length > 0) {
+      lines.push('  <trk>', `    <name>${escapeXml(voyage.voyageId)} actual</name>`, '    <trkseg>');
+      for (const point of actual) {
+        lines.push(`      <trkpt lat="${point.latitude}" lon="${point.longitude}">`);
+        if (point.timestamp) lines.push(`        <time>${toISOString(point.timestamp)}</time>`);
+        if (point.speed !== undefined) {
+          lines.push(`        <extensions><speed>${point.speed}</speed></extensions>`);
+        }
+        lines.push('      </trkpt>');
+      }
+      lines.push('    </trkseg>', '  </trk>');
+    }
+
+    lines.push('</gpx>');
+    return lines.join('\n');
+  }
+
+  /**
+   * IEC 61174 RTZ 1.1 route plan for loading into an ECDIS. Only the planned
+   * route is exported: each waypoint's leg describes the leg arriving at it,
+   * sailed as a great circle (Orthodrome) or rhumb line (Loxodrome), and the
+   * schedule gives the ETA at each waypoint.
+   */
+  toRTZ(voyage) {
+    const route = voyage.plannedRoute || {};
+    const planned = getWaypoints(route);
+    const names = this.nameWaypoints(voyage, planned);
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<route version="1.1" xmlns="${RTZ_NAMESPACE}">`,
+      `  <routeInfo routeName="${escapeXml(voyage.voyageId)}" vesselVoyage="${escapeXml(voyage.voyageId)}"/>`,
+      '  <waypoints>'
+    ];
+
+    planned.forEach((point, i) => {
+      lines.push(`    <waypoint id="${i + 1}" name="${escapeXml(names[i])}">`);
+      lines.push(`      <position lat="${point.latitude}" lon="${point.longitude}"/>`);
+      if (i > 0) {
+        const speed = planned[i - 1].speed;
+        const geometryType = this.getLegGeometry(route, planned[i - 1], point);
+        lines.push(speed
+          ? `      <leg speedMax="${speed}" geometryType="${geometryType}"/>`
+          : `      <leg geometryType="${geometryType}"/>`);
+      }
+      lines.push('    </waypoint>');
+    });
+    lines.push('  </waypoints>');
+
+    const scheduled = planned.map((point, i) => ({ point, i })).filter(({ point }) => point.timestamp);
+    if (scheduled.length > 0) {
+      lines.push('  <schedules>', '    <schedule id="1" name="Planned">', '      <calculated>');
+      for (const { point, i } of scheduled) {
+        const speed = i > 0 && planned[i - 1].speed ? ` speed="${planned[i - 1].speed}"` : '';
+        lines.push(`        <scheduleElement waypointId="${i + 1}" eta="${toISOString(point.timestamp)}"${speed}/>`);
+      }
+      lines.push('      </calculated>', '    </schedule>', '  </schedules>');
+    }
+
+    lines.push('</route>');
+    return lines.join('\n');
+  }
+
+  /**
+   * RTZ geometry of a leg: rhumb-line routes and the stretch of a composite
+   * route along its limiting latitude are Loxodromes, the rest Orthodromes
+   */
+  getLegGeometry(route, from, to) {
+    if (route.routeMode === 'rhumb-line') return 'Loxodrome';
+    if (route.routeMode === 'composite' && route.limitingLatitude &&
+      [from, to].every(point => Math.abs(Math.abs(point.latitude) - route.limitingLatitude) < 1e-6)) {
+      return 'Loxodrome';
+    }
+    return 'Orthodrome';
+  }
+}
+
+module.exports = new RouteExportService();
@@ -0,0 +1,335 @@
+const { greatCircleDistance, getSailing } = require('../utils/navigation');
+
+// How far an imported route may start from the origin and end from the destination,
+// allowing for routes planned from pilot station to pilot station
+const ENDPOINT_TOLERANCE = 60; // nautical miles
+
+const XML_MEDIA_TYPES = ['application/xml', 'text/xml', 'application/gpx+xml', 'application/rtz+xml'];
+
+// Largest route file accepted, and the most waypoints a route may have
+const MAX_FILE_SIZE = '2mb';
+const MAX_WAYPOINTS = 5000;
+
+// Start and end tags, matched where the tokenizer stands
+const START_TAG = /<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+const END_TAG = /<\/([\w:.-]+)\s*>/y;
+
+const unescapeXml = value => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&amp;/g, '&');
+
+// Tag name without its namespace prefix
+const localName = name => name.slice(name.indexOf(':') + 1);
+
+// Index just past the next occurrence of a marker, for skipping comments and the like
+const skipPast = (xml, marker, start) => {
+  const end = xml.indexOf(marker, start);
+  if (end === -1) throw new Error(`missing ${marker} after character ${start}`);
+  return end + marker.length;
+};
+
+/**
+ * Parse an XML document in a single pass into a tree of
+ * `{ name, attributes, children, text }` elements under a nameless root,
+ * each end tag closing the element its start tag opened. Names lose their
+ * namespace prefix; comments, processing instructions and declarations are
+ * skipped. Throws on malformed, mismatched or unclosed tags.
+ */
+const parseXml = xml => {
+  const root = { name: '', attributes: {}, children: [], text: '' };
+  const open = [root];
+  let position = 0;
+
+  while (position < xml.length) {
+    const element = open[open.length - 1];
+    const start = xml.indexOf('<', position);
+    element.text += unescapeXml(xml.slice(position, start === -1 ? xml.length : start));
+    if (start === -1) break;
+
+    if (xml.startsWith('<![CDATA[', start)) {
+      position = skipPast(xml, ']]>', start);
+      element.text += xml.slice(start + 9, position - 3);
+    } else if (xml.startsWith('<!--', start)) {
+      position = skipPast(xml, '-->', start);
+    } else if (xml.startsWith('<?', start)) {
+      position = skipPast(xml, '?>', start);
+    } else if (xml.startsWith('<!', start)) {
+      position = skipPast(xml, '>', start);
+    } else if (xml.startsWith('</', start)) {
+      END_TAG.lastIndex = start;
+      const match = END_TAG.exec(xml);
+      if (!match) throw new Error(`malformed end tag at character ${start}`);
+      if (open.length === 1) throw new Error(`</${match[1]}> at character ${start} has no start tag`);
+      if (localName(match[1]) !== element.name) {
+        throw new Error(`</${match[1]}> at character ${start} does not match <${element.name}>`);
+      }
+      open.pop();
+      position = END_TAG.lastIndex;
+    } else {
+      START_TAG.lastIndex = start;
+      const match = START_TAG.exec(xml);
+      if (!match) throw new Error(`malformed tag at character ${start}`);
+      const attributes = {};
+      for (const attribute of match[2].matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attributes[attribute[1]] = unescapeXml(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+      }
+      const child = { name: localName(match[1]), attributes, children: [], text: '' };
+      element.children.push(child);
+      if (!match[3]) open.push(child);
+      position = START_TAG.lastIndex;
+    }
+  }
+
+  if (open.length > 1) throw new Error(`<${open[open.length - 1].name}> is not closed`);
+  return root;
+};
+
+/**
+ * Elements below a parsed element with a tag name, in document order
+ */
+const findElements = (element, tag) => {
+  const elements = [];
+  const pending = [...element.children].reverse();
+  while (pending.length > 0) {
+    const next = pending.pop();
+    if (next.name === tag) elements.push(next);
+    for (let i = next.children.length - 1; i >= 0; i--) pending.push(next.children[i]);
+  }
+  return elements;
+};
+
+const childText = (element, tag) => {
+  const [child] = findElements(element, tag);
+  return child ? child.text.trim() : undefined;
+};
+
+const toNumber = value => (value === undefined || value === null || value === '' ? undefined : Number(value));
+
+class RouteImportService {
+  constructor() {
+    this.xmlMediaTypes = XML_MEDIA_TYPES;
+    this.endpointTolerance = ENDPOINT_TOLERANCE;
+    this.maxFileSize = MAX_FILE_SIZE;
+    this.maxWaypoints = MAX_WAYPOINTS;
+  }
+
+  /**
+   * Format of an uploaded route: JSON is GeoJSON and XML is told apart by its root element
+   */
+  detectFormat(content) {
+    if (content && typeof content === 'object') return 'geojson';
+    if (typeof content !== 'string') return null;
+
+    const text = content.trim();
+    if (text.startsWith('{')) return 'geojson';
+    if (/<(?:[\w-]+:)?gpx[\s>]/.test(text)) return 'gpx';
+    if (/<(?:[\w-]+:)?route[\s>]/.test(text)) return 'rtz';
+    return null;
+  }
+
+  /**
+   * Read the waypoints of a route file. Each waypoint has its position and,
+   * where the file gives them, its name, ETA and the speed on the leg leaving
+   * it. RTZ files also give the route mode their legs are sailed in. Throws
+   * an error with a 400 status code when the file cannot be read.
+   */
+  parse(content, format) {
+    try {
+      const parsers = {
+        geojson: () => this.parseGeoJSON(typeof content === 'string' ? JSON.parse(content) : content),
+        gpx: () => this.parseGPX(content),
+        rtz: () => this.parseRTZ(content)
+      };
+      return parsers[format]();
+    } catch (error) {
+      const parseError = new Error(`Route file is not valid ${format.toUpperCase()}: ${error.message}`);
+      parseError.statusCode = 400;
+      parseError.isOperational = true;
+      throw parseError;
+    }
+  }
+
+  /**
+   * Planned route of a GeoJSON feature collection, feature or geometry: its
+   * first LineString, preferring one marked as the planned route. Point
+   * features alongside it, one per vertex as exported, give names, speeds and ETAs.
+   */
+  parseGeoJSON(geojson) {
+    const features = geojson.type === 'FeatureCollection' ? geojson.features
+      : geojson.type === 'Feature' ? [geojson]
+        : [{ type: 'Feature', geometry: geojson, properties: {} }];
+
+    const lines = features.filter(feature => feature.geometry && feature.geometry.type === 'LineString');
+    const line = lines.find(feature => (feature.properties || {}).route === 'planned') || lines[0];
+    if (!line) throw new Error('no LineString route found');
+
+    const points = features.filter(feature => feature.geometry && feature.geometry.type === 'Point' &&
+      (feature.properties || {}).route !== 'actual');
+    const details = points.length === line.geometry.coordinates.length ? points.map(point => point.properties || {}) : [];
+
+    return {
+      waypoints: line.geometry.coordinates.map(([longitude, latitude], i) => ({
+        latitude,
+        longitude,
+        name: details[i] && details[i].name,
+        timestamp: details[i] && details[i].eta,
+        speed: details[i] && details[i].speed
+      }))
+    };
+  }
+
+  /**
+   * Planned route of a GPX file: its first route, else its first track, else its waypoints
+   */
+  parseGPX(xml) {
+    const document = parseXml(xml);
+    const [route] = findElements(document, 'rte');
+    const [track] = findElements(document, 'trk');
+    const points = route ? findElements(route, 'rtept')
+      : track ? findElements(track, 'trkpt')
+        : findElements(document, 'wpt');
+    if (points.length === 0) throw new Error('no route, track or waypoints found');
+
+    return {
+      waypoints: points.map(point => ({
+        latitude: toNumber(point.attributes.lat),
+        longitude: toNumber(point.attributes.lon),
+        name: childText(point, 'name'),
+        timestamp: childText(point, 'time'),
+        speed: toNumber(childText(point, 'speed'))
+      }))
+    };
+  }
+
+  /**
+   * Route plan of an IEC 61174 RTZ file. A waypoint's leg describes the leg
+   * arriving at it (Loxodrome unless stated), and ETAs come from the first
+   * schedule, preferring its calculated elements to its manual ones.
+   */
+  parseRTZ(xml) {
+    const document = parseXml(xml);
+    const waypoints = findElements(document, 'waypoint');
+    if (waypoints.length === 0) throw new Error('no waypoints found');
+
+    const [schedule] = findElements(document, 'schedule');
+    const [calculated] = schedule ? findElements(schedule, 'calculated') : [];
+    const [manual] = schedule ? findElements(schedule, 'manual') : [];
+    const elements = calculated || manual ? findElements(calculated || manual, 'scheduleElement') : [];
+    const etas = new Map(elements.map(element => [element.attributes.waypointId, element.attributes]));
+
+    const legs = waypoints.map(waypoint => (findElements(waypoint, 'leg')[0] || { attributes: {} }).attributes);
+    const allOrthodrome = legs.slice(1).every(leg => leg.geometryType === 'Orthodrome');
+
+    return {
+      routeMode: allOrthodrome ? 'great-circle' : 'rhumb-line',
+      waypoints: waypoints.map((waypoint, i) => {
+        const [position = { attributes: {} }] = findElements(waypoint, 'position');
+        const scheduled = etas.get(waypoint.attributes.id) || {};
+        const next = i + 1 < waypoints.length ? waypoints[i + 1].attributes.id : undefined;
+        const nextScheduled = next !== undefined ? etas.get(next) || {} : {};
+        const nextLeg = legs[i + 1] || {};
+
+        return {
+          latitude: toNumber(position.attributes.lat),
+          longitude: toNumber(position.attributes.lon),
+          name: waypoint.attributes.name,
+          timestamp: scheduled.eta || scheduled.etd,
+          speed: toNumber(nextScheduled.speed) || toNumber(nextLeg.speedMax) || toNumber(nextLeg.speedMin)
+        };
+      })
+    };
+  }
+
+  /**
+   * Check imported waypoints; returns an error message or null when they are
+   * valid. There may be at most MAX_WAYPOINTS, and ETAs, where given, must
+   * not run backwards.
+   */
+  validateWaypoints(waypoints) {
+    if (!Array.isArray(waypoints) || waypoints.length < 2) return 'Route must have at least 2 waypoints';
+    if (waypoints.length > MAX_WAYPOINTS) return `Route must have at most ${MAX_WAYPOINTS} waypoints`;
+
+    let previousTime = null;
+    for (let i = 0; i < waypoints.length; i++) {
+      const { latitude, longitude, timestamp, speed } = waypoints[i];
+      const label = `Waypoint ${i + 1}`;
+
+      if (typeof latitude !== 'number' || Number.isNaN(latitude) || Math.abs(latitude) > 90 ||
+        typeof longitude !== 'number' || Number.isNaN(longitude) || Math.abs(longitude) > 180) {
+        return `${label} has invalid coordinates`;
+      }
+      if (i > 0 && latitude === waypoints[i - 1].latitude && longitude === waypoints[i - 1].longitude) {
+        return `${label} repeats the previous waypoint`;
+      }
+      if (speed !== undefined && (Number.isNaN(speed) || speed < 0)) {
+        return `${label} has an invalid speed`;
+      }
+      if (timestamp !== undefined) {
+        const time = new Date(timestamp).getTime();
+        if (Number.isNaN(time)) return `${label} has an invalid ETA`;
+        if (previousTime !== null && time < previousTime) return `${label} ETA is before the previous waypoint's`;
+        previousTime = time;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check that a route runs from the voyage's origin to its destination;
+   * returns an error message or null
+   */
+  validateEndpoints(waypoints, origin, destination) {
+    const first = waypoints[0];
+    const last = waypoints[waypoints.length - 1];
+    const near = (point, port) => greatCircleDistance(point, port.coordinates) <= ENDPOINT_TOLERANCE;
+
+    if (near(first, origin) && near(last, destination)) return null;
+    if (near(first, destination) && near(last, origin)) {
+      return `Route runs from ${destination.name} to ${origin.name}; waypoints must be in sailing order`;
+    }
+    return `Route must start within ${ENDPOINT_TOLERANCE} nm of ${origin.name} and end within ${ENDPOINT_TOLERANCE} nm of ${destination.name}`;
+  }
+
+  /**
+   * Time the waypoints from the departure. ETAs in the file are kept when every
+   * waypoint has one; otherwise each leg is sailed at its imported speed, or
+   * the planning speed without one. Returns the timed waypoints and the
+   * passage hours.
+   */
+  scheduleWaypoints(waypoints, routeMode, departureTime, planningSpeed) {
+    const { distance } = getSailing(routeMode);
+    const timed = waypoints.every(point => point.timestamp !== undefined);
+    const start = timed ? new Date(waypoints[0].timestamp).getTime() : new Date(departureTime).getTime();
+    let hours = 0;
+
+    const scheduled = waypoints.map((point, i) => {
+      const isLast = i === waypoints.length - 1;
+      const legHours = isLast ? 0 : distance(point, waypoints[i + 1]) / (point.speed || planningSpeed);
+      const timestamp = timed ? new Date(point.timestamp) : new Date(start + hours * 3600000);
+      const speed = isLast ? 0 : timed
+        ? distance(point, waypoints[i + 1]) / Math.max(1e-6, (new Date(waypoints[i + 1].timestamp) - timestamp) / 3600000)
+        : point.speed || planningSpeed;
+      hours += legHours;
+
+      return {
+        latitude: point.latitude,
+        longitude: point.longitude,
+        name: point.name,
+        timestamp,
+        speed: Math.round(speed * 10) / 10
+      };
+    });
+
+    return {
+      waypoints: scheduled,
+      hours: timed ? (scheduled[scheduled.length - 1].timestamp - scheduled[0].timestamp) / 3600000 : hours,
+      timed
+    };
+  }
+}
+
+module.exports = new RouteImportService();
@@ -0,0 +1,135 @@
+const etaPredictor = require('../ai/etaPredictor');
+const voyageReplanner = require('../ai/voyageReplanner');
+const notificationService = require('./notificationService');
+const routeDeviationService = require('./routeDeviationService');
+const voyageTrackService = require('./voyageTrackService');
+
+/**
+ * Combine update operators, field by field
+ */
+const mergeUpdates = (...updates) => updates.reduce((merged, update) => {
+  for (const [operator, fields] of Object.entries(update)) {
+    merged[operator] = { ...merged[operator], ...fields };
+  }
+  return merged;
+}, {});
+
+class VoyageMonitorService {
+  /**
+   * Update of a voyage for a reported position. Every fix goes on the track
+   * with its cross-track distance. The latest fix also becomes the voyage's
+   * current location and, while the ship is under way, checks it against the
+   * corridor around the planned route and recalculates the live ETA. Leaving
+   * the corridor, a late ETA, a delay or heavy weather ahead proposes a
+   * revised plan.
+   *
+   * Returns `{ update, alerts }`: the voyage update, and the alerts for leaving
+   * the corridor, ETA moves beyond the alert threshold and revised plans, which
+   * the caller sends with sendAlerts once the update is written.
+   *
+   * The track and deviations are changed in place with `$push`, `$inc`, `$max`
+   * and positional `$set` operators rather than rewritten, so fixes processed
+   * at the same time do not overwrite each other.
+   */
+  async processPosition({ voyage, ship, fix, isLatest = true, underWay = true, riskZones = [], referenceTables, delayReason }) {
+    const measurement = routeDeviationService.measure(voyage.plannedRoute, fix);
+    const { track, update: trackUpdate } = voyageTrackService.getTrackUpdate(
+      voyage.actualRoute && voyage.actualRoute.waypoints,
+      { ...fix, crossTrack: measurement ? measurement.distance : undefined }
+    );
+    if (!isLatest) return { update: trackUpdate, alerts: [] };
+
+    const $set = {
+      currentLocation: {
+        latitude: fix.latitude,
+        longitude: fix.longitude,
+        timestamp: new Date(fix.timestamp)
+      }
+    };
+    if (!underWay) return { update: mergeUpdates(trackUpdate, { $set }), alerts: [] };
+
+    const alerts = [];
+    let deviation = null;
+    let deviationUpdate = {};
+    if (measurement) {
+      const limit = routeDeviationService.getCrossTrackLimit(voyage);
+      const { started, update } = routeDeviationService.updateDeviations(voyage.deviations, measurement, limit, fix);
+      deviationUpdate = update;
+      if (started) {
+        deviation = started;
+        alerts.push({ type: 'route-deviation', deviation });
+      }
+    }
+
+    let etaChange = 0;
+    const liveEta = await etaPredictor.predictEta({
+      voyage,
+      track: track.waypoints,
+      position: $set.currentLocation,
+      ship
+    });
+    if (liveEta) {
+      const { change, significant, referenceEta } = etaPredictor.compareWithReference(voyage, liveEta);
+      $set.liveEta = { ...liveEta, change, referenceEta };
+      if (significant) {
+        etaChange = change;
+        alerts.push({ type: 'eta-change', eta: liveEta, change });
+      }
+    }
+
+    const revision = await this.reviewPlan({
+      voyage,
+      ship,
+      position: $set.currentLocation,
+      riskZones,
+      referenceTables,
+      trigger: voyageReplanner.detectTrigger({
+        deviation,
+        delayReason,
+        etaChange,
+        weatherAhead: liveEta && liveEta.weatherAhead
+      })
+    });
+
+    if (revision) {
+      alerts.push({ type: 'plan-revision', revision });
+    }
+
+    return {
+      update: mergeUpdates(trackUpdate, deviationUpdate, { $set }, revision ? { $push: { planRevisions: revision } } : {}),
+      alerts
+    };
+  }
+
+  /**
+   * Revised plan for a voyage from the ship's position when something calls
+   * for one and no proposal is pending or too recent; null otherwise.
+   * Operations are notified with a 'plan-revision' alert once it is saved.
+   */
+  async reviewPlan({ voyage, ship, position, trigger, riskZones = [], referenceTables }) {
+    const now = new Date(position.timestamp || Date.now());
+    if (!trigger || !ship || !voyageReplanner.canPropose(voyage, now)) return null;
+
+    return voyageReplanner.proposeRevision({ voyage, ship, position, trigger, riskZones, referenceTables, now });
+  }
+
+  /**
+   * Notify operations of the alerts raised for a voyage. Call it only once the
+   * update they came with is written, so nobody is told of a deviation, ETA
+   * or revised plan that was never saved; alerts log their own failures, so
+   * this does not wait on the mail server.
+   */
+  sendAlerts(voyage, alerts) {
+    for (const alert of alerts) {
+      if (alert.type === 'route-deviation') {
+        notificationService.sendRouteDeviationAlert(voyage, alert.deviation);
+      } else if (alert.type === 'eta-change') {
+        notificationService.sendEtaChangeAlert(voyage, alert.eta, alert.change);
+      } else if (alert.type === 'plan-revision') {
+        notificationService.sendPlanRevisionAlert(voyage, alert.revision);
+      }
+    }
+  }
+}
+
+module.exports = new VoyageMonitorService();
@@ -0,0 +1,87 @@
+// Statuses a voyage may move to from each status. Delayed is a side state a
+// voyage enters before or during the passage and leaves by resuming; completed
+// and cancelled voyages are final.
+const TRANSITIONS = {
+  planned: ['in-progress', 'delayed', 'cancelled'],
+  'in-progress': ['completed', 'delayed', 'cancelled'],
+  delayed: ['planned', 'in-progress', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+// Statuses that must be given with the reason for them
+const REASON_REQUIRED = ['delayed', 'cancelled'];
+
+class VoyageStatusService {
+  constructor() {
+    this.statuses = Object.keys(TRANSITIONS);
+  }
+
+  /**
+   * Statuses a voyage may move to next. A delayed voyage goes back to planned
+   * only if it was delayed before sailing; once under way it resumes in progress.
+   */
+  getAllowedTransitions(voyage) {
+    const allowed = TRANSITIONS[voyage.status] || [];
+    if (voyage.status !== 'delayed') return allowed;
+
+    const delayedFrom = this.getDelayedFrom(voyage);
+    return allowed.filter(status => status !== 'planned' || delayedFrom !== 'in-progress');
+  }
+
+  /**
+   * Status a delayed voyage was in before its delay, from its status history;
+   * undefined for voyages delayed before the history was kept
+   */
+  getDelayedFrom(voyage) {
+    const history = voyage.statusHistory || [];
+    for (let i = history.length - 1; i >= 0; i--) {
+      if (history[i].to === 'delayed') return history[i].from;
+    }
+    return undefined;
+  }
+
+  /**
+   * Whether a voyage's ship has sailed and not yet arrived: it is in progress,
+   * or was delayed after sailing
+   */
+  isUnderWay(voyage) {
+    return voyage.status === 'in-progress' ||
+      (voyage.status === 'delayed' && this.getDelayedFrom(voyage) === 'in-progress');
+  }
+
+  canTransition(voyage, status) {
+    return this.getAllowedTransitions(voyage).includes(status);
+  }
+
+  requiresReason(status) {
+    return REASON_REQUIRED.includes(status);
+  }
+
+  /**
+   * Check a status change; returns an error message or null when the voyage may make it
+   */
+  validateTransition(voyage, status) {
+    if (this.canTransition(voyage, status)) return null;
+
+    const allowed = this.getAllowedTransitions(voyage);
+    return `Cannot change voyage status from ${voyage.status} to ${status}. ` +
+      (allowed.length > 0 ? `Allowed: ${allowed.join(', ')}` : `A ${voyage.status} voyage is final`);
+  }
+
+  /**
+   * Status history entry recording a transition
+   */
+  createHistoryEntry({ from, to, reason, changedBy, location, changedAt = new Date() }) {
+    return {
+      from,
+      to,
+      changedAt,
+      changedBy,
+      reason,
+      location: location ? { latitude: location.latitude, longitude: location.longitude } : undefined
+    };
+  }
+}
+
+module.exports = new VoyageStatusService();
@@ -0,0 +1,139 @@
+const { greatCircleDistance, pathDistance } = require('../utils/navigation');
+
+const toTime = value => new Date(value).getTime();
+
+const round = (value, places) => Math.round(value * Math.pow(10, places)) / Math.pow(10, places);
+
+// Most fixes kept on a voyage's stored track; the oldest are dropped beyond it
+const MAX_TRACK_POINTS = 10000;
+
+class VoyageTrackService {
+  /**
+   * Add a position fix to a voyage's track, keeping it in time order: fixes
+   * may arrive late, and one at the same time as an earlier fix replaces it.
+   * A fix without a speed gets its speed over ground from the fix before it,
+   * and a fix may carry its cross-track distance from the planned route.
+   * Returns the new track and its total distance, measured between fixes
+   * along great circles.
+   */
+  addPosition(waypoints, position) {
+    const fix = {
+      latitude: position.latitude,
+      longitude: position.longitude,
+      timestamp: new Date(position.timestamp || Date.now()),
+      speed: position.speed,
+      crossTrack: position.crossTrack
+    };
+    const track = (waypoints || [])
+      .map(point => ({
+        latitude: point.latitude,
+        longitude: point.longitude,
+        timestamp: new Date(point.timestamp),
+        speed: point.speed,
+        crossTrack: point.crossTrack
+      }))
+      .filter(point => point.timestamp.getTime() !== fix.timestamp.getTime());
+
+    let index = track.findIndex(point => point.timestamp > fix.timestamp);
+    if (index === -1) index = track.length;
+    track.splice(index, 0, fix);
+
+    if (fix.speed === undefined) {
+      fix.speed = index > 0 ? this.getSpeedOverGround(track[index - 1], fix) : 0;
+    }
+
+    return {
+      waypoints: track,
+      totalDistance: round(pathDistance(track), 1)
+    };
+  }
+
+  /**
+   * Add a position fix to a voyage's stored track without rewriting it, so
+   * fixes stored by concurrent requests are kept. Returns the track with the
+   * fix (as addPosition) and the update operators that push the fix into time
+   * order, keep the latest MAX_TRACK_POINTS fixes and add the distance the fix
+   * puts between its neighbours to the total. A fix at the time of one already
+   * on the track is a repeat and leaves the stored track as it is.
+   */
+  getTrackUpdate(waypoints, position) {
+    const track = this.addPosition(waypoints, position);
+    const time = new Date(position.timestamp || Date.now()).getTime();
+    if ((waypoints || []).some(point => toTime(point.timestamp) === time)) {
+      return { track, update: {} };
+    }
+
+    const index = track.waypoints.findIndex(point => point.timestamp.getTime() === time);
+    const fix = track.waypoints[index];
+    const previous = track.waypoints[index - 1];
+    const next = track.waypoints[index + 1];
+    const added = (previous ? greatCircleDistance(previous, fix) : 0) +
+      (next ? greatCircleDistance(fix, next) : 0) -
+      (previous && next ? greatCircleDistance(previous, next) : 0);
+
+    return {
+      track,
+      update: {
+        $push: { 'actualRoute.waypoints': { $each: [fix], $sort: { timestamp: 1 }, $slice: -MAX_TRACK_POINTS } },
+        $inc: { 'actualRoute.totalDistance': round(added, 1) }
+      }
+    };
+  }
+
+  /**
+   * Average speed over ground between two fixes, in knots
+   */
+  getSpeedOverGround(from, to) {
+    const hours = (toTime(to.timestamp) - toTime(from.timestamp)) / 3600000;
+    return hours > 0 ? round(greatCircleDistance(from, to) / hours, 1) : 0;
+  }
+
+  /**
+   * Fixes of a track between two times (inclusive), thinned out for display:
+   * `interval` keeps at most one fix per that many minutes and `maxPoints`
+   * then keeps that many, evenly spread. The first and last fixes are always
+   * kept. The distance is sailed over the range at full resolution.
+   */
+  getTrack(waypoints, { from, to, interval, maxPoints } = {}) {
+    const inRange = (waypoints || []).filter(point =>
+      (from === undefined || toTime(point.timestamp) >= toTime(from)) &&
+      (to === undefined || toTime(point.timestamp) <= toTime(to)));
+
+    let points = inRange;
+    if (interval) points = this.thinByInterval(points, interval);
+    if (maxPoints) points = this.thinToCount(points, maxPoints);
+
+    return {
+      totalPoints: inRange.length,
+      distance: round(pathDistance(inRange), 1),
+      points
+    };
+  }
+
+  /**
+   * Keep the first fix in each `interval` minutes, and the last fix
+   */
+  thinByInterval(points, interval) {
+    if (points.length <= 2) return points;
+
+    const kept = [points[0]];
+    for (let i = 1; i < points.length - 1; i++) {
+      const last = kept[kept.length - 1];
+      if (toTime(points[i].timestamp) - toTime(last.timestamp) >= interval * 60000) kept.push(points[i]);
+    }
+    kept.push(points[points.length - 1]);
+    return kept;
+  }
+
+  /**
+   * Keep `maxPoints` fixes spread evenly along the track, including both ends
+   */
+  thinToCount(points, maxPoints) {
+    if (points.length <= maxPoints) return points;
+
+    const step = (points.length - 1) / (maxPoints - 1);
+    return Array.from({ length: maxPoints }, (_, i) => points[Math.round(i * step)]);
+  }
+}
+
+module.exports = new VoyageTrackService();
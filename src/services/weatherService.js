@@ -1,4 +1,26 @@
 const logger = require('../utils/logger');
+const { greatCircleDistance, greatCircleCourse } = require('../utils/navigation');
+
+// Layout of the mock gridded forecast
+const FORECAST_GRID = {
+  resolution: 2.5, // degrees
+  north: 80,
+  west: -180,
+  rows: 64,
+  cols: 144,
+  intervalHours: 6,
+  maxHours: 504 // 21 days
+};
+
+/**
+ * Repeatable pseudo-random numbers in [0, 1) from a 32-bit seed (mulberry32)
+ */
+const seededRandom = seed => () => {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
 
 class WeatherService {
   constructor() {
@@ -48,6 +70,139 @@ class WeatherService {
     }
   }
 
+  /**
+   * Get a gridded wind and wave forecast for weather routing.
+   *
+   * Grids cover `rows` x `cols` cells of `resolution` degrees from the
+   * `north`-west corner, with one entry in `steps` every `intervalHours` from
+   * `startTime`. Each step holds row-major arrays (from the north-west) of
+   * `windSpeed` (knots), `waveHeight` (metres) and optionally `windDirection`
+   * and `waveDirection` (degrees the weather comes from).
+   */
+  async getForecastGrid(startTime, hours) {
+    try {
+      // Mock forecast grid for development
+      return this.generateMockForecastGrid(startTime, hours);
+    } catch (error) {
+      logger.error('Error fetching forecast grid:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Describe what is wrong with a gridded forecast, or return null when it is usable
+   */
+  validateForecastGrid(grid) {
+    if (!grid || typeof grid !== 'object') return 'Forecast grid must be an object';
+
+    for (const key of ['resolution', 'north', 'west', 'rows', 'cols', 'intervalHours']) {
+      if (typeof grid[key] !== 'number' || Number.isNaN(grid[key])) {
+        return `Forecast grid ${key} must be a number`;
+      }
+    }
+    if (grid.resolution <= 0 || grid.intervalHours <= 0 || grid.rows < 1 || grid.cols < 1) {
+      return 'Forecast grid resolution, intervalHours, rows and cols must be positive';
+    }
+    if (Number.isNaN(new Date(grid.startTime).getTime())) {
+      return 'Forecast grid startTime must be a valid date';
+    }
+    if (!Array.isArray(grid.steps) || grid.steps.length === 0) {
+      return 'Forecast grid must contain at least one time step';
+    }
+
+    const cells = grid.rows * grid.cols;
+    for (const step of grid.steps) {
+      for (const field of ['windSpeed', 'waveHeight', 'windDirection', 'waveDirection']) {
+        const required = field === 'windSpeed' || field === 'waveHeight';
+        if (step[field] === undefined && !required) continue;
+        if (!Array.isArray(step[field]) || step[field].length !== cells) {
+          return `Every forecast step needs a ${field} array of ${cells} values`;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Generate a mock forecast grid with a few storm systems drifting east. The
+   * storms follow from the forecast step the start time falls in, so plans
+   * for the same departure see the same weather.
+   */
+  generateMockForecastGrid(startTime, hours) {
+    const { resolution, north, west, rows, cols, intervalHours, maxHours } = FORECAST_GRID;
+    const stepCount = Math.floor(Math.min(hours, maxHours) / intervalHours) + 1;
+    const random = seededRandom(Math.floor(new Date(startTime).getTime() / (intervalHours * 3600000)));
+
+    const storms = Array.from({ length: 3 + Math.floor(random() * 4) }, () => {
+      const hemisphere = random() < 0.5 ? 1 : -1;
+      return {
+        latitude: hemisphere * (20 + random() * 35),
+        longitude: -180 + random() * 360,
+        drift: 0.2 + random() * 0.3, // degrees of longitude per hour
+        radius: 360 + random() * 240, // nautical miles
+        intensity: 25 + random() * 20 // peak wind in knots
+      };
+    });
+
+    const steps = [];
+    for (let step = 0; step < stepCount; step++) {
+      const elapsed = step * intervalHours;
+      const windSpeed = [];
+      const windDirection = [];
+      const waveHeight = [];
+
+      for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+          const point = {
+            latitude: north - (row + 0.5) * resolution,
+            longitude: west + (col + 0.5) * resolution
+          };
+
+          // Prevailing winds: westerlies at mid latitudes, easterly trades nearer the equator
+          let wind = 8;
+          let direction = Math.abs(point.latitude) > 30 ? 270 : (point.latitude >= 0 ? 60 : 120);
+          let strongest = 0;
+
+          for (const storm of storms) {
+            const center = {
+              latitude: storm.latitude,
+              longitude: ((storm.longitude + storm.drift * elapsed + 180) % 360) - 180
+            };
+            const distance = greatCircleDistance(center, point);
+            const contribution = storm.intensity * Math.exp(-Math.pow(distance / storm.radius, 2));
+            wind += contribution;
+
+            if (contribution > strongest && distance > 0) {
+              // Winds circulate anticlockwise around northern lows, clockwise around southern ones
+              const bearing = greatCircleCourse(center, point);
+              const flow = storm.latitude >= 0 ? bearing - 90 : bearing + 90;
+              direction = (flow + 180 + 360) % 360;
+              strongest = contribution;
+            }
+          }
+
+          windSpeed.push(Math.round(wind * 10) / 10);
+          windDirection.push(Math.round(direction));
+          waveHeight.push(Math.round(Math.min(12, 0.5 + 0.0045 * wind * wind) * 10) / 10);
+        }
+      }
+
+      steps.push({ windSpeed, windDirection, waveHeight, waveDirection: windDirection });
+    }
+
+    return {
+      startTime: new Date(startTime).toISOString(),
+      resolution,
+      north,
+      west,
+      rows,
+      cols,
+      intervalHours,
+      steps
+    };
+  }
+
   /**
    * Generate mock weather data for development/testing
    */
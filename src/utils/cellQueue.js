@@ -0,0 +1,54 @@
+/**
+ * Binary min-heap of grid cell indices keyed by their f-score
+ */
+class CellQueue {
+  constructor() {
+    this.cells = [];
+    this.scores = [];
+  }
+
+  get size() {
+    return this.cells.length;
+  }
+
+  push(cell, score) {
+    this.cells.push(cell);
+    this.scores.push(score);
+    let i = this.cells.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.scores[parent] <= this.scores[i]) break;
+      this.swap(i, parent);
+      i = parent;
+    }
+  }
+
+  pop() {
+    const top = this.cells[0];
+    const lastCell = this.cells.pop();
+    const lastScore = this.scores.pop();
+    if (this.cells.length > 0) {
+      this.cells[0] = lastCell;
+      this.scores[0] = lastScore;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < this.cells.length && this.scores[left] < this.scores[smallest]) smallest = left;
+        if (right < this.cells.length && this.scores[right] < this.scores[smallest]) smallest = right;
+        if (smallest === i) break;
+        this.swap(i, smallest);
+        i = smallest;
+      }
+    }
+    return top;
+  }
+
+  swap(a, b) {
+    [this.cells[a], this.cells[b]] = [this.cells[b], this.cells[a]];
+    [this.scores[a], this.scores[b]] = [this.scores[b], this.scores[a]];
+  }
+}
+
+module.exports = CellQueue;
@@ -0,0 +1,299 @@
+/**
+ * Spherical navigation helpers shared by the routing modules.
+ * Coordinates are `{ latitude, longitude }` objects in decimal degrees,
+ * distances are in nautical miles.
+ */
+
+const EARTH_RADIUS_NM = 3440.065;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+/**
+ * Wrap a longitude into the [-180, 180) range
+ */
+const normalizeLongitude = longitude => {
+  const wrapped = ((longitude + 180) % 360 + 360) % 360 - 180;
+  return wrapped === -180 && longitude > 0 ? 180 : wrapped;
+};
+
+/**
+ * Great circle (haversine) distance between two points
+ */
+const greatCircleDistance = (coord1, coord2) => {
+  const lat1Rad = toRadians(coord1.latitude);
+  const lat2Rad = toRadians(coord2.latitude);
+  const deltaLatRad = toRadians(coord2.latitude - coord1.latitude);
+  const deltaLonRad = toRadians(coord2.longitude - coord1.longitude);
+
+  const a = Math.sin(deltaLatRad / 2) * Math.sin(deltaLatRad / 2) +
+            Math.cos(lat1Rad) * Math.cos(lat2Rad) *
+            Math.sin(deltaLonRad / 2) * Math.sin(deltaLonRad / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+  return EARTH_RADIUS_NM * c;
+};
+
+/**
+ * Point at `fraction` (0-1) of the way along the great circle from coord1 to coord2
+ */
+const greatCircleIntermediatePoint = (coord1, coord2, fraction) => {
+  const lat1 = toRadians(coord1.latitude);
+  const lon1 = toRadians(coord1.longitude);
+  const lat2 = toRadians(coord2.latitude);
+  const lon2 = toRadians(coord2.longitude);
+  const delta = greatCircleDistance(coord1, coord2) / EARTH_RADIUS_NM;
+
+  if (delta === 0) {
+    return { latitude: coord1.latitude, longitude: coord1.longitude };
+  }
+
+  const a = Math.sin((1 - fraction) * delta) / Math.sin(delta);
+  const b = Math.sin(fraction * delta) / Math.sin(delta);
+  const x = a * Math.cos(lat1) * Math.cos(lon1) + b * Math.cos(lat2) * Math.cos(lon2);
+  const y = a * Math.cos(lat1) * Math.sin(lon1) + b * Math.cos(lat2) * Math.sin(lon2);
+  const z = a * Math.sin(lat1) + b * Math.sin(lat2);
+
+  return {
+    latitude: toDegrees(Math.atan2(z, Math.sqrt(x * x + y * y))),
+    longitude: normalizeLongitude(toDegrees(Math.atan2(y, x)))
+  };
+};
+
+/**
+ * Initial true course (0-360 degrees) of the great circle from coord1 to coord2
+ */
+const greatCircleCourse = (coord1, coord2) => {
+  const lat1 = toRadians(coord1.latitude);
+  const lat2 = toRadians(coord2.latitude);
+  const deltaLon = toRadians(coord2.longitude - coord1.longitude);
+
+  const y = Math.sin(deltaLon) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(deltaLon);
+
+  return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+};
+
+/**
+ * Stretched (Mercator) latitude used by rhumb line sailing
+ */
+const mercatorLatitude = latitudeRad => Math.log(Math.tan(Math.PI / 4 + latitudeRad / 2));
+
+/**
+ * Latitude and shortest longitude differences (radians) between two points,
+ * taking the short way across the antimeridian
+ */
+const rhumbLineDeltas = (coord1, coord2) => {
+  const lat1 = toRadians(coord1.latitude);
+  const lat2 = toRadians(coord2.latitude);
+  let deltaLon = toRadians(coord2.longitude - coord1.longitude);
+  if (deltaLon > Math.PI) deltaLon -= 2 * Math.PI;
+  else if (deltaLon < -Math.PI) deltaLon += 2 * Math.PI;
+
+  return {
+    lat1,
+    deltaLat: lat2 - lat1,
+    deltaLon,
+    deltaMercator: mercatorLatitude(lat2) - mercatorLatitude(lat1)
+  };
+};
+
+/**
+ * Rhumb line (constant course) distance between two points
+ */
+const rhumbLineDistance = (coord1, coord2) => {
+  const { lat1, deltaLat, deltaLon, deltaMercator } = rhumbLineDeltas(coord1, coord2);
+  // On an east-west course the departure is measured along the parallel
+  const q = Math.abs(deltaMercator) > 1e-12 ? deltaLat / deltaMercator : Math.cos(lat1);
+
+  return EARTH_RADIUS_NM * Math.sqrt(deltaLat * deltaLat + q * q * deltaLon * deltaLon);
+};
+
+/**
+ * Constant true course (0-360 degrees) of the rhumb line from coord1 to coord2
+ */
+const rhumbLineCourse = (coord1, coord2) => {
+  const { deltaLon, deltaMercator } = rhumbLineDeltas(coord1, coord2);
+  return (toDegrees(Math.atan2(deltaLon, deltaMercator)) + 360) % 360;
+};
+
+/**
+ * Point at `fraction` (0-1) of the way along the rhumb line from coord1 to coord2
+ */
+const rhumbLineIntermediatePoint = (coord1, coord2, fraction) => {
+  const { lat1, deltaLat, deltaLon, deltaMercator } = rhumbLineDeltas(coord1, coord2);
+  // Latitude changes linearly with distance along a rhumb line, longitude with Mercator latitude
+  const latitude = lat1 + fraction * deltaLat;
+  const lonFraction = Math.abs(deltaMercator) > 1e-12
+    ? (mercatorLatitude(latitude) - mercatorLatitude(lat1)) / deltaMercator
+    : fraction;
+
+  return {
+    latitude: toDegrees(latitude),
+    longitude: normalizeLongitude(coord1.longitude + toDegrees(lonFraction * deltaLon))
+  };
+};
+
+// Supported route modes. Composite sailing follows great circles but never
+// beyond a limiting latitude, so it shares the great circle formulas.
+const ROUTE_MODES = ['great-circle', 'rhumb-line', 'composite'];
+
+const SAILINGS = {
+  'great-circle': {
+    distance: greatCircleDistance,
+    course: greatCircleCourse,
+    intermediatePoint: greatCircleIntermediatePoint
+  },
+  'rhumb-line': {
+    distance: rhumbLineDistance,
+    course: rhumbLineCourse,
+    intermediatePoint: rhumbLineIntermediatePoint
+  }
+};
+
+/**
+ * Distance, course and interpolation functions for a route mode
+ */
+const getSailing = (routeMode = 'great-circle') =>
+  SAILINGS[routeMode === 'rhumb-line' ? 'rhumb-line' : 'great-circle'];
+
+/**
+ * Total length of a polyline of coordinates, measured along the route mode's legs
+ */
+const pathDistance = (points, routeMode) => {
+  const { distance } = getSailing(routeMode);
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    total += distance(points[i - 1], points[i]);
+  }
+  return total;
+};
+
+/**
+ * Point of a polyline closest to a position, found on each leg by ternary
+ * search along the route mode's sailing. Returns the index of the leg it lies
+ * on, how far along that leg it is (0-1), the point itself and its distance
+ * from the position (the cross-track distance).
+ */
+const nearestPointOnPath = (points, coord, routeMode) => {
+  const { distance, intermediatePoint } = getSailing(routeMode);
+  let nearest = null;
+
+  for (let i = 1; i < points.length; i++) {
+    const from = points[i - 1];
+    const to = points[i];
+    const distanceAt = fraction => distance(coord, fraction === 0 ? from : fraction === 1 ? to : intermediatePoint(from, to, fraction));
+
+    let low = 0;
+    let high = 1;
+    for (let step = 0; step < 40; step++) {
+      const a = low + (high - low) / 3;
+      const b = high - (high - low) / 3;
+      if (distanceAt(a) <= distanceAt(b)) high = b; else low = a;
+    }
+    const candidates = [0, (low + high) / 2, 1].map(fraction => ({ fraction, distance: distanceAt(fraction) }));
+    const best = candidates.reduce((closest, candidate) => (candidate.distance < closest.distance ? candidate : closest));
+
+    if (!nearest || best.distance < nearest.distance) {
+      nearest = {
+        index: i - 1,
+        fraction: best.fraction,
+        point: best.fraction === 0 ? from : best.fraction === 1 ? to : intermediatePoint(from, to, best.fraction),
+        distance: best.distance
+      };
+    }
+  }
+
+  return nearest;
+};
+
+/**
+ * Consecutive steps of at most `maxStep` miles along a polyline, each with its
+ * end points, midpoint and length, following the route mode's legs
+ */
+const pathSteps = (points, routeMode, maxStep) => {
+  const { distance, intermediatePoint } = getSailing(routeMode);
+  const steps = [];
+
+  for (let i = 1; i < points.length; i++) {
+    const from = points[i - 1];
+    const to = points[i];
+    const legDistance = distance(from, to);
+    const count = Math.max(1, Math.ceil(legDistance / maxStep));
+
+    let stepStart = { latitude: from.latitude, longitude: from.longitude };
+    for (let s = 1; s <= count; s++) {
+      const stepEnd = s === count
+        ? { latitude: to.latitude, longitude: to.longitude }
+        : intermediatePoint(from, to, s / count);
+      steps.push({
+        from: stepStart,
+        to: stepEnd,
+        midpoint: intermediatePoint(from, to, (s - 0.5) / count),
+        distance: legDistance / count
+      });
+      stepStart = stepEnd;
+    }
+  }
+
+  return steps;
+};
+
+/**
+ * Even-odd ray casting test of a coordinate against a latitude/longitude ring.
+ * Rings are treated as flat in latitude/longitude and must not cross the antimeridian.
+ */
+const isInsidePolygon = (coord, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.latitude > coord.latitude) !== (b.latitude > coord.latitude) &&
+        coord.longitude < a.longitude + (coord.latitude - a.latitude) *
+          (b.longitude - a.longitude) / (b.latitude - a.latitude)) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Latitude/longitude bounding box of a ring
+ */
+const polygonBounds = polygon => ({
+  south: Math.min(...polygon.map(p => p.latitude)),
+  north: Math.max(...polygon.map(p => p.latitude)),
+  west: Math.min(...polygon.map(p => p.longitude)),
+  east: Math.max(...polygon.map(p => p.longitude))
+});
+
+/**
+ * Whether a coordinate lies inside a bounding box. A box whose west edge is
+ * east of its east edge wraps across the antimeridian.
+ */
+const isWithinBounds = (coord, bounds) =>
+  coord.latitude >= bounds.south && coord.latitude <= bounds.north &&
+  (bounds.west <= bounds.east
+    ? coord.longitude >= bounds.west && coord.longitude <= bounds.east
+    : coord.longitude >= bounds.west || coord.longitude <= bounds.east);
+
+module.exports = {
+  EARTH_RADIUS_NM,
+  toRadians,
+  toDegrees,
+  normalizeLongitude,
+  greatCircleDistance,
+  greatCircleIntermediatePoint,
+  greatCircleCourse,
+  rhumbLineDistance,
+  rhumbLineCourse,
+  rhumbLineIntermediatePoint,
+  ROUTE_MODES,
+  getSailing,
+  pathDistance,
+  pathSteps,
+  nearestPointOnPath,
+  isInsidePolygon,
+  polygonBounds,
+  isWithinBounds
+};
@@ -63,6 +63,11 @@ jest.mock('../src/models/Voyage', () => mockModel);
 jest.mock('../src/models/Ship', () => mockModel);
 jest.mock('../src/models/Maintenance', () => mockModel);
 jest.mock('../src/models/FuelLog', () => mockModel);
+jest.mock('../src/models/RiskZone', () => mockModel);
+jest.mock('../src/models/NoonReport', () => mockModel);
+jest.mock('../src/models/BunkerDelivery', () => mockModel);
+jest.mock('../src/models/BunkerPrice', () => mockModel);
+jest.mock('../src/models/FuelReferenceTable', () => mockModel);
 
 // Mock AI services
 jest.mock('../src/ai/routeOptimizer', () => ({
@@ -72,6 +77,8 @@ jest.mock('../src/ai/routeOptimizer', () => ({
     estimatedTime: 24,
     confidence: 0.85,
     optimalSpeed: 20,
+    passages: { transits: [], totalTransitCost: 0, totalWaitingHours: 0, restricted: [] },
+    alternativeRoutes: [],
     recommendations: []
   })
 }));
@@ -143,6 +150,337 @@ describe('Voyage Planning API', () => {
     expect(response.body.error).toContain('Missing required fields');
   });
 
+  test('POST /api/v1/voyages/plan-voyage should validate port coordinates before routing', async () => {
+    const response = await request(app)
+      .post('/api/v1/voyages/plan-voyage')
+      .send({
+        shipId: 'SHIP-001',
+        origin: { name: 'Rotterdam', coordinates: { latitude: 51.95, longitude: 4.1 } },
+        destination: { name: 'Singapore' },
+        portCalls: [{ name: 'Algeciras' }],
+        departureTime: '2025-07-01T00:00:00Z',
+        cargoLoad: { weight: 10000, type: 'containers' },
+        routeMode: 'composite',
+        limitingLatitude: 60
+      })
+      .expect(400);
+
+    expect(response.body).toHaveProperty('success', false);
+    expect(response.body.error).toContain('destination.coordinates');
+  });
+
+  test('POST /api/v1/voyages/plan-voyage should reject a port call without coordinates', async () => {
+    const response = await request(app)
+      .post('/api/v1/voyages/plan-voyage')
+      .send({
+        shipId: 'SHIP-001',
+        origin: { name: 'Rotterdam', coordinates: { latitude: 51.95, longitude: 4.1 } },
+        destination: { name: 'Singapore', coordinates: { latitude: 1.26, longitude: 103.84 } },
+        portCalls: [{ name: 'Algeciras' }],
+        departureTime: '2025-07-01T00:00:00Z',
+        cargoLoad: { weight: 10000, type: 'containers' },
+        routeMode: 'composite',
+        limitingLatitude: 60
+      })
+      .expect(400);
+
+    expect(response.body.error).toBe('Port call 1 requires a name and coordinates');
+  });
+
+  test('POST /api/v1/voyages/plan-voyage should validate the under-keel clearance', async () => {
+    const response = await request(app)
+      .post('/api/v1/voyages/plan-voyage')
+      .send({
+        shipId: 'SHIP-001',
+        origin: { name: 'Rotterdam', coordinates: { latitude: 51.95, longitude: 4.1 } },
+        destination: { name: 'Singapore', coordinates: { latitude: 1.26, longitude: 103.84 } },
+        departureTime: '2025-07-01T00:00:00Z',
+        cargoLoad: { weight: 10000, type: 'containers' },
+        underKeelClearance: -1
+      })
+      .expect(400);
+
+    expect(response.body).toHaveProperty('success', false);
+    expect(response.body.error).toContain('underKeelClearance must be a non-negative number');
+  });
+
+  test('POST /api/v1/voyages/plan-voyage should reject a required arrival before departure', async () => {
+    const response = await request(app)
+      .post('/api/v1/voyages/plan-voyage')
+      .send({
+        shipId: 'SHIP-001',
+        origin: { name: 'Rotterdam', coordinates: { latitude: 51.95, longitude: 4.1 } },
+        destination: { name: 'Singapore', coordinates: { latitude: 1.26, longitude: 103.84 } },
+        departureTime: '2025-07-01T00:00:00Z',
+        cargoLoad: { weight: 10000, type: 'containers' },
+        requiredArrival: '2025-06-30T00:00:00Z'
+      })
+      .expect(400);
+
+    expect(response.body).toHaveProperty('success', false);
+    expect(response.body.error).toBe('requiredArrival must be a valid date after departureTime');
+  });
+
+  test('POST /api/v1/voyages/plan-voyage should validate the cross-track limit', async () => {
+    const response = await request(app)
+      .post('/api/v1/voyages/plan-voyage')
+      .send({
+        shipId: 'SHIP-001',
+        origin: { name: 'Rotterdam', coordinates: { latitude: 51.95, longitude: 4.1 } },
+        destination: { name: 'Singapore', coordinates: { latitude: 1.26, longitude: 103.84 } },
+        departureTime: '2025-07-01T00:00:00Z',
+        cargoLoad: { weight: 10000, type: 'containers' },
+        crossTrackLimit: 0
+      })
+      .expect(400);
+
+    expect(response.body).toHaveProperty('success', false);
+    expect(response.body.error).toBe('crossTrackLimit must be a positive number of nautical miles');
+  });
+
+  test('POST /api/v1/voyages/optimize-sequence should validate the ports', async () => {
+    const response = await request(app)
+      .post('/api/v1/voyages/optimize-sequence')
+      .send({
+        shipId: 'SHIP-001',
+        origin: { name: 'Shanghai', coordinates: { latitude: 31.2, longitude: 121.9 } },
+        ports: [],
+        departureTime: '2025-07-01T00:00:00Z'
+      })
+      .expect(400);
+
+    expect(response.body).toHaveProperty('success', false);
+    expect(response.body.error).toContain('ports must be a non-empty array');
+  });
+
+  test('POST /api/v1/voyages/optimize-sequence should validate the origin and departure time', async () => {
+    const body = {
+      shipId: 'SHIP-001',
+      origin: { name: 'Shanghai', coordinates: { latitude: 31.2, longitude: 121.9 } },
+      ports: [{ name: 'Busan', coordinates: { latitude: 35.1, longitude: 129.04 } }],
+      departureTime: '2025-07-01T00:00:00Z'
+    };
+
+    const origin = await request(app)
+      .post('/api/v1/voyages/optimize-sequence')
+      .send({ ...body, origin: { name: 'Shanghai', coordinates: { latitude: 31.2, longitude: 300 } } })
+      .expect(400);
+    expect(origin.body.error).toContain('origin.coordinates');
+
+    const departure = await request(app)
+      .post('/api/v1/voyages/optimize-sequence')
+      .send({ ...body, departureTime: 'next week' })
+      .expect(400);
+    expect(departure.body.error).toBe('departureTime must be a valid date');
+  });
+
+  test('POST /api/v1/voyages/speed-curve should require a daily hire rate', async () => {
+    const response = await request(app)
+      .post('/api/v1/voyages/speed-curve')
+      .send({
+        shipId: 'SHIP-001',
+        origin: { name: 'Rotterdam', coordinates: { latitude: 51.95, longitude: 4.1 } },
+        destination: { name: 'New York', coordinates: { latitude: 40.6, longitude: -73.9 } }
+      })
+      .expect(400);
+
+    expect(response.body).toHaveProperty('success', false);
+    expect(response.body.error).toContain('dailyHireRate');
+  });
+
+  test('POST /api/v1/voyages/speed-curve should validate the port coordinates', async () => {
+    const response = await request(app)
+      .post('/api/v1/voyages/speed-curve')
+      .send({
+        shipId: 'SHIP-001',
+        origin: { name: 'Rotterdam', coordinates: { latitude: 200, longitude: 4.1 } },
+        destination: { name: 'New York', coordinates: { latitude: 40.6, longitude: -73.9 } },
+        dailyHireRate: 15000
+      })
+      .expect(400);
+
+    expect(response.body).toHaveProperty('success', false);
+    expect(response.body.error).toContain('origin.coordinates requires a latitude between -90 and 90');
+  });
+
+  test('GET /api/v1/voyages/:voyageId/route should validate the export format', async () => {
+    const response = await request(app)
+      .get('/api/v1/voyages/VOY-001/route?format=kml')
+      .expect(400);
+
+    expect(response.body).toHaveProperty('success', false);
+    expect(response.body.error).toContain('Invalid format');
+
+    await request(app)
+      .get('/api/v1/voyages/VOY-001/route')
+      .set('Accept', 'text/html')
+      .expect(406);
+  });
+
+  test('PUT /api/v1/voyages/:voyageId/route should reject unrecognised route files', async () => {
+    const response = await request(app)
+      .put('/api/v1/voyages/VOY-001/route')
+      .set('Content-Type', 'application/xml')
+      .send('<kml></kml>')
+      .expect(400);
+
+    expect(response.body).toHaveProperty('success', false);
+    expect(response.body.error).toContain('Unrecognised route file');
+  });
+
+  test('GET /api/v1/voyages/:voyageId/track should validate the downsampling', async () => {
+    const response = await request(app)
+      .get('/api/v1/voyages/VOY-001/track?maxPoints=1')
+      .expect(400);
+
+    expect(response.body).toHaveProperty('success', false);
+    expect(response.body.error).toContain('maxPoints');
+  });
+
+  test('PUT /api/v1/voyages/:voyageId/status should require a reason to cancel', async () => {
+    const response = await request(app)
+      .put('/api/v1/voyages/VOY-001/status')
+      .send({ status: 'cancelled' })
+      .expect(400);
+
+    expect(response.body).toHaveProperty('success', false);
+    expect(response.body.error).toContain('reason is required');
+  });
+
+  test('PUT /api/v1/voyages/:voyageId/status should reject illegal transitions', async () => {
+    mockModel.findOne.mockResolvedValueOnce({ voyageId: 'VOY-001', status: 'completed', statusHistory: [] });
+
+    const response = await request(app)
+      .put('/api/v1/voyages/VOY-001/status')
+      .send({ status: 'planned' })
+      .expect(409);
+
+    expect(response.body).toHaveProperty('success', false);
+    expect(response.body.error).toContain('from completed to planned');
+  });
+
+  test('POST /api/v1/voyages/:voyageId/select-route should require an alternative name', async () => {
+    const response = await request(app)
+      .post('/api/v1/voyages/VOY-001/select-route')
+      .send({})
+      .expect(400);
+
+    expect(response.body).toHaveProperty('success', false);
+    expect(response.body.error).toContain('Alternative route name is required');
+  });
+
+  test('POST /api/v1/voyages/:voyageId/select-route should replace everything planned for the previous route', async () => {
+    const route = [
+      { latitude: 51.9, longitude: 4.1, timestamp: '2025-07-01T00:00:00Z', speed: 14 },
+      { latitude: 49.5, longitude: -5.5, timestamp: '2025-07-02T00:00:00Z', speed: 0 }
+    ];
+    const voyage = {
+      voyageId: 'VOY-001',
+      shipId: 'SHIP-001',
+      status: 'planned',
+      departureTime: new Date('2025-07-01T00:00:00Z'),
+      cargoLoad: { weight: 10000 },
+      plannedRoute: {
+        routeMode: 'composite',
+        limitingLatitude: 60,
+        speedProfile: { speedThroughWater: 14 },
+        underKeel: { loadedDraft: 9, underKeelClearance: 2 }
+      },
+      fuelPrediction: { efficiency: 80, referenceVersions: { fuelPrices: 1, emissionFactors: 1 } },
+      aiRecommendations: {
+        alternativeRoutes: [{
+          name: 'fuel',
+          routeMode: 'rhumb-line',
+          route,
+          legs: [],
+          totalDistance: 400,
+          estimatedTime: 24,
+          estimatedFuel: 30,
+          efficiency: 91,
+          referenceVersions: { fuelPrices: 2, emissionFactors: 1 },
+          fuelBreakdown: [],
+          eca: { ecaDistance: 400, nonEcaDistance: 0, zones: [] },
+          risk: { zones: [], insuranceCost: 0 },
+          passages: []
+        }]
+      },
+      save: jest.fn().mockResolvedValue({})
+    };
+    mockModel.findOne.mockResolvedValueOnce(voyage);
+
+    const response = await request(app)
+      .post('/api/v1/voyages/VOY-001/select-route')
+      .send({ name: 'fuel' })
+      .expect(200);
+
+    expect(response.body.data.plannedRoute).toMatchObject({ routeMode: 'rhumb-line', selectedAlternative: 'fuel' });
+    expect(voyage.plannedRoute.limitingLatitude).toBeUndefined();
+    expect(voyage.plannedRoute.speedProfile).toBeUndefined();
+    expect(voyage.fuelPrediction).toMatchObject({ efficiency: 91, referenceVersions: { fuelPrices: 2, emissionFactors: 1 } });
+    expect(voyage.save).toHaveBeenCalled();
+  });
+
+  test('POST /api/v1/voyages/:voyageId/noon-reports should validate the report', async () => {
+    const response = await request(app)
+      .post('/api/v1/voyages/VOY-001/noon-reports')
+      .send({
+        reportedAt: '2025-07-02T12:00:00Z',
+        position: { latitude: 0, longitude: 4.8 },
+        distanceRun: 290,
+        consumption: []
+      })
+      .expect(400);
+
+    expect(response.body).toHaveProperty('success', false);
+    expect(response.body.error).toContain('consumption');
+  });
+
+  test('POST /api/v1/voyages/:voyageId/noon-reports should require a voyage that has sailed', async () => {
+    mockModel.findOne.mockReturnValueOnce({
+      lean: jest.fn().mockResolvedValue({ voyageId: 'VOY-001', status: 'planned', statusHistory: [] })
+    });
+
+    const response = await request(app)
+      .post('/api/v1/voyages/VOY-001/noon-reports')
+      .send({
+        reportedAt: '2025-07-02T12:00:00Z',
+        position: { latitude: 0, longitude: 4.8 },
+        distanceRun: 290,
+        consumption: [{ engine: 'main-engine', fuelType: 'heavy-fuel-oil', amount: 32 }]
+      })
+      .expect(409);
+
+    expect(response.body).toHaveProperty('success', false);
+    expect(response.body.error).toContain('voyage is planned');
+  });
+
+  test('PUT /api/v1/voyages/:voyageId/revisions/:version should require a decision', async () => {
+    const response = await request(app)
+      .put('/api/v1/voyages/VOY-001/revisions/2')
+      .send({ status: 'maybe' })
+      .expect(400);
+
+    expect(response.body).toHaveProperty('success', false);
+    expect(response.body.error).toContain('accepted, rejected');
+  });
+
+  test('PUT /api/v1/voyages/:voyageId/revisions/:version should not decide a revision twice', async () => {
+    mockModel.findOne.mockResolvedValueOnce({
+      voyageId: 'VOY-001',
+      status: 'in-progress',
+      planVersion: 2,
+      planRevisions: [{ version: 2, basedOnVersion: 1, status: 'accepted' }]
+    });
+
+    const response = await request(app)
+      .put('/api/v1/voyages/VOY-001/revisions/2')
+      .send({ status: 'rejected' })
+      .expect(409);
+
+    expect(response.body).toHaveProperty('success', false);
+    expect(response.body.error).toContain('already been accepted');
+  });
+
   test('GET /api/v1/voyages/plan-history should return voyage history', async () => {
     const response = await request(app)
       .get('/api/v1/voyages/plan-history');
@@ -158,6 +496,52 @@ describe('Voyage Planning API', () => {
   });
 });
 
+describe('Risk Zone API', () => {
+  test('POST /api/v1/risk-zones should validate the zone polygon', async () => {
+    const response = await request(app)
+      .post('/api/v1/risk-zones')
+      .send({
+        zoneId: 'GOA-1',
+        name: 'Gulf of Aden',
+        type: 'piracy',
+        polygon: [{ latitude: 12, longitude: 45 }, { latitude: 15, longitude: 52 }]
+      })
+      .expect(400);
+
+    expect(response.body).toHaveProperty('success', false);
+    expect(response.body.error).toContain('polygon must be an array of at least 3 points');
+  });
+
+  test('GET /api/v1/risk-zones should reject unknown zone types and severities', async () => {
+    const byType = await request(app)
+      .get('/api/v1/risk-zones?type=storm')
+      .expect(400);
+    expect(byType.body.error).toContain('Invalid type');
+
+    const bySeverity = await request(app)
+      .get('/api/v1/risk-zones?severity=extreme')
+      .expect(400);
+    expect(bySeverity.body.error).toContain('Invalid severity');
+  });
+
+  test('PUT /api/v1/risk-zones/:zoneId should check a new end date against the stored start date', async () => {
+    mockModel.findOne.mockResolvedValueOnce({
+      zoneId: 'GOA-1',
+      validFrom: new Date('2025-07-01T00:00:00Z'),
+      validTo: new Date('2025-12-31T00:00:00Z')
+    });
+    const updates = mockModel.findOneAndUpdate.mock.calls.length;
+
+    const response = await request(app)
+      .put('/api/v1/risk-zones/GOA-1')
+      .send({ validTo: '2025-06-01T00:00:00Z' })
+      .expect(400);
+
+    expect(response.body.error).toContain('validTo must be after validFrom');
+    expect(mockModel.findOneAndUpdate).toHaveBeenCalledTimes(updates);
+  });
+});
+
 describe('Maintenance API', () => {
   test('GET /api/v1/maintenance/alerts should return maintenance alerts', async () => {
     const response = await request(app)
@@ -193,6 +577,225 @@ describe('Ship Management API', () => {
       expect(response.body.data).toHaveProperty('analytics');
     }
   });
+
+  test('GET /api/v1/ships/:shipId/cii should validate the year', async () => {
+    const response = await request(app)
+      .get('/api/v1/ships/SHIP-001/cii?year=2015')
+      .expect(400);
+
+    expect(response.body).toHaveProperty('success', false);
+    expect(response.body.error).toBe('year must be 2019 or later');
+  });
+
+  test('GET /api/v1/ships/:shipId/cii should require the ship type', async () => {
+    mockModel.findOne.mockReturnValueOnce({
+      lean: jest.fn().mockResolvedValue({ shipId: 'SHIP-001', specifications: { deadweight: 80000 } })
+    });
+
+    const response = await request(app)
+      .get('/api/v1/ships/SHIP-001/cii?year=2025')
+      .expect(422);
+
+    expect(response.body).toHaveProperty('success', false);
+    expect(response.body.error).toContain('shipType');
+  });
+
+  test('GET /api/v1/ships/:shipId/cii should rate with the emission factors in force in the database', async () => {
+    const latest = saved => ({ sort: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue(saved) }) });
+    mockModel.findOne
+      .mockReturnValueOnce({
+        lean: jest.fn().mockResolvedValue({ shipId: 'SHIP-001', shipType: 'bulk-carrier', engineType: 'diesel', specifications: { deadweight: 80000 } })
+      })
+      .mockReturnValueOnce(latest(null))
+      .mockReturnValueOnce(latest({
+        table: 'emission-factors',
+        version: 4,
+        emissionFactors: [{ fuelType: 'diesel', co2Factor: 3.2 }]
+      }));
+    mockModel.find
+      .mockReturnValueOnce({ lean: jest.fn().mockResolvedValue([]) })
+      .mockReturnValueOnce({ lean: jest.fn().mockResolvedValue([]) });
+
+    const response = await request(app)
+      .get('/api/v1/ships/SHIP-001/cii?year=2025')
+      .expect(200);
+
+    expect(response.body.data.emissionFactorsVersion).toBe(4);
+  });
+});
+
+describe('Bunker API', () => {
+  const delivery = {
+    bdnNumber: 'BDN-2025-0412',
+    deliveredAt: '2025-07-01T08:00:00Z',
+    port: { name: 'Rotterdam' },
+    supplier: 'North Sea Bunkers',
+    fuelType: 'heavy-fuel-oil',
+    quantity: 800,
+    density: 988.5,
+    sulphurContent: 0.48
+  };
+
+  test('POST /api/v1/ships/:shipId/bunkers should validate the delivery', async () => {
+    const response = await request(app)
+      .post('/api/v1/ships/SHIP-001/bunkers')
+      .send({ ...delivery, sulphurContent: 12 })
+      .expect(400);
+
+    expect(response.body).toHaveProperty('success', false);
+    expect(response.body.error).toContain('sulphurContent');
+  });
+
+  test('POST /api/v1/ships/:shipId/bunkers should not record a delivery note twice', async () => {
+    mockModel.findOne
+      .mockResolvedValueOnce({ shipId: 'SHIP-001', fuelTankCapacity: 2500 })
+      .mockReturnValueOnce({ lean: jest.fn().mockResolvedValue({ ...delivery, shipId: 'SHIP-001' }) });
+
+    const response = await request(app)
+      .post('/api/v1/ships/SHIP-001/bunkers')
+      .send(delivery)
+      .expect(409);
+
+    expect(response.body).toHaveProperty('success', false);
+    expect(response.body.error).toContain('BDN-2025-0412');
+  });
+
+  test('POST /api/v1/bunker-prices should validate each price', async () => {
+    const response = await request(app)
+      .post('/api/v1/bunker-prices')
+      .send({
+        prices: [
+          { port: 'Rotterdam', fuelType: 'heavy-fuel-oil', pricePerTon: 520 },
+          { port: 'Algeciras', fuelType: 'heavy-fuel-oil', pricePerTon: 470, validFrom: '2025-08-01', validTo: '2025-07-01' }
+        ]
+      })
+      .expect(400);
+
+    expect(response.body).toHaveProperty('success', false);
+    expect(response.body.error).toBe('Price 2: validTo must be after validFrom');
+  });
+
+  test('GET /api/v1/voyages/:voyageId/bunker-plan should validate the reserve margin', async () => {
+    const response = await request(app)
+      .get('/api/v1/voyages/VOY-001/bunker-plan?reserveMargin=2')
+      .expect(400);
+
+    expect(response.body).toHaveProperty('success', false);
+    expect(response.body.error).toContain('reserveMargin');
+  });
+
+  test('GET /api/v1/voyages/:voyageId/bunker-plan should default to the main grade of the fuel prediction', async () => {
+    const lean = value => ({ lean: jest.fn().mockResolvedValue(value) });
+    mockModel.findOne
+      .mockReturnValueOnce(lean({
+        voyageId: 'VOY-001',
+        shipId: 'SHIP-001',
+        status: 'planned',
+        statusHistory: [],
+        origin: { name: 'Rotterdam' },
+        departureTime: new Date('2025-08-01T00:00:00Z'),
+        fuelPrediction: {
+          estimatedConsumption: 300,
+          fuelBreakdown: [
+            { area: 'eca', fuelType: 'marine-gas-oil', consumption: 50 },
+            { area: 'outside-eca', fuelType: 'diesel', consumption: 250 }
+          ]
+        }
+      }))
+      .mockResolvedValueOnce({ shipId: 'SHIP-001', engineType: 'diesel', fuelTankCapacity: 2000 });
+    mockModel.find
+      .mockReturnValueOnce(lean([
+        { port: 'Rotterdam', fuelType: 'diesel', pricePerTon: 640, currency: 'USD', validFrom: new Date('2025-07-01') },
+        { port: 'Rotterdam', fuelType: 'marine-gas-oil', pricePerTon: 760, currency: 'USD', validFrom: new Date('2025-07-01') }
+      ]));
+
+    const response = await request(app)
+      .get('/api/v1/voyages/VOY-001/bunker-plan')
+      .expect(200);
+
+    expect(response.body.data.fuelType).toBe('diesel');
+    expect(mockModel.find).toHaveBeenCalledWith({ fuelType: { $in: ['diesel', 'marine-gas-oil'] }, currency: 'USD' });
+  });
+});
+
+describe('Fuel Reference API', () => {
+  test('PUT /api/v1/fuel-reference/emission-factors should require a factor for every fuel grade', async () => {
+    const response = await request(app)
+      .put('/api/v1/fuel-reference/emission-factors')
+      .send({
+        entries: [
+          { fuelType: 'heavy-fuel-oil', co2Factor: 3.114 },
+          { fuelType: 'marine-gas-oil', co2Factor: 3.206 }
+        ]
+      })
+      .expect(400);
+
+    expect(response.body).toHaveProperty('success', false);
+    expect(response.body.error).toBe('Every fuel grade needs an emission factor; missing: diesel, lng, methanol');
+  });
+
+  test('GET /api/v1/fuel-reference/:table should reject unknown tables', async () => {
+    const response = await request(app)
+      .get('/api/v1/fuel-reference/freight-rates')
+      .expect(404);
+
+    expect(response.body).toHaveProperty('success', false);
+    expect(response.body.error).toContain('fuel-prices, emission-factors');
+  });
+});
+
+describe('Fuel Log API', () => {
+  test('POST /api/v1/fuel-logs should validate required fields', async () => {
+    const response = await request(app)
+      .post('/api/v1/fuel-logs')
+      .send({ shipId: 'SHIP-001' })
+      .expect(400);
+
+    expect(response.body).toHaveProperty('success', false);
+    expect(response.body.error).toContain('Missing required fields');
+  });
+
+  test('POST /api/v1/fuel-logs should validate the unit', async () => {
+    const response = await request(app)
+      .post('/api/v1/fuel-logs')
+      .send({ shipId: 'SHIP-001', fuelType: 'heavy-fuel-oil', consumption: { amount: 10, unit: 'barrels' } })
+      .expect(400);
+
+    expect(response.body).toHaveProperty('success', false);
+    expect(response.body.error).toContain('consumption.unit');
+  });
+
+  test('POST /api/v1/fuel-logs should reject a cost that is not an object', async () => {
+    const response = await request(app)
+      .post('/api/v1/fuel-logs')
+      .send({ shipId: 'SHIP-001', fuelType: 'heavy-fuel-oil', consumption: { amount: 10, unit: 'tons' }, cost: null })
+      .expect(400);
+
+    expect(response.body).toHaveProperty('success', false);
+    expect(response.body.error).toContain('cost must be an object');
+  });
+
+  test('GET /api/v1/fuel-logs/summary should validate groupBy', async () => {
+    const response = await request(app)
+      .get('/api/v1/fuel-logs/summary?groupBy=port')
+      .expect(400);
+
+    expect(response.body).toHaveProperty('success', false);
+    expect(response.body.error).toContain('groupBy must be one of');
+  });
+
+  test('GET /api/v1/fuel-logs/summary should total the logs in the database', async () => {
+    mockModel.aggregate.mockResolvedValueOnce([
+      { _id: { key: 'heavy-fuel-oil', fuelType: 'heavy-fuel-oil', unit: 'tons', currency: 'USD' }, entries: 2, amount: 60, cost: 36000, costed: 2, from: '2025-07-01T12:00:00Z', to: '2025-07-02T12:00:00Z' }
+    ]);
+
+    const response = await request(app)
+      .get('/api/v1/fuel-logs/summary?shipId=SHIP-001&groupBy=fuelType')
+      .expect(200);
+
+    expect(mockModel.aggregate).toHaveBeenLastCalledWith(expect.arrayContaining([{ $match: { shipId: 'SHIP-001' } }]));
+    expect(response.body.data).toMatchObject({ entries: 2, consumption: 60, cost: { USD: 36000 }, groupBy: 'fuelType' });
+  });
 });
 
 describe('Error Handling', () => {
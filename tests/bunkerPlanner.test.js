@@ -0,0 +1,72 @@
+const bunkerPlanner = require('../src/ai/bunkerPlanner');
+
+const offer = pricePerTon => ({ pricePerTon, supplier: 'Harbour Fuels' });
+
+const stops = [
+  { name: 'Rotterdam', prices: { 'heavy-fuel-oil': offer(600), 'marine-gas-oil': offer(800) } },
+  { name: 'Algeciras', prices: { 'heavy-fuel-oil': offer(450), 'marine-gas-oil': offer(900) } },
+  { name: 'Port Said', prices: { 'heavy-fuel-oil': offer(700), 'marine-gas-oil': offer(700) } }
+];
+
+const legs = [
+  { fuel: { 'heavy-fuel-oil': 200, 'marine-gas-oil': 20 } },
+  { fuel: { 'heavy-fuel-oil': 300 } },
+  { fuel: { 'heavy-fuel-oil': 100, 'marine-gas-oil': 30 } }
+];
+
+const purchased = (plan, fuelType) => plan.stops.map(stop => {
+  const purchase = stop.purchases.find(entry => entry.fuelType === fuelType);
+  return purchase ? purchase.quantity : 0;
+});
+
+describe('Bunker Planner', () => {
+  test('buys only as far as the next cheaper port and fills up at the cheapest', () => {
+    const plan = bunkerPlanner.planBunkering({
+      stops,
+      legs,
+      rob: { 'heavy-fuel-oil': 50 },
+      tankCapacity: 1000,
+      reserveMargin: 0.1
+    });
+
+    expect(plan.feasible).toBe(true);
+    expect(purchased(plan, 'heavy-fuel-oil')).toEqual([170, 390, 0]);
+    expect(purchased(plan, 'marine-gas-oil')).toEqual([22, 0, 31]);
+    expect(plan.totalCost).toBe(316800);
+    expect(plan.baseline).toEqual({ port: 'Rotterdam', cost: 378400, fitsInTanks: true });
+    expect(plan.savings).toBe(61600);
+  });
+
+  test('never lets the ROB fall below the reserve for the leg just sailed', () => {
+    const plan = bunkerPlanner.planBunkering({ stops, legs, tankCapacity: 1000, reserveMargin: 0.1 });
+
+    for (const [i, stop] of plan.stops.slice(1).entries()) {
+      expect(stop.robOnArrival['heavy-fuel-oil']).toBeGreaterThanOrEqual(legs[i].fuel['heavy-fuel-oil'] * 0.1);
+    }
+    expect(plan.robOnCompletion).toEqual({ 'heavy-fuel-oil': 10, 'marine-gas-oil': 3 });
+  });
+
+  test('keeps the fuel aboard within the tank capacity', () => {
+    const plan = bunkerPlanner.planBunkering({ stops, legs, tankCapacity: 450, reserveMargin: 0.1 });
+
+    expect(plan.feasible).toBe(true);
+    for (const stop of plan.stops) {
+      const aboard = Object.values(stop.robOnDeparture).reduce((sum, amount) => sum + amount, 0);
+      expect(aboard).toBeLessThanOrEqual(450);
+    }
+    expect(plan.baseline.fitsInTanks).toBe(false);
+  });
+
+  test('fails where the ship must bunker a grade that is not on offer', () => {
+    const plan = bunkerPlanner.planBunkering({
+      stops: [{ name: 'Rotterdam', prices: { 'heavy-fuel-oil': offer(600) } }],
+      legs: [{ fuel: { 'heavy-fuel-oil': 200, 'marine-gas-oil': 20 } }],
+      tankCapacity: 1000,
+      reserveMargin: 0.1
+    });
+
+    expect(plan.feasible).toBe(false);
+    expect(plan.fuelType).toBe('marine-gas-oil');
+    expect(plan.stop).toBe('Rotterdam');
+  });
+});
@@ -0,0 +1,187 @@
+const bunkerService = require('../src/services/bunkerService');
+
+const deliveries = [
+  {
+    bdnNumber: 'BDN-1',
+    deliveredAt: new Date('2025-07-01T06:00:00Z'),
+    port: { name: 'Rotterdam' },
+    supplier: 'North Sea Bunkers',
+    fuelType: 'heavy-fuel-oil',
+    quantity: 800
+  },
+  {
+    bdnNumber: 'BDN-2',
+    deliveredAt: new Date('2025-07-01T08:00:00Z'),
+    port: { name: 'Rotterdam' },
+    supplier: 'North Sea Bunkers',
+    fuelType: 'marine-gas-oil',
+    quantity: 100
+  }
+];
+
+const fuelLogs = [
+  {
+    _id: 'log-0',
+    timestamp: new Date('2025-06-30T12:00:00Z'),
+    fuelType: 'heavy-fuel-oil',
+    consumption: { amount: 25, unit: 'tons' }
+  },
+  {
+    _id: 'log-1',
+    timestamp: new Date('2025-07-02T12:00:00Z'),
+    fuelType: 'heavy-fuel-oil',
+    consumption: { amount: 30, unit: 'tons' }
+  },
+  {
+    _id: 'log-2',
+    timestamp: new Date('2025-07-02T12:00:00Z'),
+    fuelType: 'marine-gas-oil',
+    consumption: { amount: 10000, unit: 'liters' }
+  }
+];
+
+const fuelPrediction = {
+  estimatedConsumption: 500,
+  fuelBreakdown: [
+    { area: 'eca', fuelType: 'marine-gas-oil', consumption: 100 },
+    { area: 'outside-eca', fuelType: 'diesel', consumption: 400 }
+  ]
+};
+
+describe('Bunker Service', () => {
+  test('validates bunker delivery notes', () => {
+    expect(bunkerService.validateDelivery(deliveries[0])).toBeNull();
+    expect(bunkerService.validateDelivery({ ...deliveries[0], bdnNumber: '' })).toContain('bdnNumber');
+    expect(bunkerService.validateDelivery({ ...deliveries[0], quantity: 0 })).toContain('quantity');
+    expect(bunkerService.validateDelivery({ ...deliveries[0], sulphurContent: 7 })).toContain('sulphurContent');
+  });
+
+  test('rolls the ROB forward from bunkerings and consumption', () => {
+    const ledger = bunkerService.buildLedger(deliveries, fuelLogs);
+
+    // Consumption before the first heavy fuel oil delivery is left out
+    expect(ledger.entries.map(entry => entry.bdnNumber || entry.fuelLogId)).toEqual(['BDN-1', 'BDN-2', 'log-1', 'log-2']);
+    expect(ledger.rob['heavy-fuel-oil']).toBe(770);
+    expect(ledger.rob['marine-gas-oil']).toBeCloseTo(91.1, 1);
+    expect(ledger.total).toBeCloseTo(861.1, 1);
+  });
+
+  test('counts a bunkering recorded by both a BDN and a noon report once', () => {
+    const reported = {
+      shipId: 'SHIP-001',
+      source: 'noon-report',
+      deliveredAt: new Date('2025-07-01T12:00:00Z'),
+      fuelType: 'heavy-fuel-oil',
+      quantity: 795
+    };
+    const bdn = { ...deliveries[0], shipId: 'SHIP-001' };
+
+    // The BDN finds the report's delivery, and the report finds the BDN
+    const reportQuery = bunkerService.getNoonReportMatchQuery(bdn);
+    expect(reportQuery).toMatchObject({ shipId: 'SHIP-001', fuelType: 'heavy-fuel-oil', source: 'noon-report', supersededBy: null });
+    expect(reported.deliveredAt >= reportQuery.deliveredAt.$gte && reported.deliveredAt <= reportQuery.deliveredAt.$lte).toBe(true);
+    const bdnQuery = bunkerService.getBdnMatchQuery('SHIP-001', ['heavy-fuel-oil'], reported.deliveredAt);
+    expect(bdn.deliveredAt >= bdnQuery.deliveredAt.$gte && bdn.deliveredAt <= bdnQuery.deliveredAt.$lte).toBe(true);
+
+    const ledger = bunkerService.buildLedger([...deliveries, { ...reported, supersededBy: 'bdn-1' }], fuelLogs);
+    expect(ledger.entries.filter(entry => entry.type === 'bunkering')).toHaveLength(2);
+    expect(ledger.rob['heavy-fuel-oil']).toBe(770);
+    expect(bunkerService.getDeliveryTotalsPipeline('SHIP-001')[0].$match).toEqual({ shipId: 'SHIP-001', supersededBy: null });
+  });
+
+  test('totals the ROB in the database to the same balance as the ledger', () => {
+    const deliveryTotals = [
+      { _id: 'heavy-fuel-oil', quantity: 800, firstDeliveredAt: deliveries[0].deliveredAt },
+      { _id: 'marine-gas-oil', quantity: 100, firstDeliveredAt: deliveries[1].deliveredAt }
+    ];
+    const pipeline = bunkerService.getConsumptionTotalsPipeline('SHIP-001', deliveryTotals);
+
+    // Only the consumption from each fuel type's first delivery on is totalled
+    expect(pipeline[0].$match.$or).toEqual([
+      { fuelType: 'heavy-fuel-oil', timestamp: { $gte: deliveries[0].deliveredAt } },
+      { fuelType: 'marine-gas-oil', timestamp: { $gte: deliveries[1].deliveredAt } }
+    ]);
+
+    const consumptionTotals = [
+      { _id: { fuelType: 'heavy-fuel-oil', unit: 'tons' }, amount: 30 },
+      { _id: { fuelType: 'marine-gas-oil', unit: 'liters' }, amount: 10000 }
+    ];
+    expect(bunkerService.getRob(deliveryTotals, consumptionTotals))
+      .toEqual(bunkerService.buildLedger(deliveries, fuelLogs).rob);
+    expect(bunkerService.getRob([], [])).toBeNull();
+  });
+
+  test('finds the cheapest price in force at a port by name or code', () => {
+    const prices = [
+      { port: 'NLRTM', fuelType: 'heavy-fuel-oil', pricePerTon: 520, validFrom: new Date('2025-07-01') },
+      { port: 'Rotterdam', fuelType: 'heavy-fuel-oil', pricePerTon: 505, validFrom: new Date('2025-07-01'), validTo: new Date('2025-07-15') },
+      { port: 'Rotterdam', fuelType: 'marine-gas-oil', pricePerTon: 760, validFrom: new Date('2025-07-01') }
+    ];
+
+    expect(bunkerService.findPrice(prices, ['Rotterdam', 'NLRTM'], 'heavy-fuel-oil', '2025-07-10').pricePerTon).toBe(505);
+    expect(bunkerService.findPrice(prices, ['rotterdam', 'nlrtm'], 'heavy-fuel-oil', '2025-07-20').pricePerTon).toBe(520);
+    expect(bunkerService.findPrice(prices, ['Algeciras'], 'heavy-fuel-oil', '2025-07-20')).toBeNull();
+  });
+
+  test('splits each leg\'s fuel between the main grade and the ECA fuel', () => {
+    const rotation = bunkerService.getRotationFuel({
+      origin: { name: 'Rotterdam' },
+      departureTime: new Date('2025-08-01'),
+      portCalls: [{ name: 'Algeciras', plannedDeparture: new Date('2025-08-05') }],
+      voyageLegs: [{ estimatedFuel: 200, ecaFuel: 40 }, { estimatedFuel: 300, ecaFuel: 0 }],
+      fuelPrediction: { estimatedConsumption: 500 }
+    }, 'heavy-fuel-oil');
+
+    expect(rotation.stops.map(stop => stop.name)).toEqual(['Rotterdam', 'Algeciras']);
+    expect(rotation.legs).toEqual([
+      { fuel: { 'heavy-fuel-oil': 160, 'marine-gas-oil': 40 } },
+      { fuel: { 'heavy-fuel-oil': 300, 'marine-gas-oil': 0 } }
+    ]);
+  });
+
+  test('validates the price of a delivery', () => {
+    expect(bunkerService.validateDelivery({ ...deliveries[0], price: null })).toContain('price must be an object');
+    expect(bunkerService.validateDelivery({ ...deliveries[0], price: { pricePerTon: -1 } })).toContain('pricePerTon');
+  });
+
+  test('splits the predicted fuel by grade', () => {
+    expect(bunkerService.getFuelByGrade(fuelPrediction, 'heavy-fuel-oil')).toEqual({ 'marine-gas-oil': 100, diesel: 400 });
+    expect(bunkerService.getFuelByGrade({ estimatedConsumption: 300 }, 'heavy-fuel-oil')).toEqual({ 'heavy-fuel-oil': 300 });
+  });
+
+  test('compares the ROB of each grade with the fuel the voyage burns of it', () => {
+    // Plenty aboard in all, but of the wrong grade
+    const check = bunkerService.checkVoyageFuel({
+      fuelPrediction,
+      mainFuelType: 'diesel',
+      rob: { 'heavy-fuel-oil': 600, 'marine-gas-oil': 50 },
+      tankCapacity: 2500,
+      reserveMargin: 0.1
+    });
+
+    expect(check.feasible).toBe(true);
+    expect(check.sufficient).toBe(false);
+    expect(check.required).toBe(550);
+    expect(check.fuelTypes).toEqual({ 'marine-gas-oil': 110, diesel: 440 });
+    expect(check.shortfall).toEqual({ 'marine-gas-oil': 60, diesel: 440, total: 500 });
+    expect(check.warnings).toHaveLength(2);
+  });
+
+  test('refuses a leg that does not fit in the tanks', () => {
+    const enRoute = bunkerService.checkVoyageFuel({
+      fuelPrediction,
+      mainFuelType: 'diesel',
+      legConsumption: [250, 250],
+      rob: { diesel: 330, 'marine-gas-oil': 80 },
+      tankCapacity: 400
+    });
+    // Only what fits in the tanks has to be aboard at departure
+    expect(enRoute.feasible).toBe(true);
+    expect(enRoute.bunkerEnRoute).toBe(true);
+    expect(enRoute.sufficient).toBe(true);
+
+    const direct = bunkerService.checkVoyageFuel({ fuelPrediction, tankCapacity: 400 });
+    expect(direct.feasible).toBe(false);
+    expect(direct.shortfall).toBeNull();
+  });
+});
@@ -0,0 +1,93 @@
+const ciiService = require('../src/services/ciiService');
+
+const ship = {
+  shipId: 'SHIP-001',
+  shipType: 'bulk-carrier',
+  engineType: 'diesel',
+  specifications: { deadweight: 80000, grossTonnage: 44000 }
+};
+
+const completedVoyage = {
+  voyageId: 'VOY-001',
+  status: 'completed',
+  departureTime: new Date('2025-03-01T00:00:00Z'),
+  actualArrival: new Date('2025-03-15T00:00:00Z'),
+  actualRoute: { totalDistance: 5000 },
+  plannedRoute: { totalDistance: 4800 }
+};
+
+const fuelLogs = [
+  { voyageId: 'VOY-001', timestamp: new Date('2025-03-08T12:00:00Z'), fuelType: 'heavy-fuel-oil', consumption: { amount: 380, unit: 'tons' } },
+  { voyageId: 'VOY-001', timestamp: new Date('2025-03-10T12:00:00Z'), fuelType: 'marine-gas-oil', consumption: { amount: 20, unit: 'tons' } },
+  { voyageId: 'VOY-002', timestamp: new Date('2025-12-20T12:00:00Z'), fuelType: 'heavy-fuel-oil', consumption: { amount: 50, unit: 'tons' } }
+];
+
+describe('CII Service', () => {
+  test('derives the required CII from the reference line of the ship type, size and year', () => {
+    const parameters = ciiService.getShipParameters(ship);
+    const { reference, reductionFactor, required } = ciiService.getRequiredCii(parameters, 2025);
+
+    expect(parameters.capacity).toBe(80000);
+    expect(reference).toBeCloseTo(4.232, 2);
+    expect(reductionFactor).toBe(9);
+    expect(required).toBeCloseTo(reference * 0.91, 2);
+
+    // Bulk carriers above 279,000 DWT are measured at 279,000
+    expect(ciiService.getShipParameters({ ...ship, specifications: { deadweight: 400000 } }).capacity).toBe(279000);
+    // Cruise ships are measured by gross tonnage
+    expect(ciiService.getShipParameters({ ...ship, shipType: 'cruise-passenger-ship' }).capacity).toBe(44000);
+    expect(ciiService.getShipParameters({ ...ship, shipType: undefined })).toBeNull();
+  });
+
+  test('rates the attained CII against the rating boundaries', () => {
+    const boundaries = [0.86, 0.94, 1.06, 1.18];
+
+    expect(ciiService.getRating(3.2, 4, boundaries).rating).toBe('A');
+    expect(ciiService.getRating(3.6, 4, boundaries).rating).toBe('B');
+    expect(ciiService.getRating(4, 4, boundaries).rating).toBe('C');
+    expect(ciiService.getRating(4.5, 4, boundaries).rating).toBe('D');
+    expect(ciiService.getRating(4.72, 4, boundaries)).toMatchObject({ rating: 'E', ratio: 1.18 });
+  });
+
+  test('counts a voyage towards each year in proportion to its time in it', () => {
+    expect(ciiService.getYearShare('2024-12-27T00:00:00Z', '2025-01-06T00:00:00Z', 2025)).toBeCloseTo(0.5);
+    expect(ciiService.getYearShare('2025-03-01T00:00:00Z', '2025-03-15T00:00:00Z', 2024)).toBe(0);
+  });
+
+  test('rates the year so far from completed voyages and projects it with the planned ones', () => {
+    const plannedVoyage = {
+      voyageId: 'VOY-002',
+      status: 'in-progress',
+      departureTime: new Date('2025-12-15T00:00:00Z'),
+      estimatedArrival: new Date('2026-01-04T00:00:00Z'),
+      plannedRoute: { totalDistance: 6000 },
+      fuelPrediction: {
+        estimatedConsumption: 500,
+        fuelBreakdown: [
+          { area: 'eca', fuelType: 'marine-gas-oil', consumption: 0 },
+          { area: 'outside-eca', fuelType: 'diesel', consumption: 500 }
+        ]
+      }
+    };
+
+    const rating = ciiService.rateShip({ ship, voyages: [completedVoyage, plannedVoyage], fuelLogs, year: 2025 });
+
+    // Fuel logged on the voyage under way is left for the projection
+    expect(rating.yearToDate).toMatchObject({
+      completedVoyages: 1,
+      fuel: { 'heavy-fuel-oil': 380, 'marine-gas-oil': 20 },
+      distance: 5000
+    });
+    const co2 = 380 * 3.114 + 20 * 3.206;
+    expect(rating.yearToDate.co2).toBeCloseTo(co2, 1);
+    expect(rating.yearToDate.attained).toBeCloseTo(co2 * 1e6 / (80000 * 5000), 2);
+
+    // Only the 17 days of the 20-day voyage before New Year count
+    const projectedCo2 = co2 + 500 * 0.85 * 3.206;
+    expect(rating.projection.plannedVoyages).toEqual([expect.objectContaining({ voyageId: 'VOY-002', distance: 5100 })]);
+    expect(rating.projection.distance).toBeCloseTo(10100, 0);
+    expect(rating.projection.attained).toBeCloseTo(projectedCo2 * 1e6 / (80000 * 10100), 2);
+    expect(['A', 'B', 'C', 'D', 'E']).toContain(rating.projection.rating);
+    expect(rating.emissionFactorsVersion).toBe(0);
+  });
+});
@@ -0,0 +1,42 @@
+const depthService = require('../src/services/depthService');
+const seaPathfinder = require('../src/ai/seaPathfinder');
+
+const rotterdam = { latitude: 51.95, longitude: 4.1 };
+const singapore = { latitude: 1.26, longitude: 103.84 };
+const darwin = { latitude: -12.5, longitude: 130.8 };
+const brisbane = { latitude: -27.4, longitude: 153.2 };
+
+const vlcc = { capacity: 300000, specifications: { draft: 22, deadweight: 300000 } };
+
+describe('Depth Service', () => {
+  test('estimates the loaded draft from the cargo carried against deadweight', () => {
+    expect(depthService.estimateLoadedDraft(vlcc, 300000)).toBe(22);
+    expect(depthService.estimateLoadedDraft(vlcc, 0)).toBe(13.2);
+    expect(depthService.estimateLoadedDraft(vlcc, 150000)).toBe(17.6);
+    expect(depthService.estimateLoadedDraft({ capacity: 300000, specifications: {} }, 1000)).toBeNull();
+  });
+
+  test('looks up the depth at listed ports and in shallow areas', () => {
+    expect(depthService.getPortDepth(rotterdam)).toEqual({ name: 'Rotterdam (Maasvlakte)', depth: 24 });
+    expect(depthService.getPortDepth({ latitude: 46.5, longitude: 37.5 }).depth).toBe(8);
+    expect(depthService.getPortDepth({ latitude: 30, longitude: -40 })).toBeNull();
+  });
+
+  test('keeps deep-draft routes out of shallow water', () => {
+    const shallow = seaPathfinder.findRoute(darwin, brisbane);
+    const deep = seaPathfinder.findRoute(darwin, brisbane, { minDepth: 16 });
+
+    expect(depthService.getLeastDepth(shallow.path).depth).toBeLessThan(16);
+    expect(depthService.getLeastDepth(deep.path)).toBeNull();
+    expect(deep.distance).toBeGreaterThan(shallow.distance);
+  });
+
+  test('reports the tightest under-keel clearance along a route', () => {
+    const route = seaPathfinder.findRoute(rotterdam, singapore);
+    const underKeel = depthService.assessRoute(route.path, 17.6, 2);
+
+    expect(underKeel.requiredDepth).toBe(19.6);
+    expect(underKeel.leastDepth).toBe(24);
+    expect(underKeel.leastClearance).toBe(6.4);
+  });
+});
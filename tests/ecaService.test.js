@@ -0,0 +1,40 @@
+const ecaService = require('../src/services/ecaService');
+const seaPathfinder = require('../src/ai/seaPathfinder');
+
+const rotterdam = { latitude: 51.95, longitude: 4.1 };
+const newYork = { latitude: 40.7128, longitude: -74.0060 };
+
+describe('ECA Service', () => {
+  test('finds the Emission Control Area around a position', () => {
+    expect(ecaService.findZone({ latitude: 54, longitude: 3 }).id).toBe('north-sea');
+    expect(ecaService.findZone({ latitude: 56, longitude: 18 }).id).toBe('baltic-sea');
+    expect(ecaService.findZone({ latitude: 35, longitude: 18 }).id).toBe('mediterranean');
+    expect(ecaService.findZone({ latitude: 40, longitude: -70 }).id).toBe('north-american-atlantic');
+    expect(ecaService.findZone({ latitude: 45, longitude: -30 })).toBeNull();
+    expect(ecaService.findZone({ latitude: 46, longitude: -5 })).toBeNull(); // Bay of Biscay
+  });
+
+  test('splits a route into distance inside and outside ECAs', () => {
+    const route = seaPathfinder.findRoute(rotterdam, newYork);
+    const split = ecaService.splitRoute(route.path);
+
+    expect(split.ecaDistance + split.nonEcaDistance).toBeCloseTo(route.distance, 0);
+    expect(split.zones.map(zone => zone.id)).toEqual(['north-sea', 'north-american-atlantic']);
+    expect(split.segments[0].zone).toBe('north-sea');
+    expect(split.segments[split.segments.length - 1].zone).toBe('north-american-atlantic');
+  });
+
+  test('weighting ECA miles trades distance for less ECA distance', () => {
+    const direct = seaPathfinder.findRoute(rotterdam, newYork);
+    const avoiding = seaPathfinder.findRoute(rotterdam, newYork, { ecaWeight: 1 });
+
+    expect(ecaService.splitRoute(avoiding.path).ecaDistance)
+      .toBeLessThan(ecaService.splitRoute(direct.path).ecaDistance);
+    expect(avoiding.distance).toBeGreaterThan(direct.distance);
+  });
+
+  test('requires compliant fuel inside ECAs unless the ship is all-electric', () => {
+    expect(ecaService.getEcaFuelType('diesel')).toBe('marine-gas-oil');
+    expect(ecaService.getEcaFuelType('electric')).toBeNull();
+  });
+});
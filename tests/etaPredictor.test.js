@@ -0,0 +1,103 @@
+const etaPredictor = require('../src/ai/etaPredictor');
+const weatherRouter = require('../src/ai/weatherRouter');
+const chokepointService = require('../src/services/chokepointService');
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date('2025-07-02T00:00:00Z');
+
+// 600 nm due east along the equator, planned at 12 knots
+const voyage = {
+  voyageId: 'VOY-001',
+  estimatedArrival: new Date('2025-07-03T02:00:00Z'),
+  plannedRoute: {
+    routeMode: 'great-circle',
+    waypoints: [{ latitude: 0, longitude: 0 }, { latitude: 0, longitude: 10 }],
+    speedProfile: { speedThroughWater: 12 }
+  }
+};
+const position = { latitude: 0.05, longitude: 5, timestamp: now };
+// Fixes over the last four hours at 10 knots
+const track = [4, 3, 2, 1, 0].map(hoursAgo => ({
+  latitude: 0.05,
+  longitude: 5 - hoursAgo / 6,
+  timestamp: new Date(now.getTime() - hoursAgo * HOUR)
+}));
+
+describe('ETA Predictor', () => {
+  test('sails the rest of the planned route at the speed recently made good', async () => {
+    const liveEta = await etaPredictor.predictEta({ voyage, track, position });
+
+    expect(liveEta.basis).toBe('recent-track');
+    expect(liveEta.speedOverGround).toBeCloseTo(10, 0);
+    expect(liveEta.remainingDistance).toBeCloseTo(300, 0);
+    expect((liveEta.eta - now) / HOUR).toBeCloseTo(30, 0);
+    expect(liveEta.earliest.getTime()).toBeLessThan(liveEta.eta.getTime());
+    expect(liveEta.latest.getTime()).toBeGreaterThan(liveEta.eta.getTime());
+  });
+
+  test('falls back to the planned speed when the ship is stopped', async () => {
+    const stopped = track.map(point => ({ ...point, longitude: 5 }));
+    const liveEta = await etaPredictor.predictEta({ voyage, track: stopped, position });
+
+    expect(liveEta.basis).toBe('planned-speed');
+    expect(liveEta.speedOverGround).toBeNull();
+    expect((liveEta.eta - now) / HOUR).toBeCloseTo(25, 0);
+  });
+
+  test('sails the forecast stored on the voyage, and calm water without one', async () => {
+    const getForecast = jest.spyOn(weatherRouter, 'getForecast');
+    const calm = await etaPredictor.predictEta({ voyage, track, position });
+    const stormy = await etaPredictor.predictEta({
+      voyage: {
+        ...voyage,
+        weatherForecast: [
+          { timestamp: new Date('2025-06-20T00:00:00Z'), windSpeed: 60, waveHeight: 12 },
+          { timestamp: now, windSpeed: 10, waveHeight: 1 },
+          { timestamp: new Date(now.getTime() + 12 * HOUR), windSpeed: 45, waveHeight: 6 }
+        ]
+      },
+      track,
+      position
+    });
+
+    expect(getForecast).not.toHaveBeenCalled();
+    expect(calm).not.toHaveProperty('weatherAhead');
+    expect(stormy.weatherAhead.severity).toBeGreaterThan(5);
+    expect(stormy.weatherAhead.hoursAhead).toBeGreaterThan(6);
+    expect(stormy.eta.getTime()).toBeGreaterThan(calm.eta.getTime());
+    getForecast.mockRestore();
+  });
+
+  test('adds waiting time only for canal transits still ahead', async () => {
+    const suez = chokepointService.passages.find(passage => passage.id === 'suez-canal');
+    const canalVoyage = {
+      plannedRoute: {
+        waypoints: [
+          { latitude: 31.5, longitude: 28 },
+          suez.coordinates,
+          { latitude: 27.7, longitude: 36 }
+        ],
+        passages: [{ id: 'suez-canal', waitingHours: 12 }],
+        speedProfile: { speedThroughWater: 12 }
+      }
+    };
+    const before = await etaPredictor.predictEta({ voyage: canalVoyage, position: { latitude: 31.2, longitude: 29.5, timestamp: now } });
+    const after = await etaPredictor.predictEta({ voyage: canalVoyage, position: { latitude: 29, longitude: 34, timestamp: now } });
+
+    expect(before.waitingHours).toBe(12);
+    expect(after.waitingHours).toBe(0);
+  });
+
+  test('reports an ETA move once it reaches the alert threshold', () => {
+    const later = hours => ({ eta: new Date(voyage.estimatedArrival.getTime() + hours * HOUR) });
+    const small = etaPredictor.compareWithReference(voyage, later(2));
+    const large = etaPredictor.compareWithReference(
+      { ...voyage, liveEta: { referenceEta: small.referenceEta } },
+      later(etaPredictor.alertThresholdHours + 1)
+    );
+
+    expect(small).toEqual({ change: 2, significant: false, referenceEta: voyage.estimatedArrival });
+    expect(large.significant).toBe(true);
+    expect(large.referenceEta).toEqual(later(etaPredictor.alertThresholdHours + 1).eta);
+  });
+});
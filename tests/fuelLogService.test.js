@@ -0,0 +1,96 @@
+const fuelLogService = require('../src/services/fuelLogService');
+
+const logs = [
+  {
+    shipId: 'SHIP-001',
+    voyageId: 'VOY-001',
+    timestamp: new Date('2025-07-01T12:00:00Z'),
+    fuelType: 'heavy-fuel-oil',
+    engine: 'main-engine',
+    consumption: { amount: 30, unit: 'tons' },
+    cost: { pricePerUnit: 600, currency: 'USD' }
+  },
+  {
+    shipId: 'SHIP-001',
+    voyageId: 'VOY-001',
+    timestamp: new Date('2025-07-02T12:00:00Z'),
+    fuelType: 'marine-gas-oil',
+    engine: 'auxiliary-engine',
+    consumption: { amount: 2000, unit: 'liters' },
+    cost: { totalCost: 1500, currency: 'USD' }
+  },
+  {
+    shipId: 'SHIP-002',
+    timestamp: new Date('2025-07-09T12:00:00Z'),
+    fuelType: 'marine-gas-oil',
+    consumption: { amount: 1000, unit: 'gallons' },
+    cost: { totalCost: 2500, currency: 'EUR' }
+  }
+];
+
+// The logs as the summary pipeline totals them, without grouping
+const totals = [
+  { _id: { key: null, fuelType: 'heavy-fuel-oil', unit: 'tons', currency: 'USD' }, entries: 1, amount: 30, cost: 18000, costed: 1, from: logs[0].timestamp, to: logs[0].timestamp },
+  { _id: { key: null, fuelType: 'marine-gas-oil', unit: 'liters', currency: 'USD' }, entries: 1, amount: 2000, cost: 1500, costed: 1, from: logs[1].timestamp, to: logs[1].timestamp },
+  { _id: { key: null, fuelType: 'marine-gas-oil', unit: 'gallons', currency: 'EUR' }, entries: 1, amount: 1000, cost: 2500, costed: 1, from: logs[2].timestamp, to: logs[2].timestamp }
+];
+
+describe('Fuel Log Service', () => {
+  test('converts volumes to tonnes by fuel density', () => {
+    expect(fuelLogService.toTonnes(12, 'tons', 'heavy-fuel-oil')).toBe(12);
+    expect(fuelLogService.toTonnes(1000, 'liters', 'heavy-fuel-oil')).toBeCloseTo(0.991, 3);
+    expect(fuelLogService.toTonnes(1000, 'gallons', 'marine-gas-oil')).toBeCloseTo(3.369, 3);
+  });
+
+  test('validates the fields present', () => {
+    expect(fuelLogService.validateLog(logs[0])).toBeNull();
+    expect(fuelLogService.validateLog({ fuelType: 'coal' })).toContain('fuelType');
+    expect(fuelLogService.validateLog({ consumption: { amount: 5, unit: 'barrels' } })).toContain('unit');
+    expect(fuelLogService.validateLog({ consumption: { amount: -5 } })).toContain('amount');
+    expect(fuelLogService.validateLog({ cost: { totalCost: -1 } })).toContain('totalCost');
+    expect(fuelLogService.validateLog({ cost: null })).toContain('cost must be an object');
+    expect(fuelLogService.validateLog({ cost: 1500 })).toContain('cost must be an object');
+  });
+
+  test('filters by ship, voyage, fuel type and period', () => {
+    expect(fuelLogService.buildQuery({ shipId: 'SHIP-001', fuelType: 'lng', from: '2025-07-01', to: '2025-07-31' }))
+      .toEqual({
+        shipId: 'SHIP-001',
+        fuelType: 'lng',
+        timestamp: { $gte: new Date('2025-07-01'), $lte: new Date('2025-07-31') }
+      });
+  });
+
+  test('totals the logs in the database by group, fuel type, unit and currency', () => {
+    const pipeline = fuelLogService.buildSummaryPipeline({ shipId: 'SHIP-001' }, 'week');
+    const group = pipeline.find(stage => stage.$group).$group;
+
+    expect(pipeline[0]).toEqual({ $match: { shipId: 'SHIP-001' } });
+    expect(group._id.key.$ifNull[0].$dateToString.date.$dateTrunc).toMatchObject({ unit: 'week', startOfWeek: 'monday' });
+    expect(group._id).toMatchObject({ fuelType: '$fuelType', unit: { $ifNull: ['$consumption.unit', 'liters'] } });
+    expect(fuelLogService.buildSummaryPipeline({}).find(stage => stage.$group).$group._id.key).toBeNull();
+  });
+
+  test('totals consumption in tonnes and cost by currency', () => {
+    const summary = fuelLogService.summarize(totals);
+
+    expect(summary.unit).toBe('tons');
+    expect(summary.entries).toBe(3);
+    expect(summary.consumption).toBeCloseTo(30 + 1.78 + 3.37, 1);
+    expect(summary.byFuelType['heavy-fuel-oil']).toBe(30);
+    expect(summary.cost).toEqual({ USD: 19500, EUR: 2500 });
+    expect(summary.from).toEqual(logs[0].timestamp);
+    expect(summary.to).toEqual(logs[2].timestamp);
+  });
+
+  test('groups by voyage and leaves out the cost of entries without one', () => {
+    const byVoyage = fuelLogService.summarize([
+      ...totals.map(row => ({ ...row, _id: { ...row._id, key: row._id.currency === 'EUR' ? null : 'VOY-001' } })),
+      { _id: { key: 'VOY-002', fuelType: 'lng', unit: 'tons', currency: 'USD' }, entries: 1, amount: 10, cost: 0, costed: 0, from: logs[0].timestamp, to: logs[0].timestamp }
+    ], 'voyage');
+
+    expect(byVoyage.groups.map(group => group.key)).toEqual(['VOY-001', 'VOY-002', null]);
+    expect(byVoyage.groups[0].entries).toBe(2);
+    expect(byVoyage.groups[1]).toMatchObject({ consumption: 10, cost: {} });
+  });
+});
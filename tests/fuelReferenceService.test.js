@@ -0,0 +1,96 @@
+const fuelReferenceService = require('../src/services/fuelReferenceService');
+
+const globalPrices = [
+  { fuelType: 'diesel', pricePerTon: 700 },
+  { fuelType: 'heavy-fuel-oil', pricePerTon: 480 },
+  { fuelType: 'marine-gas-oil', pricePerTon: 760 },
+  { fuelType: 'lng', pricePerTon: 620 },
+  { fuelType: 'methanol', pricePerTon: 710 }
+];
+
+const prices = [
+  ...globalPrices,
+  { fuelType: 'heavy-fuel-oil', pricePerTon: 510, effectiveFrom: '2025-09-01T00:00:00Z' },
+  { fuelType: 'heavy-fuel-oil', port: 'NLRTM', pricePerTon: 455 },
+  { fuelType: 'heavy-fuel-oil', region: { name: 'Mediterranean', south: 30, north: 46, west: -6, east: 36 }, pricePerTon: 470 }
+];
+
+// Reference tables with a saved version of the fuel prices
+const withPrices = fuelPrices => ({ ...fuelReferenceService.getDefaultTables(), 'fuel-prices': fuelPrices });
+
+describe('Fuel Reference Service', () => {
+  test('uses the built-in tables, version 0, unless given others', () => {
+    expect(fuelReferenceService.getVersions()).toEqual({ fuelPrices: 0, emissionFactors: 0 });
+    expect(fuelReferenceService.getPrice('heavy-fuel-oil').pricePerTon).toBe(450);
+    expect(fuelReferenceService.getEmissionFactor('heavy-fuel-oil')).toEqual({ co2Factor: 3.114, version: 0 });
+
+    const tables = withPrices({ version: 3, entries: globalPrices });
+    expect(fuelReferenceService.getVersions(tables)).toEqual({ fuelPrices: 3, emissionFactors: 0 });
+    expect(fuelReferenceService.getPrice('heavy-fuel-oil', {}, tables)).toMatchObject({ pricePerTon: 480, version: 3 });
+  });
+
+  test('prices a grade at the port, else the region, else everywhere, from its effective date', () => {
+    const tables = withPrices({ version: 3, entries: prices });
+
+    const rotterdam = fuelReferenceService.getPrice('heavy-fuel-oil', {
+      ports: ['Rotterdam', 'nlrtm'],
+      coordinates: { latitude: 51.95, longitude: 4.1 }
+    }, tables);
+    expect(rotterdam).toMatchObject({ pricePerTon: 455, scope: 'port', version: 3 });
+
+    const piraeus = fuelReferenceService.getPrice('heavy-fuel-oil', {
+      ports: ['Piraeus'],
+      coordinates: { latitude: 37.94, longitude: 23.63 }
+    }, tables);
+    expect(piraeus).toMatchObject({ pricePerTon: 470, scope: 'region', region: 'Mediterranean' });
+
+    const santos = { ports: ['Santos'], coordinates: { latitude: -23.98, longitude: -46.3 } };
+    expect(fuelReferenceService.getPrice('heavy-fuel-oil', { ...santos, at: '2025-08-01T00:00:00Z' }, tables).pricePerTon).toBe(480);
+    expect(fuelReferenceService.getPrice('heavy-fuel-oil', { ...santos, at: '2025-10-01T00:00:00Z' }, tables).pricePerTon).toBe(510);
+  });
+
+  test('prices a region that wraps across the antimeridian', () => {
+    const fiji = { name: 'Fiji', south: -22, north: -12, west: 175, east: -178 };
+    const tables = withPrices({
+      version: 2,
+      entries: [...globalPrices, { fuelType: 'marine-gas-oil', region: fiji, pricePerTon: 820 }]
+    });
+
+    const at = longitude => fuelReferenceService.getPrice('marine-gas-oil', { coordinates: { latitude: -17, longitude } }, tables);
+    expect(at(178.4)).toMatchObject({ pricePerTon: 820, region: 'Fiji' });
+    expect(at(-179.5)).toMatchObject({ pricePerTon: 820, region: 'Fiji' });
+    expect(at(170).pricePerTon).toBe(760);
+    expect(at(-170).pricePerTon).toBe(760);
+  });
+
+  test('falls back to the earliest price everywhere before any is effective', () => {
+    const tables = withPrices({
+      version: 1,
+      entries: globalPrices.map(price => ({ ...price, effectiveFrom: '2026-01-01T00:00:00Z' }))
+    });
+
+    expect(fuelReferenceService.getPrice('diesel', { at: '2025-06-01T00:00:00Z' }, tables).pricePerTon).toBe(700);
+  });
+
+  test('requires a price everywhere for every fuel grade', () => {
+    expect(fuelReferenceService.validatePrices(prices)).toBeNull();
+    expect(fuelReferenceService.validatePrices(prices.slice(1)))
+      .toBe('Every fuel grade needs a price without a port or region; missing: diesel');
+    expect(fuelReferenceService.validatePrices([...prices, { fuelType: 'lng', port: 'SGSIN', region: prices[7].region, pricePerTon: 600 }]))
+      .toBe('Entry 9: a price applies at a port or in a region, not both');
+    expect(fuelReferenceService.validatePrices([...globalPrices, { fuelType: 'lng', region: { name: 'Pacific', south: 0, north: 10, west: 170, east: -170 }, pricePerTon: 600 }]))
+      .toBeNull();
+    expect(fuelReferenceService.validatePrices([...globalPrices, { fuelType: 'lng', region: { name: 'Pacific', south: 10, north: 0, west: 170, east: -170 }, pricePerTon: 600 }]))
+      .toContain('Entry 6: region needs');
+  });
+
+  test('requires exactly one emission factor for every fuel grade', () => {
+    const factors = fuelReferenceService.getDefaultTable('emission-factors').entries;
+
+    expect(fuelReferenceService.validateEmissionFactors(factors)).toBeNull();
+    expect(fuelReferenceService.validateEmissionFactors([...factors, { fuelType: 'lng', co2Factor: 2.7 }]))
+      .toBe('Entry 6: lng has more than one emission factor');
+    expect(fuelReferenceService.validateEmissionFactors(factors.filter(factor => factor.fuelType !== 'methanol')))
+      .toBe('Every fuel grade needs an emission factor; missing: methanol');
+  });
+});
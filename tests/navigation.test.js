@@ -0,0 +1,69 @@
+const {
+  greatCircleDistance,
+  greatCircleCourse,
+  rhumbLineDistance,
+  rhumbLineCourse,
+  rhumbLineIntermediatePoint,
+  pathDistance,
+  nearestPointOnPath,
+  isWithinBounds
+} = require('../src/utils/navigation');
+
+const yokohama = { latitude: 35.44, longitude: 139.64 };
+const sanFrancisco = { latitude: 37.8, longitude: -122.4 };
+
+describe('Navigation', () => {
+  test('measures a degree of latitude as sixty nautical miles', () => {
+    const from = { latitude: 10, longitude: 20 };
+    const to = { latitude: 11, longitude: 20 };
+
+    expect(greatCircleDistance(from, to)).toBeCloseTo(60, 0);
+    expect(rhumbLineDistance(from, to)).toBeCloseTo(60, 0);
+    expect(greatCircleCourse(from, to)).toBeCloseTo(0, 5);
+  });
+
+  test('keeps a constant course along a rhumb line across the antimeridian', () => {
+    const course = rhumbLineCourse(yokohama, sanFrancisco);
+    const midpoint = rhumbLineIntermediatePoint(yokohama, sanFrancisco, 0.5);
+
+    // Eastbound the short way, not westbound across Asia
+    expect(course).toBeGreaterThan(80);
+    expect(course).toBeLessThan(100);
+    expect(Math.abs(midpoint.longitude)).toBeGreaterThan(160);
+    expect(rhumbLineCourse(midpoint, sanFrancisco)).toBeCloseTo(course, 5);
+  });
+
+  test('finds the great circle shorter than the rhumb line', () => {
+    const greatCircle = greatCircleDistance(yokohama, sanFrancisco);
+
+    expect(greatCircle).toBeLessThan(rhumbLineDistance(yokohama, sanFrancisco));
+    expect(pathDistance([yokohama, sanFrancisco])).toBeCloseTo(greatCircle, 5);
+    expect(pathDistance([yokohama, sanFrancisco], 'rhumb-line'))
+      .toBeCloseTo(rhumbLineDistance(yokohama, sanFrancisco), 5);
+  });
+
+  test('finds the nearest point on a route and the distance off it', () => {
+    const route = [
+      { latitude: 0, longitude: 0 },
+      { latitude: 0, longitude: 10 },
+      { latitude: 10, longitude: 10 }
+    ];
+    const nearest = nearestPointOnPath(route, { latitude: 0.5, longitude: 4 });
+    const past = nearestPointOnPath(route, { latitude: 5, longitude: 10.2 });
+
+    expect(nearest.index).toBe(0);
+    expect(nearest.fraction).toBeCloseTo(0.4, 2);
+    expect(nearest.distance).toBeCloseTo(30, 0);
+    expect(past.index).toBe(1);
+    expect(past.point.latitude).toBeCloseTo(5, 1);
+    expect(past.distance).toBeCloseTo(12, 0);
+  });
+  test('checks bounding boxes, including those across the antimeridian', () => {
+    const box = { south: -10, north: 10, west: 170, east: -170 };
+
+    expect(isWithinBounds({ latitude: 0, longitude: 175 }, box)).toBe(true);
+    expect(isWithinBounds({ latitude: 0, longitude: -175 }, box)).toBe(true);
+    expect(isWithinBounds({ latitude: 0, longitude: 0 }, box)).toBe(false);
+    expect(isWithinBounds({ latitude: 0, longitude: 0 }, { ...box, west: -10, east: 10 })).toBe(true);
+  });
+});
@@ -0,0 +1,132 @@
+const noonReportService = require('../src/services/noonReportService');
+
+// Two reports a day apart on the equator, 288 nm (12 knots) apart
+const previous = {
+  reportedAt: new Date('2025-07-01T12:00:00Z'),
+  position: { latitude: 0, longitude: 0 },
+  distanceRun: 280,
+  consumption: [{ engine: 'main-engine', fuelType: 'heavy-fuel-oil', amount: 30 }],
+  rob: [
+    { fuelType: 'heavy-fuel-oil', amount: 500 },
+    { fuelType: 'marine-gas-oil', amount: 80 }
+  ]
+};
+const report = {
+  shipId: 'SHIP-001',
+  voyageId: 'VOY-001',
+  reportedAt: new Date('2025-07-02T12:00:00Z'),
+  position: { latitude: 0, longitude: 4.8 },
+  distanceRun: 290,
+  consumption: [
+    { engine: 'main-engine', fuelType: 'heavy-fuel-oil', amount: 32 },
+    { engine: 'auxiliary-engine', fuelType: 'marine-gas-oil', amount: 3 },
+    { engine: 'boiler', fuelType: 'marine-gas-oil', amount: 0 }
+  ],
+  rob: [
+    { fuelType: 'heavy-fuel-oil', amount: 468 },
+    { fuelType: 'marine-gas-oil', amount: 77 }
+  ],
+  weather: { windForce: 5, seaState: 4 }
+};
+
+describe('Noon Report Service', () => {
+  test('accepts a complete report', () => {
+    expect(noonReportService.validateReport(report)).toBeNull();
+  });
+
+  test('rejects reports with invalid fields', () => {
+    expect(noonReportService.validateReport({ ...report, reportedAt: 'yesterday' })).toContain('reportedAt');
+    expect(noonReportService.validateReport({ ...report, distanceRun: -1 })).toContain('distanceRun');
+    expect(noonReportService.validateReport({ ...report, consumption: [] })).toContain('consumption');
+    expect(noonReportService.validateReport({
+      ...report,
+      consumption: [{ engine: 'main-engine', fuelType: 'coal', amount: 5 }]
+    })).toContain('fuelType');
+    expect(noonReportService.validateReport({ ...report, weather: { windForce: 14 } })).toContain('windForce');
+  });
+
+  test('agrees with a previous report it follows on from', () => {
+    expect(noonReportService.validateAgainstPrevious(report, previous, { maxSpeed: 20 })).toBeNull();
+    expect(noonReportService.getAverageSpeed(report, previous)).toBeCloseTo(12.08, 2);
+  });
+
+  test('rejects a distance run shorter than the distance between positions', () => {
+    const error = noonReportService.validateAgainstPrevious({ ...report, distanceRun: 200 }, previous);
+    expect(error).toContain('distanceRun');
+  });
+
+  test('rejects an average speed beyond the ship', () => {
+    const error = noonReportService.validateAgainstPrevious(report, previous, { maxSpeed: 10 });
+    expect(error).toContain('maximum speed');
+  });
+
+  test('rejects a ROB that does not follow from the previous ROB and consumption', () => {
+    const rob = [{ fuelType: 'heavy-fuel-oil', amount: 430 }];
+    expect(noonReportService.validateAgainstPrevious({ ...report, rob }, previous)).toContain('leaves 468 t');
+
+    // Unless the difference was received as bunkers
+    const bunkered = [{ fuelType: 'heavy-fuel-oil', amount: 200 }];
+    expect(noonReportService.validateAgainstPrevious({
+      ...report,
+      rob: [{ fuelType: 'heavy-fuel-oil', amount: 668 }],
+      bunkered
+    }, previous)).toBeNull();
+  });
+
+  test('logs the fuel consumed by engine and fuel type', () => {
+    const logs = noonReportService.createFuelLogs(report);
+
+    expect(logs).toHaveLength(2);
+    expect(logs[0]).toMatchObject({
+      shipId: 'SHIP-001',
+      voyageId: 'VOY-001',
+      fuelType: 'heavy-fuel-oil',
+      engine: 'main-engine',
+      consumption: { amount: 32, unit: 'tons' },
+      source: 'noon-report'
+    });
+    expect(logs[0].operatingConditions.weatherConditions).toBe('Beaufort 5');
+  });
+
+  test('records the fuel received as bunker deliveries', () => {
+    const bunkered = [{ fuelType: 'marine-gas-oil', amount: 50 }, { fuelType: 'lng', amount: 0 }];
+    const deliveries = noonReportService.createBunkerDeliveries({ ...report, bunkered });
+
+    expect(deliveries).toEqual([expect.objectContaining({
+      shipId: 'SHIP-001',
+      voyageId: 'VOY-001',
+      source: 'noon-report',
+      deliveredAt: report.reportedAt,
+      port: { coordinates: { latitude: 0, longitude: 4.8 } },
+      fuelType: 'marine-gas-oil',
+      quantity: 50
+    })]);
+    expect(noonReportService.createBunkerDeliveries(report)).toEqual([]);
+  });
+
+  test('leaves out fuel received that a BDN already records', () => {
+    const bunkered = [{ fuelType: 'marine-gas-oil', amount: 50 }, { fuelType: 'heavy-fuel-oil', amount: 200 }];
+    const bdn = {
+      shipId: 'SHIP-001',
+      source: 'bdn',
+      bdnNumber: 'BDN-7',
+      deliveredAt: new Date('2025-07-02T06:00:00Z'),
+      fuelType: 'heavy-fuel-oil',
+      quantity: 201.5
+    };
+    const deliveries = noonReportService.createBunkerDeliveries({ ...report, bunkered }, [bdn]);
+
+    expect(deliveries.map(delivery => delivery.fuelType)).toEqual(['marine-gas-oil']);
+  });
+
+  test('totals the reports of a voyage', () => {
+    const summary = noonReportService.summarize([previous, report]);
+
+    expect(summary.reports).toBe(2);
+    expect(summary.distanceRun).toBe(570);
+    expect(summary.consumption.total).toBe(65);
+    expect(summary.consumption.byFuelType).toEqual({ 'heavy-fuel-oil': 62, 'marine-gas-oil': 3 });
+    expect(summary.consumption.byEngine['main-engine']).toBe(62);
+    expect(summary.rob).toEqual({ 'heavy-fuel-oil': 468, 'marine-gas-oil': 77 });
+  });
+});
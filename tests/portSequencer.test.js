@@ -0,0 +1,84 @@
+// Mock the AI models that need TensorFlow; fuel scales with distance sailed
+jest.mock('../src/ai/routeOptimizer', () => ({}));
+jest.mock('../src/ai/fuelPredictor', () => ({
+  predictFuelConsumption: jest.fn().mockImplementation(async ({ routeData }) => ({
+    estimatedConsumption: routeData.totalDistance / 100,
+    costEstimate: routeData.totalDistance * 6,
+    emissionsEstimate: routeData.totalDistance / 30,
+    efficiency: 80,
+    confidence: 0.8
+  }))
+}));
+
+const portSequencer = require('../src/ai/portSequencer');
+const seaPathfinder = require('../src/ai/seaPathfinder');
+
+const port = (name, latitude, longitude, call = {}) => ({ name, coordinates: { latitude, longitude }, ...call });
+const ship = { capacity: 30000, maxSpeed: 20 };
+const origin = port('Shanghai', 31.2, 121.9);
+const departureTime = '2025-07-01T00:00:00Z';
+const ports = [
+  port('Colombo', 6.95, 79.84),
+  port('Hong Kong', 22.3, 114.2),
+  port('Singapore', 1.26, 103.82)
+];
+
+describe('Port Sequencer', () => {
+  test('visits ports in the shortest order', async () => {
+    const rotation = await portSequencer.optimizeSequence({ ship, origin, ports, departureTime });
+
+    expect(rotation.orderedPorts.map(p => p.name)).toEqual(['Hong Kong', 'Singapore', 'Colombo']);
+    expect(rotation.legs).toHaveLength(3);
+    expect(rotation.totalDistance).toBeCloseTo(rotation.legs.reduce((sum, leg) => sum + leg.distance, 0), 1);
+    expect(rotation.estimatedFuel).toBeCloseTo(rotation.totalDistance / 100, 1);
+    expect(rotation.totalCost).toBe(rotation.fuelCost + rotation.transitCost);
+  });
+
+  test('respects time windows and waits for them to open', async () => {
+    const windowed = ports.map(p => p.name === 'Colombo'
+      ? { ...p, timeWindow: { latest: '2025-07-14T00:00:00Z' } }
+      : p.name === 'Hong Kong' ? { ...p, timeWindow: { earliest: '2025-07-20T00:00:00Z' } } : p);
+    const rotation = await portSequencer.optimizeSequence({
+      ship, origin, ports: windowed, departureTime, distanceMethod: 'great-circle'
+    });
+
+    expect(rotation.orderedPorts.map(p => p.name)).toEqual(['Colombo', 'Singapore', 'Hong Kong']);
+    const hongKong = rotation.schedule.find(call => call.name === 'Hong Kong');
+    expect(hongKong.waitingHours).toBeGreaterThan(0);
+  });
+
+  test('rules out orders that discharge cargo before it is loaded', async () => {
+    const cargoPorts = [
+      port('Colombo', 6.95, 79.84, { cargoDischarged: 5000 }),
+      port('Hong Kong', 22.3, 114.2),
+      port('Singapore', 1.26, 103.82, { cargoLoaded: 5000 })
+    ];
+    const rotation = await portSequencer.optimizeSequence({
+      ship, origin, ports: cargoPorts, departureTime, cargoLoad: { weight: 0, type: 'containers' }
+    });
+
+    const names = rotation.orderedPorts.map(p => p.name);
+    expect(names.indexOf('Singapore')).toBeLessThan(names.indexOf('Colombo'));
+  });
+
+  test('returns null when no order meets the time windows', async () => {
+    const impossible = ports.map(p => ({ ...p, timeWindow: { latest: '2025-07-02T00:00:00Z' } }));
+
+    await expect(portSequencer.optimizeSequence({ ship, origin, ports: impossible, departureTime }))
+      .resolves.toBeNull();
+  });
+
+  test('reuses the sea routes it has already searched for', async () => {
+    const findRoute = jest.spyOn(seaPathfinder, 'findRoute');
+    portSequencer.routeCache.clear();
+
+    const first = await portSequencer.optimizeSequence({ ship, origin, ports, departureTime });
+    expect(findRoute).toHaveBeenCalledTimes(6);
+
+    const second = await portSequencer.optimizeSequence({ ship, origin, ports: [...ports].reverse(), departureTime });
+    expect(findRoute).toHaveBeenCalledTimes(6);
+    expect(second.totalDistance).toBe(first.totalDistance);
+
+    findRoute.mockRestore();
+  });
+});
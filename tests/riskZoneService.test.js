@@ -0,0 +1,57 @@
+const riskZoneService = require('../src/services/riskZoneService');
+const seaPathfinder = require('../src/ai/seaPathfinder');
+
+const rotterdam = { latitude: 51.95, longitude: 4.1 };
+const singapore = { latitude: 1.26, longitude: 103.84 };
+
+const zone = (severity, call = {}) => ({
+  zoneId: 'RED-SEA',
+  name: 'Southern Red Sea',
+  type: 'war-risk',
+  severity,
+  polygon: [
+    { latitude: 20, longitude: 36 },
+    { latitude: 20, longitude: 42 },
+    { latitude: 12, longitude: 46 },
+    { latitude: 12, longitude: 40 }
+  ],
+  ...call
+});
+
+describe('Risk Zone Service', () => {
+  test('validates zone polygons and validity windows', () => {
+    expect(riskZoneService.validateZone(zone('high'))).toBeNull();
+    expect(riskZoneService.validateZone({ polygon: [{ latitude: 0, longitude: 0 }] }))
+      .toContain('at least 3 points');
+    expect(riskZoneService.validateZone({ severity: 'extreme' })).toContain('severity must be one of');
+    expect(riskZoneService.validateZone({ validFrom: '2025-08-01', validTo: '2025-07-01' }))
+      .toBe('validTo must be after validFrom');
+  });
+
+  test('routes around exclusion zones', () => {
+    const direct = seaPathfinder.findRoute(rotterdam, singapore);
+    const excluded = seaPathfinder.findRoute(rotterdam, singapore, { riskZones: [zone('exclusion')] });
+
+    expect(riskZoneService.assessRoute(direct.path, [zone('exclusion')]).zones).toHaveLength(1);
+    expect(riskZoneService.assessRoute(excluded.path, [zone('exclusion')]).zones).toEqual([]);
+    expect(excluded.passages.map(passage => passage.id)).not.toContain('suez-canal');
+  });
+
+  test('only avoids soft zones when the detour is worth their severity', () => {
+    const low = seaPathfinder.findRoute(rotterdam, singapore, { riskZones: [zone('low')] });
+    const high = seaPathfinder.findRoute(rotterdam, singapore, { riskZones: [zone('high')] });
+
+    expect(low.passages.map(passage => passage.id)).toContain('suez-canal');
+    expect(high.distance).toBeGreaterThan(low.distance);
+  });
+
+  test('reports the zones a route passes through and their insurance premiums', () => {
+    const route = seaPathfinder.findRoute(rotterdam, singapore);
+    const risk = riskZoneService.assessRoute(route.path, [zone('medium', { insurancePremium: 50000 })]);
+
+    expect(risk.zones[0]).toEqual(expect.objectContaining({ zoneId: 'RED-SEA', severity: 'medium' }));
+    expect(risk.zones[0].distance).toBeGreaterThan(300);
+    expect(risk.insuranceCost).toBe(50000);
+    expect(risk.alerts[0]).toContain('Southern Red Sea (war-risk, medium risk)');
+  });
+});
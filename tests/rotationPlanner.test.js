@@ -0,0 +1,144 @@
+// Mock the AI models: every leg is 100 nm sailed in 10 hours, and fuel scales with the cargo aboard
+jest.mock('../src/ai/routeOptimizer', () => ({
+  optimizeRoute: jest.fn().mockImplementation(async ({ origin, destination, requiredArrival }) => ({
+    optimalSpeed: 10,
+    estimatedTime: 10,
+    estimatedFuelConsumption: 20,
+    totalDistance: 100,
+    routeMode: 'great-circle',
+    waypoints: [
+      { latitude: origin.coordinates.latitude, longitude: origin.coordinates.longitude },
+      { latitude: destination.coordinates.latitude, longitude: destination.coordinates.longitude }
+    ],
+    legs: [{ from: origin.coordinates, to: destination.coordinates, course: 90, distance: 100 }],
+    passages: { transits: [], totalTransitCost: 0, totalWaitingHours: 0, restricted: [] },
+    eca: { ecaDistance: 40, nonEcaDistance: 60, zones: [{ id: 'north-sea', name: 'North Sea ECA', distance: 40 }], segments: [] },
+    risk: {
+      zones: [{ zoneId: 'GOA', name: 'Gulf of Aden', type: 'piracy', severity: 'high', distance: 30, insurancePremium: 5000 }],
+      insuranceCost: 5000,
+      alerts: []
+    },
+    speedProfile: {
+      requiredArrival: requiredArrival ? new Date(requiredArrival) : null,
+      speedThroughWater: 10,
+      minSpeed: 8,
+      maxSpeed: 15,
+      sailingHours: 10,
+      waitingHours: 0,
+      idleHours: 0,
+      delayHours: 0,
+      feasible: true,
+      totalHours: 10,
+      estimatedFuel: 20
+    },
+    alternativeRoutes: [],
+    recommendations: ['Optimal conditions for voyage - proceed as planned'],
+    confidence: 0.85
+  }))
+}));
+
+jest.mock('../src/ai/fuelPredictor', () => ({
+  predictFuelConsumption: jest.fn().mockImplementation(async ({ voyage }) => ({
+    estimatedConsumption: voyage.cargoLoad.weight / 1000,
+    efficiency: 80,
+    costEstimate: voyage.cargoLoad.weight / 2,
+    emissionsEstimate: voyage.cargoLoad.weight / 500,
+    confidence: 0.8
+  }))
+}));
+
+const rotationPlanner = require('../src/ai/rotationPlanner');
+const routeOptimizer = require('../src/ai/routeOptimizer');
+const fuelPredictor = require('../src/ai/fuelPredictor');
+
+const port = (name, latitude, longitude, call = {}) => ({ name, coordinates: { latitude, longitude }, ...call });
+const cargoLoad = { weight: 10000, type: 'containers' };
+const portCalls = [
+  port('Port B', 1, 1, { berthHours: 12, cargoDischarged: 4000, cargoLoaded: 1000 }),
+  port('Port C', 2, 2, { cargoDischarged: 5000 })
+];
+
+const planRotation = () => rotationPlanner.planRotation({
+  ship: { capacity: 20000 },
+  origin: port('Port A', 0, 0),
+  destination: port('Port D', 3, 3),
+  portCalls,
+  departureTime: '2025-07-01T00:00:00Z',
+  cargoLoad
+});
+
+describe('Rotation Planner', () => {
+  test('rejects port calls that discharge more cargo than is aboard', () => {
+    expect(rotationPlanner.validatePortCalls(portCalls, cargoLoad)).toBeNull();
+    expect(rotationPlanner.validatePortCalls([port('Port B', 1, 1, { cargoDischarged: 12000 })], cargoLoad))
+      .toContain('discharges more cargo than is aboard');
+    expect(rotationPlanner.validatePortCalls([{ name: 'Port B' }], cargoLoad))
+      .toContain('requires a name and coordinates');
+  });
+
+  test('predicts fuel for each leg with the cargo aboard on that leg', async () => {
+    const rotation = await planRotation();
+
+    expect(rotation.legs.map(leg => leg.cargoWeight)).toEqual([10000, 7000, 2000]);
+    expect(rotation.legs.map(leg => leg.fuel.estimatedConsumption)).toEqual([10, 7, 2]);
+    expect(rotation.fuelPrediction.estimatedConsumption).toBe(19);
+    expect(rotation.route.totalDistance).toBe(300);
+    expect(rotation.route.risk.zones[0].distance).toBe(90);
+    expect(rotation.route.risk.insuranceCost).toBe(15000);
+    expect(routeOptimizer.optimizeRoute).toHaveBeenCalledWith(expect.objectContaining({ planAlternatives: false }));
+  });
+
+  test('schedules each port call after the previous arrival and time alongside', async () => {
+    const { schedule, route } = await planRotation();
+
+    expect(schedule.map(call => call.name)).toEqual(['Port A', 'Port B', 'Port C', 'Port D']);
+    expect(schedule[1].plannedArrival.toISOString()).toBe('2025-07-01T10:00:00.000Z');
+    expect(schedule[1].plannedDeparture.toISOString()).toBe('2025-07-01T22:00:00.000Z');
+    expect(schedule[2].plannedDeparture.toISOString()).toBe('2025-07-03T08:00:00.000Z');
+    expect(schedule[3].plannedArrival.toISOString()).toBe('2025-07-03T18:00:00.000Z');
+    expect(route.estimatedTime).toBe(66);
+  });
+
+  test('passes each port call\'s berth window to the leg arriving there', async () => {
+    const { route } = await rotationPlanner.planRotation({
+      ship: { capacity: 20000 },
+      origin: port('Port A', 0, 0),
+      destination: port('Port C', 2, 2),
+      portCalls: [port('Port B', 1, 1, { requiredArrival: '2025-07-01T12:00:00Z' })],
+      departureTime: '2025-07-01T00:00:00Z',
+      requiredArrival: '2025-07-02T12:00:00Z',
+      cargoLoad
+    });
+
+    expect(routeOptimizer.optimizeRoute).toHaveBeenCalledWith(expect.objectContaining({
+      origin: expect.objectContaining({ name: 'Port A' }),
+      requiredArrival: '2025-07-01T12:00:00Z'
+    }));
+    expect(routeOptimizer.optimizeRoute).toHaveBeenCalledWith(expect.objectContaining({
+      origin: expect.objectContaining({ name: 'Port B' }),
+      requiredArrival: '2025-07-02T12:00:00Z'
+    }));
+    expect(route.speedProfile.requiredArrival.toISOString()).toBe('2025-07-02T12:00:00.000Z');
+    expect(route.speedProfile.sailingHours).toBe(20);
+    expect(rotationPlanner.validatePortCalls([port('Port B', 1, 1, { requiredArrival: 'soon' })], cargoLoad))
+      .toContain('requiredArrival must be a valid date');
+  });
+
+  test('prices every leg from the reference tables it is given', async () => {
+    const referenceTables = { 'fuel-prices': { version: 7, entries: [] }, 'emission-factors': { version: 2, entries: [] } };
+    await rotationPlanner.planRotation({
+      ship: { capacity: 20000 },
+      origin: port('Port A', 0, 0),
+      destination: port('Port D', 3, 3),
+      portCalls,
+      departureTime: '2025-07-01T00:00:00Z',
+      cargoLoad,
+      referenceTables
+    });
+
+    const routed = routeOptimizer.optimizeRoute.mock.calls.slice(-3);
+    const predicted = fuelPredictor.predictFuelConsumption.mock.calls.slice(-3);
+    expect(routed.every(([params]) => params.referenceTables === referenceTables)).toBe(true);
+    expect(predicted.every(([params]) => params.referenceTables === referenceTables)).toBe(true);
+  });
+});
@@ -0,0 +1,80 @@
+const routeDeviationService = require('../src/services/routeDeviationService');
+
+// Due east along the equator, then due north
+const plannedRoute = {
+  routeMode: 'great-circle',
+  waypoints: [
+    { latitude: 0, longitude: 0 },
+    { latitude: 0, longitude: 10 },
+    { latitude: 10, longitude: 10 }
+  ]
+};
+const fix = (hour, latitude, longitude) => ({
+  latitude,
+  longitude,
+  timestamp: new Date(Date.UTC(2025, 6, 1, hour))
+});
+
+describe('Route Deviation Service', () => {
+  test('measures the cross-track distance and side of the planned track', () => {
+    const north = routeDeviationService.measure(plannedRoute, { latitude: 0.1, longitude: 5 });
+    const east = routeDeviationService.measure(plannedRoute, { latitude: 5, longitude: 10.1 });
+
+    expect(north).toEqual({ distance: expect.closeTo(6, 1), side: 'port', legIndex: 0 });
+    expect(east).toEqual({ distance: expect.closeTo(6, 1), side: 'starboard', legIndex: 1 });
+    expect(routeDeviationService.measure({ waypoints: [] }, { latitude: 0, longitude: 0 })).toBeNull();
+  });
+
+  test('opens a deviation on leaving the corridor and closes it on return', () => {
+    const fixes = [fix(0, 0.02, 2), fix(1, 0.2, 3), fix(2, 0.3, 4), fix(3, 0.02, 5)];
+    const opened = [];
+    const deviations = fixes.reduce((events, position) => {
+      const measurement = routeDeviationService.measure(plannedRoute, position);
+      const result = routeDeviationService.updateDeviations(events, measurement, 5, position);
+      if (result.started) opened.push(result.started);
+      return result.deviations;
+    }, []);
+
+    expect(opened).toHaveLength(1);
+    expect(deviations).toHaveLength(1);
+    expect(deviations[0]).toEqual(expect.objectContaining({
+      startedAt: fixes[1].timestamp,
+      endedAt: fixes[3].timestamp,
+      side: 'port',
+      crossTrackLimit: 5,
+      maxCrossTrack: expect.closeTo(18, 0)
+    }));
+  });
+
+  test('changes deviation events in place', () => {
+    const measure = position => routeDeviationService.measure(plannedRoute, position);
+    const closed = { startedAt: fix(0, 0, 1).timestamp, endedAt: fix(0, 0, 1).timestamp, maxCrossTrack: 8 };
+    const opened = routeDeviationService.updateDeviations([closed], measure(fix(1, 0.2, 3)), 5, fix(1, 0.2, 3));
+    const extended = routeDeviationService.updateDeviations(opened.deviations, measure(fix(2, 0.3, 4)), 5, fix(2, 0.3, 4));
+    const back = routeDeviationService.updateDeviations(extended.deviations, measure(fix(3, 0.02, 5)), 5, fix(3, 0.02, 5));
+
+    expect(opened.update).toEqual({ $push: { deviations: opened.started } });
+    expect(extended.update).toEqual({ $max: { 'deviations.1.maxCrossTrack': expect.closeTo(18, 0) } });
+    expect(back.update.$set).toEqual({
+      'deviations.1.endedAt': fix(3, 0.02, 5).timestamp,
+      'deviations.1.endPosition': { latitude: 0.02, longitude: 5 }
+    });
+  });
+
+  test('summarizes how closely a voyage followed its planned route', () => {
+    const waypoints = [fix(0, 0, 2), fix(1, 0.2, 3), fix(2, 0.3, 4), fix(3, 0, 5)];
+    const adherence = routeDeviationService.summarizeAdherence({
+      plannedRoute: { ...plannedRoute, crossTrackLimit: 10 },
+      actualRoute: { waypoints },
+      deviations: [{ startedAt: waypoints[1].timestamp, endedAt: waypoints[3].timestamp }]
+    });
+
+    expect(adherence.crossTrackLimit).toBe(10);
+    expect(adherence.fixes).toBe(4);
+    expect(adherence.maxCrossTrack).toBeCloseTo(18, 0);
+    expect(adherence.meanCrossTrack).toBeCloseTo(7.5, 0);
+    expect(adherence.withinCorridor).toBe(50);
+    expect(adherence.deviationCount).toBe(1);
+    expect(adherence.deviationHours).toBe(2);
+  });
+});
@@ -0,0 +1,69 @@
+const routeExportService = require('../src/services/routeExportService');
+
+const voyage = {
+  voyageId: 'VYG-SHIP-001-1',
+  origin: { name: 'Rotterdam' },
+  destination: { name: 'Tilbury & Thamesport' },
+  plannedRoute: {
+    routeMode: 'great-circle',
+    totalDistance: 180,
+    waypoints: [
+      { latitude: 51.95, longitude: 4.1, timestamp: new Date('2025-07-01T00:00:00Z'), speed: 12 },
+      { latitude: 51.6, longitude: 2.5, timestamp: new Date('2025-07-01T06:00:00Z'), speed: 14 },
+      { latitude: 51.45, longitude: 0.35, timestamp: new Date('2025-07-01T12:00:00Z'), speed: 0 }
+    ]
+  },
+  actualRoute: {
+    waypoints: [
+      { latitude: 51.95, longitude: 4.1, timestamp: new Date('2025-07-01T00:10:00Z'), speed: 11.5 },
+      { latitude: 51.7, longitude: 3.0, timestamp: new Date('2025-07-01T05:00:00Z'), speed: 12.8 }
+    ]
+  }
+};
+
+describe('Route Export Service', () => {
+  test('exports both routes as GeoJSON with named, timed waypoints', () => {
+    const { features } = routeExportService.toGeoJSON(voyage);
+    const lines = features.filter(feature => feature.geometry.type === 'LineString');
+    const points = features.filter(feature => feature.geometry.type === 'Point');
+
+    expect(lines.map(line => line.properties.route)).toEqual(['planned', 'actual']);
+    expect(lines[0].geometry.coordinates[0]).toEqual([4.1, 51.95]);
+    expect(points[1].properties).toEqual(expect.objectContaining({
+      name: 'WP001',
+      speed: 14,
+      eta: '2025-07-01T06:00:00.000Z'
+    }));
+    expect(points[2].properties.name).toBe('Tilbury & Thamesport');
+  });
+
+  test('exports the planned route as a GPX route and the actual route as a track', () => {
+    const gpx = routeExportService.toGPX(voyage);
+
+    expect(gpx).toContain('<gpx version="1.1"');
+    expect(gpx.match(/<rtept /g)).toHaveLength(3);
+    expect(gpx.match(/<trkpt /g)).toHaveLength(2);
+    expect(gpx).toContain('<name>Tilbury &amp; Thamesport</name>');
+    expect(gpx).toContain('<time>2025-07-01T06:00:00.000Z</time>');
+  });
+
+  test('exports an RTZ route plan with leg speeds and a schedule of ETAs', () => {
+    const rtz = routeExportService.toRTZ(voyage);
+
+    expect(rtz).toContain('<route version="1.1" xmlns="http://www.cirm.org/RTZ/1/1">');
+    expect(rtz).toContain('<waypoint id="1" name="Rotterdam">');
+    expect(rtz).toContain('<leg speedMax="14" geometryType="Orthodrome"/>');
+    expect(rtz).toContain('<scheduleElement waypointId="3" eta="2025-07-01T12:00:00.000Z" speed="14"/>');
+    expect(rtz).not.toContain('11.5');
+    expect(routeExportService.toRTZ({ ...voyage, plannedRoute: { ...voyage.plannedRoute, routeMode: 'rhumb-line' } }))
+      .toContain('geometryType="Loxodrome"');
+  });
+
+  test('serves each format with its content type and file name', () => {
+    expect(routeExportService.exportVoyage(voyage, 'gpx')).toEqual(expect.objectContaining({
+      contentType: 'application/gpx+xml',
+      fileName: 'VYG-SHIP-001-1.gpx'
+    }));
+    expect(routeExportService.getFormatForMediaType('application/json')).toBe('geojson');
+  });
+});
@@ -0,0 +1,99 @@
+const routeImportService = require('../src/services/routeImportService');
+const routeExportService = require('../src/services/routeExportService');
+
+const origin = { name: 'Rotterdam', coordinates: { latitude: 51.95, longitude: 4.1 } };
+const destination = { name: 'Tilbury', coordinates: { latitude: 51.45, longitude: 0.35 } };
+
+const voyage = {
+  voyageId: 'VYG-SHIP-001-1',
+  origin,
+  destination,
+  plannedRoute: {
+    routeMode: 'rhumb-line',
+    waypoints: [
+      { latitude: 51.95, longitude: 4.1, timestamp: new Date('2025-07-01T00:00:00Z'), speed: 12 },
+      { latitude: 51.6, longitude: 2.5, name: 'North Hinder', timestamp: new Date('2025-07-01T06:00:00Z'), speed: 14 },
+      { latitude: 51.45, longitude: 0.35, timestamp: new Date('2025-07-01T12:00:00Z'), speed: 0 }
+    ]
+  }
+};
+
+const exported = format => routeExportService.exportVoyage(voyage, format).content;
+
+describe('Route Import Service', () => {
+  test('recognises route files by their content', () => {
+    expect(routeImportService.detectFormat(exported('gpx'))).toBe('gpx');
+    expect(routeImportService.detectFormat(exported('rtz'))).toBe('rtz');
+    expect(routeImportService.detectFormat(exported('geojson'))).toBe('geojson');
+    expect(routeImportService.detectFormat({ type: 'LineString', coordinates: [] })).toBe('geojson');
+    expect(routeImportService.detectFormat('<kml/>')).toBeNull();
+  });
+
+  test('reads back the waypoints, names, speeds and ETAs of every exported format', () => {
+    for (const format of ['geojson', 'gpx', 'rtz']) {
+      const { waypoints } = routeImportService.parse(exported(format), format);
+
+      expect(waypoints.map(point => [point.latitude, point.longitude]))
+        .toEqual(voyage.plannedRoute.waypoints.map(point => [point.latitude, point.longitude]));
+      expect(waypoints[1]).toEqual(expect.objectContaining({ name: 'North Hinder', speed: 14 }));
+      expect(new Date(waypoints[2].timestamp).toISOString()).toBe('2025-07-01T12:00:00.000Z');
+    }
+    expect(routeImportService.parse(exported('rtz'), 'rtz').routeMode).toBe('rhumb-line');
+    expect(() => routeImportService.parse('{"type":', 'geojson')).toThrow('Route file is not valid GEOJSON');
+  });
+
+  test('rejects unclosed and mismatched elements without slowing down', () => {
+    const gpx = exported('gpx');
+    expect(() => routeImportService.parse(gpx.replace('</gpx>', ''), 'gpx')).toThrow('<gpx> is not closed');
+    expect(() => routeImportService.parse(gpx.replace('</rte>', ''), 'gpx')).toThrow('does not match <rte>');
+    expect(() => routeImportService.parse(`${gpx}</gpx>`, 'gpx')).toThrow('has no start tag');
+
+    // Thousands of unclosed points are read in one pass
+    const unclosed = `<gpx><rte>${'<rtept lat="51.9" lon="4.1"><name>'.repeat(50000)}</rte></gpx>`;
+    const started = Date.now();
+    expect(() => routeImportService.parse(unclosed, 'gpx')).toThrow('Route file is not valid GPX');
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  test('reads CDATA, entities and namespaced RTZ elements', () => {
+    const rtz = exported('rtz')
+      .replace(/<(\/?)(waypoint|position)\b/g, '<$1rtz:$2')
+      .replace('name="North Hinder"', 'name="North &amp; Hinder"');
+    const { waypoints } = routeImportService.parse(rtz, 'rtz');
+    expect(waypoints[1]).toEqual(expect.objectContaining({ name: 'North & Hinder', latitude: 51.6 }));
+
+    const gpx = exported('gpx').replace('<name>North Hinder</name>', '<name><![CDATA[North <Hinder>]]></name>');
+    expect(routeImportService.parse(gpx, 'gpx').waypoints[1].name).toBe('North <Hinder>');
+  });
+
+  test('validates coordinates, ETA order and the direction of sailing', () => {
+    const { waypoints } = routeImportService.parse(exported('gpx'), 'gpx');
+
+    expect(routeImportService.validateWaypoints(waypoints)).toBeNull();
+    expect(routeImportService.validateWaypoints([waypoints[0]])).toContain('at least 2 waypoints');
+    expect(routeImportService.validateWaypoints(new Array(5001).fill(waypoints[0]))).toContain('at most 5000 waypoints');
+    expect(routeImportService.validateWaypoints([waypoints[0], { latitude: 91, longitude: 0 }]))
+      .toBe('Waypoint 2 has invalid coordinates');
+    expect(routeImportService.validateWaypoints([waypoints[1], waypoints[0]]))
+      .toBe('Waypoint 2 ETA is before the previous waypoint\'s');
+    expect(routeImportService.validateEndpoints(waypoints, origin, destination)).toBeNull();
+    expect(routeImportService.validateEndpoints([...waypoints].reverse(), origin, destination))
+      .toContain('waypoints must be in sailing order');
+  });
+
+  test('times untimed waypoints from the departure at their own or the planning speed', () => {
+    const waypoints = voyage.plannedRoute.waypoints.map(({ latitude, longitude }, i) => ({
+      latitude,
+      longitude,
+      speed: i === 0 ? 10 : undefined
+    }));
+    const schedule = routeImportService.scheduleWaypoints(waypoints, 'rhumb-line', '2025-07-01T00:00:00Z', 15);
+
+    expect(schedule.timed).toBe(false);
+    expect(schedule.waypoints.map(point => point.speed)).toEqual([10, 15, 0]);
+    expect(schedule.waypoints[1].timestamp.getTime() - schedule.waypoints[0].timestamp.getTime())
+      .toBeGreaterThan(6 * 60 * 60 * 1000);
+    expect(schedule.hours).toBeCloseTo(
+      (schedule.waypoints[2].timestamp - schedule.waypoints[0].timestamp) / 3600000, 5);
+  });
+});
@@ -0,0 +1,89 @@
+// The neural network is not used by the alternative routes
+jest.mock('@tensorflow/tfjs-node', () => ({}));
+jest.mock('../src/ai/weatherRouter', () => ({ optimizeRoute: jest.fn() }));
+
+const routeOptimizer = require('../src/ai/routeOptimizer');
+const weatherRouter = require('../src/ai/weatherRouter');
+
+const origin = { name: 'New York', coordinates: { latitude: 40.7, longitude: -74 } };
+const destination = { name: 'London', coordinates: { latitude: 51.5, longitude: -0.1 } };
+const waypoints = [
+  { latitude: 40.7, longitude: -74, timestamp: new Date('2025-07-01T00:00:00Z'), speed: 15 },
+  { latitude: 51.5, longitude: -0.1, timestamp: new Date('2025-07-10T00:00:00Z'), speed: 0 }
+];
+
+// A simulated route; the direct route is the same in every result
+const simulated = (figures, direct = {}) => ({
+  waypoints,
+  totalDistance: 3200,
+  estimatedTime: 220,
+  estimatedFuel: 440,
+  cost: 220,
+  maxWaveHeight: 2,
+  riskFactor: 0.2,
+  safe: true,
+  passages: [],
+  ...figures,
+  direct: {
+    waypoints,
+    totalDistance: 3100,
+    estimatedTime: 215,
+    estimatedFuel: 430,
+    cost: 215,
+    maxWaveHeight: 2,
+    riskFactor: 0.2,
+    safe: true,
+    ...direct
+  }
+});
+
+const planAlternatives = () => routeOptimizer.planAlternativeRoutes({
+  origin,
+  destination,
+  departureTime: '2025-07-01T00:00:00Z',
+  weatherRouting: { forecast: {} },
+  performance: { serviceSpeed: 15, fuelPerHour: 2 },
+  routeOptions: { routeMode: 'great-circle' },
+  directRoute: { path: waypoints, passages: [] }
+});
+
+describe('Route Optimizer alternative routes', () => {
+  beforeEach(() => {
+    weatherRouter.optimizeRoute.mockReset();
+  });
+
+  test('only offers weather routes that beat the direct route on their objective', async () => {
+    weatherRouter.optimizeRoute.mockImplementation(async ({ objective }) => ({
+      // Slower than the direct route, so not the fastest
+      time: simulated({ estimatedTime: 230 }),
+      fuel: simulated({ estimatedTime: 260, estimatedFuel: 380 }),
+      risk: simulated({ riskFactor: 0.1, maxWaveHeight: 1 })
+    }[objective]));
+
+    const alternatives = await planAlternatives();
+
+    expect(alternatives.map(alternative => alternative.name))
+      .toEqual(['direct', 'most-fuel-efficient', 'lowest-weather-risk']);
+    expect(alternatives[0]).toMatchObject({ estimatedTime: 215, safe: true });
+  });
+
+  test('offers every safe weather route next to a direct route into unsafe seas', async () => {
+    weatherRouter.optimizeRoute.mockImplementation(async () => simulated(
+      { estimatedTime: 260 },
+      { maxWaveHeight: 10, riskFactor: 0.8, safe: false }
+    ));
+
+    const alternatives = await planAlternatives();
+
+    expect(alternatives.map(alternative => alternative.name))
+      .toEqual(['direct', 'fastest', 'most-fuel-efficient', 'lowest-weather-risk']);
+    expect(alternatives[0].safe).toBe(false);
+    expect(alternatives.slice(1).every(alternative => alternative.safe)).toBe(true);
+  });
+
+  test('offers no alternatives when the forecast leaves no safe route', async () => {
+    weatherRouter.optimizeRoute.mockResolvedValue(null);
+
+    expect(await planAlternatives()).toEqual([]);
+  });
+});
@@ -0,0 +1,146 @@
+const seaPathfinder = require('../src/ai/seaPathfinder');
+const chokepointService = require('../src/services/chokepointService');
+const { greatCircleDistance, greatCircleIntermediatePoint } = require('../src/utils/navigation');
+
+// Highest latitude reached along the great circle legs of a path
+const maxTrackLatitude = path => {
+  let max = -90;
+  for (let i = 1; i < path.length; i++) {
+    for (let s = 0; s <= 20; s++) {
+      max = Math.max(max, greatCircleIntermediatePoint(path[i - 1], path[i], s / 20).latitude);
+    }
+  }
+  return max;
+};
+
+const ports = {
+  newYork: { latitude: 40.7128, longitude: -74.0060 },
+  london: { latitude: 51.5074, longitude: -0.1278 },
+  rotterdam: { latitude: 51.95, longitude: 4.1 },
+  singapore: { latitude: 1.26, longitude: 103.84 },
+  yokohama: { latitude: 35.44, longitude: 139.64 },
+  sanFrancisco: { latitude: 37.8, longitude: -122.4 }
+};
+
+describe('Sea Pathfinder', () => {
+  test('classifies open ocean and continental interiors', () => {
+    expect(seaPathfinder.isSea({ latitude: 30, longitude: -40 })).toBe(true);
+    expect(seaPathfinder.isSea({ latitude: 50, longitude: 10 })).toBe(false);
+    expect(seaPathfinder.isSea({ latitude: 40, longitude: 100 })).toBe(false);
+  });
+
+  test('routes Rotterdam to Singapore around Europe instead of across it', () => {
+    const route = seaPathfinder.findRoute(ports.rotterdam, ports.singapore);
+
+    expect(route).not.toBeNull();
+    expect(route.path[0]).toEqual(ports.rotterdam);
+    expect(route.path[route.path.length - 1]).toEqual(ports.singapore);
+    expect(route.distance).toBeGreaterThan(greatCircleDistance(ports.rotterdam, ports.singapore));
+
+    // Every leg away from the ports stays over water
+    for (let i = 1; i < route.path.length - 1; i++) {
+      expect(seaPathfinder.isSea(route.path[i])).toBe(true);
+    }
+  });
+
+  test('keeps a transatlantic route close to the great circle distance', () => {
+    const route = seaPathfinder.findRoute(ports.newYork, ports.london);
+    const direct = greatCircleDistance(ports.newYork, ports.london);
+
+    expect(route.distance).toBeGreaterThan(direct);
+    expect(route.distance).toBeLessThan(direct * 1.15);
+  });
+
+  test('crosses the antimeridian on transpacific routes', () => {
+    const route = seaPathfinder.findRoute(ports.yokohama, ports.sanFrancisco);
+
+    expect(route).not.toBeNull();
+    expect(route.distance).toBeLessThan(5000);
+  });
+
+  test('keeps composite routes within the limiting latitude', () => {
+    const greatCircle = seaPathfinder.findRoute(ports.yokohama, ports.sanFrancisco);
+    const composite = seaPathfinder.findRoute(ports.yokohama, ports.sanFrancisco, {
+      routeMode: 'composite',
+      limitingLatitude: 42
+    });
+
+    expect(maxTrackLatitude(greatCircle.path)).toBeGreaterThan(45);
+    // Allow for the leg sampling landing anywhere inside the last grid cell
+    expect(maxTrackLatitude(composite.path)).toBeLessThan(42.5);
+    expect(composite.distance).toBeGreaterThan(greatCircle.distance);
+  });
+
+  test('reports the canals and straits a route passes through in order', () => {
+    const route = seaPathfinder.findRoute(ports.rotterdam, ports.singapore);
+    const ids = route.passages.map(passage => passage.id);
+
+    expect(ids).toEqual(expect.arrayContaining(['strait-of-gibraltar', 'suez-canal', 'bab-el-mandeb']));
+    expect(ids.indexOf('strait-of-gibraltar')).toBeLessThan(ids.indexOf('suez-canal'));
+    expect(ids.indexOf('suez-canal')).toBeLessThan(ids.indexOf('bab-el-mandeb'));
+  });
+
+  test('traces routes planned elsewhere for passages and land crossings', () => {
+    const route = seaPathfinder.findRoute(ports.rotterdam, ports.singapore);
+    const traced = seaPathfinder.traceRoute(route.path);
+
+    expect(traced.landLeg).toBe(-1);
+    expect(traced.passages.map(passage => passage.id)).toEqual(route.passages.map(passage => passage.id));
+    expect(seaPathfinder.traceRoute([ports.rotterdam, { latitude: 49.5, longitude: -5 }, ports.singapore]).landLeg).toBe(1);
+  });
+
+  test('warns of legs beyond the ice limits instead of treating them as land', () => {
+    // Tromsø to Svalbard runs north of the 72N limit of the ice-free sector
+    const traced = seaPathfinder.traceRoute([
+      { latitude: 70.2, longitude: 19.5 },
+      { latitude: 74.5, longitude: 19 },
+      { latitude: 77.5, longitude: 12 }
+    ]);
+
+    expect(traced.landLeg).toBe(-1);
+    expect(traced.iceLegs).toEqual([0, 1]);
+    expect(seaPathfinder.traceRoute([ports.rotterdam, { latitude: 49.5, longitude: -5 }]).iceLegs).toEqual([]);
+  });
+
+  test('routes around a closed canal', () => {
+    const viaSuez = seaPathfinder.findRoute(ports.rotterdam, ports.singapore);
+    const aroundAfrica = seaPathfinder.findRoute(ports.rotterdam, ports.singapore, {
+      closedPassages: ['suez-canal']
+    });
+
+    expect(aroundAfrica).not.toBeNull();
+    expect(aroundAfrica.passages.map(passage => passage.id)).not.toContain('suez-canal');
+    expect(aroundAfrica.distance).toBeGreaterThan(viaSuez.distance + 2000);
+  });
+
+  test('returns null when an endpoint has no connected sea nearby', () => {
+    const centralAsia = { latitude: 45, longitude: 75 };
+    expect(seaPathfinder.findRoute(centralAsia, ports.singapore)).toBeNull();
+  });
+});
+
+describe('Chokepoint Service', () => {
+  const suez = chokepointService.passages.find(passage => passage.id === 'suez-canal');
+
+  test('rejects ships that exceed a passage limit', () => {
+    const vlcc = { specifications: { draft: 22.5, width: 60, length: 330 } };
+    const restricted = chokepointService.getRestrictedPassages(vlcc);
+
+    expect(chokepointService.checkShipFit(suez, vlcc)).toHaveLength(1);
+    expect(restricted.map(passage => passage.id)).toEqual(
+      expect.arrayContaining(['suez-canal', 'panama-canal', 'kiel-canal', 'strait-of-malacca'])
+    );
+    expect(chokepointService.checkShipFit(suez, { specifications: {} })).toEqual([]);
+  });
+
+  test('prices transits by gross tonnage', () => {
+    const summary = chokepointService.summarizeTransits(
+      [{ id: 'suez-canal' }, { id: 'bab-el-mandeb' }],
+      { specifications: { grossTonnage: 10000 } }
+    );
+
+    expect(summary.transits[0].fee).toBe(suez.transitFee.base + suez.transitFee.perGrossTon * 10000);
+    expect(summary.totalTransitCost).toBe(summary.transits[0].fee + summary.transits[1].fee);
+    expect(summary.totalWaitingHours).toBe(suez.typicalWaitingHours);
+  });
+});
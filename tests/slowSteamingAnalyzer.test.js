@@ -0,0 +1,64 @@
+// Mock the fuel model: 1 tonne per 10 nm at 15 knots, following the square of the speed over
+// the passage, at 500 USD and 3 tonnes CO2 per tonne
+jest.mock('../src/ai/fuelPredictor', () => ({
+  predictFuelConsumption: jest.fn().mockImplementation(async ({ routeData }) => {
+    const fuel = routeData.totalDistance / 10 * Math.pow(routeData.optimalSpeed / 15, 2);
+    return {
+      estimatedConsumption: fuel,
+      costEstimate: fuel * 500,
+      emissionsEstimate: fuel * 3
+    };
+  })
+}));
+
+const slowSteamingAnalyzer = require('../src/ai/slowSteamingAnalyzer');
+const fuelPredictor = require('../src/ai/fuelPredictor');
+
+const ship = { shipId: 'SHIP-001', capacity: 20000, maxSpeed: 20 };
+const origin = { name: 'Rotterdam', coordinates: { latitude: 51.95, longitude: 4.1 } };
+const destination = { name: 'New York', coordinates: { latitude: 40.6, longitude: -73.9 } };
+
+const buildCurve = params => slowSteamingAnalyzer.buildCurve({ ship, origin, destination, dailyHireRate: 20000, ...params });
+
+describe('Slow Steaming Analyzer', () => {
+  test('sweeps speed from the minimum steaming speed to the ship maximum', async () => {
+    const curve = await buildCurve({ speedStep: 2 });
+
+    expect(curve.curve.map(point => point.speed)).toEqual([8, 10, 12, 14, 16, 18, 20]);
+    for (const speed of [8, 10, 12, 14, 16, 18, 20]) {
+      expect(fuelPredictor.predictFuelConsumption).toHaveBeenCalledWith(expect.objectContaining({
+        routeData: expect.objectContaining({ optimalSpeed: speed })
+      }));
+    }
+  });
+
+  test('trades the fuel predicted at each speed against transit time', async () => {
+    const { curve, distance } = await buildCurve({ speedStep: 2 });
+    const [slowest] = curve;
+    const fastest = curve[curve.length - 1];
+
+    expect(fastest.fuel / slowest.fuel).toBeCloseTo(Math.pow(20 / 8, 2), 1);
+    expect(slowest.transitHours).toBeCloseTo(distance / 8, 0);
+    expect(slowest.co2).toBeCloseTo(slowest.fuel * 3, 0);
+    expect(slowest.hireCost).toBeCloseTo(slowest.transitHours / 24 * 20000, -3);
+  });
+
+  test('finds the speed at which fuel plus hire costs least', async () => {
+    const result = await buildCurve({ speedStep: 0.1, bunkerPrice: 600 });
+    const cheapest = result.curve.reduce((best, point) => (point.totalCost < best.totalCost ? point : best));
+
+    expect(result.bunkerPrice).toBe(600);
+    expect(Math.abs(result.optimal.speed - cheapest.speed)).toBeLessThanOrEqual(0.1);
+    expect(result.optimal.totalCost).toBeLessThanOrEqual(cheapest.totalCost + 1);
+  });
+
+  test('sails faster as hire gets dearer and slower as bunkers do', async () => {
+    const cheapHire = await buildCurve({ dailyHireRate: 5000 });
+    const dearHire = await buildCurve({ dailyHireRate: 80000 });
+    const dearBunkers = await buildCurve({ dailyHireRate: 80000, bunkerPrice: 2000 });
+
+    expect(dearHire.optimal.speed).toBeGreaterThan(cheapHire.optimal.speed);
+    expect(dearBunkers.optimal.speed).toBeLessThan(dearHire.optimal.speed);
+    expect((await buildCurve({ dailyHireRate: 0 })).optimal.speed).toBe(8);
+  });
+});
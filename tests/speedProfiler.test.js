@@ -0,0 +1,57 @@
+const speedProfiler = require('../src/ai/speedProfiler');
+
+// 600 nm due east along the equator, in two 300 nm segments
+const waypoints = [
+  { latitude: 0, longitude: 0 },
+  { latitude: 0, longitude: 5 },
+  { latitude: 0, longitude: 10 }
+];
+const performance = { serviceSpeed: 15, fuelPerHour: 2 };
+const ship = { maxSpeed: 16, minSpeed: 8 };
+const departureTime = '2025-07-01T00:00:00Z';
+
+const plan = params => speedProfiler.planSpeedProfile({ waypoints, departureTime, performance, ship, ...params });
+
+describe('Speed Profiler', () => {
+  test('sails at service speed and times the waypoints from the departure', () => {
+    const profile = plan();
+
+    expect(profile.speedThroughWater).toBe(15);
+    expect(profile.sailingHours).toBeCloseTo(40, 0);
+    expect(profile.waypoints[0].timestamp.toISOString()).toBe('2025-07-01T00:00:00.000Z');
+    expect(profile.waypoints[2].timestamp.getTime() - profile.waypoints[1].timestamp.getTime())
+      .toBeCloseTo(20 * 60 * 60 * 1000, -5);
+    expect(profile.waypoints.map(point => point.speed)).toEqual([15, 15, 0]);
+    expect(profile.estimatedFuel).toBeCloseTo(80, 0);
+  });
+
+  test('slows down to arrive just in time, burning less fuel', () => {
+    const profile = plan({ requiredArrival: '2025-07-03T12:00:00Z' });
+
+    expect(profile.speedThroughWater).toBe(10);
+    expect(profile.totalHours).toBeCloseTo(60, 0);
+    expect(profile.feasible).toBe(true);
+    expect(profile.estimatedFuel).toBeLessThan(plan().estimatedFuel);
+  });
+
+  test('keeps within the minimum and maximum speed, reporting idle time and delays', () => {
+    const early = plan({ requiredArrival: '2025-07-05T04:00:00Z' });
+    const late = plan({ requiredArrival: '2025-07-02T06:00:00Z' });
+
+    expect(early.speedThroughWater).toBe(8);
+    expect(early.idleHours).toBeCloseTo(25, 0);
+    expect(early.feasible).toBe(true);
+    expect(late.speedThroughWater).toBe(16);
+    expect(late.delayHours).toBeCloseTo(7.5, 0);
+    expect(late.feasible).toBe(false);
+  });
+
+  test('keeps the speed through the water and loses speed over ground in head seas', () => {
+    const headSeas = () => ({ windSpeed: 30, windDirection: 90, waveHeight: 4, waveDirection: 90 });
+    const profile = plan({ requiredArrival: '2025-07-03T12:00:00Z', conditions: headSeas });
+
+    expect(profile.speedThroughWater).toBeGreaterThan(10);
+    expect(profile.waypoints[0].speed).toBeLessThan(profile.speedThroughWater);
+    expect(profile.totalHours).toBeCloseTo(60, 0);
+  });
+});
@@ -0,0 +1,163 @@
+// Mock the rotation planner, which routes with the AI models
+jest.mock('../src/ai/rotationPlanner', () => ({
+  planRotation: jest.fn(),
+  calculateCargoAboard: (initialWeight, portCalls) => portCalls.reduce(
+    (aboard, call) => [...aboard, aboard[aboard.length - 1] - (call.cargoDischarged || 0) + (call.cargoLoaded || 0)],
+    [initialWeight]
+  )
+}));
+
+jest.mock('../src/services/notificationService', () => ({
+  sendRouteDeviationAlert: jest.fn(),
+  sendEtaChangeAlert: jest.fn(),
+  sendPlanRevisionAlert: jest.fn()
+}));
+
+const voyageReplanner = require('../src/ai/voyageReplanner');
+const rotationPlanner = require('../src/ai/rotationPlanner');
+const weatherRouter = require('../src/ai/weatherRouter');
+const voyageMonitorService = require('../src/services/voyageMonitorService');
+const notificationService = require('../src/services/notificationService');
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date('2025-07-02T00:00:00Z');
+
+// Due east along the equator with a call halfway, planned to arrive in two days
+const voyage = {
+  voyageId: 'VOY-001',
+  planVersion: 1,
+  estimatedArrival: new Date('2025-07-04T00:00:00Z'),
+  cargoLoad: { weight: 20000, type: 'container' },
+  destination: { name: 'East', coordinates: { latitude: 0, longitude: 10 } },
+  portCalls: [
+    { name: 'Midway', coordinates: { latitude: 0, longitude: 5 }, cargoDischarged: 5000 }
+  ],
+  plannedRoute: {
+    routeMode: 'great-circle',
+    waypoints: [
+      { latitude: 0, longitude: 0 },
+      { latitude: 0, longitude: 5 },
+      { latitude: 0, longitude: 10 }
+    ],
+    crossTrackLimit: 3
+  },
+  planRevisions: []
+};
+
+const rotation = {
+  route: {
+    routeMode: 'great-circle',
+    waypoints: [{ latitude: 0.5, longitude: 6 }, { latitude: 0, longitude: 10 }],
+    legs: [],
+    totalDistance: 240,
+    estimatedTime: 60,
+    passages: { transits: [] },
+    eca: { ecaDistance: 0, nonEcaDistance: 240, zones: [] },
+    risk: { zones: [], insuranceCost: 0 }
+  },
+  fuelPrediction: { estimatedConsumption: 55 },
+  schedule: [
+    { name: 'Current position', plannedDeparture: now },
+    { name: 'East', plannedArrival: new Date(now.getTime() + 60 * HOUR) }
+  ]
+};
+
+describe('Voyage Replanner', () => {
+  afterEach(() => rotationPlanner.planRotation.mockReset());
+
+  test('re-plans for a deviation, a delay, a late ETA or heavy weather ahead', () => {
+    expect(voyageReplanner.detectTrigger({ deviation: { maxCrossTrack: 8, side: 'port' } }))
+      .toEqual({ type: 'deviation', reason: '8 nm to port off the planned route' });
+    expect(voyageReplanner.detectTrigger({ delayReason: 'Main engine repair' }))
+      .toEqual({ type: 'delay', reason: 'Main engine repair' });
+    expect(voyageReplanner.detectTrigger({ etaChange: 9 }).type).toBe('delay');
+    expect(voyageReplanner.detectTrigger({ weatherAhead: { severity: 8, hoursAhead: 20 } }).type).toBe('weather');
+
+    expect(voyageReplanner.detectTrigger({ etaChange: -9 })).toBeNull();
+    expect(voyageReplanner.detectTrigger({ weatherAhead: { severity: 4, hoursAhead: 20 } })).toBeNull();
+  });
+
+  test('waits for a decision and the cooldown before proposing again', () => {
+    const proposed = { planRevisions: [{ status: 'proposed', proposedAt: new Date(now.getTime() - 24 * HOUR) }] };
+    const rejected = { planRevisions: [{ status: 'rejected', proposedAt: new Date(now.getTime() - 2 * HOUR) }] };
+    const older = { planRevisions: [{ status: 'rejected', proposedAt: new Date(now.getTime() - 8 * HOUR) }] };
+
+    expect(voyageReplanner.canPropose(voyage, now)).toBe(true);
+    expect(voyageReplanner.canPropose(proposed, now)).toBe(false);
+    expect(voyageReplanner.canPropose(rejected, now)).toBe(false);
+    expect(voyageReplanner.canPropose(older, now)).toBe(true);
+  });
+
+  test('plans from the current position past the calls already made', async () => {
+    rotationPlanner.planRotation.mockResolvedValue(rotation);
+    const revision = await voyageReplanner.proposeRevision({
+      voyage: { ...voyage, planRevisions: [{ version: 2, status: 'rejected' }] },
+      ship: {},
+      position: { latitude: 0.5, longitude: 6 },
+      trigger: { type: 'weather', reason: 'Storm ahead' },
+      now
+    });
+
+    const params = rotationPlanner.planRotation.mock.calls[0][0];
+    expect(params.origin.coordinates).toEqual({ latitude: 0.5, longitude: 6 });
+    expect(params.portCalls).toEqual([]);
+    expect(params.cargoLoad.weight).toBe(15000);
+    expect(params.planAlternatives).toBe(false);
+
+    expect(revision.version).toBe(3);
+    expect(revision.basedOnVersion).toBe(1);
+    expect(revision.status).toBe('proposed');
+    expect(revision.estimatedArrival).toEqual(new Date(now.getTime() + 60 * HOUR));
+    expect(revision.arrivalChange).toBe(12);
+    expect(revision.plannedRoute.crossTrackLimit).toBe(3);
+    expect(revision.estimatedFuel).toBe(55);
+  });
+
+  test('proposes nothing when no route can be found', async () => {
+    const error = new Error('No sea route found');
+    error.isOperational = true;
+    rotationPlanner.planRotation.mockRejectedValue(error);
+
+    const revision = await voyageReplanner.proposeRevision({
+      voyage,
+      ship: {},
+      position: { latitude: 0, longitude: 2 },
+      trigger: { type: 'delay', reason: 'Port closed' },
+      now
+    });
+    expect(revision).toBeNull();
+  });
+
+  test('never proposes a weather revision for a voyage without a forecast', async () => {
+    const storm = { windSpeed: 60, waveHeight: 12 };
+    // Were a generated forecast grid consulted, it would be stormy everywhere
+    const getForecast = jest.spyOn(weatherRouter, 'getForecast').mockResolvedValue({});
+    const createForecastLookup = jest.spyOn(weatherRouter, 'createForecastLookup').mockReturnValue(() => storm);
+    rotationPlanner.planRotation.mockResolvedValue(rotation);
+
+    // Arriving well ahead of plan, so a slower ETA does not trigger a delay
+    const early = { ...voyage, estimatedArrival: new Date('2025-08-01T00:00:00Z') };
+    const monitor = forecastVoyage => voyageMonitorService.processPosition({
+      voyage: forecastVoyage,
+      ship: {},
+      fix: { latitude: 0, longitude: 2, timestamp: now }
+    });
+
+    const withoutForecast = await monitor(early);
+    expect(withoutForecast.update.$set.liveEta).not.toHaveProperty('weatherAhead');
+    expect(withoutForecast.update.$push).not.toHaveProperty('planRevisions');
+    expect(rotationPlanner.planRotation).not.toHaveBeenCalled();
+
+    const withForecast = await monitor({ ...early, weatherForecast: [{ timestamp: now, ...storm }] });
+    expect(withForecast.update.$push.planRevisions.trigger.type).toBe('weather');
+
+    // Operations hear of the revision only when the caller has saved it
+    expect(withForecast.alerts).toContainEqual({ type: 'plan-revision', revision: withForecast.update.$push.planRevisions });
+    expect(notificationService.sendPlanRevisionAlert).not.toHaveBeenCalled();
+    voyageMonitorService.sendAlerts(early, withForecast.alerts);
+    expect(notificationService.sendPlanRevisionAlert).toHaveBeenCalledTimes(1);
+
+    getForecast.mockRestore();
+    createForecastLookup.mockRestore();
+  });
+});
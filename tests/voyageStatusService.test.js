@@ -0,0 +1,58 @@
+const voyageStatusService = require('../src/services/voyageStatusService');
+
+describe('Voyage Status Service', () => {
+  test('moves a voyage from planned through in progress to completed', () => {
+    expect(voyageStatusService.canTransition({ status: 'planned' }, 'in-progress')).toBe(true);
+    expect(voyageStatusService.canTransition({ status: 'in-progress' }, 'completed')).toBe(true);
+    expect(voyageStatusService.canTransition({ status: 'planned' }, 'completed')).toBe(false);
+    expect(voyageStatusService.canTransition({ status: 'in-progress' }, 'planned')).toBe(false);
+  });
+
+  test('treats completed and cancelled voyages as final', () => {
+    for (const status of ['completed', 'cancelled']) {
+      expect(voyageStatusService.getAllowedTransitions({ status })).toEqual([]);
+    }
+    expect(voyageStatusService.validateTransition({ status: 'completed' }, 'planned'))
+      .toBe('Cannot change voyage status from completed to planned. A completed voyage is final');
+  });
+
+  test('resumes a delayed voyage to the status it was delayed from', () => {
+    const delayedInPort = {
+      status: 'delayed',
+      statusHistory: [{ from: 'planned', to: 'delayed' }]
+    };
+    const delayedAtSea = {
+      status: 'delayed',
+      statusHistory: [
+        { from: 'planned', to: 'in-progress' },
+        { from: 'in-progress', to: 'delayed' }
+      ]
+    };
+
+    expect(voyageStatusService.getAllowedTransitions(delayedInPort)).toEqual(['planned', 'in-progress', 'cancelled']);
+    expect(voyageStatusService.getAllowedTransitions(delayedAtSea)).toEqual(['in-progress', 'cancelled']);
+  });
+
+  test('requires reasons for delays and cancellations and records transitions', () => {
+    expect(voyageStatusService.requiresReason('delayed')).toBe(true);
+    expect(voyageStatusService.requiresReason('cancelled')).toBe(true);
+    expect(voyageStatusService.requiresReason('completed')).toBe(false);
+
+    const entry = voyageStatusService.createHistoryEntry({
+      from: 'in-progress',
+      to: 'delayed',
+      reason: 'Main engine repair',
+      changedBy: 'master@ship-001',
+      location: { latitude: 36.1, longitude: -5.4, port: 'Gibraltar' }
+    });
+
+    expect(entry).toEqual(expect.objectContaining({
+      from: 'in-progress',
+      to: 'delayed',
+      reason: 'Main engine repair',
+      changedBy: 'master@ship-001',
+      location: { latitude: 36.1, longitude: -5.4 }
+    }));
+    expect(entry.changedAt).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,71 @@
+const voyageTrackService = require('../src/services/voyageTrackService');
+
+// Fixes an hour apart sailing due east along the equator at 6 knots
+const fix = (hour, longitude) => ({
+  latitude: 0,
+  longitude,
+  timestamp: new Date(Date.UTC(2025, 6, 1, hour))
+});
+const build = fixes => fixes.reduce(
+  (track, position) => voyageTrackService.addPosition(track.waypoints, position),
+  { waypoints: [] }
+);
+
+describe('Voyage Track Service', () => {
+  test('appends fixes with their speed over ground and the distance sailed', () => {
+    const track = build([fix(0, 0), fix(1, 0.1), fix(2, 0.2)]);
+
+    expect(track.waypoints).toHaveLength(3);
+    expect(track.waypoints[0].speed).toBe(0);
+    expect(track.waypoints[2].speed).toBeCloseTo(6, 0);
+    expect(track.totalDistance).toBeCloseTo(12, 0);
+  });
+
+  test('keeps the track in time order when fixes arrive late or are repeated', () => {
+    const track = build([fix(0, 0), fix(2, 0.2), fix(1, 0.1), { ...fix(2, 0.25), speed: 9 }]);
+
+    expect(track.waypoints.map(point => point.longitude)).toEqual([0, 0.1, 0.25]);
+    expect(track.waypoints[2].speed).toBe(9);
+    expect(track.totalDistance).toBeCloseTo(15, 0);
+  });
+
+  test('returns the fixes in a time range with the distance sailed over it', () => {
+    const { waypoints } = build([0, 1, 2, 3, 4].map(hour => fix(hour, hour / 10)));
+    const track = voyageTrackService.getTrack(waypoints, {
+      from: '2025-07-01T01:00:00Z',
+      to: '2025-07-01T03:00:00Z'
+    });
+
+    expect(track.totalPoints).toBe(3);
+    expect(track.points.map(point => point.longitude)).toEqual([0.1, 0.2, 0.3]);
+    expect(track.distance).toBeCloseTo(12, 0);
+  });
+
+  test('thins the track by interval and to a number of points, keeping both ends', () => {
+    const { waypoints } = build(Array.from({ length: 11 }, (_, hour) => fix(hour, hour / 10)));
+
+    const hourly = voyageTrackService.getTrack(waypoints, { interval: 180 });
+    const sparse = voyageTrackService.getTrack(waypoints, { maxPoints: 3 });
+
+    expect(hourly.points.map(point => point.timestamp.getUTCHours())).toEqual([0, 3, 6, 9, 10]);
+    expect(sparse.points.map(point => point.timestamp.getUTCHours())).toEqual([0, 5, 10]);
+    expect(sparse.totalPoints).toBe(11);
+  });
+
+  test('adds fixes to the stored track in place, with the distance each adds', () => {
+    const { waypoints } = build([fix(0, 0), fix(2, 0.2)]);
+
+    const late = voyageTrackService.getTrackUpdate(waypoints, fix(1, 0.1));
+    const push = late.update.$push['actualRoute.waypoints'];
+    expect(push).toEqual(expect.objectContaining({ $sort: { timestamp: 1 }, $slice: -10000 }));
+    expect(push.$each).toEqual([expect.objectContaining({ longitude: 0.1, speed: expect.closeTo(6, 0) })]);
+    // On the way between its neighbours, so it adds no distance
+    expect(late.update.$inc['actualRoute.totalDistance']).toBeCloseTo(0, 1);
+    expect(late.track.waypoints).toHaveLength(3);
+
+    const next = voyageTrackService.getTrackUpdate(waypoints, fix(3, 0.3));
+    expect(next.update.$inc['actualRoute.totalDistance']).toBeCloseTo(6, 0);
+
+    expect(voyageTrackService.getTrackUpdate(waypoints, fix(2, 0.25)).update).toEqual({});
+  });
+});
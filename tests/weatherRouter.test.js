@@ -0,0 +1,143 @@
+const weatherRouter = require('../src/ai/weatherRouter');
+const seaPathfinder = require('../src/ai/seaPathfinder');
+const weatherService = require('../src/services/weatherService');
+const { pathDistance } = require('../src/utils/navigation');
+
+const newYork = { latitude: 40.7128, longitude: -74.0060 };
+const london = { latitude: 51.5074, longitude: -0.1278 };
+const departureTime = '2025-07-01T00:00:00Z';
+const performance = { serviceSpeed: 15, fuelPerHour: 2 };
+
+// North Atlantic forecast at 2 degrees with an optional storm over a lat/lon box
+const buildForecast = storm => {
+  const grid = { startTime: departureTime, resolution: 2, north: 70, west: -80, rows: 20, cols: 45, intervalHours: 6 };
+  const windSpeed = [];
+  const waveHeight = [];
+  for (let row = 0; row < grid.rows; row++) {
+    for (let col = 0; col < grid.cols; col++) {
+      const latitude = grid.north - (row + 0.5) * grid.resolution;
+      const longitude = grid.west + (col + 0.5) * grid.resolution;
+      const stormy = storm && latitude > storm.south && latitude < storm.north &&
+        longitude > storm.west && longitude < storm.east;
+      windSpeed.push(stormy ? storm.windSpeed || 50 : 8);
+      waveHeight.push(stormy ? storm.waveHeight || 10 : 1);
+    }
+  }
+  return { ...grid, steps: [{ windSpeed, waveHeight }] };
+};
+
+// Forecast reaching south to 20S with a wall of 10 m seas along 60W, at every
+// latitude it covers, that clears after the given number of hours
+const buildPassingStorm = clearsAfter => {
+  const grid = { startTime: departureTime, resolution: 2, north: 70, west: -80, rows: 45, cols: 45, intervalHours: 6 };
+  const steps = [];
+  for (let hours = 0; hours <= 120; hours += grid.intervalHours) {
+    const windSpeed = [];
+    const waveHeight = [];
+    for (let row = 0; row < grid.rows; row++) {
+      for (let col = 0; col < grid.cols; col++) {
+        const longitude = grid.west + (col + 0.5) * grid.resolution;
+        const stormy = hours <= clearsAfter && longitude > -62 && longitude < -58;
+        windSpeed.push(stormy ? 50 : 8);
+        waveHeight.push(stormy ? 10 : 1);
+      }
+    }
+    steps.push({ windSpeed, waveHeight });
+  }
+  return { ...grid, steps };
+};
+
+const plan = (forecast, objective = 'time', routeOptions) => weatherRouter.optimizeRoute({
+  origin: newYork,
+  destination: london,
+  departureTime,
+  performance,
+  objective,
+  forecast,
+  routeOptions,
+  directPath: seaPathfinder.findRoute(newYork, london).path
+});
+
+describe('Weather Router', () => {
+  test('follows the direct route in calm weather', async () => {
+    const route = await plan(buildForecast(null));
+
+    expect(route.totalDistance).toBeCloseTo(route.direct.totalDistance, -1);
+    expect(route.estimatedTime).toBeLessThanOrEqual(route.direct.estimatedTime + 0.1);
+  });
+
+  test('routes around a storm on the direct track', async () => {
+    const forecast = buildForecast({ south: 44, north: 56, west: -45, east: -25 });
+    const route = await plan(forecast);
+
+    expect(route.direct.maxWaveHeight).toBe(10);
+    expect(route.direct.safe).toBe(false);
+    expect(route.maxWaveHeight).toBeLessThan(7);
+    expect(route.safe).toBe(true);
+    expect(route.estimatedTime).toBeLessThan(route.direct.estimatedTime);
+    expect(route.riskFactor).toBeLessThan(route.direct.riskFactor);
+  });
+
+  test('waits for a storm to pass rather than sailing into it', async () => {
+    const route = await plan(buildPassingStorm(72));
+
+    expect(route.safe).toBe(true);
+    expect(route.maxWaveHeight).toBeLessThan(7);
+    expect(route.waitingHours).toBeGreaterThan(0);
+    expect(route.waypoints.some(waypoint => waypoint.waitHours > 0)).toBe(true);
+
+    // The direct route sails straight through it and is flagged as unsafe
+    expect(route.direct.maxWaveHeight).toBe(10);
+    expect(route.direct.safe).toBe(false);
+  });
+
+  test('detours around a storm that lasts longer than a ship would wait', async () => {
+    const route = await plan(buildPassingStorm(Infinity));
+
+    expect(route.safe).toBe(true);
+    expect(route.waitingHours).toBe(0);
+    expect(route.totalDistance).toBeGreaterThan(route.direct.totalDistance);
+  });
+
+  test('slows down when minimising fuel', async () => {
+    const forecast = buildForecast(null);
+    const fastest = await plan(forecast, 'time');
+    const leanest = await plan(forecast, 'fuel');
+
+    expect(leanest.estimatedFuel).toBeLessThan(fastest.estimatedFuel);
+    expect(leanest.estimatedTime).toBeGreaterThan(fastest.estimatedTime);
+  });
+
+  test('trades time for calmer seas when minimising risk', async () => {
+    const forecast = buildForecast({ south: 44, north: 56, west: -45, east: -25, windSpeed: 25, waveHeight: 5 });
+    const fastest = await plan(forecast, 'time');
+    const safest = await plan(forecast, 'risk');
+
+    expect(safest.riskFactor).toBeLessThan(fastest.riskFactor);
+    expect(safest.maxWaveHeight).toBeLessThan(5);
+  });
+
+  test('sails its legs in the route mode', async () => {
+    const forecast = buildForecast(null);
+    const greatCircle = await plan(forecast);
+    const rhumbLine = await plan(forecast, 'time', { routeMode: 'rhumb-line' });
+    const directPath = seaPathfinder.findRoute(newYork, london).path;
+
+    expect(greatCircle.direct.totalDistance).toBeCloseTo(pathDistance(directPath, 'great-circle'), 0);
+    expect(rhumbLine.direct.totalDistance).toBeCloseTo(pathDistance(directPath, 'rhumb-line'), 0);
+    expect(rhumbLine.totalDistance).toBeCloseTo(pathDistance(rhumbLine.waypoints, 'rhumb-line'), 0);
+  });
+
+  test('forecasts the same weather for the same departure', () => {
+    const first = weatherService.generateMockForecastGrid(departureTime, 24);
+    const second = weatherService.generateMockForecastGrid(departureTime, 24);
+
+    expect(second.steps).toEqual(first.steps);
+  });
+
+  test('validates gridded forecasts', () => {
+    expect(weatherService.validateForecastGrid(buildForecast(null))).toBeNull();
+    expect(weatherService.validateForecastGrid({ ...buildForecast(null), steps: [] }))
+      .toContain('at least one time step');
+  });
+});